@@ -0,0 +1,161 @@
+/**
+ * Baseline and trend helpers for the accessibility audit
+ *
+ * The baseline is a committed JSON file listing known, accepted violations
+ * (one entry per rule, scenario, viewport and element). The audit only
+ * fails on violations that are not in it, or that got a higher impact than
+ * the baseline recorded, so existing debt can be paid down without blocking
+ * every merge.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// axe impact levels, lowest first
+export const IMPACT_LEVELS = ['minor', 'moderate', 'serious', 'critical'];
+
+const REPORT_FILE_PATTERN = /^a11y-report-.+\.json$/;
+
+/**
+ * Rank of an impact level; unknown impacts rank lowest
+ */
+export function impactRank(impact) {
+  return Math.max(IMPACT_LEVELS.indexOf(impact), 0);
+}
+
+/**
+ * Stable identity of one violation on one element
+ */
+export function issueKey(issue) {
+  return [issue.scenario, issue.viewport, issue.rule, issue.target].join(' | ');
+}
+
+/**
+ * Scenario runs of a report. Reports written before the scenario crawler
+ * are a single axe result for the home page.
+ */
+function getRuns(report) {
+  if (Array.isArray(report.scenarios)) {
+    return report.scenarios.flatMap(scenario =>
+      scenario.runs.map(run => ({ scenario: scenario.name, ...run }))
+    );
+  }
+  return [{ scenario: 'home', viewport: 'desktop', violations: report.violations || [] }];
+}
+
+/**
+ * Flatten a report into one issue per violated rule and element
+ */
+export function collectIssues(report) {
+  return getRuns(report).flatMap(run =>
+    (run.violations || []).flatMap(violation =>
+      violation.nodes.map(node => ({
+        scenario: run.scenario,
+        viewport: run.viewport,
+        rule: violation.id,
+        target: node.target.flat().join(' '),
+        impact: node.impact || violation.impact,
+        description: violation.description,
+        helpUrl: violation.helpUrl
+      }))
+    )
+  );
+}
+
+/**
+ * Read the baseline file; a missing file is an empty baseline
+ */
+export function loadBaseline(file) {
+  if (!fs.existsSync(file)) {
+    return { issues: [] };
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Write issues as the new baseline, keeping notes from the old one
+ */
+export function writeBaseline(file, issues, previous = { issues: [] }) {
+  const notes = new Map(previous.issues.map(issue => [issueKey(issue), issue.note]));
+  const baseline = {
+    description: 'Known accessibility violations accepted by the audit. Regenerate with `npm run test:a11y -- --update-baseline`.',
+    updated: new Date().toISOString(),
+    issues: issues
+      .map(({ scenario, viewport, rule, target, impact }) => {
+        const entry = { scenario, viewport, rule, target, impact };
+        const note = notes.get(issueKey(entry));
+        return note ? { ...entry, note } : entry;
+      })
+      .sort((a, b) => issueKey(a).localeCompare(issueKey(b)))
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+  return baseline;
+}
+
+/**
+ * Compare current issues with the baseline.
+ *
+ * - added: not in the baseline
+ * - worsened: in the baseline with a lower impact
+ * - known: in the baseline at the same or lower impact
+ * - fixed: baseline entries that no longer occur
+ *
+ * Added and worsened issues below `minImpact` are reported but don't
+ * count as regressions.
+ */
+export function compareToBaseline(issues, baseline, { minImpact = 'minor' } = {}) {
+  const accepted = new Map(baseline.issues.map(issue => [issueKey(issue), issue]));
+  const seen = new Set();
+  const comparison = { minImpact, added: [], worsened: [], known: [], fixed: [], regressions: [] };
+
+  issues.forEach(issue => {
+    const key = issueKey(issue);
+    const known = accepted.get(key);
+    seen.add(key);
+
+    if (known && impactRank(issue.impact) <= impactRank(known.impact)) {
+      comparison.known.push(issue);
+      return;
+    }
+
+    const entry = known ? { ...issue, previousImpact: known.impact } : issue;
+    comparison[known ? 'worsened' : 'added'].push(entry);
+    if (impactRank(issue.impact) >= impactRank(minImpact)) {
+      comparison.regressions.push(entry);
+    }
+  });
+
+  comparison.fixed = baseline.issues.filter(issue => !seen.has(issueKey(issue)));
+  return comparison;
+}
+
+/**
+ * Violation counts by impact for every stored report in `outputDir`,
+ * oldest first
+ */
+export function collectTrend(outputDir, limit = 10) {
+  if (!fs.existsSync(outputDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(outputDir)
+    .filter(file => REPORT_FILE_PATTERN.test(file))
+    .sort()
+    .slice(-limit)
+    .flatMap(file => {
+      try {
+        const report = JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8'));
+        const counts = Object.fromEntries(IMPACT_LEVELS.map(level => [level, 0]));
+        const issues = collectIssues(report);
+        issues.forEach(issue => {
+          counts[issue.impact] = (counts[issue.impact] || 0) + 1;
+        });
+        return [{ timestamp: report.timestamp || file, total: issues.length, ...counts }];
+      } catch {
+        // Skip unreadable or partial reports
+        return [];
+      }
+    });
+}
@@ -0,0 +1,315 @@
+/**
+ * Report formats for the accessibility audit besides HTML and JSON
+ *
+ * - JUnit XML: one test case per rule and element, for CI test dashboards
+ * - SARIF 2.1.0: for code-scanning dashboards
+ * - Markdown: a compact summary for pull request comments
+ *
+ * Each formatter takes the combined report built by a11y-test.js, including
+ * its baseline comparison, so "failing" means the same thing everywhere:
+ * a violation that is new or worse than the baseline.
+ */
+
+import { IMPACT_LEVELS, issueKey } from './a11y-baseline.js';
+import { pageUrl } from './preview-server.js';
+
+export const FORMATS = {
+  junit: { label: 'JUnit', extension: 'xml', generate: generateJUnit },
+  sarif: { label: 'SARIF', extension: 'sarif', generate: generateSarif },
+  markdown: { label: 'Markdown', extension: 'md', generate: generateMarkdown }
+};
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text for HTML or XML element content and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Escape text for XML; also drops characters XML 1.0 can't contain, such as
+ * control characters, U+FFFE, U+FFFF and lone surrogates
+ */
+export function escapeXml(value) {
+  // Array.from splits by code point, so a lone surrogate is its own entry
+  return Array.from(escapeHtml(value))
+    .filter(character => isXmlCharacter(character.codePointAt(0)))
+    .join('');
+}
+
+/**
+ * The Char production of XML 1.0
+ */
+function isXmlCharacter(code) {
+  return code === 0x09 || code === 0x0A || code === 0x0D ||
+    (code >= 0x20 && code <= 0xD7FF) ||
+    (code >= 0xE000 && code <= 0xFFFD) ||
+    (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdown(value) {
+  return String(value ?? '')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Scenario runs with their scenario name, in report order
+ */
+function getRuns(report) {
+  return report.scenarios.flatMap(scenario =>
+    scenario.runs.map(run => ({ ...run, scenario: scenario.name, description: scenario.description, path: scenario.path }))
+  );
+}
+
+/**
+ * Issue keys of the regressions and known issues in the baseline comparison
+ */
+function getBaselineKeys(report) {
+  const { regressions = [], known = [] } = report.baseline || {};
+  return {
+    regressions: new Set(regressions.map(issueKey)),
+    known: new Set(known.map(issueKey))
+  };
+}
+
+/**
+ * Issue for one node of a violation, shaped like a11y-baseline.js issues
+ */
+function toIssue(run, rule, node) {
+  return {
+    scenario: run.scenario,
+    viewport: run.viewport,
+    rule: rule.id,
+    target: node.target.flat().join(' '),
+    impact: node.impact || rule.impact
+  };
+}
+
+/**
+ * JUnit XML: a test suite per scenario run and a test case per rule and
+ * element. Violations that are new or worse than the baseline fail; known
+ * ones and those below the minimum impact are skipped, like incomplete
+ * checks that need manual review.
+ */
+export function generateJUnit(report) {
+  const keys = getBaselineKeys(report);
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalErrors = 0;
+  let totalSkipped = 0;
+
+  const suites = getRuns(report).map(run => {
+    const name = `${run.scenario} @ ${run.viewport}`;
+
+    if (run.error) {
+      totalTests++;
+      totalErrors++;
+      return `  <testsuite name="${escapeXml(name)}" tests="1" failures="0" errors="1" skipped="0">
+    <testcase classname="${escapeXml(run.scenario)}" name="load scenario">
+      <error message="${escapeXml(run.error)}"/>
+    </testcase>
+  </testsuite>`;
+    }
+
+    let failures = 0;
+    let skipped = 0;
+    const cases = [];
+    const testCase = (rule, node, body = '') => {
+      const attributes = `classname="${escapeXml(`${run.scenario}.${run.viewport}.${rule.id}`)}" name="${escapeXml(node.target.flat().join(' '))}"`;
+      return body
+        ? `    <testcase ${attributes}>\n      ${body}\n    </testcase>`
+        : `    <testcase ${attributes}/>`;
+    };
+
+    run.violations.forEach(rule => {
+      rule.nodes.forEach(node => {
+        const key = issueKey(toIssue(run, rule, node));
+
+        if (keys.regressions.has(key)) {
+          failures++;
+          const message = `${rule.help} (${node.impact || rule.impact})`;
+          const details = [rule.description, node.html, node.failureSummary, rule.helpUrl].filter(Boolean).join('\n\n');
+          cases.push(testCase(rule, node, `<failure message="${escapeXml(message)}" type="${escapeXml(rule.id)}">${escapeXml(details)}</failure>`));
+        } else {
+          skipped++;
+          const reason = keys.known.has(key) ? 'Known violation (in the baseline)' : 'Violation below the minimum impact';
+          cases.push(testCase(rule, node, `<skipped message="${escapeXml(reason)}"/>`));
+        }
+      });
+    });
+
+    run.incomplete.forEach(rule => {
+      rule.nodes.forEach(node => {
+        skipped++;
+        cases.push(testCase(rule, node, `<skipped message="${escapeXml(`Needs manual review: ${rule.help}`)}"/>`));
+      });
+    });
+
+    run.passes.forEach(rule => {
+      rule.nodes.forEach(node => cases.push(testCase(rule, node)));
+    });
+
+    totalTests += cases.length;
+    totalFailures += failures;
+    totalSkipped += skipped;
+
+    return `  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0" skipped="${skipped}" timestamp="${escapeXml(report.timestamp)}">
+${cases.join('\n')}
+  </testsuite>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="Accessibility audit" tests="${totalTests}" failures="${totalFailures}" errors="${totalErrors}" skipped="${totalSkipped}">
+${suites.join('\n')}
+</testsuites>
+`;
+}
+
+/**
+ * SARIF level for an axe impact
+ */
+function sarifLevel(impact) {
+  if (impact === 'critical' || impact === 'serious') return 'error';
+  if (impact === 'moderate') return 'warning';
+  return 'note';
+}
+
+/**
+ * SARIF 2.1.0 log with one result per rule and element. Results carry a
+ * baselineState so dashboards can tell new violations from known ones.
+ */
+export function generateSarif(report) {
+  const keys = getBaselineKeys(report);
+  const rules = new Map();
+  const results = [];
+  let engine = null;
+
+  getRuns(report).forEach(run => {
+    if (run.error) return;
+    engine = engine || run.testEngine;
+
+    run.violations.forEach(rule => {
+      if (!rules.has(rule.id)) {
+        rules.set(rule.id, {
+          id: rule.id,
+          shortDescription: { text: rule.help },
+          fullDescription: { text: rule.description },
+          helpUri: rule.helpUrl,
+          properties: { tags: rule.tags || [] }
+        });
+      }
+
+      rule.nodes.forEach(node => {
+        const issue = toIssue(run, rule, node);
+        const key = issueKey(issue);
+
+        results.push({
+          ruleId: rule.id,
+          level: sarifLevel(issue.impact),
+          message: {
+            text: `${rule.help} (${run.description}, ${run.label})${node.failureSummary ? `\n\n${node.failureSummary}` : ''}`
+          },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: run.url || pageUrl(run.path, report.url) }
+            },
+            logicalLocations: [{ fullyQualifiedName: issue.target, kind: 'element' }]
+          }],
+          partialFingerprints: { a11yIssue: key },
+          baselineState: keys.known.has(key) ? 'unchanged' : 'new',
+          properties: {
+            impact: issue.impact,
+            scenario: run.scenario,
+            viewport: run.viewport,
+            html: node.html
+          }
+        });
+      });
+    });
+  });
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'axe-core',
+          version: engine ? engine.version : undefined,
+          informationUri: 'https://github.com/dequelabs/axe-core',
+          rules: Array.from(rules.values())
+        }
+      },
+      invocations: [{ executionSuccessful: report.summary.errors === 0, endTimeUtc: report.timestamp }],
+      results
+    }]
+  };
+
+  return JSON.stringify(log, null, 2) + '\n';
+}
+
+/**
+ * Markdown summary for pull request comments: overall status, a
+ * scenario × viewport table of violation counts and the regressions
+ */
+export function generateMarkdown(report, { maxIssues = 20 } = {}) {
+  const { summary, baseline } = report;
+  const regressions = baseline ? baseline.regressions : [];
+  const viewports = Array.from(new Set(getRuns(report).map(run => run.viewport)));
+  const labels = Object.fromEntries(getRuns(report).map(run => [run.viewport, run.label]));
+  const passed = regressions.length === 0 && summary.errors === 0;
+
+  const lines = [
+    `## ${passed ? '✅' : '❌'} Accessibility audit`,
+    '',
+    `${summary.violations} violations (${regressions.length} new or worse at ${baseline ? baseline.minImpact : 'any'} impact or higher), ` +
+      `${summary.incomplete} need review, ${summary.runs} scenario runs` +
+      (summary.errors > 0 ? `, **${summary.errors} could not run**` : '') + '.',
+    '',
+    `| Scenario | ${viewports.map(viewport => escapeMarkdown(labels[viewport])).join(' | ')} |`,
+    `| --- |${viewports.map(() => ' ---: |').join('')}`
+  ];
+
+  report.scenarios.forEach(scenario => {
+    const cells = viewports.map(viewport => {
+      const run = scenario.runs.find(candidate => candidate.viewport === viewport);
+      if (!run) return '–';
+      if (run.error) return '⚠️ error';
+      return run.violations.length === 0 ? '✅ 0' : `❌ ${run.violations.length}`;
+    });
+    lines.push(`| ${escapeMarkdown(scenario.description)} | ${cells.join(' | ')} |`);
+  });
+
+  if (regressions.length > 0) {
+    lines.push('', '### New or worse violations', '');
+    regressions
+      .slice()
+      .sort((a, b) => IMPACT_LEVELS.indexOf(b.impact) - IMPACT_LEVELS.indexOf(a.impact))
+      .slice(0, maxIssues)
+      .forEach(issue => {
+        const change = issue.previousImpact ? `was ${issue.previousImpact}` : 'new';
+        lines.push(`- **${issue.rule}** (${issue.impact}, ${change}) in ${issue.scenario} @ ${issue.viewport}: \`${issue.target.replace(/`/g, "'")}\``);
+      });
+    if (regressions.length > maxIssues) {
+      lines.push(`- …and ${regressions.length - maxIssues} more (see the full report)`);
+    }
+  }
+
+  if (baseline && baseline.fixed.length > 0) {
+    lines.push('', `🎉 ${baseline.fixed.length} known violation(s) fixed. Run \`npm run test:a11y -- --prune-baseline\` to remove them from the baseline.`);
+  }
+
+  return lines.join('\n') + '\n';
+}
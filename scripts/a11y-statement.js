@@ -0,0 +1,100 @@
+/**
+ * Accessibility Statement Known Issues
+ *
+ * Turns the latest accessibility audit report into the "known limitations"
+ * list shown on the Accessibility Statement page: one entry per failing axe
+ * rule, with its WCAG success criteria, highest impact and the pages and
+ * states where it occurs. Nothing else from the report (selectors, HTML)
+ * is published.
+ *
+ * Run it after the audit and commit the result:
+ *   npm run audit:a11y
+ *   node scripts/a11y-statement.js [--report reports/latest-a11y-report.json]
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { impactRank } from './a11y-baseline.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_REPORT = path.join(ROOT, 'reports/latest-a11y-report.json');
+const DEFAULT_OUTPUT = path.join(ROOT, 'src/pages/accessibilityKnownIssues.json');
+
+/**
+ * WCAG success criteria from axe tags, e.g. wcag143 -> 1.4.3
+ */
+export function criteriaFromTags(tags = []) {
+  return tags
+    .map(tag => /^wcag(\d)(\d)(\d+)$/.exec(tag))
+    .filter(Boolean)
+    .map(([, principle, guideline, criterion]) => `${principle}.${guideline}.${criterion}`);
+}
+
+/**
+ * Known issues grouped by rule, most severe first
+ */
+export function buildKnownIssues(report) {
+  const rules = new Map();
+
+  report.scenarios.forEach(scenario => {
+    scenario.runs.forEach(run => {
+      (run.violations || []).forEach(violation => {
+        const entry = rules.get(violation.id) || {
+          rule: violation.id,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          criteria: criteriaFromTags(violation.tags),
+          impact: violation.impact,
+          occurrences: 0,
+          where: []
+        };
+
+        violation.nodes.forEach(node => {
+          const impact = node.impact || violation.impact;
+          if (impactRank(impact) > impactRank(entry.impact)) entry.impact = impact;
+        });
+        entry.occurrences += violation.nodes.length;
+        if (!entry.where.includes(scenario.description)) entry.where.push(scenario.description);
+
+        rules.set(violation.id, entry);
+      });
+    });
+  });
+
+  return {
+    auditedAt: report.timestamp,
+    issues: Array.from(rules.values()).sort((a, b) =>
+      impactRank(b.impact) - impactRank(a.impact) || a.rule.localeCompare(b.rule)
+    )
+  };
+}
+
+// Run the generator
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      report: { type: 'string', default: DEFAULT_REPORT },
+      out: { type: 'string', default: DEFAULT_OUTPUT }
+    }
+  });
+
+  try {
+    if (!fs.existsSync(values.report)) {
+      throw new Error(`No audit report at ${values.report}. Run \`npm run audit:a11y\` first.`);
+    }
+
+    const report = JSON.parse(fs.readFileSync(values.report, 'utf8'));
+    if (!Array.isArray(report.scenarios)) {
+      throw new Error('The report was written by an older audit. Run `npm run audit:a11y` again.');
+    }
+
+    const knownIssues = buildKnownIssues(report);
+    fs.writeFileSync(values.out, JSON.stringify(knownIssues, null, 2) + '\n');
+    console.log(`📝 ${knownIssues.issues.length} known issue(s) from the audit of ${knownIssues.auditedAt} written to ${path.relative(ROOT, values.out)}`);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  }
+}
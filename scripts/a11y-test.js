@@ -1,36 +1,332 @@
 /**
  * Accessibility Testing Script using Axe-core
  * 
- * This script runs automated accessibility tests against the application
- * using the axe-core library and generates a comprehensive report.
+ * This script crawls the application through a list of scenarios (a route
+ * plus scripted interactions such as opening the contact dialog or switching
+ * to dark mode), runs axe-core on each one at several viewports and
+ * generates one combined report with a section per scenario.
+ *
+ * Usage:
+ *   node scripts/a11y-test.js [options]
+ *
+ * Options (override a11y.config.js, which overrides CONFIG below):
+ *   --url <url>             App to test (default http://localhost:4173)
+ *   --out <dir>             Report directory (default reports/)
+ *   --tags <a,b>            axe tags to run
+ *   --viewport <names>      desktop, mobile, zoom400 or WIDTHxHEIGHT; repeatable
+ *   --include <selector>    Only audit inside matching elements; repeatable
+ *   --exclude <selector>    Leave matching elements out; repeatable
+ *   --rules <ids>           axe rules to disable
+ *   --timeout <ms>          Page load and step timeout
+ *   --serve                 Start `vite preview` for the run (needs a build)
+ *   --lighthouse            Also run a Lighthouse accessibility audit
+ *   --config <file>         Config file (default a11y.config.js)
+ *   --baseline <file>       Known violations (default a11y-baseline.json)
+ *   --min-impact <level>    Ignore new violations below this impact
+ *   --update-baseline       Accept all current violations as known
+ *   --prune-baseline        Remove fixed violations from the baseline
+ *   --format <formats>      Extra reports: junit, sarif, markdown
+ *
+ * a11y.config.js default-exports an object with any of the CONFIG keys,
+ * e.g. `export default { viewports: ['desktop'], disableRules: ['region'] }`.
+ * Relative paths in it are resolved from the project root.
  */
 
-const { AxePuppeteer } = require('@axe-core/puppeteer');
-const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
+import { AxePuppeteer } from '@axe-core/puppeteer';
+import puppeteer from 'puppeteer';
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { parseArgs } from 'node:util';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import {
+  IMPACT_LEVELS,
+  collectIssues,
+  loadBaseline,
+  writeBaseline,
+  compareToBaseline,
+  collectTrend
+} from './a11y-baseline.js';
+import { FORMATS, escapeHtml } from './a11y-reporters.js';
+import { pageUrl, startPreviewServer } from './preview-server.js';
 
-// Configuration
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Configuration defaults
 const CONFIG = {
   url: 'http://localhost:4173', // Vite preview server
-  outputDir: path.join(__dirname, '../reports'),
+  outputDir: path.join(ROOT, 'reports'),
   timeout: 30000,
-  axeOptions: {
-    // WCAG 2.1 Level AA compliance
-    tags: ['wcag2a', 'wcag2aa', 'wcag21aa'],
-    // Include all rule types
-    runOnly: {
-      type: 'tag',
-      values: ['wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice']
-    }
+  // WCAG 2.1 Level AA compliance plus best practices
+  tags: ['wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice'],
+  // Names from VIEWPORTS or 'WIDTHxHEIGHT'
+  viewports: ['desktop', 'mobile', 'zoom400'],
+  // CSS selectors to limit the audit to, or leave out of it
+  include: [],
+  exclude: [],
+  // axe rule ids to turn off
+  disableRules: [],
+  // Known violations that don't fail the audit (see a11y-baseline.js)
+  baselineFile: path.join(ROOT, 'a11y-baseline.json'),
+  // Lowest impact of a new violation that fails the audit
+  minImpact: 'minor',
+  // Number of stored reports shown in the trend
+  trendLength: 10,
+  // Extra report formats (see a11y-reporters.js)
+  formats: []
+};
+
+/**
+ * Viewports every scenario is audited at. A 1280px wide window zoomed to
+ * 400% leaves 320 CSS pixels, the width WCAG 1.4.10 (Reflow) asks content
+ * to work at.
+ */
+const VIEWPORTS = {
+  desktop: {
+    label: 'Desktop (1280×720)',
+    viewport: { width: 1280, height: 720 }
+  },
+  mobile: {
+    label: 'Mobile (375×667)',
+    viewport: { width: 375, height: 667, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+  },
+  zoom400: {
+    label: '400% zoom (320×180)',
+    viewport: { width: 320, height: 180, deviceScaleFactor: 4 }
   }
 };
 
 /**
- * Generate HTML report from axe results
+ * Turn a viewport name or 'WIDTHxHEIGHT' into { name, label, viewport }
+ */
+function resolveViewport(value) {
+  if (typeof value === 'object') return value;
+  if (VIEWPORTS[value]) return { name: value, ...VIEWPORTS[value] };
+
+  const size = /^(\d+)x(\d+)$/.exec(value);
+  if (!size) {
+    throw new Error(`Unknown viewport "${value}", expected one of ${Object.keys(VIEWPORTS).join(', ')} or WIDTHxHEIGHT`);
+  }
+  const [, width, height] = size.map(Number);
+  return { name: value, label: `${width}×${height}`, viewport: { width, height } };
+}
+
+// Selectors used by the scripted steps
+const CONTACT_BUTTON = '.nav-list button';
+const THEME_BUTTON = '.accessibility-controls button[aria-pressed]';
+const PREFERENCES_BUTTON = '.accessibility-controls button[aria-haspopup="dialog"]';
+const DIALOG = '[role="dialog"]';
+
+/**
+ * Scenarios to audit. Each one loads `path` in a fresh browser context,
+ * seeds localStorage from `storage` before the app starts, then runs its
+ * `steps` in order:
+ *   { click: selector }    click an element (also visually hidden controls)
+ *   { waitFor: selector }  wait until an element is in the page
+ *   { press: key }         press a key, e.g. 'Tab' or 'Escape'
+ */
+const SCENARIOS = [
+  { name: 'home', description: 'Home page', path: '/' },
+  { name: 'about', description: 'About page', path: '/about' },
+  { name: 'privacy', description: 'Privacy Policy page', path: '/privacy' },
+  { name: 'terms', description: 'Terms of Use page', path: '/terms' },
+  { name: 'accessibility', description: 'Accessibility Statement page', path: '/accessibility' },
+  { name: 'not-found', description: 'Page not found', path: '/does-not-exist' },
+  {
+    name: 'contact-modal',
+    description: 'Contact dialog open',
+    path: '/',
+    steps: [{ click: CONTACT_BUTTON }, { waitFor: `${DIALOG} form` }]
+  },
+  {
+    name: 'contact-errors',
+    description: 'Contact form submitted empty',
+    path: '/',
+    steps: [
+      { click: CONTACT_BUTTON },
+      { waitFor: `${DIALOG} form` },
+      { click: `${DIALOG} button[type="submit"]` },
+      { waitFor: '.error-summary' }
+    ]
+  },
+  {
+    name: 'preferences-dialog',
+    description: 'Display preferences dialog open',
+    path: '/',
+    steps: [{ click: PREFERENCES_BUTTON }, { waitFor: `${DIALOG} .preferences-panel` }]
+  },
+  {
+    name: 'dark-mode',
+    description: 'Dark mode turned on from the toolbar',
+    path: '/',
+    steps: [{ click: THEME_BUTTON }, { waitFor: 'html[data-theme="dark"]' }]
+  },
+  {
+    // The font size radios are hidden on small screens, so this sets the
+    // saved preference instead of clicking
+    name: 'large-font',
+    description: 'Large text',
+    path: '/',
+    storage: { 'a11y-preferences': { fontSize: 'large' } },
+    steps: [{ waitFor: 'html[data-font-size="large"]' }]
+  },
+  {
+    name: 'high-contrast',
+    description: 'High contrast in dark mode',
+    path: '/',
+    storage: { 'a11y-preferences': { theme: 'dark', contrast: 'high' } },
+    steps: [{ waitFor: 'html[data-contrast="high"]' }]
+  },
+  {
+    name: 'rtl',
+    description: 'Arabic, right-to-left layout',
+    path: '/about',
+    storage: { locale: 'ar' },
+    steps: [{ waitFor: 'html[dir="rtl"]' }]
+  }
+];
+
+/**
+ * Add up the result counts of every scenario run
+ */
+function summarize(scenarios) {
+  const summary = { runs: 0, errors: 0, violations: 0, passes: 0, incomplete: 0, inapplicable: 0 };
+
+  scenarios.forEach(scenario => {
+    scenario.runs.forEach(run => {
+      summary.runs++;
+      if (run.error) {
+        summary.errors++;
+        return;
+      }
+      summary.violations += run.violations.length;
+      summary.passes += run.passes.length;
+      summary.incomplete += run.incomplete.length;
+      summary.inapplicable += run.inapplicable.length;
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * HTML for one scenario run: its counts, violations and incomplete checks
+ */
+function renderRun(run) {
+  if (run.error) {
+    return `
+      <h3>${escapeHtml(run.label)}</h3>
+      <div class="violation-item run-error"><strong>Could not run this scenario:</strong> ${escapeHtml(run.error)}</div>
+    `;
+  }
+
+  const { violations, passes, incomplete } = run;
+
+  return `
+      <h3>${escapeHtml(run.label)}</h3>
+      <p class="run-counts">
+        ❌ ${violations.length} violations · ✅ ${passes.length} passed · ⚠️ ${incomplete.length} need review
+      </p>
+      ${violations.length === 0 
+        ? '<div class="no-items">🎉 No accessibility violations found!</div>'
+        : violations.map(violation => `
+        <div class="violation-item">
+          <div class="violation-id">${escapeHtml(violation.id)}</div>
+          <div class="violation-description">${escapeHtml(violation.description)}</div>
+          <span class="violation-impact impact-${escapeHtml(violation.impact)}">${escapeHtml(violation.impact)}</span>
+          <div class="nodes">
+            <strong>Affected elements (${violation.nodes.length}):</strong>
+            ${violation.nodes.map(node => `
+              <div class="node">
+                <strong>Target:</strong> ${escapeHtml(node.target.join(', '))}<br>
+                <strong>HTML:</strong> ${escapeHtml(node.html)}<br>
+                ${node.failureSummary ? `<strong>Issue:</strong> ${escapeHtml(node.failureSummary)}` : ''}
+              </div>
+            `).join('')}
+          </div>
+          <p><a href="${escapeHtml(violation.helpUrl)}" class="help-url" target="_blank" rel="noopener">Learn more about this rule</a></p>
+        </div>
+      `).join('')
+      }
+      ${incomplete.length === 0 
+        ? ''
+        : `<details class="incomplete-list">
+          <summary>⚠️ Incomplete tests (${incomplete.length}) – manual review required</summary>
+          ${incomplete.map(item => `
+          <div class="violation-item">
+            <div class="violation-id">${escapeHtml(item.id)}</div>
+            <div class="violation-description">${escapeHtml(item.description)}</div>
+            <p><a href="${escapeHtml(item.helpUrl)}" class="help-url" target="_blank" rel="noopener">Learn more</a></p>
+          </div>
+          `).join('')}
+        </details>`
+      }
+  `;
+}
+
+/**
+ * HTML for the comparison with the baseline: regressions and fixed issues
+ */
+function renderBaseline(baseline) {
+  const { regressions, known, fixed, minImpact } = baseline;
+
+  return `
+  <div class="section">
+    <div class="section-header ${regressions.length > 0 ? 'violations' : 'passes'}">📋 Baseline Comparison</div>
+    <p class="run-counts">
+      ${regressions.length} new or worse violations at ${minImpact} impact or higher ·
+      ${known.length} known (in the baseline) · ${fixed.length} fixed since the baseline
+    </p>
+    ${regressions.length === 0 
+      ? '<div class="no-items">No regressions against the baseline</div>'
+      : regressions.map(issue => `
+        <div class="violation-item">
+          <div class="violation-id">${escapeHtml(issue.rule)}</div>
+          <div class="violation-description">${escapeHtml(issue.description)}</div>
+          <span class="violation-impact impact-${escapeHtml(issue.impact)}">${escapeHtml(issue.impact)}</span>
+          ${issue.previousImpact ? `(was ${escapeHtml(issue.previousImpact)})` : '(new)'}
+          <div class="nodes">
+            <div class="node"><strong>${escapeHtml(issue.scenario)} @ ${escapeHtml(issue.viewport)}:</strong> ${escapeHtml(issue.target)}</div>
+          </div>
+        </div>
+      `).join('')
+    }
+    ${fixed.length > 0 
+      ? '<p class="run-counts">💡 Run with <code>--prune-baseline</code> to remove fixed issues from the baseline.</p>'
+      : ''
+    }
+  </div>
+  `;
+}
+
+/**
+ * HTML table of violation counts across the stored reports
  */
-function generateHTMLReport(results, timestamp) {
-  const { violations, passes, incomplete, inapplicable } = results;
+function renderTrend(trend) {
+  if (trend.length === 0) return '';
+
+  return `
+  <div class="section">
+    <div class="section-header">📈 Violation Trend (last ${trend.length} reports)</div>
+    <table class="trend">
+      <thead>
+        <tr><th scope="col">Report</th><th scope="col">Total</th>${IMPACT_LEVELS.slice().reverse().map(level => `<th scope="col">${level}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${trend.map(entry => `
+        <tr><th scope="row">${escapeHtml(entry.timestamp)}</th><td>${entry.total}</td>${IMPACT_LEVELS.slice().reverse().map(level => `<td>${entry[level]}</td>`).join('')}</tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </div>
+  `;
+}
+
+/**
+ * Generate the combined HTML report, one section per scenario
+ */
+function generateHTMLReport(report) {
+  const { summary } = report;
   
   const html = `
 <!DOCTYPE html>
@@ -148,86 +444,85 @@ function generateHTMLReport(results, timestamp) {
       color: #6c757d;
       font-style: italic;
     }
+    .section h3 {
+      margin: 0;
+      padding: 15px 20px 0;
+    }
+    .run-counts {
+      padding: 0 20px;
+      color: #495057;
+    }
+    .run-error { color: #721c24; }
+    .incomplete-list summary {
+      padding: 10px 20px;
+      cursor: pointer;
+      color: #856404;
+      font-weight: bold;
+    }
+    .scenario-index li { margin-bottom: 4px; }
+    .trend {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    .trend th,
+    .trend td {
+      padding: 8px 20px;
+      border-bottom: 1px solid #dee2e6;
+      text-align: left;
+    }
   </style>
 </head>
 <body>
   <div class="header">
     <h1>🔍 Accessibility Test Report</h1>
-    <p class="timestamp">Generated: ${timestamp}</p>
-    <p><strong>Test URL:</strong> ${CONFIG.url}</p>
+    <p class="timestamp">Generated: ${escapeHtml(report.timestamp)}</p>
+    <p><strong>Test URL:</strong> ${escapeHtml(report.url)}</p>
     <p><strong>Standards:</strong> WCAG 2.1 Level AA</p>
+    <p><strong>Viewports:</strong> ${report.viewports.map(escapeHtml).join(', ')}</p>
   </div>
 
   <div class="summary">
     <div class="summary-card violations">
       <h3>Violations</h3>
-      <div class="count">${violations.length}</div>
+      <div class="count">${summary.violations}</div>
       <p>Issues found</p>
     </div>
     <div class="summary-card passes">
       <h3>Passes</h3>
-      <div class="count">${passes.length}</div>
+      <div class="count">${summary.passes}</div>
       <p>Tests passed</p>
     </div>
     <div class="summary-card incomplete">
       <h3>Incomplete</h3>
-      <div class="count">${incomplete.length}</div>
+      <div class="count">${summary.incomplete}</div>
       <p>Needs review</p>
     </div>
     <div class="summary-card inapplicable">
-      <h3>Not Applicable</h3>
-      <div class="count">${inapplicable.length}</div>
-      <p>Rules not relevant</p>
+      <h3>Scenario Runs</h3>
+      <div class="count">${summary.runs}</div>
+      <p>${summary.errors} could not run</p>
     </div>
   </div>
 
-  <div class="section">
-    <div class="section-header violations">🚨 Violations (${violations.length})</div>
-    ${violations.length === 0 
-      ? '<div class="no-items">🎉 No accessibility violations found!</div>'
-      : violations.map(violation => `
-        <div class="violation-item">
-          <div class="violation-id">${violation.id}</div>
-          <div class="violation-description">${violation.description}</div>
-          <span class="violation-impact impact-${violation.impact}">${violation.impact}</span>
-          <div class="nodes">
-            <strong>Affected elements (${violation.nodes.length}):</strong>
-            ${violation.nodes.map(node => `
-              <div class="node">
-                <strong>Target:</strong> ${node.target.join(', ')}<br>
-                <strong>HTML:</strong> ${node.html}<br>
-                ${node.failureSummary ? `<strong>Issue:</strong> ${node.failureSummary}` : ''}
-              </div>
-            `).join('')}
-          </div>
-          <p><a href="${violation.helpUrl}" class="help-url" target="_blank" rel="noopener">Learn more about this rule</a></p>
-        </div>
-      `).join('')
-    }
-  </div>
+  ${renderBaseline(report.baseline)}
 
-  <div class="section">
-    <div class="section-header incomplete">⚠️ Incomplete Tests (${incomplete.length})</div>
-    ${incomplete.length === 0 
-      ? '<div class="no-items">No incomplete tests</div>'
-      : incomplete.map(item => `
-        <div class="violation-item">
-          <div class="violation-id">${item.id}</div>
-          <div class="violation-description">${item.description}</div>
-          <p><strong>Manual review required</strong></p>
-          <p><a href="${item.helpUrl}" class="help-url" target="_blank" rel="noopener">Learn more</a></p>
-        </div>
-      `).join('')
-    }
-  </div>
+  ${renderTrend(report.trend)}
 
-  <div class="section">
-    <div class="section-header passes">✅ Passed Tests (${passes.length})</div>
-    ${passes.length === 0 
-      ? '<div class="no-items">No tests passed</div>'
-      : '<div class="no-items">All passed tests are listed in the JSON report</div>'
-    }
-  </div>
+  <nav aria-label="Scenarios">
+    <ul class="scenario-index">
+      ${report.scenarios.map(scenario => {
+        const count = scenario.runs.reduce((total, run) => total + (run.violations ? run.violations.length : 0), 0);
+        return `<li><a href="#scenario-${escapeHtml(scenario.name)}">${escapeHtml(scenario.description)}</a> (${count} violations)</li>`;
+      }).join('')}
+    </ul>
+  </nav>
+
+  ${report.scenarios.map(scenario => `
+  <section class="section" id="scenario-${escapeHtml(scenario.name)}" aria-labelledby="scenario-${escapeHtml(scenario.name)}-title">
+    <h2 class="section-header" id="scenario-${escapeHtml(scenario.name)}-title">${escapeHtml(scenario.description)} <code>${escapeHtml(scenario.path)}</code></h2>
+    ${scenario.runs.map(renderRun).join('')}
+  </section>
+  `).join('')}
 
 </body>
 </html>
@@ -236,10 +531,95 @@ function generateHTMLReport(results, timestamp) {
   return html;
 }
 
+/**
+ * localStorage entries as strings; objects are stored as JSON like the app does
+ */
+function serializeStorage(storage = {}) {
+  return Object.fromEntries(
+    Object.entries(storage).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)])
+  );
+}
+
+/**
+ * Run one scripted step of a scenario
+ */
+async function runStep(page, step, timeout) {
+  if (step.click) {
+    await page.waitForSelector(step.click, { timeout });
+    // element.click() instead of a mouse click so visually hidden inputs
+    // and controls outside the viewport work too
+    await page.$eval(step.click, element => element.click());
+  } else if (step.waitFor) {
+    await page.waitForSelector(step.waitFor, { timeout });
+  } else if (step.press) {
+    await page.keyboard.press(step.press);
+  } else {
+    throw new Error(`Unknown scenario step: ${JSON.stringify(step)}`);
+  }
+}
+
+/**
+ * Load a scenario in a fresh browser context at one viewport and run axe.
+ * Every run starts without stored preferences, drafts or language.
+ */
+async function runScenario(browser, scenario, viewport, config) {
+  const context = await browser.createBrowserContext();
+  
+  try {
+    const page = await context.newPage();
+    await page.setViewport(viewport);
+    
+    if (scenario.storage) {
+      await page.evaluateOnNewDocument(storage => {
+        Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+      }, serializeStorage(scenario.storage));
+    }
+    
+    await page.goto(pageUrl(scenario.path, config.url), { 
+      waitUntil: 'networkidle0',
+      timeout: config.timeout 
+    });
+    await page.waitForSelector('#main-content h2', { timeout: config.timeout });
+    
+    for (const step of scenario.steps || []) {
+      await runStep(page, step, config.timeout);
+    }
+    
+    const axe = new AxePuppeteer(page).withTags(config.tags);
+    config.include.forEach(selector => axe.include(selector));
+    config.exclude.forEach(selector => axe.exclude(selector));
+    if (config.disableRules.length > 0) {
+      axe.disableRules(config.disableRules);
+    }
+    return await axe.analyze();
+  } finally {
+    await context.close();
+  }
+}
+
 /**
  * Run accessibility tests
+ *
+ * Takes any CONFIG key plus:
+ *   scenarios       scenarios to run (default SCENARIOS)
+ *   updateBaseline  accept every current violation into the baseline
+ *   pruneBaseline   remove fixed violations from the baseline
+ *
+ * Sets process.exitCode to 1 when the audit fails.
  */
-async function runA11yTests() {
+export async function runA11yTests(options = {}) {
+  const config = { ...CONFIG, scenarios: SCENARIOS, ...options };
+  const { baselineFile, minImpact, formats, updateBaseline = false, pruneBaseline = false } = config;
+  const viewports = config.viewports.map(resolveViewport);
+  
+  if (!IMPACT_LEVELS.includes(minImpact)) {
+    throw new Error(`Unknown impact level "${minImpact}", expected one of: ${IMPACT_LEVELS.join(', ')}`);
+  }
+  const unknownFormat = formats.find(format => !FORMATS[format]);
+  if (unknownFormat) {
+    throw new Error(`Unknown report format "${unknownFormat}", expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  
   console.log('🚀 Starting accessibility tests...');
   
   let browser;
@@ -250,84 +630,169 @@ async function runA11yTests() {
       args: ['--no-sandbox', '--disable-dev-shm-usage']
     });
     
-    const page = await browser.newPage();
+    const scenarios = [];
     
-    // Set viewport for consistent testing
-    await page.setViewport({ width: 1280, height: 720 });
-    
-    console.log(`📄 Navigating to ${CONFIG.url}`);
-    
-    // Navigate to the application
-    await page.goto(CONFIG.url, { 
-      waitUntil: 'networkidle0',
-      timeout: CONFIG.timeout 
-    });
-    
-    console.log('🔍 Running axe-core analysis...');
-    
-    // Run axe tests
-    const results = await new AxePuppeteer(page)
-      .configure(CONFIG.axeOptions)
-      .analyze();
+    for (const scenario of config.scenarios) {
+      console.log(`\n📄 ${scenario.description} (${scenario.path})`);
+      const runs = [];
+      
+      for (const { name: viewportName, label, viewport } of viewports) {
+        try {
+          const results = await runScenario(browser, scenario, viewport, config);
+          const { testEngine, violations, passes, incomplete, inapplicable } = results;
+          runs.push({ viewport: viewportName, label, url: results.url, testEngine, violations, passes, incomplete, inapplicable });
+          console.log(`   ${label}: ${violations.length} violations, ${incomplete.length} incomplete`);
+        } catch (error) {
+          // No server to test against: stop instead of failing every run
+          if (error.message.includes('net::ERR_CONNECTION_REFUSED')) throw error;
+          runs.push({ viewport: viewportName, label, error: error.message });
+          console.log(`   ${label}: ❌ ${error.message}`);
+        }
+      }
+      
+      scenarios.push({
+        name: scenario.name,
+        description: scenario.description,
+        path: scenario.path,
+        runs
+      });
+    }
     
     const timestamp = new Date().toISOString();
+    const report = {
+      timestamp,
+      url: config.url,
+      tags: config.tags,
+      viewports: viewports.map(({ label }) => label),
+      summary: summarize(scenarios),
+      scenarios
+    };
+    
+    // Compare against the known issues
+    const issues = collectIssues(report);
+    const baseline = loadBaseline(baselineFile);
+    const comparison = compareToBaseline(issues, baseline, { minImpact });
+    report.baseline = {
+      file: path.relative(process.cwd(), baselineFile),
+      minImpact,
+      regressions: comparison.regressions,
+      added: comparison.added.length,
+      worsened: comparison.worsened.length,
+      known: comparison.known,
+      fixed: comparison.fixed
+    };
     
     // Ensure output directory exists
-    if (!fs.existsSync(CONFIG.outputDir)) {
-      fs.mkdirSync(CONFIG.outputDir, { recursive: true });
+    if (!fs.existsSync(config.outputDir)) {
+      fs.mkdirSync(config.outputDir, { recursive: true });
     }
     
     // Write JSON report
-    const jsonPath = path.join(CONFIG.outputDir, `a11y-report-${timestamp.replace(/[:.]/g, '-')}.json`);
-    fs.writeFileSync(jsonPath, JSON.stringify(results, null, 2));
+    const jsonPath = path.join(config.outputDir, `a11y-report-${timestamp.replace(/[:.]/g, '-')}.json`);
+    fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+    
+    // Trend across the stored reports, including this one
+    report.trend = collectTrend(config.outputDir, config.trendLength);
     
     // Write HTML report
-    const htmlPath = path.join(CONFIG.outputDir, `a11y-report-${timestamp.replace(/[:.]/g, '-')}.html`);
-    const htmlReport = generateHTMLReport(results, timestamp);
+    const htmlPath = path.join(config.outputDir, `a11y-report-${timestamp.replace(/[:.]/g, '-')}.html`);
+    const htmlReport = generateHTMLReport(report);
     fs.writeFileSync(htmlPath, htmlReport);
     
     // Write latest reports (for easy access)
-    fs.writeFileSync(path.join(CONFIG.outputDir, 'latest-a11y-report.json'), JSON.stringify(results, null, 2));
-    fs.writeFileSync(path.join(CONFIG.outputDir, 'latest-a11y-report.html'), htmlReport);
+    fs.writeFileSync(path.join(config.outputDir, 'latest-a11y-report.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(config.outputDir, 'latest-a11y-report.html'), htmlReport);
+    
+    // Write the extra formats asked for on the command line
+    const extraPaths = formats.map(format => {
+      const { extension, generate } = FORMATS[format];
+      const output = generate(report);
+      const formatPath = path.join(config.outputDir, `a11y-report-${timestamp.replace(/[:.]/g, '-')}.${extension}`);
+      fs.writeFileSync(formatPath, output);
+      fs.writeFileSync(path.join(config.outputDir, `latest-a11y-report.${extension}`), output);
+      return [format, formatPath];
+    });
     
     // Log results
-    console.log('\\n📊 Test Results:');
-    console.log(`✅ Passed: ${results.passes.length}`);
-    console.log(`❌ Violations: ${results.violations.length}`);
-    console.log(`⚠️  Incomplete: ${results.incomplete.length}`);
-    console.log(`⚪ Not Applicable: ${results.inapplicable.length}`);
+    const { summary } = report;
+    console.log('\n📊 Test Results:');
+    console.log(`🧪 Scenario runs: ${summary.runs} (${config.scenarios.length} scenarios × ${viewports.length} viewports)`);
+    console.log(`✅ Passed: ${summary.passes}`);
+    console.log(`❌ Violations: ${summary.violations}`);
+    console.log(`⚠️  Incomplete: ${summary.incomplete}`);
+    console.log(`⚪ Not Applicable: ${summary.inapplicable}`);
     
-    if (results.violations.length > 0) {
-      console.log('\\n🚨 Violations found:');
-      results.violations.forEach((violation, index) => {
-        console.log(`${index + 1}. ${violation.id} (${violation.impact})`);
-        console.log(`   ${violation.description}`);
-        console.log(`   Affected elements: ${violation.nodes.length}`);
+    if (summary.violations > 0) {
+      console.log('\n🚨 Violations found:');
+      scenarios.forEach(scenario => {
+        scenario.runs.forEach(run => {
+          (run.violations || []).forEach(violation => {
+            console.log(`- [${scenario.name} @ ${run.viewport}] ${violation.id} (${violation.impact})`);
+            console.log(`   ${violation.description}`);
+            console.log(`   Affected elements: ${violation.nodes.length}`);
+          });
+        });
       });
     }
     
-    console.log(`\\n📄 Reports generated:`);
+    console.log('\n📈 Violation trend:');
+    console.log(`   ${'Report'.padEnd(26)} Total  ${IMPACT_LEVELS.slice().reverse().map(level => level.padEnd(9)).join('')}`);
+    report.trend.forEach(entry => {
+      console.log(`   ${entry.timestamp.padEnd(26)} ${String(entry.total).padEnd(6)} ${IMPACT_LEVELS.slice().reverse().map(level => String(entry[level]).padEnd(9)).join('')}`);
+    });
+    
+    console.log(`\n📋 Baseline (${report.baseline.file}):`);
+    console.log(`   New: ${comparison.added.length}, worse: ${comparison.worsened.length}, known: ${comparison.known.length}, fixed: ${comparison.fixed.length}`);
+    
+    console.log(`\n📄 Reports generated:`);
     console.log(`   HTML: ${htmlPath}`);
     console.log(`   JSON: ${jsonPath}`);
+    extraPaths.forEach(([format, formatPath]) => {
+      console.log(`   ${FORMATS[format].label}: ${formatPath}`);
+    });
+    
+    if (summary.errors > 0) {
+      console.log(`\n❌ ${summary.errors} scenario run(s) failed to complete!`);
+      process.exitCode = 1;
+      return;
+    }
+    
+    if (updateBaseline) {
+      writeBaseline(baselineFile, issues, baseline);
+      console.log(`\n📝 Baseline updated with ${issues.length} known violation(s)`);
+      return;
+    }
+    
+    if (pruneBaseline && comparison.fixed.length > 0) {
+      const fixed = new Set(comparison.fixed);
+      writeBaseline(baselineFile, baseline.issues.filter(issue => !fixed.has(issue)), baseline);
+      console.log(`\n📝 Removed ${comparison.fixed.length} fixed violation(s) from the baseline`);
+    }
     
-    // Exit with error if violations found
-    if (results.violations.length > 0) {
-      console.log('\\n❌ Accessibility violations detected!');
-      process.exit(1);
+    // Only violations that are new or worse than the baseline fail the audit
+    if (comparison.regressions.length > 0) {
+      console.log(`\n❌ ${comparison.regressions.length} new or worse accessibility violation(s) at ${minImpact} impact or higher:`);
+      comparison.regressions.forEach(issue => {
+        const change = issue.previousImpact ? `was ${issue.previousImpact}` : 'new';
+        console.log(`- [${issue.scenario} @ ${issue.viewport}] ${issue.rule} (${issue.impact}, ${change}): ${issue.target}`);
+      });
+      process.exitCode = 1;
+    } else if (summary.violations > 0) {
+      console.log('\n✅ No new accessibility violations (all known in the baseline or below the minimum impact)');
     } else {
-      console.log('\\n🎉 No accessibility violations found!');
+      console.log('\n🎉 No accessibility violations found!');
     }
     
   } catch (error) {
     console.error('❌ Error running accessibility tests:', error.message);
     
     if (error.message.includes('net::ERR_CONNECTION_REFUSED')) {
-      console.log('\\n💡 Make sure your development server is running:');
-      console.log('   npm run dev  # for development');
+      console.log('\n💡 Make sure the app is being served, or let the script start it:');
       console.log('   npm run preview  # for production build');
+      console.log('   node scripts/a11y-test.js --serve');
     }
     
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     if (browser) {
       await browser.close();
@@ -335,9 +800,119 @@ async function runA11yTests() {
   }
 }
 
+/**
+ * Run the Lighthouse CLI accessibility audit against `url`
+ */
+function runLighthouse(url, outputDir) {
+  const outputPath = path.join(outputDir, 'lighthouse-accessibility.html');
+  console.log(`\n🔦 Running Lighthouse accessibility audit...`);
+  
+  return new Promise((resolve, reject) => {
+    const lighthouse = spawn('lighthouse', [
+      url,
+      '--only-categories=accessibility',
+      '--output=html',
+      `--output-path=${outputPath}`,
+      '--chrome-flags=--headless'
+    ], { stdio: 'inherit', shell: process.platform === 'win32' });
+    
+    lighthouse.once('error', reject);
+    lighthouse.once('exit', code => {
+      if (code === 0) {
+        console.log(`   Lighthouse: ${outputPath}`);
+        resolve();
+      } else {
+        reject(new Error(`Lighthouse exited with code ${code}`));
+      }
+    });
+  });
+}
+
+/**
+ * Load the default export of a config file. The default a11y.config.js is
+ * optional; a file named with --config has to exist.
+ */
+async function loadConfigFile(file) {
+  const configPath = path.resolve(file || path.join(ROOT, 'a11y.config.js'));
+  if (!fs.existsSync(configPath)) {
+    if (file) throw new Error(`Config file not found: ${configPath}`);
+    return {};
+  }
+  
+  const { default: fileConfig = {} } = await import(pathToFileURL(configPath).href);
+  const resolved = { ...fileConfig };
+  ['outputDir', 'baselineFile'].forEach(key => {
+    if (resolved[key]) resolved[key] = path.resolve(ROOT, resolved[key]);
+  });
+  return resolved;
+}
+
+/**
+ * Comma-separated and repeated CLI values as one list
+ */
+function toList(values) {
+  return [].concat(values).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+}
+
 // Run the tests
-if (require.main === module) {
-  runA11yTests();
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      out: { type: 'string' },
+      tags: { type: 'string' },
+      viewport: { type: 'string', multiple: true },
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      rules: { type: 'string' },
+      timeout: { type: 'string' },
+      serve: { type: 'boolean', default: false },
+      lighthouse: { type: 'boolean', default: false },
+      config: { type: 'string' },
+      baseline: { type: 'string' },
+      'min-impact': { type: 'string' },
+      'update-baseline': { type: 'boolean', default: false },
+      'prune-baseline': { type: 'boolean', default: false },
+      // --format junit,sarif or --format junit --format sarif
+      format: { type: 'string', multiple: true }
+    }
+  });
+  
+  let stopServer = () => {};
+  try {
+    const options = await loadConfigFile(values.config);
+    
+    // Selectors can contain commas, so --include/--exclude are only repeatable
+    if (values.url) options.url = values.url;
+    if (values.out) options.outputDir = path.resolve(values.out);
+    if (values.tags) options.tags = toList(values.tags);
+    if (values.viewport) options.viewports = toList(values.viewport);
+    if (values.include) options.include = values.include;
+    if (values.exclude) options.exclude = values.exclude;
+    if (values.rules) options.disableRules = toList(values.rules);
+    if (values.timeout) options.timeout = Number(values.timeout);
+    if (values.baseline) options.baselineFile = path.resolve(values.baseline);
+    if (values['min-impact']) options.minImpact = values['min-impact'];
+    if (values.format) options.formats = toList(values.format);
+    options.updateBaseline = values['update-baseline'];
+    options.pruneBaseline = values['prune-baseline'];
+    
+    const { url, timeout, outputDir } = { ...CONFIG, ...options };
+    if (values.serve) {
+      stopServer = await startPreviewServer(url, timeout);
+    }
+    
+    await runA11yTests(options);
+    
+    if (values.lighthouse) {
+      await runLighthouse(url, outputDir);
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    stopServer();
+  }
 }
 
-module.exports = { runA11yTests };
\ No newline at end of file
+export { SCENARIOS, VIEWPORTS };
@@ -0,0 +1,488 @@
+/**
+ * Color Contrast Matrix
+ *
+ * Reads the color custom properties from src/App.css for every theme (light,
+ * dark, high contrast and dark high contrast), computes the WCAG contrast
+ * ratio of each foreground/background token pair the stylesheet uses and
+ * prints a pass/fail matrix. Text needs 4.5:1, or 3:1 once it is large
+ * (1.4.3); that is worked out for every font size setting, since they scale
+ * the rem sizes. Focus rings, field borders and other UI component
+ * boundaries need 3:1 (1.4.11). The caption color/background pairs the media
+ * player allows are checked too.
+ *
+ * Every color token a rule uses must be in a pair or in UNPAIRED_TOKENS, and
+ * rules may not use literal colors (captions aside), so nothing is missed.
+ *
+ * Known failures are kept in contrast-baseline.json. The check fails only
+ * on regressions: a pair that fails and isn't in the baseline, or a known
+ * failure whose ratio got worse. `npm run build` runs it first.
+ *
+ * Usage:
+ *   node scripts/contrast-check.js [--css src/App.css] [--out reports] [--update-baseline]
+ *
+ * --out also writes the matrix as contrast-matrix.md and contrast-matrix.json.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { CAPTION_STYLES, READABLE_CAPTION_PAIRS } from '../src/media/captionSettings.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const THRESHOLDS = {
+  text: { ratio: 4.5, criterion: '1.4.3' },
+  'large-text': { ratio: 3, criterion: '1.4.3' },
+  'non-text': { ratio: 3, criterion: '1.4.11' }
+};
+
+// Large text is at least 18pt, or 14pt bold (in px)
+const LARGE_TEXT = { size: 24, boldSize: 18.66 };
+
+/**
+ * Rule sets that define each theme's tokens, applied in cascade order.
+ * They mirror the data-* attributes set by src/preferences/store.js.
+ */
+export const THEMES = {
+  light: [':root'],
+  dark: [':root', '[data-theme="dark"]'],
+  'high-contrast': [':root', '[data-contrast="high"]'],
+  'dark-high-contrast': [':root', '[data-theme="dark"]', '[data-contrast="high"]', '[data-theme="dark"][data-contrast="high"]']
+};
+
+/**
+ * Token pairs the stylesheet puts together, with where they're used.
+ * Values are custom property names or literal colors. Text pairs may give
+ * the smallest `size` (rem) and `bold` weight they're used at; the default
+ * is 1rem, regular.
+ */
+export const PAIRS = [
+  { foreground: '--color-text', background: '--color-bg', kind: 'text', usage: 'Body text, form fields' },
+  { foreground: '--color-text', background: '--color-bg-secondary', kind: 'text', usage: 'Header, cards, draft notice' },
+  { foreground: '--color-text', background: '--color-bg-muted', kind: 'text', usage: 'Hovered nav links and dialog close button' },
+  { foreground: '--color-text', background: '--color-reading-ruler', kind: 'text', usage: 'Text under the reading guide' },
+  { foreground: '--color-text-secondary', background: '--color-bg', kind: 'text', usage: 'Hints, hero text, dialog close button' },
+  { foreground: '--color-text-secondary', background: '--color-bg-secondary', kind: 'text', usage: 'Footer links' },
+  { foreground: '--color-primary', background: '--color-bg', kind: 'text', usage: 'Links, secondary and link buttons' },
+  { foreground: '--color-primary', background: '--color-bg', kind: 'text', size: 1.25, bold: true, usage: 'Page and dialog headings' },
+  { foreground: '--color-primary', background: '--color-bg-secondary', kind: 'text', usage: 'Card links, current footer link' },
+  { foreground: '--color-on-primary', background: '--color-primary', kind: 'text', usage: 'Primary buttons, active nav item, skip link' },
+  { foreground: '--color-on-primary', background: '--color-primary-dark', kind: 'text', usage: 'Hovered primary button' },
+  { foreground: '--color-white', background: '--color-success', kind: 'text', usage: 'Submit button' },
+  { foreground: '--color-white', background: '--color-success-dark', kind: 'text', usage: 'Hovered submit button' },
+  { foreground: '--color-danger', background: '--color-bg', kind: 'text', usage: 'Error messages, required markers' },
+  { foreground: '--color-toast-success-text', background: '--color-toast-success-bg', kind: 'text', usage: 'Success toast' },
+  { foreground: '--color-toast-info-text', background: '--color-toast-info-bg', kind: 'text', usage: 'Info toast' },
+  { foreground: '--color-toast-warning-text', background: '--color-toast-warning-bg', kind: 'text', usage: 'Warning toast' },
+  { foreground: '--color-toast-error-text', background: '--color-toast-error-bg', kind: 'text', usage: 'Error toast' },
+  { foreground: '--color-black', background: '--color-highlight', kind: 'text', usage: 'Sentence being read aloud' },
+  { foreground: '--color-border-control', background: '--color-bg', kind: 'non-text', usage: 'Form field, button and toolbar control borders' },
+  { foreground: '--color-border-control', background: '--color-bg-secondary', kind: 'non-text', usage: 'Controls in the header and media player' },
+  { foreground: '--color-border-focus', background: '--color-bg', kind: 'non-text', usage: 'Focus ring, hovered field border' },
+  { foreground: '--color-border-focus', background: '--color-bg-secondary', kind: 'non-text', usage: 'Focus ring in header and footer' },
+  { foreground: '--color-danger', background: '--color-bg', kind: 'non-text', usage: 'Invalid field and error summary borders' }
+];
+
+/**
+ * Color tokens the stylesheet uses that need no contrast check, and why
+ */
+export const UNPAIRED_TOKENS = {
+  '--color-border': 'Dividers and card outlines; decorative, so 1.4.11 does not apply',
+  '--color-secondary': 'Disabled submit button; inactive controls are exempt',
+  '--color-info': 'Toast accent stripe; the toast text says what kind it is',
+  '--color-warning': 'Toast accent stripe; the toast text says what kind it is',
+  '--color-toast-success-border': 'Toast outline; decorative',
+  '--color-toast-info-border': 'Toast outline; decorative',
+  '--color-toast-warning-border': 'Toast outline; decorative',
+  '--color-toast-error-border': 'Toast outline; decorative',
+  '--color-overlay': 'Dialog backdrop; the dialog has its own background',
+  '--color-reading-mask': 'Dims the page outside the reading guide and focus spotlight on purpose',
+  '--color-caption-preview': 'Behind the caption preview; captions are checked over black and white'
+};
+
+/**
+ * Caption pairs the player allows (READABLE_CAPTION_PAIRS), with colors from
+ * the `.caption-text[data-*]` rules. Captions sit over video, so a
+ * translucent background is checked over both black and white frames.
+ */
+export function captionPairs(css) {
+  const declared = new Map();
+  const rulePattern = /\.caption-text\[data-(color|background)="([\w-]+)"\]\s*\{\s*(?:background-)?color:\s*([^;}]+);?\s*\}/g;
+  for (const [, setting, value, color] of css.matchAll(rulePattern)) {
+    declared.set(`${setting}=${value}`, color.trim());
+  }
+
+  const colorOf = (setting, value) => {
+    if (!declared.has(`${setting}=${value}`)) {
+      throw new Error(`No .caption-text[data-${setting}="${value}"] rule in the stylesheet`);
+    }
+    return declared.get(`${setting}=${value}`);
+  };
+
+  CAPTION_STYLES.color.values.forEach(color => {
+    if (!READABLE_CAPTION_PAIRS[color]?.length) {
+      throw new Error(`Caption color "${color}" has no readable background in READABLE_CAPTION_PAIRS`);
+    }
+  });
+
+  return Object.entries(READABLE_CAPTION_PAIRS).flatMap(([color, backgrounds]) =>
+    backgrounds.map(background => ({
+      foreground: colorOf('color', color),
+      background: colorOf('background', background),
+      backdrops: ['black', 'white'],
+      kind: 'text',
+      usage: `Captions: ${color} on ${background}`
+    }))
+  );
+}
+
+const NAMED_COLORS = {
+  black: [0, 0, 0, 1],
+  white: [255, 255, 255, 1],
+  transparent: [0, 0, 0, 0]
+};
+
+/**
+ * Custom properties declared by each top-level rule set, keyed by selector
+ */
+function readCustomProperties(css) {
+  const rules = new Map();
+  const withoutComments = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+  let match;
+
+  while ((match = rulePattern.exec(withoutComments))) {
+    const selector = match[1].trim().replace(/\s+/g, ' ').replace(/'/g, '"');
+    const properties = rules.get(selector) || {};
+    for (const [, name, value] of match[2].matchAll(/(--[\w-]+)\s*:\s*([^;]+);?/g)) {
+      properties[name] = value.trim();
+    }
+    rules.set(selector, properties);
+  }
+
+  return rules;
+}
+
+/**
+ * Resolve var() references against the theme's properties
+ */
+function resolveValue(value, properties, seen = new Set()) {
+  return value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]+))?\)/g, (_, name, fallback) => {
+    if (seen.has(name)) throw new Error(`Circular custom property ${name}`);
+    const next = properties[name] ?? fallback;
+    if (next === undefined) throw new Error(`Undefined custom property ${name}`);
+    return resolveValue(next, properties, new Set([...seen, name]));
+  });
+}
+
+/**
+ * Parse a hex, rgb()/rgba() or basic named color into [r, g, b, alpha]
+ */
+export function parseColor(value) {
+  const color = value.trim().toLowerCase();
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+
+  const hex = /^#([0-9a-f]{3,8})$/.exec(color);
+  if (hex && [3, 4, 6, 8].includes(hex[1].length)) {
+    const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit) : hex[1].match(/../g);
+    const [r, g, b, a = 'ff'] = digits;
+    return [parseInt(r, 16), parseInt(g, 16), parseInt(b, 16), parseInt(a, 16) / 255];
+  }
+
+  const rgb = /^rgba?\(([^)]+)\)$/.exec(color);
+  if (rgb) {
+    const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+    const channels = parts.slice(0, 3).map(part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+    const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    if (channels.length === 3 && channels.every(Number.isFinite) && Number.isFinite(alpha)) {
+      return [...channels, alpha];
+    }
+  }
+
+  throw new Error(`Unsupported color "${value}"`);
+}
+
+/**
+ * Composite a translucent color over an opaque backdrop
+ */
+function flatten([r, g, b, alpha], [backR, backG, backB]) {
+  return [
+    r * alpha + backR * (1 - alpha),
+    g * alpha + backG * (1 - alpha),
+    b * alpha + backB * (1 - alpha),
+    1
+  ];
+}
+
+/**
+ * WCAG relative luminance of an opaque color
+ */
+function relativeLuminance([r, g, b]) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+/**
+ * WCAG contrast ratio between two colors, 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const lighter = Math.max(relativeLuminance(foreground), relativeLuminance(background));
+  const darker = Math.min(relativeLuminance(foreground), relativeLuminance(background));
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+function pairId(pair) {
+  if (pair.backdrops) return `${pair.usage} (${pair.kind})`;
+  const size = pair.size ? `, ${pair.size}rem${pair.bold ? ' bold' : ''}` : '';
+  return `${pair.foreground} on ${pair.background} (${pair.kind}${size})`;
+}
+
+/**
+ * Root font size in px of each font size setting, from the
+ * `[data-font-size="..."]` rules
+ */
+export function readFontSizes(css) {
+  const sizes = {};
+  for (const [, setting, px] of css.matchAll(/\[data-font-size="([\w-]+)"\]\s*\{\s*font-size:\s*([\d.]+)px;?\s*\}/g)) {
+    sizes[setting] = Number(px);
+  }
+  if (Object.keys(sizes).length === 0) {
+    throw new Error('No [data-font-size] rules in the stylesheet');
+  }
+  return sizes;
+}
+
+/**
+ * Ratio a pair needs at each font size setting. Text that is large at a
+ * setting only needs the large-text ratio there.
+ */
+function requiredRatios(pair, fontSizes) {
+  return Object.fromEntries(Object.entries(fontSizes).map(([setting, rootSize]) => {
+    const px = (pair.size ?? 1) * rootSize;
+    const large = pair.kind === 'text' && px >= (pair.bold ? LARGE_TEXT.boldSize : LARGE_TEXT.size);
+    return [setting, THRESHOLDS[large ? 'large-text' : pair.kind].ratio];
+  }));
+}
+
+const COLOR_PROPERTY = /^(color|background(-color)?|border(-[\w-]+)?|outline(-color)?|fill|stroke)$/;
+const LITERAL_COLOR = /#[0-9a-f]{3,8}\b|(?:rgb|hsl)a?\([^)]*\)/gi;
+
+/**
+ * Problems that would let a color go unchecked: color tokens used by a rule
+ * that are in no pair and not in UNPAIRED_TOKENS, literal colors in rules,
+ * and UNPAIRED_TOKENS entries nothing uses. Caption rules are left out;
+ * captionPairs() covers them.
+ */
+export function findUncovered(css, { pairs = PAIRS, unpaired = UNPAIRED_TOKENS } = {}) {
+  const paired = new Set(pairs.flatMap(pair => [pair.foreground, pair.background]));
+  const used = new Set();
+  const problems = [];
+  const withoutComments = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  for (const [, selectorText, body] of withoutComments.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+    const selector = selectorText.trim().replace(/\s+/g, ' ');
+    if (selector.startsWith('.caption-text[')) continue;
+
+    body.split(';').forEach(declaration => {
+      const [property, ...rest] = declaration.split(':');
+      const value = rest.join(':');
+      if (!COLOR_PROPERTY.test(property.trim())) return;
+
+      for (const [, token] of value.matchAll(/var\(\s*(--color-[\w-]+)/g)) {
+        used.add(token);
+        if (!paired.has(token) && !unpaired[token]) {
+          problems.push(`${token} (in ${selector}) is in no pair and not in UNPAIRED_TOKENS`);
+        }
+      }
+      for (const [literal] of value.matchAll(LITERAL_COLOR)) {
+        problems.push(`Literal color ${literal} in ${selector}; use a color token so it can be checked`);
+      }
+    });
+  }
+
+  Object.keys(unpaired)
+    .filter(token => !used.has(token))
+    .forEach(token => problems.push(`UNPAIRED_TOKENS lists ${token}, which no rule uses`));
+
+  return [...new Set(problems)];
+}
+
+/**
+ * Contrast of every pair in every theme, checked at every font size setting
+ */
+export function buildMatrix(css, { themes = THEMES, pairs = [...PAIRS, ...captionPairs(css)], fontSizes = readFontSizes(css) } = {}) {
+  const rules = readCustomProperties(css);
+
+  const themeColors = Object.fromEntries(Object.entries(themes).map(([theme, selectors]) => {
+    const properties = Object.assign({}, ...selectors.map(selector => rules.get(selector) || {}));
+    const page = parseColor(resolveValue(properties['--color-bg'] ?? 'white', properties));
+    const color = value => parseColor(resolveValue(value.startsWith('--') ? `var(${value})` : value, properties));
+    return [theme, { color, page }];
+  }));
+
+  return pairs.map(pair => {
+    const required = requiredRatios(pair, fontSizes);
+
+    return {
+      id: pairId(pair),
+      ...pair,
+      required,
+      criterion: THRESHOLDS[pair.kind].criterion,
+      results: Object.fromEntries(Object.entries(themeColors).map(([theme, { color, page }]) => {
+        // The worst case over everything the background may sit on
+        const backdrops = pair.backdrops ? pair.backdrops.map(parseColor) : [page];
+        const ratio = Math.min(...backdrops.map(backdrop => {
+          const background = flatten(color(pair.background), backdrop);
+          return contrastRatio(flatten(color(pair.foreground), background), background);
+        }));
+        const rounded = Math.floor(ratio * 100) / 100;
+        const failsAt = Object.keys(required).filter(setting => rounded < required[setting]);
+        return [theme, { ratio: rounded, pass: failsAt.length === 0, failsAt }];
+      }))
+    };
+  });
+}
+
+/**
+ * Failures that are new or worse than the baseline, and baseline entries
+ * that pass now
+ */
+export function compareToBaseline(matrix, baseline) {
+  const known = new Map(baseline.failures.map(failure => [`${failure.id} | ${failure.theme}`, failure]));
+  const regressions = [];
+  const fixed = [];
+
+  matrix.forEach(row => {
+    Object.entries(row.results).forEach(([theme, { ratio, pass, failsAt }]) => {
+      const accepted = known.get(`${row.id} | ${theme}`);
+      if (pass) {
+        if (accepted) fixed.push({ id: row.id, theme });
+      } else if (!accepted || ratio < accepted.ratio) {
+        // Which font size settings fail, unless it is all of them
+        const partly = failsAt.length < Object.keys(row.required).length ? failsAt : null;
+        const required = Math.max(...failsAt.map(setting => row.required[setting]));
+        regressions.push({ id: row.id, usage: row.usage, theme, ratio, required, failsAt: partly, previous: accepted?.ratio });
+      }
+    });
+  });
+
+  return { regressions, fixed };
+}
+
+function failuresOf(matrix) {
+  return matrix.flatMap(row =>
+    Object.entries(row.results)
+      .filter(([, { pass }]) => !pass)
+      .map(([theme, { ratio }]) => ({ id: row.id, theme, ratio }))
+  );
+}
+
+/**
+ * "4.5:1" when every font size setting needs the same ratio, otherwise
+ * "4.5:1 small, 3:1 medium/large"
+ */
+function describeRequired(required) {
+  const settings = new Map();
+  Object.entries(required).forEach(([setting, ratio]) => {
+    settings.set(ratio, [...(settings.get(ratio) || []), setting]);
+  });
+  if (settings.size === 1) return `${[...settings.keys()][0]}:1`;
+  return [...settings].map(([ratio, names]) => `${ratio}:1 ${names.join('/')}`).join(', ');
+}
+
+/**
+ * Markdown pass/fail matrix, one row per pair and a column per theme. A
+ * failure that only happens at some font size settings names them.
+ */
+export function toMarkdown(matrix) {
+  const themes = Object.keys(matrix[0]?.results || {});
+  const lines = [
+    `| Pair | Used for | Needs | ${themes.join(' | ')} |`,
+    `| --- | --- | ---: |${themes.map(() => ' ---: |').join('')}`
+  ];
+
+  matrix.forEach(row => {
+    const cells = themes.map(theme => {
+      const { ratio, pass, failsAt } = row.results[theme];
+      const where = !pass && failsAt.length < Object.keys(row.required).length ? ` (${failsAt.join('/')})` : '';
+      return `${pass ? '✅' : '❌'} ${ratio.toFixed(2)}${where}`;
+    });
+    const pair = row.backdrops ? 'Caption text' : `\`${row.foreground}\` on \`${row.background}\``;
+    const size = row.size ? ` (${row.size}rem${row.bold ? ' bold' : ''})` : '';
+    lines.push(`| ${pair} | ${row.usage}${size} | ${describeRequired(row.required)} (${row.criterion}) | ${cells.join(' | ')} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+// Run the check
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      css: { type: 'string', default: path.join(ROOT, 'src/App.css') },
+      out: { type: 'string' },
+      baseline: { type: 'string', default: path.join(ROOT, 'contrast-baseline.json') },
+      'update-baseline': { type: 'boolean', default: false }
+    }
+  });
+
+  try {
+    const css = fs.readFileSync(values.css, 'utf8');
+    const matrix = buildMatrix(css);
+    const markdown = toMarkdown(matrix);
+
+    console.log('🎨 Color contrast matrix\n');
+    console.log(markdown);
+
+    const uncovered = findUncovered(css);
+    if (uncovered.length > 0) {
+      console.log(`❌ ${uncovered.length} color(s) the check doesn't cover:`);
+      uncovered.forEach(problem => console.log(`- ${problem}`));
+      process.exitCode = 1;
+    }
+
+    if (values.out) {
+      fs.mkdirSync(values.out, { recursive: true });
+      fs.writeFileSync(path.join(values.out, 'contrast-matrix.md'), markdown);
+      fs.writeFileSync(path.join(values.out, 'contrast-matrix.json'), JSON.stringify(matrix, null, 2) + '\n');
+      console.log(`📄 Matrix saved to ${path.join(values.out, 'contrast-matrix.md')}`);
+    }
+
+    if (values['update-baseline']) {
+      const failures = failuresOf(matrix);
+      fs.writeFileSync(values.baseline, JSON.stringify({
+        description: 'Known color contrast failures. Regenerate with `npm run test:contrast -- --update-baseline`.',
+        failures
+      }, null, 2) + '\n');
+      console.log(`📝 Baseline updated with ${failures.length} known failure(s)`);
+    } else {
+      const baseline = fs.existsSync(values.baseline)
+        ? JSON.parse(fs.readFileSync(values.baseline, 'utf8'))
+        : { failures: [] };
+      const { regressions, fixed } = compareToBaseline(matrix, baseline);
+
+      if (fixed.length > 0) {
+        console.log(`🎉 ${fixed.length} known failure(s) pass now. Run with --update-baseline to lock that in.`);
+      }
+
+      if (regressions.length > 0) {
+        console.log(`❌ ${regressions.length} contrast regression(s):`);
+        regressions.forEach(regression => {
+          const was = regression.previous ? `, was ${regression.previous}:1` : '';
+          const at = regression.failsAt ? ` at ${regression.failsAt.join('/')} font size` : '';
+          console.log(`- [${regression.theme}] ${regression.id}: ${regression.ratio}:1, needs ${regression.required}:1${at}${was} (${regression.usage})`);
+        });
+        process.exitCode = 1;
+      } else {
+        console.log('✅ No contrast regressions');
+      }
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  }
+}
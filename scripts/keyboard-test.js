@@ -0,0 +1,275 @@
+/**
+ * Keyboard Navigation Tests
+ *
+ * Drives the built app in headless Chrome with real key presses and checks
+ * what a keyboard user gets: the Tab sequence of every page, the skip link,
+ * the dialog focus trap and focus return, and focus moving to the first
+ * invalid field when the contact form is submitted empty.
+ *
+ * Each page's Tab sequence is compared with the snapshot committed in
+ * scripts/snapshots/, so any change to the focus order shows up in review.
+ * Record it, or accept an intended change, with --update-snapshot; without
+ * a snapshot the test fails.
+ *
+ * Usage:
+ *   node scripts/keyboard-test.js [--url http://localhost:4173] [--serve] [--update-snapshot]
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import puppeteer from 'puppeteer';
+import { pageUrl, startPreviewServer } from './preview-server.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SNAPSHOT_FILE = path.join(ROOT, 'scripts/snapshots/focus-order.json');
+const TIMEOUT = 30000;
+// Stop following Tab after this many stops, in case focus never leaves the page
+const MAX_TAB_STOPS = 100;
+
+const PAGES = ['/', '/about', '/privacy', '/terms', '/accessibility'];
+
+const CONTACT_BUTTON = '.nav-list button';
+const DIALOG = '[role="dialog"]';
+
+const { values: options } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'http://localhost:4173' },
+    serve: { type: 'boolean', default: false },
+    'update-snapshot': { type: 'boolean', default: false }
+  }
+});
+
+let browser;
+let stopServer = () => {};
+
+/**
+ * Open `route` in a fresh context, in English, with focus at the top of the
+ * document like after a real page load
+ */
+async function openPage(route) {
+  const context = await browser.createBrowserContext();
+  const page = await context.newPage();
+  await page.setViewport({ width: 1280, height: 720 });
+  await page.evaluateOnNewDocument(() => window.localStorage.setItem('locale', 'en'));
+  await page.goto(pageUrl(route, options.url), { waitUntil: 'networkidle0', timeout: TIMEOUT });
+  await page.waitForSelector('#main-content h2', { timeout: TIMEOUT });
+  return page;
+}
+
+/**
+ * Short description of the focused element: tag, role and accessible name,
+ * or null when nothing in the page has focus
+ */
+function describeFocus(page) {
+  return page.evaluate(() => {
+    const element = document.activeElement;
+    if (!element || element === document.body) return null;
+
+    const label = element.getAttribute('aria-label') ??
+      element.labels?.[0]?.textContent ??
+      element.textContent;
+    const name = (label || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+    const role = element.getAttribute('role');
+    return `${element.tagName.toLowerCase()}${role ? `[role=${role}]` : ''} "${name}"`;
+  });
+}
+
+/**
+ * Whether the focused element can be seen: rendered, not inert and not
+ * hidden from assistive technology
+ */
+function focusIsUsable(page) {
+  return page.evaluate(() => {
+    const element = document.activeElement;
+    return element.getClientRects().length > 0 &&
+      !element.closest('[inert], [aria-hidden="true"]');
+  });
+}
+
+/**
+ * Press Tab from the top of the page until focus leaves the document or
+ * comes back around, collecting every stop
+ */
+async function collectTabSequence(page) {
+  const stops = [];
+
+  for (let i = 0; i < MAX_TAB_STOPS; i++) {
+    await page.keyboard.press('Tab');
+    const stop = await describeFocus(page);
+    if (stop === null || stop === stops[0]) break;
+
+    assert.ok(await focusIsUsable(page), `Tab stop ${stops.length + 1} (${stop}) is hidden or inert`);
+    stops.push(stop);
+  }
+
+  return stops;
+}
+
+/**
+ * Open the contact dialog from the keyboard and wait for its form
+ */
+async function openContactDialog(page) {
+  await page.focus(CONTACT_BUTTON);
+  await page.keyboard.press('Enter');
+  await page.waitForSelector(`${DIALOG} form`, { timeout: TIMEOUT });
+}
+
+function focusIsInside(page, selector) {
+  return page.evaluate(selector => Boolean(document.activeElement.closest(selector)), selector);
+}
+
+before(async () => {
+  if (options.serve) {
+    stopServer = await startPreviewServer(options.url, TIMEOUT);
+  }
+  browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-dev-shm-usage']
+  });
+});
+
+after(async () => {
+  await browser?.close();
+  stopServer();
+});
+
+describe('Tab sequence', () => {
+  const sequences = {};
+
+  for (const route of PAGES) {
+    it(`reaches every control on ${route} in a stable order`, async () => {
+      const page = await openPage(route);
+      try {
+        const stops = await collectTabSequence(page);
+        assert.match(stops[0] ?? '', /^a "Skip to main content"$/, 'The skip link is the first Tab stop');
+        sequences[route] = stops;
+      } finally {
+        await page.browserContext().close();
+      }
+    });
+  }
+
+  it('matches the focus order snapshot', () => {
+    assert.equal(Object.keys(sequences).length, PAGES.length, 'Tab sequences are missing for some pages');
+
+    if (options['update-snapshot']) {
+      fs.mkdirSync(path.dirname(SNAPSHOT_FILE), { recursive: true });
+      fs.writeFileSync(SNAPSHOT_FILE, JSON.stringify(sequences, null, 2) + '\n');
+      console.log(`📝 Focus order snapshot written to ${path.relative(ROOT, SNAPSHOT_FILE)}`);
+      return;
+    }
+
+    // A missing snapshot is a failure, so a fresh checkout can't pass by
+    // recording whatever order it happens to have
+    assert.ok(
+      fs.existsSync(SNAPSHOT_FILE),
+      `${path.relative(ROOT, SNAPSHOT_FILE)} is missing. Run with --update-snapshot to record it.`
+    );
+    const stored = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+
+    for (const route of PAGES) {
+      assert.deepEqual(
+        sequences[route],
+        stored[route],
+        `Focus order of ${route} changed. Run with --update-snapshot if this is intended.`
+      );
+    }
+  });
+});
+
+describe('Skip link', () => {
+  it('moves focus to the main content', async () => {
+    const page = await openPage('/');
+    try {
+      await page.keyboard.press('Tab');
+      assert.equal(await describeFocus(page), 'a "Skip to main content"');
+
+      await page.keyboard.press('Enter');
+      assert.equal(await page.evaluate(() => document.activeElement.id), 'main-content');
+
+      // The next Tab continues inside the main content, not the header
+      await page.keyboard.press('Tab');
+      assert.ok(await focusIsInside(page, '#main-content'), 'Tab after the skip link stays in the main content');
+    } finally {
+      await page.browserContext().close();
+    }
+  });
+});
+
+describe('Contact dialog', () => {
+  it('keeps focus inside while open and returns it on Escape', async () => {
+    const page = await openPage('/');
+    try {
+      await openContactDialog(page);
+      assert.ok(await focusIsInside(page, DIALOG), 'Opening the dialog moves focus into it');
+
+      const focusableCount = await page.$eval(DIALOG, dialog =>
+        dialog.querySelectorAll('a[href], button, input, select, textarea').length
+      );
+
+      // Go round the dialog more than once in both directions
+      for (let i = 0; i < focusableCount + 2; i++) {
+        await page.keyboard.press('Tab');
+        assert.ok(await focusIsInside(page, DIALOG), `Tab ${i + 1} left the dialog`);
+      }
+      await page.keyboard.down('Shift');
+      for (let i = 0; i < focusableCount + 2; i++) {
+        await page.keyboard.press('Tab');
+        assert.ok(await focusIsInside(page, DIALOG), `Shift+Tab ${i + 1} left the dialog`);
+      }
+      await page.keyboard.up('Shift');
+
+      await page.keyboard.press('Escape');
+      await page.waitForSelector(DIALOG, { hidden: true, timeout: TIMEOUT });
+      assert.ok(
+        await page.$eval(CONTACT_BUTTON, button => button === document.activeElement),
+        'Focus returns to the Contact button'
+      );
+    } finally {
+      await page.browserContext().close();
+    }
+  });
+
+  it('focuses the first invalid field when submitted empty', async () => {
+    const page = await openPage('/');
+    try {
+      await openContactDialog(page);
+      await page.focus(`${DIALOG} button[type="submit"]`);
+      await page.keyboard.press('Enter');
+
+      await page.waitForFunction(
+        () => document.activeElement.getAttribute('aria-invalid') === 'true',
+        { timeout: TIMEOUT }
+      );
+      const focused = await page.evaluate(() => {
+        const fields = Array.from(document.querySelectorAll('[role="dialog"] [aria-invalid="true"]'));
+        return fields.indexOf(document.activeElement);
+      });
+      assert.equal(focused, 0, 'Focus is on the first invalid field');
+      assert.ok(await page.$('.error-summary'), 'The error summary is shown');
+    } finally {
+      await page.browserContext().close();
+    }
+  });
+});
+
+describe('Toolbar and navigation', () => {
+  it('move between items with the arrow keys', async () => {
+    const page = await openPage('/');
+    try {
+      await page.focus('.nav-list a');
+      await page.keyboard.press('ArrowRight');
+      assert.equal(await describeFocus(page), 'a "About"');
+      await page.keyboard.press('End');
+      assert.equal(await describeFocus(page), 'button "Contact"');
+      await page.keyboard.press('ArrowRight');
+      assert.equal(await describeFocus(page), 'a "Home"', 'Arrow keys wrap around');
+    } finally {
+      await page.browserContext().close();
+    }
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Mock API Server
+ *
+ * Local stand-in for the contact form and accessibility barrier report
+ * backends, used in development (Vite proxies /api to it) and in tests.
+ * It also collects analytics events posted to /api/analytics, appending
+ * one JSON line per event to --analytics-file.
+ *
+ * Usage:
+ *   node scripts/mock-api.js [--port 3001] [--scenario success] [--delay 0]
+ *                            [--analytics-file logs/analytics.ndjson]
+ *
+ * Scenarios:
+ *   success     Validate the message like a real backend, then accept it
+ *   validation  Always reject with field errors (422)
+ *   error       Always fail with 500
+ *   flaky       Fail with 503 on every other request
+ *   slow        Accept after --delay ms (defaults to 15s, past the client timeout)
+ *
+ * A single request can pick its own scenario with the X-Mock-Scenario
+ * header or a ?scenario= query parameter.
+ *
+ * Like a real backend, a request repeating the Idempotency-Key of one that
+ * was already accepted gets the original response and stores nothing new.
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BODY_ERROR = 'Request body must be a JSON object';
+const SLOW_DEFAULT_DELAY = 15000;
+const ANALYTICS_PATH = '/api/analytics';
+const ANALYTICS_DEFAULT_FILE = 'logs/analytics.ndjson';
+const KEEPALIVE_PATH = '/api/session/keepalive';
+
+export const SCENARIOS = ['success', 'validation', 'error', 'flaky', 'slow'];
+
+/**
+ * A field's text with surrounding space removed; anything that isn't a
+ * string counts as missing
+ */
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Server-side checks mirroring src/components/contactFormSchema.js
+ */
+function validateContact(body) {
+  const fieldErrors = {};
+
+  if (!text(body.name)) fieldErrors.name = 'Name is required';
+  if (!text(body.email)) {
+    fieldErrors.email = 'Email is required';
+  } else if (!EMAIL_PATTERN.test(body.email)) {
+    fieldErrors.email = 'Please enter a valid email address';
+  }
+  if (!text(body.subject)) fieldErrors.subject = 'Subject is required';
+  if (!text(body.message)) fieldErrors.message = 'Message is required';
+
+  return fieldErrors;
+}
+
+/**
+ * Server-side checks mirroring src/components/barrierReportSchema.js
+ */
+function validateBarrierReport(body) {
+  const fieldErrors = {};
+
+  if (!text(body.description)) fieldErrors.description = 'Please describe the barrier';
+  if (body.email !== undefined && body.email !== null && typeof body.email !== 'string') {
+    fieldErrors.email = 'Please enter a valid email address';
+  } else if (text(body.email) && !EMAIL_PATTERN.test(body.email)) {
+    fieldErrors.email = 'Please enter a valid email address';
+  }
+
+  return fieldErrors;
+}
+
+// Endpoints with their validation and the prefix of the IDs they return
+const ENDPOINTS = {
+  '/api/contact': { validate: validateContact, idPrefix: 'msg' },
+  '/api/accessibility-report': { validate: validateBarrierReport, idPrefix: 'report' }
+};
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(JSON.stringify(data));
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Append analytics events to an NDJSON file. Scenarios don't apply: the
+ * site never retries or reports these.
+ */
+function recordAnalytics(body, file) {
+  const events = isObject(body) && Array.isArray(body.events) ? body.events : [];
+  if (events.length === 0) return 0;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, events.map((event) => JSON.stringify(event) + '\n').join(''));
+  return events.length;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create (but don't start) the mock server
+ */
+export function createMockServer({
+  scenario = 'success',
+  delay = 0,
+  analyticsFile = ANALYTICS_DEFAULT_FILE,
+  log = console.log,
+} = {}) {
+  let requestCount = 0;
+  // Accepted responses by Idempotency-Key
+  const accepted = new Map();
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Accept, Idempotency-Key, X-Mock-Scenario',
+      });
+      res.end();
+      return;
+    }
+
+    if (url.pathname === ANALYTICS_PATH && req.method === 'POST') {
+      try {
+        const count = recordAnalytics(await readJSON(req), analyticsFile);
+        log(`📊 ${count} analytics event(s) → ${analyticsFile}`);
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+        res.end();
+      } catch {
+        sendJSON(res, 400, { message: BODY_ERROR });
+      }
+      return;
+    }
+
+    // There's no real session to extend; just acknowledge it
+    if (url.pathname === KEEPALIVE_PATH && req.method === 'POST') {
+      log('⏱️ Session keepalive');
+      res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+      res.end();
+      return;
+    }
+
+    const endpoint = ENDPOINTS[url.pathname];
+    if (!endpoint) {
+      sendJSON(res, 404, { message: 'Not found' });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJSON(res, 405, { message: 'Method not allowed' });
+      return;
+    }
+
+    const active = req.headers['x-mock-scenario'] || url.searchParams.get('scenario') || scenario;
+    requestCount += 1;
+    log(`📨 POST ${url.pathname} (#${requestCount}, scenario: ${active})`);
+
+    const idempotencyKey = req.headers['idempotency-key'];
+    const replay = idempotencyKey && accepted.get(`${url.pathname} ${idempotencyKey}`);
+    if (replay) {
+      log(`🔁 Already accepted ${replay.id}; not stored again`);
+      sendJSON(res, 201, replay);
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJSON(req);
+    } catch {
+      sendJSON(res, 400, { message: BODY_ERROR });
+      return;
+    }
+    if (!isObject(body)) {
+      sendJSON(res, 400, { message: BODY_ERROR });
+      return;
+    }
+
+    const wait = active === 'slow' ? delay || SLOW_DEFAULT_DELAY : delay;
+    if (wait > 0) await sleep(wait);
+
+    switch (active) {
+      case 'validation':
+        sendJSON(res, 422, {
+          message: 'Validation failed',
+          fieldErrors: { email: 'This email address could not be verified' },
+        });
+        return;
+      case 'error':
+        sendJSON(res, 500, { message: 'Internal server error' });
+        return;
+      case 'flaky':
+        if (requestCount % 2 === 1) {
+          sendJSON(res, 503, { message: 'Service temporarily unavailable' });
+          return;
+        }
+        break;
+      default:
+        break;
+    }
+
+    const fieldErrors = endpoint.validate(body);
+    if (Object.keys(fieldErrors).length > 0) {
+      sendJSON(res, 422, { message: 'Validation failed', fieldErrors });
+      return;
+    }
+
+    const result = { id: `${endpoint.idPrefix}-${requestCount}`, receivedAt: new Date().toISOString() };
+    if (idempotencyKey) accepted.set(`${url.pathname} ${idempotencyKey}`, result);
+    sendJSON(res, 201, result);
+  }
+
+  // A bug in a handler answers 500 instead of crashing the server
+  return http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      log(`💥 ${req.method} ${req.url}: ${error.message}`);
+      if (!res.headersSent) sendJSON(res, 500, { message: 'Internal server error' });
+      else res.end();
+    });
+  });
+}
+
+// Run the server
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: process.env.MOCK_API_PORT || '3001' },
+      scenario: { type: 'string', default: process.env.MOCK_API_SCENARIO || 'success' },
+      delay: { type: 'string', default: '0' },
+      'analytics-file': { type: 'string', default: ANALYTICS_DEFAULT_FILE },
+    },
+  });
+
+  if (!SCENARIOS.includes(values.scenario)) {
+    console.error(`❌ Unknown scenario "${values.scenario}". Use one of: ${SCENARIOS.join(', ')}`);
+    process.exit(1);
+  }
+
+  createMockServer({
+    scenario: values.scenario,
+    delay: Number(values.delay),
+    analyticsFile: values['analytics-file'],
+  })
+    .listen(Number(values.port), () => {
+      console.log(`🧪 Mock API listening on http://localhost:${values.port} (scenario: ${values.scenario})`);
+    });
+}
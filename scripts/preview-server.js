@@ -0,0 +1,90 @@
+/**
+ * Preview Server
+ *
+ * Starts `vite preview` on the built app for the scripts that test it in a
+ * browser, and waits until it actually serves pages.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VITE_BIN = path.join(ROOT, 'node_modules/vite/bin/vite.js');
+
+/**
+ * URL of an app page such as '/about' under `base`, keeping any subpath
+ * `base` has (`new URL('/about', base)` would drop it)
+ */
+export function pageUrl(pagePath, base) {
+  const root = new URL(base);
+  root.search = '';
+  root.hash = '';
+  if (!root.pathname.endsWith('/')) root.pathname += '/';
+  return new URL(pagePath.replace(/^\/+/, ''), root).href;
+}
+
+/**
+ * Resolve once `url` answers with a success status, polling until `timeout`
+ */
+export async function waitForServer(url, timeout) {
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    try {
+      const response = await fetch(url);
+      if (response.ok) return;
+    } catch {
+      // Not listening yet
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${url}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+}
+
+/**
+ * Start `vite preview` on the port of `url` and wait until it serves the
+ * app. Reuses a server that is already running. Returns a function that
+ * stops the server again.
+ */
+export async function startPreviewServer(url, timeout) {
+  try {
+    await waitForServer(url, 0);
+    console.log(`🌐 Using the server already running at ${url}`);
+    return () => {};
+  } catch {
+    // Nothing running yet
+  }
+
+  if (!fs.existsSync(path.join(ROOT, 'dist/index.html'))) {
+    throw new Error('No build found in dist/. Run `npm run build` first.');
+  }
+
+  const { port: explicitPort, protocol } = new URL(url);
+  // URL leaves out the scheme's default port
+  const port = explicitPort || (protocol === 'https:' ? '443' : '80');
+  console.log(`🌐 Starting vite preview on port ${port}...`);
+  const server = spawn(process.execPath, [VITE_BIN, 'preview', '--port', port, '--strictPort'], {
+    cwd: ROOT,
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  const exited = new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.once('exit', code => reject(new Error(`vite preview exited early with code ${code}`)));
+  });
+  // Stopping the server later also ends up here
+  exited.catch(() => {});
+
+  try {
+    await Promise.race([waitForServer(url, timeout), exited]);
+  } catch (error) {
+    server.kill();
+    throw error;
+  }
+
+  return () => server.kill();
+}
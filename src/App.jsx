@@ -1,302 +1,55 @@
 import { useState, useEffect, useRef } from 'react'
+import Link from './router/Link'
+import { navigate } from './router/history'
+import { useRoute } from './router/useRoute'
+import { usePreferences } from './preferences/usePreferences'
+import { PREFERENCES, applyPreferences, getChangeSource, setPreference } from './preferences/store'
+import Modal from './components/Modal'
+import PreferencesPanel from './components/PreferencesPanel'
+import ContactForm from './components/ContactForm'
+import BarrierReportForm from './components/BarrierReportForm'
+import { captureBarrierContext } from './api/barrierReport'
+import ToastRegion from './notifications/ToastRegion'
+import { notify } from './notifications/store'
+import { restoreRejected, startOutbox } from './api/outbox'
+import OutboxStatus from './components/OutboxStatus'
+import SessionTimeoutDialog from './components/SessionTimeoutDialog'
+import { getSession, startSession, subscribe as subscribeSession } from './session/store'
+import { startAnalytics, track } from './analytics/bus'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import { useTranslation } from './i18n/useTranslation'
+import { applyLocale } from './i18n/store'
+import { useShortcut } from './shortcuts/useShortcut'
+import ShortcutHelp from './components/ShortcutHelp'
+import ReaderControls from './components/ReaderControls'
+import ReadingAidsPanel from './components/ReadingAidsPanel'
+import ReadingAids from './readingAids/ReadingAids'
+import { stopReading } from './speech/reader'
+import { useRovingFocus } from './utils/useRovingFocus'
 import './App.css'
 
-// Accessible Modal Component
-function Modal({ isOpen, onClose, title, children }) {
-  const modalRef = useRef(null)
-  const previousFocusRef = useRef(null)
-
-  useEffect(() => {
-    if (isOpen) {
-      previousFocusRef.current = document.activeElement
-      modalRef.current?.focus()
-    } else {
-      previousFocusRef.current?.focus()
-    }
-  }, [isOpen])
-
-  useEffect(() => {
-    const handleEscape = (e) => {
-      if (e.key === 'Escape' && isOpen) {
-        onClose()
-      }
-    }
-
-    const handleTabTrap = (e) => {
-      if (e.key === 'Tab' && isOpen) {
-        const focusableElements = modalRef.current?.querySelectorAll(
-          'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        )
-        const firstElement = focusableElements?.[0]
-        const lastElement = focusableElements?.[focusableElements.length - 1]
-
-        if (e.shiftKey) {
-          if (document.activeElement === firstElement) {
-            lastElement?.focus()
-            e.preventDefault()
-          }
-        } else {
-          if (document.activeElement === lastElement) {
-            firstElement?.focus()
-            e.preventDefault()
-          }
-        }
-      }
-    }
-
-    document.addEventListener('keydown', handleEscape)
-    document.addEventListener('keydown', handleTabTrap)
-    
-    return () => {
-      document.removeEventListener('keydown', handleEscape)
-      document.removeEventListener('keydown', handleTabTrap)
-    }
-  }, [isOpen, onClose])
-
-  if (!isOpen) return null
-
-  return (
-    <div className="modal-overlay" onClick={onClose} role="dialog" aria-modal="true" aria-labelledby="modal-title">
-      <div 
-        className="modal-content" 
-        onClick={(e) => e.stopPropagation()}
-        ref={modalRef}
-        tabIndex={-1}
-      >
-        <header className="modal-header">
-          <h2 id="modal-title">{title}</h2>
-          <button 
-            className="modal-close" 
-            onClick={onClose}
-            aria-label="Close modal"
-            type="button"
-          >
-            ×
-          </button>
-        </header>
-        <div className="modal-body">
-          {children}
-        </div>
-      </div>
-    </div>
-  )
-}
-
-// Accessible Form Component
-function ContactForm({ onSubmit }) {
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    subject: '',
-    message: '',
-    newsletter: false
-  })
-  const [errors, setErrors] = useState({})
-  const [isSubmitting, setIsSubmitting] = useState(false)
-
-  const validateForm = () => {
-    const newErrors = {}
-    
-    if (!formData.name.trim()) {
-      newErrors.name = 'Name is required'
-    }
-    
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required'
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      newErrors.email = 'Please enter a valid email address'
-    }
-    
-    if (!formData.subject.trim()) {
-      newErrors.subject = 'Subject is required'
-    }
-    
-    if (!formData.message.trim()) {
-      newErrors.message = 'Message is required'
-    }
-    
-    return newErrors
-  }
-
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    const newErrors = validateForm()
-    
-    if (Object.keys(newErrors).length > 0) {
-      setErrors(newErrors)
-      // Focus first error field
-      const firstErrorField = Object.keys(newErrors)[0]
-      document.getElementById(firstErrorField)?.focus()
-      return
-    }
-    
-    setIsSubmitting(true)
-    setErrors({})
-    
-    try {
-      await new Promise(resolve => setTimeout(resolve, 1000)) // Simulate API call
-      onSubmit(formData)
-      setFormData({ name: '', email: '', subject: '', message: '', newsletter: false })
-    } catch (error) {
-      setErrors({ submit: 'Failed to submit form. Please try again.' })
-    } finally {
-      setIsSubmitting(false)
-    }
-  }
-
-  const handleChange = (e) => {
-    const { name, value, type, checked } = e.target
-    setFormData(prev => ({
-      ...prev,
-      [name]: type === 'checkbox' ? checked : value
-    }))
-    
-    // Clear error when user starts typing
-    if (errors[name]) {
-      setErrors(prev => ({ ...prev, [name]: '' }))
-    }
-  }
-
-  return (
-    <form onSubmit={handleSubmit} className="contact-form" noValidate>
-      <div className="form-group">
-        <label htmlFor="name" className="form-label">
-          Name <span className="required" aria-label="required">*</span>
-        </label>
-        <input
-          type="text"
-          id="name"
-          name="name"
-          value={formData.name}
-          onChange={handleChange}
-          className={`form-input ${errors.name ? 'error' : ''}`}
-          aria-describedby={errors.name ? 'name-error' : undefined}
-          aria-invalid={errors.name ? 'true' : 'false'}
-          required
-        />
-        {errors.name && (
-          <div id="name-error" className="error-message" role="alert" aria-live="polite">
-            {errors.name}
-          </div>
-        )}
-      </div>
-
-      <div className="form-group">
-        <label htmlFor="email" className="form-label">
-          Email <span className="required" aria-label="required">*</span>
-        </label>
-        <input
-          type="email"
-          id="email"
-          name="email"
-          value={formData.email}
-          onChange={handleChange}
-          className={`form-input ${errors.email ? 'error' : ''}`}
-          aria-describedby={errors.email ? 'email-error' : undefined}
-          aria-invalid={errors.email ? 'true' : 'false'}
-          required
-        />
-        {errors.email && (
-          <div id="email-error" className="error-message" role="alert" aria-live="polite">
-            {errors.email}
-          </div>
-        )}
-      </div>
-
-      <div className="form-group">
-        <label htmlFor="subject" className="form-label">
-          Subject <span className="required" aria-label="required">*</span>
-        </label>
-        <select
-          id="subject"
-          name="subject"
-          value={formData.subject}
-          onChange={handleChange}
-          className={`form-select ${errors.subject ? 'error' : ''}`}
-          aria-describedby={errors.subject ? 'subject-error' : undefined}
-          aria-invalid={errors.subject ? 'true' : 'false'}
-          required
-        >
-          <option value="">Please select a subject</option>
-          <option value="general">General Inquiry</option>
-          <option value="support">Technical Support</option>
-          <option value="feedback">Feedback</option>
-          <option value="accessibility">Accessibility Question</option>
-        </select>
-        {errors.subject && (
-          <div id="subject-error" className="error-message" role="alert" aria-live="polite">
-            {errors.subject}
-          </div>
-        )}
-      </div>
-
-      <div className="form-group">
-        <label htmlFor="message" className="form-label">
-          Message <span className="required" aria-label="required">*</span>
-        </label>
-        <textarea
-          id="message"
-          name="message"
-          value={formData.message}
-          onChange={handleChange}
-          className={`form-textarea ${errors.message ? 'error' : ''}`}
-          aria-describedby={errors.message ? 'message-error' : 'message-hint'}
-          aria-invalid={errors.message ? 'true' : 'false'}
-          rows={5}
-          required
-        />
-        <div id="message-hint" className="form-hint">
-          Please provide details about your inquiry
-        </div>
-        {errors.message && (
-          <div id="message-error" className="error-message" role="alert" aria-live="polite">
-            {errors.message}
-          </div>
-        )}
-      </div>
-
-      <div className="form-group">
-        <label className="checkbox-label">
-          <input
-            type="checkbox"
-            name="newsletter"
-            checked={formData.newsletter}
-            onChange={handleChange}
-            className="checkbox-input"
-          />
-          <span className="checkbox-text">Subscribe to our newsletter for updates</span>
-        </label>
-      </div>
-
-      {errors.submit && (
-        <div className="error-message" role="alert" aria-live="polite">
-          {errors.submit}
-        </div>
-      )}
-
-      <button 
-        type="submit" 
-        className="submit-button"
-        disabled={isSubmitting}
-        aria-describedby="submit-status"
-      >
-        {isSubmitting ? 'Submitting...' : 'Send Message'}
-      </button>
-      
-      <div id="submit-status" className="sr-only" aria-live="polite">
-        {isSubmitting ? 'Form is being submitted' : ''}
-      </div>
-    </form>
-  )
-}
-
 // Main App Component
 function App() {
   const [showModal, setShowModal] = useState(false)
-  const [showAlert, setShowAlert] = useState(false)
-  const [darkMode, setDarkMode] = useState(false)
-  const [fontSize, setFontSize] = useState('medium')
-  const [currentPage, setCurrentPage] = useState('home')
+  const [showPreferences, setShowPreferences] = useState(false)
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  const [showReader, setShowReader] = useState(false)
+  const readerButtonRef = useRef(null)
+  const [showReadingAids, setShowReadingAids] = useState(false)
+  const readingAidsButtonRef = useRef(null)
+  // Page, preferences and browser at the moment the barrier report opened
+  const [barrierContext, setBarrierContext] = useState(null)
+  const preferences = usePreferences()
+  const darkMode = preferences.theme === 'dark'
+  const fontSize = preferences.fontSize
+  const previousPreferencesRef = useRef(preferences)
+  const [routeAnnouncement, setRouteAnnouncement] = useState('')
+  const route = useRoute()
+  const previousRouteRef = useRef(route)
+  const { t, locale } = useTranslation()
+  // Nav and toolbar are one Tab stop each; arrow keys move inside them
+  const navRef = useRovingFocus()
+  const toolbarRef = useRovingFocus()
   
   // Skip link focus management
   useEffect(() => {
@@ -311,87 +64,190 @@ function App() {
     }
   }, [])
 
-  // Dark mode toggle
+  // Theme, font size and display preferences, persisted by the preferences store
   useEffect(() => {
-    document.documentElement.setAttribute('data-theme', darkMode ? 'dark' : 'light')
-  }, [darkMode])
+    applyPreferences(preferences)
+  }, [preferences])
 
-  // Font size adjustment
+  // Usage analytics (only with consent): which preferences change, and
+  // whether the user or an OS setting changed them. Changes synced from
+  // another tab were already reported there.
+  useEffect(() => startAnalytics(), [])
   useEffect(() => {
-    document.documentElement.setAttribute('data-font-size', fontSize)
-  }, [fontSize])
+    const previous = previousPreferencesRef.current
+    previousPreferencesRef.current = preferences
+    const source = getChangeSource()
+    if (source === 'otherTab') return
+
+    Object.keys(PREFERENCES)
+      .filter((key) => preferences[key] !== previous[key])
+      .forEach((key) => {
+        track('preference.changed', { preference: key, value: preferences[key], source })
+      })
+  }, [preferences])
+
+  // Language: <html lang/dir> and the static skip link in index.html
+  useEffect(() => {
+    applyLocale(locale)
+    const skipLink = document.querySelector('.skip-link')
+    if (skipLink) {
+      skipLink.textContent = t('site.skipLink')
+    }
+  }, [locale, t])
 
-  const handleFormSubmit = (data) => {
-    console.log('Form submitted:', data)
+  // Route change: update the title, then move focus to the new page heading
+  // and announce it. Skipped on first load so focus starts at the top.
+  useEffect(() => {
+    const title = t(route.titleKey)
+    document.title = `${title} | ${t('site.name')}`
+
+    if (previousRouteRef.current === route) return
+    previousRouteRef.current = route
+    stopReading()
+
+    document.querySelector('#main-content h2')?.focus()
+    setRouteAnnouncement(t('route.loaded', { title }))
+  }, [route, t])
+
+  // A queued message the server rejected goes back in the form if it's free
+  const openContact = () => {
+    restoreRejected()
+    setShowModal(true)
+  }
+
+  // Global keyboard shortcuts; listed, remappable and switchable in the
+  // "?" help dialog
+  useShortcut({ id: 'nav.home', keys: 'h', description: 'shortcuts.home', handler: () => navigate('/') })
+  useShortcut({ id: 'nav.about', keys: 'a', description: 'shortcuts.about', handler: () => navigate('/about') })
+  useShortcut({ id: 'contact.open', keys: 'c', description: 'shortcuts.contact', handler: openContact })
+  useShortcut({
+    id: 'theme.toggle',
+    keys: 't',
+    description: 'shortcuts.theme',
+    handler: () => setPreference('theme', darkMode ? 'light' : 'dark'),
+  })
+  useShortcut({ id: 'shortcuts.help', keys: '?', description: 'shortcuts.help', handler: () => setShowShortcuts(true) })
+
+  // Send queued offline messages whenever the connection returns
+  useEffect(() => startOutbox(), [])
+
+  // Session time limit (off unless configured). When it runs out the forms
+  // close; each form's draft is saved as it unmounts.
+  useEffect(() => startSession(), [])
+  useEffect(
+    () =>
+      subscribeSession(() => {
+        if (getSession().status === 'expired') {
+          setShowModal(false)
+          setBarrierContext(null)
+        }
+      }),
+    []
+  )
+
+  const handleFormSubmit = (data, { queued, offline }) => {
     setShowModal(false)
-    setShowAlert(true)
-    setTimeout(() => setShowAlert(false), 5000)
+    if (queued) {
+      notify({
+        type: 'info',
+        title: t('contact.queued.title'),
+        message: t(offline ? 'contact.queued.offline' : 'contact.queued.unreachable'),
+      })
+      return
+    }
+    notify({
+      type: 'success',
+      title: t('contact.sent.title'),
+      message: t('contact.sent.message'),
+    })
   }
 
-  const announcements = [
-    "Welcome to our accessible web application",
-    "This site is optimized for screen readers and keyboard navigation",
-    "Use Tab to navigate and Enter to activate buttons"
-  ]
+  const closeReader = () => {
+    setShowReader(false)
+    readerButtonRef.current?.focus()
+  }
+
+  const closeReadingAids = () => {
+    setShowReadingAids(false)
+    readingAidsButtonRef.current?.focus()
+  }
+
+  const openBarrierReport = () => setBarrierContext(captureBarrierContext())
+
+  const handleBarrierReportSubmit = () => {
+    setBarrierContext(null)
+    notify({
+      type: 'success',
+      title: t('barrier.sent.title'),
+      message: t('barrier.sent.message'),
+    })
+  }
+
+  const Page = route.component
 
   return (
     <div className="app">
-      {/* Skip to main content */}
-      <div className="sr-only" aria-live="polite" id="announcements">
-        {showAlert && "Your message has been sent successfully!"}
+      <div className="sr-only" aria-live="polite" aria-atomic="true" id="route-announcer">
+        {routeAnnouncement}
       </div>
 
       <header className="site-header" role="banner">
         <div className="header-content">
           <h1 className="site-title">
             <span aria-hidden="true">♿</span>
-            Accessible Web App
+            {t('site.name')}
           </h1>
           
-          <nav className="main-nav" role="navigation" aria-label="Main navigation">
-            <ul className="nav-list">
+          <nav className="main-nav" role="navigation" aria-label={t('nav.main')}>
+            <ul className="nav-list" ref={navRef}>
               <li>
-                <button 
-                  className={`nav-button ${currentPage === 'home' ? 'active' : ''}`}
-                  onClick={() => setCurrentPage('home')}
-                  aria-current={currentPage === 'home' ? 'page' : undefined}
+                <Link 
+                  to="/"
+                  className={`nav-button ${route.path === '/' ? 'active' : ''}`}
+                  aria-current={route.path === '/' ? 'page' : undefined}
                 >
-                  Home
-                </button>
+                  {t('nav.home')}
+                </Link>
               </li>
               <li>
-                <button 
-                  className={`nav-button ${currentPage === 'about' ? 'active' : ''}`}
-                  onClick={() => setCurrentPage('about')}
-                  aria-current={currentPage === 'about' ? 'page' : undefined}
+                <Link 
+                  to="/about"
+                  className={`nav-button ${route.path === '/about' ? 'active' : ''}`}
+                  aria-current={route.path === '/about' ? 'page' : undefined}
                 >
-                  About
-                </button>
+                  {t('nav.about')}
+                </Link>
               </li>
               <li>
                 <button 
                   className="nav-button"
-                  onClick={() => setShowModal(true)}
+                  onClick={openContact}
                 >
-                  Contact
+                  {t('nav.contact')}
                 </button>
               </li>
             </ul>
           </nav>
           
-          <div className="accessibility-controls" role="toolbar" aria-label="Accessibility controls">
+          <div
+            className="accessibility-controls"
+            role="toolbar"
+            aria-label={t('toolbar.label')}
+            aria-orientation="horizontal"
+            ref={toolbarRef}
+          >
             <button 
               className="control-button"
-              onClick={() => setDarkMode(!darkMode)}
+              onClick={() => setPreference('theme', darkMode ? 'light' : 'dark')}
               aria-pressed={darkMode}
-              aria-label={`Switch to ${darkMode ? 'light' : 'dark'} mode`}
-              title={`Switch to ${darkMode ? 'light' : 'dark'} mode`}
+              aria-label={t(darkMode ? 'toolbar.switchToLight' : 'toolbar.switchToDark')}
+              title={t(darkMode ? 'toolbar.switchToLight' : 'toolbar.switchToDark')}
             >
               {darkMode ? '☀️' : '🌙'}
             </button>
             
             <fieldset className="font-size-controls">
-              <legend className="sr-only">Font size controls</legend>
+              <legend className="sr-only">{t('toolbar.fontSize')}</legend>
               {['small', 'medium', 'large'].map((size) => (
                 <label key={size} className="radio-label">
                   <input
@@ -399,122 +255,93 @@ function App() {
                     name="font-size"
                     value={size}
                     checked={fontSize === size}
-                    onChange={() => setFontSize(size)}
+                    onChange={() => setPreference('fontSize', size)}
                     className="radio-input sr-only"
                   />
-                  <span className={`radio-button ${fontSize === size ? 'selected' : ''}`}>
-                    {size === 'small' ? 'A' : size === 'medium' ? 'A' : 'A'}
+                  <span
+                    className={`radio-button font-size-${size} ${fontSize === size ? 'selected' : ''}`}
+                    aria-hidden="true"
+                  >
+                    A
                   </span>
-                  <span className="sr-only">{size} font size</span>
+                  <span className="sr-only">{t(`toolbar.fontSize.${size}`)}</span>
                 </label>
               ))}
             </fieldset>
-          </div>
-        </div>
-      </header>
 
-      <main id="main-content" className="main-content" tabIndex={-1}>
-        {showAlert && (
-          <div className="alert alert-success" role="alert" aria-live="assertive">
-            <strong>Success!</strong> Your message has been sent successfully.
+            <button
+              className="control-button"
+              ref={readingAidsButtonRef}
+              onClick={() => setShowReadingAids((open) => !open)}
+              aria-expanded={showReadingAids}
+              aria-controls="reading-aids"
+              aria-label={t('readingAids.title')}
+              title={t('readingAids.title')}
+            >
+              <span aria-hidden="true">👓</span>
+            </button>
+
             <button 
-              className="alert-close" 
-              onClick={() => setShowAlert(false)}
-              aria-label="Close notification"
+              className="control-button"
+              onClick={() => setShowPreferences(true)}
+              aria-haspopup="dialog"
+              aria-label={t('toolbar.preferences')}
+              title={t('toolbar.preferences')}
             >
-              ×
+              <span aria-hidden="true">⚙️</span>
             </button>
-          </div>
-        )}
 
-        {currentPage === 'home' && (
-          <section className="hero-section">
-            <h2>Welcome to Our Accessible Web Application</h2>
-            <p className="hero-text">
-              This application demonstrates WCAG 2.1 AA compliance with features including:
-            </p>
-            
-            <ul className="feature-list" role="list">
-              <li role="listitem">✓ Semantic HTML structure</li>
-              <li role="listitem">✓ Keyboard navigation support</li>
-              <li role="listitem">✓ Screen reader optimization</li>
-              <li role="listitem">✓ High contrast color schemes</li>
-              <li role="listitem">✓ Focus management</li>
-              <li role="listitem">✓ ARIA landmarks and labels</li>
-              <li role="listitem">✓ Responsive design</li>
-              <li role="listitem">✓ Skip navigation links</li>
-            </ul>
+            <button
+              className="control-button"
+              ref={readerButtonRef}
+              onClick={() => setShowReader((open) => !open)}
+              aria-expanded={showReader}
+              aria-controls="reader-bar"
+              aria-label={t('reader.title')}
+              title={t('reader.title')}
+            >
+              <span aria-hidden="true">🔊</span>
+            </button>
 
-            <div className="cta-section">
-              <button 
-                className="primary-button"
-                onClick={() => setShowModal(true)}
-              >
-                Get Started
-              </button>
-              <button 
-                className="secondary-button"
-                onClick={() => setCurrentPage('about')}
-              >
-                Learn More
-              </button>
-            </div>
-          </section>
-        )}
+            <button 
+              className="control-button"
+              onClick={() => setShowShortcuts(true)}
+              aria-haspopup="dialog"
+              aria-label={t('shortcuts.open')}
+              title={t('shortcuts.open')}
+              aria-keyshortcuts="?"
+            >
+              <span aria-hidden="true">⌨️</span>
+            </button>
+          </div>
 
-        {currentPage === 'about' && (
-          <section className="about-section">
-            <h2>About Accessibility</h2>
-            <div className="content-grid">
-              <article className="info-card">
-                <h3>WCAG Guidelines</h3>
-                <p>
-                  The Web Content Accessibility Guidelines (WCAG) provide a framework 
-                  for making web content accessible to people with disabilities.
-                </p>
-                <a href="https://www.w3.org/WAI/WCAG21/quickref/" 
-                   target="_blank" 
-                   rel="noopener noreferrer"
-                   className="card-link"
-                >
-                  View WCAG Guidelines
-                  <span className="sr-only"> (opens in new tab)</span>
-                </a>
-              </article>
-              
-              <article className="info-card">
-                <h3>Keyboard Navigation</h3>
-                <ul>
-                  <li>Tab - Move to next interactive element</li>
-                  <li>Shift + Tab - Move to previous element</li>
-                  <li>Enter/Space - Activate buttons and links</li>
-                  <li>Arrow keys - Navigate within components</li>
-                  <li>Escape - Close modals and menus</li>
-                </ul>
-              </article>
-              
-              <article className="info-card">
-                <h3>Screen Reader Support</h3>
-                <p>
-                  This application is optimized for screen readers with proper 
-                  semantic markup, ARIA labels, and live regions for dynamic content.
-                </p>
-              </article>
-            </div>
-          </section>
-        )}
+          {/* Not a toolbar item: arrow keys belong to the select itself */}
+          <LanguageSwitcher />
+        </div>
+        {showReadingAids && <ReadingAidsPanel id="reading-aids" onClose={closeReadingAids} />}
+        {showReader && <ReaderControls id="reader-bar" onClose={closeReader} />}
+      </header>
+
+      <main id="main-content" className="main-content" tabIndex={-1}>
+        <OutboxStatus />
+        <Page onOpenContact={openContact} onReportBarrier={openBarrierReport} />
       </main>
 
       <footer className="site-footer" role="contentinfo">
         <div className="footer-content">
           <p>
-            &copy; 2024 Accessible Web App. Built with accessibility in mind.
+            {t('site.copyright')}
           </p>
-          <nav className="footer-nav" aria-label="Footer navigation">
+          <nav className="footer-nav" aria-label={t('nav.footer')}>
             <ul className="footer-links">
-              <li><a href="#privacy">Privacy Policy</a></li>
-              <li><a href="#terms">Terms of Service</a></li>
-              <li><a href="#accessibility">Accessibility Statement</a></li>
+              <li><Link to="/privacy" aria-current={route.path === '/privacy' ? 'page' : undefined}>{t('route.privacy')}</Link></li>
+              <li><Link to="/terms" aria-current={route.path === '/terms' ? 'page' : undefined}>{t('route.terms')}</Link></li>
+              <li><Link to="/accessibility" aria-current={route.path === '/accessibility' ? 'page' : undefined}>{t('route.accessibility')}</Link></li>
+              <li>
+                <button type="button" className="link-button" onClick={openBarrierReport} aria-haspopup="dialog">
+                  {t('barrier.open')}
+                </button>
+              </li>
             </ul>
           </nav>
         </div>
@@ -523,10 +350,44 @@ function App() {
       <Modal 
         isOpen={showModal} 
         onClose={() => setShowModal(false)}
-        title="Contact Us"
+        title={t('modal.contactTitle')}
+        analyticsName="contact"
       >
         <ContactForm onSubmit={handleFormSubmit} />
       </Modal>
+
+      <Modal
+        isOpen={barrierContext !== null}
+        onClose={() => setBarrierContext(null)}
+        title={t('barrier.title')}
+        analyticsName="barrierReport"
+      >
+        {barrierContext && (
+          <BarrierReportForm context={barrierContext} onSubmit={handleBarrierReportSubmit} />
+        )}
+      </Modal>
+
+      <Modal 
+        isOpen={showPreferences} 
+        onClose={() => setShowPreferences(false)}
+        title={t('modal.preferencesTitle')}
+        analyticsName="preferences"
+      >
+        <PreferencesPanel />
+      </Modal>
+
+      <Modal 
+        isOpen={showShortcuts} 
+        onClose={() => setShowShortcuts(false)}
+        title={t('shortcuts.title')}
+        analyticsName="shortcuts"
+      >
+        <ShortcutHelp />
+      </Modal>
+
+      <SessionTimeoutDialog />
+      <ToastRegion />
+      <ReadingAids />
     </div>
   )
 }
@@ -0,0 +1,91 @@
+import { beforeEach, describe, expect, it } from 'vitest'
+import { act, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import App from './App'
+import { STORAGE_KEY, resetPreferences, setPreference } from './preferences/store'
+import { axeViolations } from './test/axe'
+
+const html = document.documentElement
+
+describe('App', () => {
+  beforeEach(() => {
+    resetPreferences()
+  })
+
+  it('has no axe violations', async () => {
+    render(<App />)
+
+    expect(await axeViolations(document, { page: true })).toEqual([])
+  })
+
+  it('applies the light theme and medium font size to <html> by default', () => {
+    render(<App />)
+
+    expect(html).toHaveAttribute('data-theme', 'light')
+    expect(html).toHaveAttribute('data-font-size', 'medium')
+    expect(screen.getByRole('button', { name: 'Switch to dark mode' })).toHaveAttribute('aria-pressed', 'false')
+  })
+
+  it('toggles the theme on <html> and saves it', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(screen.getByRole('button', { name: 'Switch to dark mode' }))
+
+    expect(html).toHaveAttribute('data-theme', 'dark')
+    expect(screen.getByRole('button', { name: 'Switch to light mode' })).toHaveAttribute('aria-pressed', 'true')
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toEqual({ theme: 'dark' })
+
+    await user.click(screen.getByRole('button', { name: 'Switch to light mode' }))
+    expect(html).toHaveAttribute('data-theme', 'light')
+  })
+
+  it('sets the font size on <html> from the toolbar radios', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(screen.getByRole('radio', { name: 'Large font size' }))
+
+    expect(html).toHaveAttribute('data-font-size', 'large')
+    expect(screen.getByRole('radio', { name: 'Large font size' })).toBeChecked()
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toEqual({ fontSize: 'large' })
+  })
+
+  it('changes the language only when the choice is applied', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+    const toolbar = screen.getByRole('toolbar', { name: 'Accessibility controls' })
+    const language = screen.getByRole('combobox', { name: 'Language' })
+    expect(toolbar).not.toContainElement(language)
+
+    await user.selectOptions(language, 'es')
+    expect(html).toHaveAttribute('lang', 'en')
+
+    await user.click(screen.getByRole('button', { name: 'Apply Language' }))
+    expect(html).toHaveAttribute('lang', 'es')
+    expect(screen.getByRole('combobox', { name: 'Idioma' })).toHaveValue('es')
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Idioma' }), 'en')
+    await user.tab()
+    await user.keyboard('{Enter}')
+    expect(html).toHaveAttribute('lang', 'en')
+  })
+
+  it('follows preference changes made outside the toolbar', () => {
+    render(<App />)
+
+    act(() => setPreference('contrast', 'high'))
+
+    expect(html).toHaveAttribute('data-contrast', 'high')
+  })
+
+  it('opens the contact dialog from the navigation', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(screen.getByRole('button', { name: 'Contact' }))
+
+    expect(screen.getByRole('dialog', { name: 'Contact Us' })).toBeInTheDocument()
+    expect(await axeViolations(document, { page: true })).toEqual([])
+  })
+})
@@ -0,0 +1,56 @@
+// Destinations for analytics events. An adapter is an object with
+//   send(event)   receive one event from src/analytics/events.js
+//   flush()       optional: deliver anything batched (the page is closing)
+//   discard()     optional: drop anything batched (consent was withdrawn)
+
+export const ANALYTICS_ENDPOINT = import.meta.env.VITE_ANALYTICS_ENDPOINT || '/api/analytics'
+
+const FLUSH_DELAY = 5000
+
+// Logs each event to the browser console, for development
+export const consoleAdapter = {
+  send(event) {
+    console.info(`[analytics] ${event.type}`, event.properties)
+  },
+}
+
+// Batches events and posts them to ANALYTICS_ENDPOINT, which `npm run
+// mock-api` appends to a local file (logs/analytics.ndjson by default)
+export function createFileAdapter({ endpoint = ANALYTICS_ENDPOINT, flushDelay = FLUSH_DELAY } = {}) {
+  let batch = []
+  let timer = null
+
+  const discard = () => {
+    batch = []
+    clearTimeout(timer)
+    timer = null
+  }
+
+  const flush = () => {
+    if (batch.length === 0) return
+    const body = JSON.stringify({ events: batch })
+    discard()
+
+    // A beacon still goes out while the page unloads
+    const blob = new Blob([body], { type: 'application/json' })
+    if (navigator.sendBeacon?.(endpoint, blob)) return
+
+    fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(() => {
+      // Usage statistics aren't worth retrying
+    })
+  }
+
+  return {
+    send(event) {
+      batch.push(event)
+      timer ??= setTimeout(flush, flushDelay)
+    },
+    flush,
+    discard,
+  }
+}
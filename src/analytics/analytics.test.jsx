@@ -0,0 +1,172 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import App from '../App'
+import ContactForm from '../components/ContactForm'
+import { addAdapter, setAnalyticsConsent, startAnalytics, track } from './bus'
+import { createFileAdapter } from './adapters'
+import { resetPreferences } from '../preferences/store'
+import { submitContactMessage } from '../api/contact'
+import { SubmissionError } from '../api/client'
+
+vi.mock('../api/contact', () => ({ submitContactMessage: vi.fn() }))
+
+describe('analytics', () => {
+  const adapter = { send: vi.fn() }
+  let removeAdapter
+
+  const sent = () => adapter.send.mock.calls.map(([{ type, properties }]) => ({ type, ...properties }))
+
+  beforeEach(() => {
+    act(() => resetPreferences())
+    setAnalyticsConsent(true)
+    adapter.send.mockClear()
+    submitContactMessage.mockReset()
+    removeAdapter = addAdapter(adapter)
+  })
+
+  afterEach(() => {
+    removeAdapter()
+    setAnalyticsConsent(false)
+  })
+
+  it('tracks preference changes and how modals are opened and closed', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(screen.getByRole('button', { name: 'Switch to dark mode' }))
+    await user.click(screen.getByRole('button', { name: 'Contact' }))
+    await user.keyboard('{Escape}')
+    await user.click(screen.getByRole('button', { name: 'Accessibility preferences' }))
+    await user.click(screen.getByRole('button', { name: 'Close modal' }))
+
+    expect(sent()).toEqual([
+      { type: 'preference.changed', preference: 'theme', value: 'dark', source: 'user' },
+      { type: 'modal.opened', modal: 'contact' },
+      { type: 'modal.closed', modal: 'contact', method: 'escape' },
+      { type: 'modal.opened', modal: 'preferences' },
+      { type: 'modal.closed', modal: 'preferences', method: 'closeButton' },
+    ])
+  })
+
+  it('reports resetting preferences as the user\'s change', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(screen.getByRole('button', { name: 'Switch to dark mode' }))
+    await user.click(screen.getByRole('button', { name: 'Accessibility preferences' }))
+    await user.click(screen.getByRole('button', { name: 'Reset to defaults' }))
+    await user.click(screen.getByRole('button', { name: 'Reset' }))
+
+    expect(sent().filter(({ type }) => type === 'preference.changed')).toEqual([
+      { type: 'preference.changed', preference: 'theme', value: 'dark', source: 'user' },
+      { type: 'preference.changed', preference: 'theme', value: 'light', source: 'user' },
+    ])
+  })
+
+  it('reports invalid fields and submission results without the form contents', async () => {
+    const user = userEvent.setup()
+    render(<ContactForm onSubmit={vi.fn()} />)
+
+    await user.type(screen.getByLabelText(/^Name/), 'Ada Lovelace')
+    await user.type(screen.getByLabelText(/^Email/), 'ada@')
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    expect(sent()).toEqual([
+      { type: 'form.validationFailed', form: 'contact', field: 'email', source: 'client' },
+      { type: 'form.validationFailed', form: 'contact', field: 'subject', source: 'client' },
+      { type: 'form.validationFailed', form: 'contact', field: 'message', source: 'client' },
+    ])
+
+    adapter.send.mockClear()
+    await user.type(screen.getByLabelText(/^Email/), 'example.com')
+    await user.selectOptions(screen.getByLabelText(/^Subject/), 'support')
+    await user.type(screen.getByLabelText(/^Message/), 'Private words')
+    submitContactMessage.mockRejectedValueOnce(
+      new SubmissionError('Validation failed', { kind: 'validation', fieldErrors: { email: 'Unknown address' } })
+    )
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    submitContactMessage.mockResolvedValueOnce({ id: 'msg-1' })
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(sent()).toEqual([
+      { type: 'form.submitFailed', form: 'contact', reason: 'validation' },
+      { type: 'form.validationFailed', form: 'contact', field: 'email', source: 'server' },
+      { type: 'form.submitSucceeded', form: 'contact', queued: false },
+    ])
+    expect(JSON.stringify(adapter.send.mock.calls)).not.toMatch(/Ada|example|Private/)
+  })
+
+  it('sends nothing without consent', async () => {
+    const user = userEvent.setup()
+    render(<App />)
+
+    await user.click(screen.getByRole('button', { name: 'Accessibility preferences' }))
+    const consent = screen.getByRole('checkbox', { name: 'Share anonymous usage statistics' })
+    expect(consent).toBeChecked()
+    expect(consent).toHaveAccessibleDescription(/Nothing you type is ever included/)
+
+    await user.click(consent)
+    adapter.send.mockClear()
+    await user.click(screen.getByRole('checkbox', { name: /^High contrast colors/ }))
+    await user.keyboard('{Escape}')
+
+    expect(adapter.send).not.toHaveBeenCalled()
+    expect(localStorage.getItem('analytics-consent')).toBe('denied')
+  })
+
+  it('rejects events and properties that are not listed', () => {
+    expect(() => track('form.changed', { form: 'contact' })).toThrow('Unknown analytics event')
+    expect(() => track('form.submitFailed', { form: 'contact', message: 'hi' })).toThrow('has no property "message"')
+    expect(() => track('modal.opened', { modal: { name: 'contact' } })).toThrow('must be a string')
+    expect(adapter.send).not.toHaveBeenCalled()
+  })
+
+  it('stops tracking when consent is withdrawn in another tab', () => {
+    const stop = startAnalytics('')
+
+    window.localStorage.setItem('analytics-consent', 'denied')
+    window.dispatchEvent(new StorageEvent('storage', { key: 'analytics-consent' }))
+    track('modal.opened', { modal: 'contact' })
+    stop()
+
+    expect(adapter.send).not.toHaveBeenCalled()
+  })
+
+  it('skips unknown adapter names with a warning', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const info = vi.spyOn(console, 'info').mockImplementation(() => {})
+
+    const stop = startAnalytics('console, sparkle')
+    track('modal.opened', { modal: 'contact' })
+    stop()
+
+    expect(warn).toHaveBeenCalledWith('[analytics] Unknown adapter "sparkle"; use one of: console, file')
+    expect(info).toHaveBeenCalledWith('[analytics] modal.opened', { modal: 'contact' })
+    warn.mockRestore()
+    info.mockRestore()
+  })
+
+  it('batches events for the file adapter and drops them when consent is withdrawn', () => {
+    vi.useFakeTimers()
+    const sendBeacon = vi.fn(() => true)
+    navigator.sendBeacon = sendBeacon
+    const removeFile = addAdapter(createFileAdapter({ endpoint: '/api/analytics', flushDelay: 1000 }))
+
+    try {
+      track('modal.opened', { modal: 'contact' })
+      track('modal.closed', { modal: 'contact', method: 'escape' })
+      vi.advanceTimersByTime(1000)
+      expect(sendBeacon).toHaveBeenCalledTimes(1)
+      expect(sendBeacon.mock.calls[0][0]).toBe('/api/analytics')
+
+      track('modal.opened', { modal: 'shortcuts' })
+      setAnalyticsConsent(false)
+      vi.advanceTimersByTime(1000)
+      expect(sendBeacon).toHaveBeenCalledTimes(1)
+    } finally {
+      removeFile()
+      delete navigator.sendBeacon
+      vi.useRealTimers()
+    }
+  })
+})
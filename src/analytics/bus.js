@@ -0,0 +1,111 @@
+// Usage analytics: components call track(), and each event goes to every
+// registered adapter (see ./adapters.js).
+//
+// Nothing is collected without consent. It is off until the user turns it
+// on in Preferences; while off, track() returns straight away and adapters
+// drop anything they had batched. Consent is shared between open tabs
+// through the `storage` event, which startAnalytics() listens for so a tab
+// stops tracking as soon as consent is withdrawn anywhere.
+
+import { createEvent } from './events'
+import { consoleAdapter, createFileAdapter } from './adapters'
+
+export const STORAGE_KEY = 'analytics-consent'
+
+// Adapters started by startAnalytics(), chosen with VITE_ANALYTICS_ADAPTERS
+// (comma-separated). Development logs to the console by default.
+const ADAPTERS = {
+  console: () => consoleAdapter,
+  file: () => createFileAdapter(),
+}
+const DEFAULT_ADAPTERS = import.meta.env.DEV ? 'console' : ''
+
+const listeners = new Set()
+const adapters = new Set()
+let consent = readConsent()
+
+function readConsent() {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) === 'granted'
+  } catch {
+    return false
+  }
+}
+
+function applyConsent(granted) {
+  consent = granted
+  if (!granted) {
+    adapters.forEach((adapter) => adapter.discard?.())
+  }
+  listeners.forEach((listener) => listener())
+}
+
+function handleStorage(e) {
+  if (e.key !== STORAGE_KEY && e.key !== null) return
+  applyConsent(readConsent())
+}
+
+function flushAdapters() {
+  adapters.forEach((adapter) => adapter.flush?.())
+}
+
+export function getAnalyticsConsent() {
+  return consent
+}
+
+export function setAnalyticsConsent(granted) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, granted ? 'granted' : 'denied')
+  } catch {
+    // Keep the in-memory value for this session
+  }
+  applyConsent(granted)
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Register an adapter. Returns a function that removes it.
+export function addAdapter(adapter) {
+  adapters.add(adapter)
+  return () => {
+    adapter.flush?.()
+    adapters.delete(adapter)
+  }
+}
+
+// Send an event to the adapters, if the user has consented. The type and
+// properties must be listed in ANALYTICS_EVENTS.
+export function track(type, properties) {
+  if (!consent || adapters.size === 0) return
+
+  const event = createEvent(type, properties)
+  adapters.forEach((adapter) => adapter.send(event))
+}
+
+// Register the configured adapters, flush them when the page is hidden and
+// follow consent changes made in other tabs.
+// An unknown adapter name is logged and skipped rather than breaking the
+// app over a typo in the build settings. Returns a cleanup function.
+export function startAnalytics(names = import.meta.env.VITE_ANALYTICS_ADAPTERS ?? DEFAULT_ADAPTERS) {
+  const removers = names
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .filter((name) => {
+      if (ADAPTERS[name]) return true
+      console.warn(`[analytics] Unknown adapter "${name}"; use one of: ${Object.keys(ADAPTERS).join(', ')}`)
+      return false
+    })
+    .map((name) => addAdapter(ADAPTERS[name]()))
+  window.addEventListener('pagehide', flushAdapters)
+  window.addEventListener('storage', handleStorage)
+
+  return () => {
+    window.removeEventListener('pagehide', flushAdapters)
+    window.removeEventListener('storage', handleStorage)
+    removers.forEach((remove) => remove())
+  }
+}
@@ -0,0 +1,40 @@
+// The analytics events the site may send and the properties each one may
+// carry. Anything else is rejected, which is what keeps form contents and
+// other personal data out: an event can only describe which feature was
+// used, never what was typed into it.
+
+export const ANALYTICS_EVENTS = {
+  // A preference resolved to a new value; source is 'user' when the user
+  // changed or reset it, or 'system' when an OS setting changed
+  'preference.changed': ['preference', 'value', 'source'],
+  // modal is the dialog's analyticsName
+  'modal.opened': ['modal'],
+  // method: escape | backdrop | closeButton | other (closed by the page)
+  'modal.closed': ['modal', 'method'],
+  // One per invalid field; source is 'client' or 'server'
+  'form.validationFailed': ['form', 'field', 'source'],
+  'form.submitSucceeded': ['form', 'queued'],
+  // reason is the SubmissionError kind (see src/api/client.js)
+  'form.submitFailed': ['form', 'reason'],
+}
+
+const PRIMITIVES = ['string', 'number', 'boolean']
+
+// Check an event against ANALYTICS_EVENTS and stamp it
+export function createEvent(type, properties = {}) {
+  const allowed = ANALYTICS_EVENTS[type]
+  if (!allowed) {
+    throw new Error(`Unknown analytics event "${type}"`)
+  }
+
+  Object.entries(properties).forEach(([name, value]) => {
+    if (!allowed.includes(name)) {
+      throw new Error(`Analytics event "${type}" has no property "${name}"`)
+    }
+    if (!PRIMITIVES.includes(typeof value)) {
+      throw new Error(`Analytics property "${name}" must be a string, number or boolean`)
+    }
+  })
+
+  return { type, properties: { ...properties }, timestamp: new Date().toISOString() }
+}
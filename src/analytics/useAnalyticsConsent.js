@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getAnalyticsConsent, subscribe } from './bus'
+
+// Whether the user has agreed to share usage analytics
+export function useAnalyticsConsent() {
+  return useSyncExternalStore(subscribe, getAnalyticsConsent)
+}
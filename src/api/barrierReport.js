@@ -0,0 +1,34 @@
+import { postJSON } from './client'
+import { getPreferences } from '../preferences/store'
+import { getLocale } from '../i18n/store'
+
+// Reports of accessibility barriers, sent with enough context to reproduce
+// them. Like the contact form, the dev proxy forwards /api to the mock
+// server (npm run mock-api).
+export const BARRIER_REPORT_ENDPOINT = import.meta.env.VITE_BARRIER_REPORT_ENDPOINT || '/api/accessibility-report'
+
+// Draft key of the report form, so a half-written report survives the
+// dialog closing
+export const BARRIER_DRAFT_KEY = 'barrier-report'
+
+// What the user was looking at and how the page was set up for them. Taken
+// when the report form opens, so it describes the page with the barrier
+// rather than the form. Everything here is shown to the user before sending.
+export function captureBarrierContext() {
+  return {
+    page: window.location.href,
+    pageTitle: document.title,
+    preferences: getPreferences(),
+    locale: getLocale(),
+    userAgent: navigator.userAgent,
+    viewport: `${window.innerWidth}×${window.innerHeight}`,
+    // Device pixels per CSS pixel. Browser zoom changes it on desktop but so
+    // does a high-density screen, so it is reported as is, not as a zoom level
+    pixelRatio: window.devicePixelRatio,
+    capturedAt: new Date().toISOString(),
+  }
+}
+
+export function submitBarrierReport(values, context, options) {
+  return postJSON(BARRIER_REPORT_ENDPOINT, { ...values, context }, options)
+}
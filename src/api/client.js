@@ -0,0 +1,154 @@
+// JSON submission client with per-attempt timeout, retry with exponential
+// backoff and cancellation through an AbortSignal.
+//
+// Every attempt of one submission carries the same Idempotency-Key header,
+// so a server that stored the data before the connection failed can
+// recognise a retry and not store it twice.
+
+import { createId } from '../utils/id'
+
+export const DEFAULT_OPTIONS = {
+  timeout: 10000,
+  retries: 2,
+  retryDelay: 500,
+}
+
+// Failed submission. `kind` is one of:
+//   'validation' - the server rejected the data; `fieldErrors` maps field
+//                  names to messages
+//   'client'     - other 4xx response
+//   'server'     - 5xx or 429 response (retried)
+//   'response'   - a 2xx arrived but its body couldn't be read as JSON. The
+//                  server has probably stored the data, so it isn't retried.
+//   'network'    - the request never got a response (retried)
+//   'timeout'    - no response within `timeout` ms (retried)
+// Cancelling through `signal` rejects with the signal's AbortError instead.
+export class SubmissionError extends Error {
+  constructor(message, { kind, status = null, fieldErrors = null } = {}) {
+    super(message)
+    this.name = 'SubmissionError'
+    this.kind = kind
+    this.status = status
+    this.fieldErrors = fieldErrors
+  }
+
+  get retryable() {
+    return ['server', 'network', 'timeout'].includes(this.kind)
+  }
+}
+
+function abortError() {
+  return new DOMException('The submission was cancelled', 'AbortError')
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(abortError())
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// The parsed body, or null when it is empty. Error pages from a proxy are
+// often HTML; for those the status alone decides what went wrong.
+async function readBody(response) {
+  const text = await response.text()
+  if (!text) return null
+
+  try {
+    return JSON.parse(text)
+  } catch {
+    if (!response.ok) return null
+    throw new SubmissionError('The response was not valid JSON', { kind: 'response', status: response.status })
+  }
+}
+
+async function attempt(url, body, { timeout, signal, fetchImpl, idempotencyKey }) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeout)
+  const forwardAbort = () => controller.abort()
+  signal?.addEventListener('abort', forwardAbort, { once: true })
+
+  // The body is read under the same timeout and signal, since the
+  // connection can stall or drop after the headers arrive
+  let response
+  let data
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    })
+    data = await readBody(response)
+  } catch (error) {
+    if (error instanceof SubmissionError) throw error
+    if (signal?.aborted) throw abortError()
+
+    const message = timedOut ? `No response within ${timeout}ms` : error.message || 'Network request failed'
+    // Past a 2xx the server has the data; only the reply was lost
+    if (response?.ok) {
+      throw new SubmissionError(message, { kind: 'response', status: response.status })
+    }
+    throw new SubmissionError(message, { kind: timedOut ? 'timeout' : 'network' })
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', forwardAbort)
+  }
+
+  if (response.ok) return data
+
+  const { status } = response
+  const message = data?.message || `Request failed with status ${status}`
+
+  if ((status === 400 || status === 422) && data?.fieldErrors) {
+    throw new SubmissionError(message, { kind: 'validation', status, fieldErrors: data.fieldErrors })
+  }
+  if (status >= 500 || status === 429) {
+    throw new SubmissionError(message, { kind: 'server', status })
+  }
+  throw new SubmissionError(message, { kind: 'client', status })
+}
+
+// POST `body` as JSON to `url` and resolve with the parsed response body.
+// Retryable failures are retried `retries` times, waiting retryDelay,
+// 2 x retryDelay, 4 x retryDelay... between attempts. Pass the same
+// `idempotencyKey` when sending the same data again later (from a queue,
+// say); by default each call gets a new one.
+export async function postJSON(url, body, options = {}) {
+  const {
+    timeout,
+    retries,
+    retryDelay,
+    signal,
+    idempotencyKey = createId(),
+    fetchImpl = globalThis.fetch,
+  } = { ...DEFAULT_OPTIONS, ...options }
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    if (signal?.aborted) throw abortError()
+
+    try {
+      return await attempt(url, body, { timeout, signal, fetchImpl, idempotencyKey })
+    } catch (error) {
+      if (!error.retryable || attemptNumber >= retries) throw error
+      await wait(retryDelay * 2 ** attemptNumber, signal)
+    }
+  }
+}
@@ -0,0 +1,193 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest'
+import { createMockServer } from '../../scripts/mock-api.js'
+import { SubmissionError, postJSON } from './client'
+
+const MESSAGE = { name: 'Ada', email: 'ada@example.com', subject: 'support', message: 'Hello' }
+const FAST = { retryDelay: 1 }
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))
+  })
+}
+
+function close(server) {
+  return new Promise((resolve) => server.close(resolve))
+}
+
+// Run `test` against a mock server of its own, e.g. with another scenario
+async function withServer(options, test) {
+  const server = createMockServer({ log: () => {}, ...options })
+  const origin = await listen(server)
+  try {
+    await test(origin)
+  } finally {
+    await close(server)
+  }
+}
+
+// The rejection of `promise`, or a failure if it resolves
+async function rejection(promise) {
+  try {
+    await promise
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected the submission to fail')
+}
+
+describe('postJSON', () => {
+  let server
+  let origin
+  let requests
+
+  beforeAll(async () => {
+    requests = 0
+    server = createMockServer({ log: () => (requests += 1) })
+    origin = await listen(server)
+  })
+
+  afterAll(() => close(server))
+
+  const contact = (scenario = 'success') => `${origin}/api/contact?scenario=${scenario}`
+
+  it('resolves with the parsed response', async () => {
+    const data = await postJSON(contact(), MESSAGE)
+    expect(data).toEqual({ id: expect.stringMatching(/^msg-/), receivedAt: expect.any(String) })
+  })
+
+  it('rejects with field errors without retrying', async () => {
+    const before = requests
+    const error = await rejection(postJSON(contact('validation'), MESSAGE, FAST))
+
+    expect(error).toBeInstanceOf(SubmissionError)
+    expect(error).toMatchObject({ kind: 'validation', status: 422, retryable: false })
+    expect(error.fieldErrors).toEqual({ email: 'This email address could not be verified' })
+    expect(requests - before).toBe(1)
+  })
+
+  it('retries server errors and gives up after `retries` attempts', async () => {
+    const before = requests
+    const error = await rejection(postJSON(contact('error'), MESSAGE, { ...FAST, retries: 2 }))
+
+    expect(error).toMatchObject({ kind: 'server', status: 500, message: 'Internal server error' })
+    expect(requests - before).toBe(3)
+  })
+
+  it('succeeds when a retry gets through', async () => {
+    await withServer({ scenario: 'flaky' }, async (flakyOrigin) => {
+      const data = await postJSON(`${flakyOrigin}/api/contact`, MESSAGE, FAST)
+      expect(data.id).toBe('msg-2')
+    })
+  })
+
+  it('gets the original response when a submission is repeated with its idempotency key', async () => {
+    const first = await postJSON(contact(), MESSAGE, { idempotencyKey: 'same' })
+    const again = await postJSON(contact(), MESSAGE, { idempotencyKey: 'same' })
+    const other = await postJSON(contact(), MESSAGE)
+
+    expect(again).toEqual(first)
+    expect(other.id).not.toBe(first.id)
+  })
+
+  it('answers malformed bodies with 400 instead of crashing', async () => {
+    const post = (path, body) =>
+      fetch(`${origin}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body })
+
+    for (const body of ['null', '[]', '"text"', '{"name":']) {
+      expect((await post('/api/contact', body)).status).toBe(400)
+    }
+    const typed = await post('/api/contact', JSON.stringify({ ...MESSAGE, name: 1, message: { text: 'Hi' } }))
+    expect(typed.status).toBe(422)
+    expect((await typed.json()).fieldErrors).toEqual({ name: 'Name is required', message: 'Message is required' })
+
+    const report = await post('/api/accessibility-report', JSON.stringify({ description: 'Hi', email: 5 }))
+    expect((await report.json()).fieldErrors).toEqual({ email: 'Please enter a valid email address' })
+    expect((await post('/api/analytics', 'null')).status).toBe(204)
+
+    // Still up
+    expect((await postJSON(contact(), MESSAGE)).id).toMatch(/^msg-/)
+  })
+
+  it('treats other 4xx responses as client errors', async () => {
+    const error = await rejection(postJSON(`${origin}/api/missing`, MESSAGE, FAST))
+    expect(error).toMatchObject({ kind: 'client', status: 404, message: 'Not found', retryable: false })
+  })
+
+  it('times out a slow response', async () => {
+    await withServer({ scenario: 'slow', delay: 200 }, async (slowOrigin) => {
+      const error = await rejection(postJSON(`${slowOrigin}/api/contact`, MESSAGE, { timeout: 20, retries: 0 }))
+      expect(error).toMatchObject({ kind: 'timeout', message: 'No response within 20ms' })
+    })
+  })
+
+  it('reports a server that cannot be reached as a network error', async () => {
+    const closed = createMockServer({ log: () => {} })
+    const closedOrigin = await listen(closed)
+    await close(closed)
+
+    const error = await rejection(postJSON(`${closedOrigin}/api/contact`, MESSAGE, { ...FAST, retries: 0 }))
+    expect(error).toMatchObject({ kind: 'network', retryable: true })
+  })
+
+  it('rejects with an AbortError when cancelled', async () => {
+    await withServer({ scenario: 'slow', delay: 200 }, async (slowOrigin) => {
+      const controller = new AbortController()
+      const promise = postJSON(`${slowOrigin}/api/contact`, MESSAGE, { signal: controller.signal })
+      controller.abort()
+
+      expect(await rejection(promise)).toMatchObject({ name: 'AbortError' })
+    })
+  })
+})
+
+describe('postJSON response bodies', () => {
+  const respond = (response) => () => Promise.resolve(response)
+  const once = { retries: 0 }
+
+  it('sends the same idempotency key with every attempt', async () => {
+    const responses = [new Response(null, { status: 503 }), new Response('{"id":"msg-1"}', { status: 201 })]
+    const fetchImpl = vi.fn(() => Promise.resolve(responses.shift()))
+
+    expect(await postJSON('/api/contact', MESSAGE, { ...FAST, fetchImpl })).toEqual({ id: 'msg-1' })
+    const [first, second] = fetchImpl.mock.calls.map(([, init]) => init.headers['Idempotency-Key'])
+    expect(first).toEqual(expect.any(String))
+    expect(second).toBe(first)
+  })
+
+  it('rejects a successful response that is not JSON without retrying', async () => {
+    const fetchImpl = vi.fn(respond(new Response('<html>OK</html>', { status: 200 })))
+    const error = await rejection(postJSON('/api/contact', MESSAGE, { ...FAST, fetchImpl }))
+
+    expect(error).toBeInstanceOf(SubmissionError)
+    expect(error).toMatchObject({ kind: 'response', status: 200, message: 'The response was not valid JSON', retryable: false })
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+  })
+
+  it('uses the status of an error page that is not JSON', async () => {
+    const fetchImpl = respond(new Response('<html>Bad gateway</html>', { status: 502 }))
+    const error = await rejection(postJSON('/api/contact', MESSAGE, { ...once, fetchImpl }))
+
+    expect(error).toMatchObject({ kind: 'server', status: 502, message: 'Request failed with status 502' })
+  })
+
+  it('does not retry a successful response cut off mid-body', async () => {
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('{"id":'))
+        controller.error(new TypeError('terminated'))
+      },
+    })
+    const fetchImpl = vi.fn(respond(new Response(body, { status: 201 })))
+    const error = await rejection(postJSON('/api/contact', MESSAGE, { ...FAST, fetchImpl }))
+
+    expect(error).toBeInstanceOf(SubmissionError)
+    expect(error).toMatchObject({ kind: 'response', status: 201, message: 'terminated', retryable: false })
+    expect(fetchImpl).toHaveBeenCalledTimes(1)
+  })
+
+  it('resolves with null for an empty response', async () => {
+    const fetchImpl = respond(new Response(null, { status: 204 }))
+    expect(await postJSON('/api/contact', MESSAGE, { ...once, fetchImpl })).toBeNull()
+  })
+})
@@ -0,0 +1,9 @@
+import { postJSON } from './client'
+
+// Set VITE_CONTACT_ENDPOINT to post somewhere other than the dev proxy,
+// which forwards /api to the mock server (npm run mock-api)
+export const CONTACT_ENDPOINT = import.meta.env.VITE_CONTACT_ENDPOINT || '/api/contact'
+
+export function submitContactMessage(values, options) {
+  return postJSON(CONTACT_ENDPOINT, values, options)
+}
@@ -0,0 +1,253 @@
+// Contact messages that could not be sent straight away. They are kept in
+// localStorage and sent, oldest first, once the browser reports it is back
+// online, and retried with backoff while the server can't be reached.
+//
+// Every open tab shares the queue. Storage is re-read before each change
+// and on the `storage` event, and a tab claims an item before sending it.
+// Claims are made under a Web Lock so two tabs can't claim the same item.
+// Browsers without the Locks API (it needs https or localhost) can race;
+// there the message's idempotency key keeps the server from storing it
+// twice.
+
+import { submitContactMessage } from './contact'
+import { loadDraft, saveDraft } from '../forms/drafts'
+import { notify } from '../notifications/store'
+import { t } from '../i18n/store'
+import { createId } from '../utils/id'
+
+const STORAGE_KEY = 'contact-outbox'
+const LOCK_NAME = 'contact-outbox'
+
+// Draft key of the contact form; a queued message the server rejects is put
+// back there so the user can correct it
+export const CONTACT_DRAFT_KEY = 'contact'
+
+// Retry delay after a failed send, doubled each time up to the maximum
+export const RETRY_DELAY = 5000
+export const MAX_RETRY_DELAY = 5 * 60 * 1000
+
+// A claim older than this belongs to a tab that closed mid-send; it covers a
+// submission's own timeouts and retries
+export const CLAIM_TIMEOUT = 2 * 60 * 1000
+
+const listeners = new Set()
+let state = { items: readItems() ?? [], sending: false }
+let started = false
+let retryTimer = null
+let retryCount = 0
+let tabId = null
+
+// Identifies this tab's claims. Created on first use, not at import.
+function getTabId() {
+  tabId ??= createId()
+  return tabId
+}
+
+// Stored items, or null when storage can't be read
+function readItems() {
+  try {
+    const items = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(items) ? items : []
+  } catch {
+    return null
+  }
+}
+
+// Apply `change` to the latest items, so another tab's changes aren't lost
+function updateItems(change) {
+  state = { ...state, items: change(readItems() ?? state.items) }
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state.items))
+  } catch {
+    // Storage unavailable; the queue only survives this page load
+  }
+  listeners.forEach((listener) => listener())
+}
+
+function setSending(sending) {
+  state = { ...state, sending }
+  listeners.forEach((listener) => listener())
+}
+
+function handleStorage(e) {
+  if (e.key !== STORAGE_KEY && e.key !== null) return
+  state = { ...state, items: readItems() ?? state.items }
+  listeners.forEach((listener) => listener())
+}
+
+function isClaimedElsewhere(item, now) {
+  return item.claim && item.claim.tab !== getTabId() && now - item.claim.at < CLAIM_TIMEOUT
+}
+
+// Run `task` holding the outbox lock shared by every tab, when there is one
+function withLock(task) {
+  if (!navigator.locks) return Promise.resolve(task())
+  return navigator.locks.request(LOCK_NAME, task)
+}
+
+// Claim the oldest message no other tab is sending. Resolves with it, or
+// null.
+function claimNext() {
+  return withLock(() => {
+    const now = Date.now()
+    const item = (readItems() ?? state.items).find((item) => !item.rejected && !isClaimedElsewhere(item, now))
+    if (!item) return null
+
+    changeItem(item.id, (other) => ({ ...other, claim: { tab: getTabId(), at: now } }))
+    return item
+  })
+}
+
+function changeItem(id, change) {
+  updateItems((items) => items.map((item) => (item.id === id ? change(item) : item)))
+}
+
+function withoutClaim(item) {
+  const copy = { ...item }
+  delete copy.claim
+  return copy
+}
+
+function remove(id) {
+  updateItems((items) => items.filter((item) => item.id !== id))
+}
+
+function scheduleRetry(delay) {
+  clearTimeout(retryTimer)
+  retryTimer = setTimeout(flush, delay)
+}
+
+function retryWithBackoff() {
+  scheduleRetry(Math.min(RETRY_DELAY * 2 ** retryCount, MAX_RETRY_DELAY))
+  retryCount += 1
+}
+
+// Put a rejected message back in the contact form, unless the form already
+// holds a draft; then it waits until that one is sent
+function restore(item) {
+  if (loadDraft(CONTACT_DRAFT_KEY)) {
+    changeItem(item.id, (other) => ({ ...withoutClaim(other), rejected: true }))
+    return false
+  }
+
+  saveDraft(CONTACT_DRAFT_KEY, item.values)
+  remove(item.id)
+  return true
+}
+
+export function getOutbox() {
+  return state
+}
+
+export function subscribe(listener) {
+  if (listeners.size === 0) {
+    window.addEventListener('storage', handleStorage)
+  }
+  listeners.add(listener)
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', handleStorage)
+    }
+  }
+}
+
+// `id` doubles as the idempotency key of every attempt to send the message;
+// pass the key of an attempt that already failed so the server can tell
+// if that one got through after all.
+export function enqueue(values, id = createId()) {
+  updateItems((items) => [...items, { id, values, queuedAt: new Date().toISOString() }])
+
+  // Offline messages wait for the `online` event; otherwise the server
+  // couldn't be reached, so try again shortly
+  if (started && navigator.onLine) {
+    retryWithBackoff()
+  }
+}
+
+// Move the oldest rejected message into the contact form draft if the form
+// has none. Call before opening the form.
+export function restoreRejected() {
+  const item = (readItems() ?? state.items).find(({ rejected }) => rejected)
+  return item ? restore(item) : false
+}
+
+// Send queued messages one at a time. Stops (keeping the rest queued) at the
+// first failure to reach the server and retries later; messages the server
+// rejects are taken out of the queue and restored as the form draft.
+export async function flush() {
+  if (state.sending || !navigator.onLine) return
+
+  clearTimeout(retryTimer)
+  retryTimer = null
+  setSending(true)
+  let sent = 0
+
+  try {
+    let item
+    while ((item = await claimNext())) {
+      try {
+        await submitContactMessage(item.values, { idempotencyKey: item.id })
+        sent += 1
+        retryCount = 0
+        remove(item.id)
+      } catch (error) {
+        // The server accepted it; only its reply couldn't be read
+        if (error.kind === 'response') {
+          sent += 1
+          remove(item.id)
+          continue
+        }
+        if (error.retryable) {
+          changeItem(item.id, withoutClaim)
+          if (started) retryWithBackoff()
+          break
+        }
+
+        const restored = restore(item)
+        notify({
+          type: 'error',
+          title: t('outbox.rejected.title'),
+          message: t(restored ? 'outbox.rejected.message' : 'outbox.rejected.held'),
+        })
+      }
+    }
+  } finally {
+    setSending(false)
+  }
+
+  // Another tab is sending the rest; look again in case it closes first
+  const now = Date.now()
+  if (started && !retryTimer && state.items.some((item) => isClaimedElsewhere(item, now))) {
+    scheduleRetry(CLAIM_TIMEOUT)
+  }
+
+  if (sent > 0) {
+    notify({
+      type: 'success',
+      title: t('outbox.sent.title'),
+      message: t('outbox.sent.message', { count: sent }),
+    })
+  }
+}
+
+function handleOnline() {
+  retryCount = 0
+  flush()
+}
+
+// Flush now, whenever the connection comes back and on the retry timer.
+// Returns a cleanup function.
+export function startOutbox() {
+  started = true
+  window.addEventListener('online', handleOnline)
+  flush()
+
+  return () => {
+    started = false
+    clearTimeout(retryTimer)
+    retryTimer = null
+    window.removeEventListener('online', handleOnline)
+  }
+}
@@ -0,0 +1,220 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { SubmissionError } from './client'
+
+vi.mock('./contact', () => ({ submitContactMessage: vi.fn() }))
+
+const MESSAGE = { name: 'Ada', email: 'ada@example.com', subject: 'support', message: 'Hello' }
+const networkError = () => new SubmissionError('Network request failed', { kind: 'network' })
+
+function stored() {
+  return JSON.parse(window.localStorage.getItem('contact-outbox')) ?? []
+}
+
+// Write the queue as another tab would and tell this one about it
+function storeFromOtherTab(items) {
+  window.localStorage.setItem('contact-outbox', JSON.stringify(items))
+  window.dispatchEvent(new StorageEvent('storage', { key: 'contact-outbox' }))
+}
+
+describe('outbox', () => {
+  let outbox
+  let submitContactMessage
+  let notifications
+  let online
+
+  beforeEach(async () => {
+    // Fresh module state (queue, timers, tab id) for every test
+    vi.resetModules()
+    outbox = await import('./outbox')
+    ;({ submitContactMessage } = await import('./contact'))
+    submitContactMessage.mockReset()
+    notifications = await import('../notifications/store')
+    online = true
+    vi.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online)
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.useRealTimers()
+  })
+
+  const titles = () => notifications.getNotifications().map(({ title, message }) => `${title} ${message}`)
+
+  it('sends queued messages oldest first and says so once', async () => {
+    submitContactMessage.mockResolvedValue({ id: 'msg' })
+    outbox.enqueue({ ...MESSAGE, message: 'First' })
+    outbox.enqueue({ ...MESSAGE, message: 'Second' })
+
+    await outbox.flush()
+
+    expect(submitContactMessage.mock.calls.map(([values]) => values.message)).toEqual(['First', 'Second'])
+    expect(outbox.getOutbox().items).toEqual([])
+    expect(stored()).toEqual([])
+    expect(titles()).toEqual(['Outbox sent. Your 2 queued messages have been sent.'])
+  })
+
+  it('retries with backoff while the server is unreachable', async () => {
+    vi.useFakeTimers()
+    submitContactMessage.mockRejectedValue(networkError())
+    const stop = outbox.startOutbox()
+
+    outbox.enqueue(MESSAGE)
+    await vi.advanceTimersByTimeAsync(outbox.RETRY_DELAY)
+    expect(submitContactMessage).toHaveBeenCalledTimes(1)
+    expect(stored()[0].claim).toBeUndefined()
+
+    // The second failure doubles the wait
+    await vi.advanceTimersByTimeAsync(outbox.RETRY_DELAY * 2 - 1)
+    expect(submitContactMessage).toHaveBeenCalledTimes(1)
+    submitContactMessage.mockResolvedValue({ id: 'msg' })
+    await vi.advanceTimersByTimeAsync(1)
+    expect(submitContactMessage).toHaveBeenCalledTimes(2)
+    expect(outbox.getOutbox().items).toEqual([])
+
+    stop()
+  })
+
+  it('waits for the connection instead of retrying while offline', async () => {
+    vi.useFakeTimers()
+    submitContactMessage.mockResolvedValue({ id: 'msg' })
+    const stop = outbox.startOutbox()
+    online = false
+
+    outbox.enqueue(MESSAGE)
+    await vi.advanceTimersByTimeAsync(outbox.MAX_RETRY_DELAY)
+    expect(submitContactMessage).not.toHaveBeenCalled()
+
+    online = true
+    window.dispatchEvent(new Event('online'))
+    await vi.advanceTimersByTimeAsync(0)
+    expect(submitContactMessage).toHaveBeenCalledTimes(1)
+
+    stop()
+  })
+
+  it('works without crypto.randomUUID, which plain-http pages lack', async () => {
+    // Shadows the method on Crypto.prototype until deleted again
+    crypto.randomUUID = undefined
+    try {
+      vi.resetModules()
+      outbox = await import('./outbox')
+      ;({ submitContactMessage } = await import('./contact'))
+      submitContactMessage.mockResolvedValue({ id: 'msg' })
+
+      outbox.enqueue(MESSAGE)
+      expect(stored()[0].id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      await outbox.flush()
+      expect(submitContactMessage).toHaveBeenCalledTimes(1)
+    } finally {
+      delete crypto.randomUUID
+    }
+  })
+
+  it('follows changes made in other tabs', () => {
+    const listener = vi.fn()
+    const unsubscribe = outbox.subscribe(listener)
+
+    storeFromOtherTab([{ id: 'a', values: MESSAGE, queuedAt: '2026-01-01T00:00:00.000Z' }])
+    expect(listener).toHaveBeenCalled()
+    expect(outbox.getOutbox().items.map(({ id }) => id)).toEqual(['a'])
+
+    // Queuing here keeps the other tab's message
+    outbox.enqueue(MESSAGE)
+    expect(stored().map(({ id }) => id)).toEqual(['a', expect.any(String)])
+
+    unsubscribe()
+  })
+
+  it('claims a message before sending it and leaves ones another tab has claimed', async () => {
+    const claimedAt = Date.now()
+    storeFromOtherTab([
+      { id: 'theirs', values: MESSAGE, claim: { tab: 'other-tab', at: claimedAt } },
+      { id: 'ours', values: MESSAGE },
+    ])
+    submitContactMessage.mockImplementation(async () => {
+      expect(stored().find(({ id }) => id === 'ours').claim).toEqual({ tab: expect.any(String), at: expect.any(Number) })
+      return { id: 'msg' }
+    })
+
+    await outbox.flush()
+    expect(submitContactMessage).toHaveBeenCalledTimes(1)
+    expect(stored().map(({ id }) => id)).toEqual(['theirs'])
+
+    // A tab that closed mid-send gives up its claim after CLAIM_TIMEOUT
+    vi.spyOn(Date, 'now').mockReturnValue(claimedAt + outbox.CLAIM_TIMEOUT)
+    await outbox.flush()
+    expect(submitContactMessage).toHaveBeenCalledTimes(2)
+    expect(stored()).toEqual([])
+  })
+
+  it('sends with the message id as idempotency key and counts an unreadable reply as sent', async () => {
+    submitContactMessage.mockRejectedValue(new SubmissionError('The response was not valid JSON', { kind: 'response', status: 201 }))
+    outbox.enqueue(MESSAGE, 'attempt-key')
+
+    await outbox.flush()
+
+    expect(submitContactMessage).toHaveBeenCalledWith(MESSAGE, { idempotencyKey: 'attempt-key' })
+    expect(stored()).toEqual([])
+    expect(titles()).toEqual(['Outbox sent. Your queued message has been sent.'])
+  })
+
+  it('claims under a lock shared with other tabs so only one sends a message', async () => {
+    // Web Locks stand-in: runs one task at a time, like one lock shared by every tab
+    let held = Promise.resolve()
+    const request = vi.fn((name, task) => {
+      const result = held.then(() => task())
+      held = result.catch(() => {})
+      return result
+    })
+    Object.defineProperty(navigator, 'locks', { value: { request }, configurable: true })
+
+    try {
+      outbox.enqueue(MESSAGE)
+      submitContactMessage.mockResolvedValue({ id: 'msg' })
+      // The same module loaded again is another tab (sharing the mock)
+      vi.resetModules()
+      const otherTab = await import('./outbox')
+
+      await Promise.all([outbox.flush(), otherTab.flush()])
+
+      expect(request).toHaveBeenCalledWith('contact-outbox', expect.any(Function))
+      expect(submitContactMessage).toHaveBeenCalledTimes(1)
+      expect(stored()).toEqual([])
+    } finally {
+      delete navigator.locks
+    }
+  })
+
+  it('puts a rejected message back in an empty contact form', async () => {
+    submitContactMessage.mockRejectedValue(new SubmissionError('Validation failed', { kind: 'validation' }))
+    outbox.enqueue(MESSAGE)
+
+    await outbox.flush()
+
+    expect(JSON.parse(window.localStorage.getItem('form-draft:contact'))).toEqual(MESSAGE)
+    expect(stored()).toEqual([])
+    expect(titles()).toEqual(['A queued message was not sent. Open Contact to review and correct it.'])
+  })
+
+  it('keeps a rejected message until the draft being written is sent', async () => {
+    const draft = { ...MESSAGE, message: 'Something else' }
+    window.localStorage.setItem('form-draft:contact', JSON.stringify(draft))
+    submitContactMessage.mockRejectedValue(new SubmissionError('Validation failed', { kind: 'validation' }))
+    outbox.enqueue(MESSAGE)
+
+    await outbox.flush()
+    expect(JSON.parse(window.localStorage.getItem('form-draft:contact'))).toEqual(draft)
+    expect(stored()).toEqual([expect.objectContaining({ values: MESSAGE, rejected: true })])
+    expect(titles()[0]).toMatch(/once you've sent the message you're writing now/)
+
+    // Rejected messages aren't sent again
+    await outbox.flush()
+    expect(submitContactMessage).toHaveBeenCalledTimes(1)
+
+    expect(outbox.restoreRejected()).toBe(false)
+    window.localStorage.removeItem('form-draft:contact')
+    expect(outbox.restoreRejected()).toBe(true)
+    expect(JSON.parse(window.localStorage.getItem('form-draft:contact'))).toEqual(MESSAGE)
+    expect(stored()).toEqual([])
+  })
+})
@@ -0,0 +1,18 @@
+import { useSyncExternalStore } from 'react'
+import { getOutbox, subscribe } from './outbox'
+
+function subscribeOnline(listener) {
+  window.addEventListener('online', listener)
+  window.addEventListener('offline', listener)
+  return () => {
+    window.removeEventListener('online', listener)
+    window.removeEventListener('offline', listener)
+  }
+}
+
+// Queued contact messages plus the browser's online status
+export function useOutbox() {
+  const outbox = useSyncExternalStore(subscribe, getOutbox)
+  const online = useSyncExternalStore(subscribeOnline, () => navigator.onLine)
+  return { ...outbox, online }
+}
@@ -0,0 +1,77 @@
+import { useEffect, useRef } from 'react'
+import SchemaForm from '../forms/SchemaForm'
+import { PREFERENCES } from '../preferences/store'
+import { LOCALES } from '../i18n/store'
+import { useTranslation } from '../i18n/useTranslation'
+import { BARRIER_DRAFT_KEY, submitBarrierReport } from '../api/barrierReport'
+import { barrierReportSchema } from './barrierReportSchema'
+
+const CHOICE_PREFERENCES = ['theme', 'fontSize', 'readingGuide']
+
+// Accessibility Barrier Report Form
+//
+// `context` comes from captureBarrierContext() when the form opens. It is
+// sent along with the description, and listed here first so people can see
+// exactly what is shared. onSubmit(values, response) runs once the report
+// has been received. Like the contact form, drafts are autosaved.
+function BarrierReportForm({ context, onSubmit }) {
+  const { t } = useTranslation()
+  const controllerRef = useRef(null)
+
+  // Cancel an in-flight submission if the form goes away (modal closed)
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const handleSubmit = async (values) => {
+    controllerRef.current = new AbortController()
+    const response = await submitBarrierReport(values, context, { signal: controllerRef.current.signal })
+    onSubmit(values, response)
+  }
+
+  const { preferences } = context
+  const enabledToggles = Object.keys(PREFERENCES)
+    .filter((key) => !CHOICE_PREFERENCES.includes(key))
+    .filter((key) => preferences[key] === PREFERENCES[key].values[1])
+
+  const details = [
+    ['barrier.context.page', `${context.pageTitle} (${context.page})`],
+    ...CHOICE_PREFERENCES.map((key) => [`preferences.${key}`, t(`preferences.${key}.${preferences[key]}`)]),
+    [
+      'preferences.display',
+      enabledToggles.length > 0
+        ? enabledToggles.map((key) => t(`preferences.${key}`)).join(', ')
+        : t('barrier.context.noDisplayPreferences'),
+    ],
+    ['toolbar.language', LOCALES[context.locale]?.name ?? context.locale],
+    ['barrier.context.browser', context.userAgent],
+    ['barrier.context.screen', t('barrier.context.screenSize', { size: context.viewport, ratio: context.pixelRatio })],
+  ]
+
+  return (
+    <>
+      <p>{t('barrier.intro')}</p>
+
+      <details className="barrier-context">
+        <summary>{t('barrier.context.summary')}</summary>
+        <dl>
+          {details.map(([term, value]) => (
+            <div key={term}>
+              <dt>{t(term)}</dt>
+              <dd>{value}</dd>
+            </div>
+          ))}
+        </dl>
+      </details>
+
+      <SchemaForm
+        schema={barrierReportSchema}
+        onSubmit={handleSubmit}
+        idPrefix="barrier-"
+        draftKey={BARRIER_DRAFT_KEY}
+        className="barrier-report-form"
+        submitLabel="barrier.send"
+      />
+    </>
+  )
+}
+
+export default BarrierReportForm
@@ -0,0 +1,96 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import BarrierReportForm from './BarrierReportForm'
+import { captureBarrierContext, submitBarrierReport } from '../api/barrierReport'
+import { resetPreferences, setPreference } from '../preferences/store'
+import { axeViolations } from '../test/axe'
+
+vi.mock('../api/barrierReport', async (importOriginal) => ({
+  ...(await importOriginal()),
+  submitBarrierReport: vi.fn(),
+}))
+
+describe('captureBarrierContext', () => {
+  beforeEach(() => {
+    resetPreferences()
+  })
+
+  it('records the page, active preferences and browser', () => {
+    document.title = 'About | Accessible Web App'
+    setPreference('theme', 'dark')
+    setPreference('fontSize', 'large')
+
+    const context = captureBarrierContext()
+
+    expect(context).toMatchObject({
+      page: window.location.href,
+      pageTitle: 'About | Accessible Web App',
+      locale: 'en',
+      userAgent: navigator.userAgent,
+    })
+    expect(context.preferences).toMatchObject({ theme: 'dark', fontSize: 'large' })
+  })
+})
+
+describe('BarrierReportForm', () => {
+  const context = {
+    page: 'http://localhost:3000/about',
+    pageTitle: 'About',
+    preferences: { theme: 'dark', fontSize: 'large', contrast: 'high', motion: 'full', readingGuide: 'off' },
+    locale: 'en',
+    userAgent: 'TestBrowser/1.0',
+    viewport: '1280×720',
+    pixelRatio: 2,
+  }
+
+  beforeEach(() => {
+    submitBarrierReport.mockReset()
+  })
+
+  it('shows what is sent with the report and has no axe violations', async () => {
+    const { container } = render(<BarrierReportForm context={context} onSubmit={vi.fn()} />)
+
+    expect(screen.getByText('About (http://localhost:3000/about)')).toBeInTheDocument()
+    expect(screen.getByText('Dark')).toBeInTheDocument()
+    expect(screen.getByText('Large')).toBeInTheDocument()
+    expect(screen.getByText('High contrast colors')).toBeInTheDocument()
+    expect(screen.getByText('TestBrowser/1.0')).toBeInTheDocument()
+    expect(screen.getByText('1280×720 window, pixel ratio 2')).toBeInTheDocument()
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('requires a description but not an email', async () => {
+    const user = userEvent.setup()
+    render(<BarrierReportForm context={context} onSubmit={vi.fn()} />)
+
+    await user.click(screen.getByRole('button', { name: 'Send report' }))
+
+    expect(screen.getByLabelText(/^What went wrong/)).toHaveFocus()
+    expect(screen.getByLabelText(/^What went wrong/)).toHaveAccessibleDescription(
+      'Describe the barrier and what you expected to happen. Please describe the barrier'
+    )
+    expect(screen.getByLabelText(/^Email/)).toHaveAttribute('aria-invalid', 'false')
+    expect(submitBarrierReport).not.toHaveBeenCalled()
+  })
+
+  it('sends the description together with the captured context', async () => {
+    submitBarrierReport.mockResolvedValue({ id: 'report-1' })
+    const onSubmit = vi.fn()
+    const user = userEvent.setup()
+    render(<BarrierReportForm context={context} onSubmit={onSubmit} />)
+
+    await user.type(screen.getByLabelText(/^What went wrong/), 'The menu traps focus')
+    await user.type(screen.getByLabelText(/^Assistive technology/), 'NVDA 2024.1')
+    await user.click(screen.getByRole('button', { name: 'Send report' }))
+
+    const values = {
+      description: 'The menu traps focus',
+      task: '',
+      assistiveTechnology: 'NVDA 2024.1',
+      email: '',
+    }
+    expect(submitBarrierReport).toHaveBeenCalledWith(values, context, expect.objectContaining({ signal: expect.any(AbortSignal) }))
+    expect(onSubmit).toHaveBeenCalledWith(values, { id: 'report-1' })
+  })
+})
@@ -0,0 +1,42 @@
+import { useRef } from 'react'
+import Modal from './Modal'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Confirmation Dialog (alertdialog)
+//
+// Focus starts on the cancel button so a stray Enter never confirms a
+// destructive action. Escape cancels.
+function ConfirmDialog({
+  isOpen,
+  title,
+  message,
+  confirmLabel,
+  cancelLabel,
+  onConfirm,
+  onCancel,
+}) {
+  const { t } = useTranslation()
+  const cancelRef = useRef(null)
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onCancel}
+      title={title}
+      description={message}
+      role="alertdialog"
+      initialFocus={cancelRef}
+    >
+      <div className="dialog-actions">
+        <button type="button" className="secondary-button" onClick={onCancel} ref={cancelRef}>
+          {cancelLabel ?? t('common.cancel')}
+        </button>
+        <button type="button" className="primary-button" onClick={onConfirm}>
+          {confirmLabel ?? t('common.confirm')}
+        </button>
+      </div>
+    </Modal>
+  )
+}
+
+export default ConfirmDialog
@@ -0,0 +1,76 @@
+import { useEffect, useRef } from 'react'
+import SchemaForm from '../forms/SchemaForm'
+import { submitContactMessage } from '../api/contact'
+import { CONTACT_DRAFT_KEY, enqueue } from '../api/outbox'
+import { contactFormSchema } from './contactFormSchema'
+import { track } from '../analytics/bus'
+import { createId } from '../utils/id'
+
+// Accessible Form Component
+//
+// Drafts are autosaved. Messages sent while offline, or that fail to reach
+// the server after retries, go to the outbox and onSubmit receives
+// { queued: true, offline } so the user can be told which happened.
+//
+// One idempotency key covers a message until it is sent or queued, so
+// submitting again after an unreadable reply, or the outbox sending it
+// later, can't store it twice.
+//
+// Analytics only hear which fields failed and how submission went, never
+// the values.
+function ContactForm({ onSubmit }) {
+  const controllerRef = useRef(null)
+  const idempotencyKeyRef = useRef(null)
+
+  // Cancel an in-flight submission if the form goes away (modal closed)
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const handleSubmit = async (values) => {
+    idempotencyKeyRef.current ??= createId()
+    const idempotencyKey = idempotencyKeyRef.current
+
+    if (!navigator.onLine) {
+      idempotencyKeyRef.current = null
+      enqueue(values, idempotencyKey)
+      track('form.submitSucceeded', { form: 'contact', queued: true })
+      onSubmit(values, { queued: true, offline: true })
+      return
+    }
+
+    controllerRef.current = new AbortController()
+    try {
+      const response = await submitContactMessage(values, { signal: controllerRef.current.signal, idempotencyKey })
+      idempotencyKeyRef.current = null
+      track('form.submitSucceeded', { form: 'contact', queued: false })
+      onSubmit(values, { queued: false, response })
+    } catch (error) {
+      if (error.name === 'AbortError') throw error
+      if (error.kind !== 'network') {
+        track('form.submitFailed', { form: 'contact', reason: error.kind ?? 'unknown' })
+        throw error
+      }
+
+      idempotencyKeyRef.current = null
+      enqueue(values, idempotencyKey)
+      track('form.submitSucceeded', { form: 'contact', queued: true })
+      onSubmit(values, { queued: true, offline: !navigator.onLine })
+    }
+  }
+
+  const handleInvalid = (fields, source) => {
+    fields.forEach((field) => track('form.validationFailed', { form: 'contact', field, source }))
+  }
+
+  return (
+    <SchemaForm
+      schema={contactFormSchema}
+      onSubmit={handleSubmit}
+      onInvalid={handleInvalid}
+      draftKey={CONTACT_DRAFT_KEY}
+      className="contact-form"
+      submitLabel="contact.send"
+    />
+  )
+}
+
+export default ContactForm
@@ -0,0 +1,166 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, render, renderHook, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import ContactForm from './ContactForm'
+import { contactFormSchema } from './contactFormSchema'
+import { useForm } from '../forms/useForm'
+import { submitContactMessage } from '../api/contact'
+import { SubmissionError } from '../api/client'
+import { getOutbox } from '../api/outbox'
+import { axeViolations } from '../test/axe'
+
+vi.mock('../api/contact', () => ({ submitContactMessage: vi.fn() }))
+
+const VALID_VALUES = {
+  name: 'Ada Lovelace',
+  email: 'ada@example.com',
+  subject: 'support',
+  message: 'The contact form works.',
+  newsletter: false,
+}
+
+async function fillIn(user) {
+  await user.type(screen.getByLabelText(/^Name/), VALID_VALUES.name)
+  await user.type(screen.getByLabelText(/^Email/), VALID_VALUES.email)
+  await user.selectOptions(screen.getByLabelText(/^Subject/), VALID_VALUES.subject)
+  await user.type(screen.getByLabelText(/^Message/), VALID_VALUES.message)
+}
+
+describe('validateForm', () => {
+  const fields = contactFormSchema.fields
+
+  it('reports every required field of an empty form', async () => {
+    const { result } = renderHook(() => useForm({ fields, onSubmit: vi.fn() }))
+
+    expect(await result.current.validateForm()).toEqual({
+      name: 'contact.name.required',
+      email: 'contact.email.required',
+      subject: 'contact.subject.required',
+      message: 'contact.message.required',
+    })
+  })
+
+  it('reports an invalid email and nothing else once the rest is valid', async () => {
+    const { result } = renderHook(() => useForm({ fields, onSubmit: vi.fn() }))
+
+    expect(await result.current.validateForm({ ...VALID_VALUES, email: 'ada@' })).toEqual({
+      email: 'contact.email.invalid',
+    })
+    expect(await result.current.validateForm(VALID_VALUES)).toEqual({})
+  })
+})
+
+describe('ContactForm', () => {
+  beforeEach(() => {
+    submitContactMessage.mockReset()
+  })
+
+  it('has no axe violations', async () => {
+    const { container } = render(<ContactForm onSubmit={vi.fn()} />)
+
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('shows every error and focuses the first invalid field when submitted empty', async () => {
+    const user = userEvent.setup()
+    const { container } = render(<ContactForm onSubmit={vi.fn()} />)
+
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    const name = screen.getByLabelText(/^Name/)
+    expect(name).toHaveFocus()
+    expect(name).toHaveAttribute('aria-invalid', 'true')
+    expect(name).toHaveAccessibleDescription('Name is required')
+    expect(screen.getByRole('alert')).toHaveTextContent('Email is required')
+    expect(screen.getByRole('alert')).toHaveTextContent('Message is required')
+    expect(submitContactMessage).not.toHaveBeenCalled()
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('clears only the edited field error while typing', async () => {
+    const user = userEvent.setup()
+    render(<ContactForm onSubmit={vi.fn()} />)
+
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    await user.type(screen.getByLabelText(/^Name/), 'A')
+
+    expect(screen.getByLabelText(/^Name/)).toHaveAttribute('aria-invalid', 'false')
+    expect(screen.queryByText('Name is required')).not.toBeInTheDocument()
+    expect(screen.getByLabelText(/^Email/)).toHaveAttribute('aria-invalid', 'true')
+  })
+
+  it('validates again on blur after a failed submit', async () => {
+    const user = userEvent.setup()
+    render(<ContactForm onSubmit={vi.fn()} />)
+
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    await user.type(screen.getByLabelText(/^Email/), 'ada@')
+    await user.tab()
+
+    expect(screen.getByLabelText(/^Email/)).toHaveAccessibleDescription('Please enter a valid email address')
+  })
+
+  it('disables the submit button and announces progress while submitting', async () => {
+    let respond
+    submitContactMessage.mockReturnValue(new Promise((resolve) => { respond = resolve }))
+    const onSubmit = vi.fn()
+    const user = userEvent.setup()
+    render(<ContactForm onSubmit={onSubmit} />)
+
+    await fillIn(user)
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    const button = screen.getByRole('button', { name: 'Submitting...' })
+    expect(button).toBeDisabled()
+    expect(button).toHaveAccessibleDescription('Form is being submitted')
+    expect(submitContactMessage).toHaveBeenCalledWith(VALID_VALUES, expect.objectContaining({ signal: expect.any(AbortSignal) }))
+
+    await act(async () => respond({ ok: true }))
+
+    expect(onSubmit).toHaveBeenCalledWith(VALID_VALUES, { queued: false, response: { ok: true } })
+    expect(screen.getByRole('button', { name: 'Send Message' })).toBeEnabled()
+    expect(screen.getByLabelText(/^Name/)).toHaveValue('')
+  })
+
+  it('keeps the values and shows an error when submission fails', async () => {
+    submitContactMessage.mockRejectedValue(Object.assign(new Error('Server error'), { kind: 'server' }))
+    const onSubmit = vi.fn()
+    const user = userEvent.setup()
+    render(<ContactForm onSubmit={onSubmit} />)
+
+    await fillIn(user)
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+
+    expect(await screen.findByText('Failed to submit form. Please try again.')).toHaveAttribute('role', 'alert')
+    expect(screen.getByRole('button', { name: 'Send Message' })).toBeEnabled()
+    expect(screen.getByLabelText(/^Name/)).toHaveValue(VALID_VALUES.name)
+    expect(onSubmit).not.toHaveBeenCalled()
+
+    // Trying again is the same submission as far as the server can tell
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    const [first, second] = submitContactMessage.mock.calls.map(([, options]) => options.idempotencyKey)
+    expect(first).toEqual(expect.any(String))
+    expect(second).toBe(first)
+  })
+
+  it('queues the message and says whether the user is offline or the server is unreachable', async () => {
+    submitContactMessage.mockRejectedValue(new SubmissionError('Network request failed', { kind: 'network' }))
+    const onSubmit = vi.fn()
+    const user = userEvent.setup()
+    render(<ContactForm onSubmit={onSubmit} />)
+
+    await fillIn(user)
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    expect(onSubmit).toHaveBeenLastCalledWith(VALID_VALUES, { queued: true, offline: false })
+    // The outbox sends it with the key of the attempt that may have got through
+    expect(getOutbox().items[0].id).toBe(submitContactMessage.mock.calls[0][1].idempotencyKey)
+
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false)
+    await fillIn(user)
+    await user.click(screen.getByRole('button', { name: 'Send Message' }))
+    expect(onSubmit).toHaveBeenLastCalledWith(VALID_VALUES, { queued: true, offline: true })
+    expect(submitContactMessage).toHaveBeenCalledTimes(1)
+    expect(getOutbox().items).toHaveLength(2)
+    onLine.mockRestore()
+  })
+})
@@ -0,0 +1,42 @@
+import { useId, useState } from 'react'
+import { LOCALES, setLocale } from '../i18n/store'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Language Switcher
+//
+// Each option is marked with its own lang so screen readers pronounce the
+// language names correctly. Choosing an option only selects it; the page
+// changes language when the user applies it, so moving through the options
+// with the arrow keys doesn't switch the language at every step (WCAG 3.2.2).
+function LanguageSwitcher() {
+  const { t, locale } = useTranslation()
+  const [choice, setChoice] = useState(null)
+  const id = useId()
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (choice) setLocale(choice)
+    setChoice(null)
+  }
+
+  return (
+    <form className="language-switcher" onSubmit={handleSubmit}>
+      <label htmlFor={id} className="sr-only">{t('toolbar.language')}</label>
+      <select
+        id={id}
+        className="language-select"
+        value={choice ?? locale}
+        onChange={(e) => setChoice(e.target.value)}
+      >
+        {Object.entries(LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+      <button type="submit" className="control-button language-apply">
+        {t('toolbar.languageApply')} <span className="sr-only">{t('toolbar.language')}</span>
+      </button>
+    </form>
+  )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,137 @@
+import { useEffect, useId, useRef } from 'react'
+import { createPortal } from 'react-dom'
+import { pushModal } from '../utils/modalStack'
+import { resolveElement } from '../utils/focus'
+import { track } from '../analytics/bus'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Accessible Modal Component
+//
+// Rendered into <body> and registered on the modal stack, so nested dialogs
+// work: only the topmost one traps focus and closes on Escape, and the rest
+// of the page is inert while it is open.
+//
+// initialFocus: ref, element or selector to focus on open (defaults to the
+//   dialog itself so its title is read first)
+// returnFocus: ref or element to focus on close (defaults to whatever had
+//   focus when it opened); pass false to leave focus alone
+// role: 'dialog' or 'alertdialog' for confirmations that need a response
+// analyticsName: stable name for the modal.opened/closed analytics events;
+//   without one the modal isn't tracked
+function Modal({
+  isOpen,
+  onClose,
+  title,
+  description,
+  children,
+  role = 'dialog',
+  initialFocus,
+  returnFocus,
+  closeOnBackdrop = role !== 'alertdialog',
+  showCloseButton = role !== 'alertdialog',
+  analyticsName,
+}) {
+  const { t } = useTranslation()
+  const overlayRef = useRef(null)
+  const dialogRef = useRef(null)
+  const onCloseRef = useRef(onClose)
+  // Read when the modal opens and closes, so changing them doesn't reopen it
+  const optionsRef = useRef({ initialFocus, returnFocus, analyticsName })
+  const titleId = useId()
+  const descriptionId = useId()
+  // How the user asked to close, for analytics; 'other' when the page closes it
+  const closeMethodRef = useRef('other')
+
+  useEffect(() => {
+    onCloseRef.current = onClose
+  }, [onClose])
+
+  useEffect(() => {
+    optionsRef.current = { initialFocus, returnFocus, analyticsName }
+  }, [initialFocus, returnFocus, analyticsName])
+
+  useEffect(() => {
+    if (!isOpen) return
+
+    const { initialFocus, analyticsName } = optionsRef.current
+    const previousFocus = document.activeElement
+    const removeFromStack = pushModal({
+      overlay: overlayRef.current,
+      dialog: dialogRef.current,
+      onEscape: () => {
+        closeMethodRef.current = 'escape'
+        onCloseRef.current()
+      },
+    })
+    if (analyticsName) {
+      track('modal.opened', { modal: analyticsName })
+    }
+
+    const target = resolveElement(initialFocus, dialogRef.current) ?? dialogRef.current
+    target.focus()
+
+    return () => {
+      removeFromStack()
+      if (analyticsName) {
+        track('modal.closed', { modal: analyticsName, method: closeMethodRef.current })
+      }
+      closeMethodRef.current = 'other'
+      const { returnFocus } = optionsRef.current
+      if (returnFocus === false) return
+
+      const focusTarget = resolveElement(returnFocus, document) ?? previousFocus
+      if (focusTarget?.isConnected) {
+        focusTarget.focus()
+      }
+    }
+  }, [isOpen])
+
+  if (!isOpen) return null
+
+  const handleBackdropClick = (e) => {
+    if (closeOnBackdrop && e.target === e.currentTarget) {
+      closeMethodRef.current = 'backdrop'
+      onClose()
+    }
+  }
+
+  return createPortal(
+    <div className="modal-overlay" onClick={handleBackdropClick} ref={overlayRef}>
+      <div 
+        className={`modal-content ${role === 'alertdialog' ? 'modal-alert' : ''}`}
+        role={role}
+        aria-modal="true"
+        aria-labelledby={titleId}
+        aria-describedby={description ? descriptionId : undefined}
+        ref={dialogRef}
+        tabIndex={-1}
+      >
+        <header className="modal-header">
+          <h2 id={titleId}>{title}</h2>
+          {showCloseButton && (
+            <button 
+              className="modal-close" 
+              onClick={() => {
+                closeMethodRef.current = 'closeButton'
+                onClose()
+              }}
+              aria-label={t('modal.close')}
+              type="button"
+            >
+              ×
+            </button>
+          )}
+        </header>
+        <div className="modal-body">
+          {description && (
+            <p id={descriptionId} className="modal-description">{description}</p>
+          )}
+          {children}
+        </div>
+      </div>
+    </div>,
+    document.body
+  )
+}
+
+export default Modal
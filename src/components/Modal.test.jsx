@@ -0,0 +1,140 @@
+import { describe, expect, it, vi } from 'vitest'
+import { useState } from 'react'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import Modal from './Modal'
+import { hasOpenModal } from '../utils/modalStack'
+import { axeViolations } from '../test/axe'
+
+// A page with a button that opens the dialog, like App's Contact button
+function Harness({ onClose = () => {}, ...props }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const close = () => {
+    onClose()
+    setIsOpen(false)
+  }
+
+  return (
+    <main>
+      <button type="button" onClick={() => setIsOpen(true)}>Open</button>
+      <Modal isOpen={isOpen} onClose={close} title="Dialog title" description="Dialog description" {...props}>
+        <button type="button">Inside</button>
+      </Modal>
+    </main>
+  )
+}
+
+async function openDialog(props) {
+  const user = userEvent.setup()
+  const result = render(<Harness {...props} />)
+  await user.click(screen.getByRole('button', { name: 'Open' }))
+  return { user, ...result }
+}
+
+describe('Modal', () => {
+  it('is a labelled modal dialog that takes focus when opened', async () => {
+    await openDialog()
+
+    const dialog = screen.getByRole('dialog', { name: 'Dialog title' })
+    expect(dialog).toHaveAttribute('aria-modal', 'true')
+    expect(dialog).toHaveAccessibleDescription('Dialog description')
+    expect(dialog).toHaveFocus()
+    expect(hasOpenModal()).toBe(true)
+  })
+
+  it('has no axe violations while open', async () => {
+    await openDialog()
+
+    expect(await axeViolations(document.body)).toEqual([])
+  })
+
+  it('makes the rest of the page inert while open', async () => {
+    const { container } = await openDialog()
+
+    expect(container).toHaveAttribute('aria-hidden', 'true')
+    expect(container.inert).toBe(true)
+  })
+
+  it('closes on Escape and returns focus to the opener', async () => {
+    const onClose = vi.fn()
+    const { user, container } = await openDialog({ onClose })
+
+    await user.keyboard('{Escape}')
+
+    expect(onClose).toHaveBeenCalledTimes(1)
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Open' })).toHaveFocus()
+    expect(container).not.toHaveAttribute('aria-hidden')
+    expect(hasOpenModal()).toBe(false)
+  })
+
+  it('closes on a backdrop click but not on a click inside', async () => {
+    const onClose = vi.fn()
+    const { user } = await openDialog({ onClose })
+
+    await user.click(screen.getByRole('button', { name: 'Inside' }))
+    expect(onClose).not.toHaveBeenCalled()
+
+    await user.click(document.querySelector('.modal-overlay'))
+    expect(onClose).toHaveBeenCalledTimes(1)
+    expect(screen.getByRole('button', { name: 'Open' })).toHaveFocus()
+  })
+
+  it('closes from the close button', async () => {
+    const { user } = await openDialog()
+
+    await user.click(screen.getByRole('button', { name: 'Close modal' }))
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Open' })).toHaveFocus()
+  })
+
+  it('keeps Tab inside the dialog', async () => {
+    const { user } = await openDialog()
+
+    await user.tab()
+    expect(screen.getByRole('button', { name: 'Close modal' })).toHaveFocus()
+    await user.tab()
+    expect(screen.getByRole('button', { name: 'Inside' })).toHaveFocus()
+    await user.tab()
+    expect(screen.getByRole('button', { name: 'Close modal' })).toHaveFocus()
+    await user.tab({ shift: true })
+    expect(screen.getByRole('button', { name: 'Inside' })).toHaveFocus()
+  })
+
+  it('ignores backdrop clicks for alert dialogs', async () => {
+    const onClose = vi.fn()
+    const { user } = await openDialog({ onClose, role: 'alertdialog' })
+
+    await user.click(document.querySelector('.modal-overlay'))
+
+    expect(onClose).not.toHaveBeenCalled()
+    expect(screen.getByRole('alertdialog')).toBeInTheDocument()
+    expect(screen.queryByRole('button', { name: 'Close modal' })).not.toBeInTheDocument()
+  })
+
+  it('focuses initialFocus when given', async () => {
+    await openDialog({ initialFocus: 'button:not(.modal-close)' })
+
+    expect(screen.getByRole('button', { name: 'Inside' })).toHaveFocus()
+  })
+  it('uses the latest returnFocus without refocusing when props change while open', async () => {
+    const user = userEvent.setup()
+    const page = (props) => (
+      <>
+        <Harness {...props} />
+        <button type="button" id="elsewhere">Elsewhere</button>
+      </>
+    )
+    const { rerender } = render(page({}))
+    await user.click(screen.getByRole('button', { name: 'Open' }))
+    const close = screen.getByRole('button', { name: 'Close modal' })
+    close.focus()
+
+    rerender(page({ initialFocus: 'button:not(.modal-close)', returnFocus: '#elsewhere' }))
+    expect(close).toHaveFocus()
+
+    await user.keyboard('{Escape}')
+    expect(screen.getByRole('button', { name: 'Elsewhere' })).toHaveFocus()
+  })
+})
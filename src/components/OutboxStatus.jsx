@@ -0,0 +1,30 @@
+import { useOutbox } from '../api/useOutbox'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Offline Outbox Status
+//
+// Tells the user about contact messages waiting for a connection. The
+// status region is always rendered so changes are announced politely.
+function OutboxStatus() {
+  const { items, sending, online } = useOutbox()
+  const { t } = useTranslation()
+  // Rejected messages wait for the contact form, not for a connection
+  const count = items.filter(({ rejected }) => !rejected).length
+
+  let text = ''
+  if (count > 0 && sending) {
+    text = t('outbox.sending', { count })
+  } else if (count > 0 && !online) {
+    text = t('outbox.offline', { count })
+  } else if (count > 0) {
+    text = t('outbox.waiting', { count })
+  }
+
+  return (
+    <div className="outbox-status" role="status">
+      {text && <p className="outbox-status-text">{text}</p>}
+    </div>
+  )
+}
+
+export default OutboxStatus
@@ -0,0 +1,116 @@
+import { useId, useState } from 'react'
+import { usePreferences } from '../preferences/usePreferences'
+import {
+  PREFERENCES,
+  isOverridden,
+  resetPreferences,
+  setPreference,
+} from '../preferences/store'
+import { useTranslation } from '../i18n/useTranslation'
+import { setAnalyticsConsent } from '../analytics/bus'
+import { useAnalyticsConsent } from '../analytics/useAnalyticsConsent'
+import ConfirmDialog from './ConfirmDialog'
+
+// Choice groups render as radios; toggles are on/off checkboxes where the
+// second entry in PREFERENCES[key].values is "on". Labels come from the
+// `preferences.<key>` and `preferences.<key>.<value>` messages.
+const CHOICE_GROUPS = ['theme', 'fontSize']
+
+const TOGGLES = ['contrast', 'motion', 'textSpacing', 'font', 'linkUnderline', 'focusRing']
+
+const followsSystem = (key) => Boolean(PREFERENCES[key].media) && !isOverridden(key)
+
+// Accessibility Preferences Panel
+function PreferencesPanel() {
+  const preferences = usePreferences()
+  const analyticsConsent = useAnalyticsConsent()
+  const { t } = useTranslation()
+  const [status, setStatus] = useState('')
+  const [confirmingReset, setConfirmingReset] = useState(false)
+  const analyticsHintId = useId()
+
+  const handleReset = () => {
+    resetPreferences()
+    setConfirmingReset(false)
+    setStatus('preferences.resetDone')
+  }
+
+  return (
+    <div className="preferences-panel">
+      {CHOICE_GROUPS.map((key) => (
+        <fieldset key={key} className="preference-group">
+          <legend>{t(`preferences.${key}`)}</legend>
+          {PREFERENCES[key].values.map((value) => (
+            <label key={value} className="preference-option">
+              <input
+                type="radio"
+                name={`preference-${key}`}
+                value={value}
+                checked={preferences[key] === value}
+                onChange={() => setPreference(key, value)}
+              />
+              {t(`preferences.${key}.${value}`)}
+            </label>
+          ))}
+          {followsSystem(key) && (
+            <p className="preference-hint">{t('preferences.followingSystem')}</p>
+          )}
+        </fieldset>
+      ))}
+
+      <fieldset className="preference-group stacked">
+        <legend>{t('preferences.display')}</legend>
+        {TOGGLES.map((key) => {
+          const [off, on] = PREFERENCES[key].values
+          return (
+            <label key={key} className="preference-option">
+              <input
+                type="checkbox"
+                checked={preferences[key] === on}
+                onChange={(e) => setPreference(key, e.target.checked ? on : off)}
+              />
+              {t(`preferences.${key}`)}
+              {followsSystem(key) && (
+                <span className="preference-hint">{t('preferences.systemSetting')}</span>
+              )}
+            </label>
+          )
+        })}
+      </fieldset>
+
+      {/* Not a display preference, so "Reset" leaves it alone */}
+      <fieldset className="preference-group stacked">
+        <legend>{t('preferences.privacy')}</legend>
+        <label className="preference-option">
+          <input
+            type="checkbox"
+            checked={analyticsConsent}
+            onChange={(e) => setAnalyticsConsent(e.target.checked)}
+            aria-describedby={analyticsHintId}
+          />
+          {t('preferences.analytics')}
+        </label>
+        <p id={analyticsHintId} className="preference-hint">{t('preferences.analyticsHint')}</p>
+      </fieldset>
+
+      <button type="button" className="secondary-button" onClick={() => setConfirmingReset(true)}>
+        {t('preferences.reset')}
+      </button>
+
+      <ConfirmDialog
+        isOpen={confirmingReset}
+        title={t('preferences.resetTitle')}
+        message={t('preferences.resetMessage')}
+        confirmLabel={t('preferences.resetConfirm')}
+        onConfirm={handleReset}
+        onCancel={() => setConfirmingReset(false)}
+      />
+
+      <div className="sr-only" role="status" aria-live="polite">
+        {status && t(status)}
+      </div>
+    </div>
+  )
+}
+
+export default PreferencesPanel
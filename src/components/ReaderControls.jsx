@@ -0,0 +1,117 @@
+import { useEffect, useId } from 'react'
+import {
+  RATES,
+  pauseReading,
+  readPage,
+  readSelection,
+  resumeReading,
+  setReaderRate,
+  setReaderVoice,
+  skipSentence,
+  stopReading,
+} from '../speech/reader'
+import { useReader } from '../speech/useReader'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Read Aloud Bar
+//
+// Controls stay focusable while nothing is being read (aria-disabled rather
+// than disabled) so focus isn't lost when reading stops.
+function ReaderControls({ id, onClose }) {
+  const reader = useReader()
+  const { t } = useTranslation()
+  const fieldId = useId()
+  const idle = reader.status === 'idle'
+
+  // Closing the bar stops reading
+  useEffect(() => stopReading, [])
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      onClose()
+    }
+  }
+
+  return (
+    <section id={id} className="reader-bar" aria-label={t('reader.title')} onKeyDown={handleKeyDown} data-reader-skip>
+      {reader.supported ? (
+        <>
+          <div className="reader-actions">
+            <button type="button" className="reader-button" onClick={() => readPage()}>
+              {t('reader.readPage')}
+            </button>
+            <button
+              type="button"
+              className="reader-button"
+              // Keep the selection when clicked
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={readSelection}
+            >
+              {t('reader.readSelection')}
+            </button>
+            <button
+              type="button"
+              className="reader-button"
+              aria-disabled={idle}
+              onClick={reader.status === 'paused' ? resumeReading : pauseReading}
+            >
+              {t(reader.status === 'paused' ? 'reader.resume' : 'reader.pause')}
+            </button>
+            <button type="button" className="reader-button" aria-disabled={idle} onClick={() => skipSentence(-1)}>
+              {t('reader.previous')}
+            </button>
+            <button type="button" className="reader-button" aria-disabled={idle} onClick={() => skipSentence(1)}>
+              {t('reader.next')}
+            </button>
+            <button type="button" className="reader-button" aria-disabled={idle} onClick={stopReading}>
+              {t('reader.stop')}
+            </button>
+          </div>
+
+          <div className="reader-settings">
+            <label htmlFor={`${fieldId}-rate`}>{t('reader.rate')}</label>
+            <select
+              id={`${fieldId}-rate`}
+              value={reader.rate}
+              onChange={(e) => setReaderRate(Number(e.target.value))}
+            >
+              {RATES.map((rate) => (
+                <option key={rate} value={rate}>{t('reader.rateValue', { rate })}</option>
+              ))}
+            </select>
+
+            <label htmlFor={`${fieldId}-voice`}>{t('reader.voice')}</label>
+            <select
+              id={`${fieldId}-voice`}
+              value={reader.voice ?? ''}
+              onChange={(e) => setReaderVoice(e.target.value || null)}
+            >
+              <option value="">{t('reader.voiceDefault')}</option>
+              {reader.voices.map((voice) => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <p className="reader-progress">
+            {!idle && t('reader.progress', { current: reader.index + 1, total: reader.total })}
+          </p>
+          <p className="reader-message" role="status">
+            {reader.message && t(`reader.${reader.message}`)}
+          </p>
+        </>
+      ) : (
+        <p className="reader-message">{t('reader.unsupported')}</p>
+      )}
+
+      <button type="button" className="modal-close panel-close" onClick={onClose} aria-label={t('reader.close')}>
+        ×
+      </button>
+    </section>
+  )
+}
+
+export default ReaderControls
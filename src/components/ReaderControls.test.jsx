@@ -0,0 +1,202 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import ReaderControls from './ReaderControls'
+import { STORAGE_KEY, setReaderRate, setReaderVoice, stopReading } from '../speech/reader'
+import { axeViolations } from '../test/axe'
+
+// jsdom has no speech synthesis; install a fake before the reader loads
+const synth = vi.hoisted(() => {
+  const fake = {
+    voices: [
+      { name: 'Alex', lang: 'en-US', voiceURI: 'alex' },
+      { name: 'Mónica', lang: 'es-ES', voiceURI: 'monica' },
+    ],
+    speak: vi.fn(),
+    cancel: vi.fn(),
+    pause: vi.fn(),
+    resume: vi.fn(),
+    getVoices: () => fake.voices,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  }
+  window.speechSynthesis = fake
+  window.SpeechSynthesisUtterance = class {
+    constructor(text) {
+      this.text = text
+    }
+  }
+  return fake
+})
+
+const spoken = () => synth.speak.mock.calls.map(([utterance]) => utterance.text)
+const current = () => synth.speak.mock.lastCall[0]
+const finishSentence = () => act(() => current().onend())
+
+function renderReader() {
+  const onClose = vi.fn()
+  const view = render(
+    <>
+      <main id="main-content">
+        <h2>Welcome</h2>
+        <p>
+          First sentence. Second one! <span aria-hidden="true">🎉</span>
+        </p>
+        <p lang="es">Hola a todos.</p>
+        <button type="button">Not read</button>
+      </main>
+      <ReaderControls id="reader-bar" onClose={onClose} />
+    </>
+  )
+  return { ...view, onClose }
+}
+
+describe('ReaderControls', () => {
+  beforeEach(() => {
+    act(() => {
+      stopReading()
+      setReaderRate(1)
+      setReaderVoice(null)
+    })
+    vi.clearAllMocks()
+  })
+
+  it('reads the main content sentence by sentence and highlights it', async () => {
+    const user = userEvent.setup()
+    const { container } = renderReader()
+
+    await user.click(screen.getByRole('button', { name: 'Read page' }))
+    expect(spoken()).toEqual(['Welcome'])
+    expect(container.querySelector('h2')).toHaveAttribute('data-reading')
+    expect(screen.getByText('Sentence 1 of 4')).toBeInTheDocument()
+
+    finishSentence()
+    finishSentence()
+    expect(spoken()).toEqual(['Welcome', 'First sentence.', 'Second one!'])
+    expect(container.querySelector('p')).toHaveAttribute('data-reading')
+    expect(container.querySelector('h2')).not.toHaveAttribute('data-reading')
+
+    finishSentence()
+    expect(current()).toMatchObject({ text: 'Hola a todos.', lang: 'es', voice: synth.voices[1] })
+
+    finishSentence()
+    expect(screen.getByRole('status')).toHaveTextContent('Finished reading.')
+    expect(container.querySelector('[data-reading]')).toBeNull()
+  })
+
+  it('pauses, resumes and skips', async () => {
+    const user = userEvent.setup()
+    renderReader()
+
+    await user.click(screen.getByRole('button', { name: 'Read page' }))
+    await user.click(screen.getByRole('button', { name: 'Pause' }))
+    expect(synth.pause).toHaveBeenCalled()
+
+    await user.click(screen.getByRole('button', { name: 'Resume' }))
+    expect(synth.resume).toHaveBeenCalled()
+
+    await user.click(screen.getByRole('button', { name: 'Next sentence' }))
+    await user.click(screen.getByRole('button', { name: 'Next sentence' }))
+    await user.click(screen.getByRole('button', { name: 'Previous sentence' }))
+    expect(synth.cancel).toHaveBeenCalled()
+    expect(current().text).toBe('First sentence.')
+    expect(screen.getByText('Sentence 2 of 4')).toBeInTheDocument()
+
+    // A cancelled sentence ending late doesn't move the reader on
+    act(() => synth.speak.mock.calls[0][0].onend())
+    expect(current().text).toBe('First sentence.')
+
+    await user.click(screen.getByRole('button', { name: 'Stop' }))
+    expect(screen.getByRole('button', { name: 'Stop' })).toHaveAttribute('aria-disabled', 'true')
+    expect(screen.getByRole('button', { name: 'Stop' })).toHaveFocus()
+  })
+
+  it('starts reading again after being paused', async () => {
+    const user = userEvent.setup()
+    renderReader()
+
+    await user.click(screen.getByRole('button', { name: 'Read page' }))
+    finishSentence()
+    await user.click(screen.getByRole('button', { name: 'Pause' }))
+    synth.resume.mockClear()
+    await user.click(screen.getByRole('button', { name: 'Read page' }))
+
+    // Cancelling doesn't unpause every engine, so the reader resumes too
+    expect(synth.resume).toHaveBeenCalled()
+    expect(synth.resume.mock.invocationCallOrder[0]).toBeGreaterThan(synth.cancel.mock.invocationCallOrder[0])
+    expect(current().text).toBe('Welcome')
+    expect(screen.getByRole('button', { name: 'Pause' })).toBeInTheDocument()
+
+    await user.click(screen.getByRole('button', { name: 'Pause' }))
+    synth.resume.mockClear()
+    await user.click(screen.getByRole('button', { name: 'Stop' }))
+    expect(synth.resume).toHaveBeenCalled()
+  })
+
+  it('reads only the selected text', async () => {
+    const user = userEvent.setup()
+    const { container } = renderReader()
+    const text = container.querySelector('p').firstChild
+
+    document.getSelection().setBaseAndExtent(text, 'First sentence. '.length, text, text.length)
+    await user.click(screen.getByRole('button', { name: 'Read selection' }))
+
+    expect(spoken()).toEqual(['Second one!'])
+  })
+
+  it('asks for a selection when there is none', async () => {
+    const user = userEvent.setup()
+    renderReader()
+    document.getSelection().removeAllRanges()
+
+    await user.click(screen.getByRole('button', { name: 'Read selection' }))
+
+    expect(synth.speak).not.toHaveBeenCalled()
+    expect(screen.getByRole('status')).toHaveTextContent('Select some text on the page first.')
+  })
+
+  it('remembers the speed and voice', async () => {
+    const user = userEvent.setup()
+    renderReader()
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Speed' }), '1.5')
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Voice' }), 'Alex (en-US)')
+    await user.click(screen.getByRole('button', { name: 'Read page' }))
+
+    expect(current()).toMatchObject({ rate: 1.5, voice: synth.voices[0] })
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toEqual({ rate: 1.5, voice: 'alex' })
+  })
+
+  it('closes on Escape and stops reading', async () => {
+    const user = userEvent.setup()
+    const { onClose, unmount } = renderReader()
+
+    await user.click(screen.getByRole('button', { name: 'Read page' }))
+    await user.keyboard('{Escape}')
+    expect(onClose).toHaveBeenCalled()
+
+    unmount()
+    expect(synth.cancel).toHaveBeenCalled()
+  })
+
+  it('has no axe violations', async () => {
+    const { container } = renderReader()
+
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('explains when speech synthesis is unavailable', async () => {
+    vi.resetModules()
+    const installed = window.speechSynthesis
+    delete window.speechSynthesis
+    try {
+      const { default: Unsupported } = await import('./ReaderControls')
+      render(<Unsupported id="reader-bar" onClose={vi.fn()} />)
+
+      expect(screen.getByText(/This browser cannot read text aloud/)).toBeInTheDocument()
+      expect(screen.queryByRole('button', { name: 'Read page' })).toBeNull()
+    } finally {
+      window.speechSynthesis = installed
+    }
+  })
+})
@@ -0,0 +1,58 @@
+import { PREFERENCES, setPreference } from '../preferences/store'
+import { usePreferences } from '../preferences/usePreferences'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Reading Aids Bar
+//
+// Switches for the overlays in src/readingAids/. They are ordinary
+// preferences, so they persist and are reset with the others.
+function ReadingAidsPanel({ id, onClose }) {
+  const preferences = usePreferences()
+  const { t } = useTranslation()
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      onClose()
+    }
+  }
+
+  return (
+    <section id={id} className="reading-aids-panel" aria-label={t('readingAids.title')} onKeyDown={handleKeyDown} data-reader-skip>
+      <fieldset className="preference-group">
+        <legend>{t('preferences.readingGuide')}</legend>
+        {PREFERENCES.readingGuide.values.map((value) => (
+          <label key={value} className="preference-option">
+            <input
+              type="radio"
+              name="reading-guide"
+              value={value}
+              checked={preferences.readingGuide === value}
+              onChange={() => setPreference('readingGuide', value)}
+            />
+            {t(`preferences.readingGuide.${value}`)}
+          </label>
+        ))}
+      </fieldset>
+
+      {['magnifier', 'focusSpotlight'].map((key) => (
+        <label key={key} className="preference-option">
+          <input
+            type="checkbox"
+            checked={preferences[key] === 'on'}
+            onChange={(e) => setPreference(key, e.target.checked ? 'on' : 'off')}
+          />
+          {t(`preferences.${key}`)}
+        </label>
+      ))}
+
+      <p className="preference-hint">{t('readingAids.hint')}</p>
+
+      <button type="button" className="modal-close panel-close" onClick={onClose} aria-label={t('readingAids.close')}>
+        ×
+      </button>
+    </section>
+  )
+}
+
+export default ReadingAidsPanel
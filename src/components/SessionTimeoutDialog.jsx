@@ -0,0 +1,84 @@
+import { useEffect, useRef, useState } from 'react'
+import Modal from './Modal'
+import { extendSession } from '../session/store'
+import { useSession } from '../session/useSession'
+import { formatTime } from '../media/vtt'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Remaining time is spoken when it drops to each of these (in seconds);
+// the visible countdown ticks every second but isn't a live region
+const ANNOUNCE_AT = [120, 60, 30, 10]
+
+// Session Timeout Warning (alertdialog)
+//
+// One button gives the user more time; Escape does the same. Once the
+// session has ended a second dialog says so and starts a new one.
+function SessionTimeoutDialog() {
+  const session = useSession()
+  const { t } = useTranslation()
+  const [now, setNow] = useState(Date.now)
+  const extendRef = useRef(null)
+  const restartRef = useRef(null)
+  const warning = session.status === 'warning'
+
+  useEffect(() => {
+    if (!warning) return
+
+    setNow(Date.now())
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [warning, session.expiresAt])
+
+  const seconds = warning ? Math.max(0, Math.ceil((session.expiresAt - now) / 1000)) : 0
+  const announceAt = ANNOUNCE_AT.findLast((point) => seconds <= point)
+  const announcement =
+    announceAt >= 60
+      ? t('session.remaining.minutes', { count: announceAt / 60 })
+      : announceAt && t('session.remaining.seconds', { count: announceAt })
+
+  return (
+    <>
+      <Modal
+        isOpen={warning}
+        onClose={extendSession}
+        title={t('session.warning.title')}
+        description={t('session.warning.message')}
+        role="alertdialog"
+        initialFocus={extendRef}
+        analyticsName="sessionWarning"
+      >
+        <p className="session-countdown" role="timer">
+          {t('session.countdown', { time: formatTime(seconds) })}
+        </p>
+        <p className="sr-only" aria-live="polite" aria-atomic="true">
+          {announcement}
+        </p>
+        <div className="dialog-actions">
+          <button type="button" className="primary-button" onClick={extendSession} ref={extendRef}>
+            {t('session.extend')}
+          </button>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={session.status === 'expired'}
+        onClose={extendSession}
+        title={t('session.expired.title')}
+        description={t('session.expired.message')}
+        role="alertdialog"
+        initialFocus={restartRef}
+        analyticsName="sessionExpired"
+        // Whatever had focus went away with the forms that were closed
+        returnFocus="#main-content"
+      >
+        <div className="dialog-actions">
+          <button type="button" className="primary-button" onClick={extendSession} ref={restartRef}>
+            {t('session.restart')}
+          </button>
+        </div>
+      </Modal>
+    </>
+  )
+}
+
+export default SessionTimeoutDialog
@@ -0,0 +1,196 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, fireEvent, render, screen } from '@testing-library/react'
+import App from '../App'
+import SessionTimeoutDialog from './SessionTimeoutDialog'
+import { STORAGE_KEY, getSession, startSession } from '../session/store'
+import { resetPreferences } from '../preferences/store'
+import { loadDraft } from '../forms/drafts'
+import { CONTACT_DRAFT_KEY } from '../api/outbox'
+import { BARRIER_DRAFT_KEY } from '../api/barrierReport'
+import { axeViolations } from '../test/axe'
+
+const MINUTE = 60 * 1000
+const wait = (ms) => act(() => vi.advanceTimersByTime(ms))
+
+describe('SessionTimeoutDialog', () => {
+  const onExtend = vi.fn()
+  let stopSession
+
+  beforeEach(() => {
+    act(() => resetPreferences())
+    onExtend.mockReset()
+  })
+
+  afterEach(() => {
+    act(() => stopSession?.())
+    vi.useRealTimers()
+  })
+
+  it('warns before the session ends and announces the time left at intervals', () => {
+    vi.useFakeTimers()
+    render(<SessionTimeoutDialog />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+    expect(screen.queryByRole('alertdialog')).toBeNull()
+
+    wait(8 * MINUTE)
+    const dialog = screen.getByRole('alertdialog', { name: 'Your session is about to end' })
+    expect(dialog).toHaveAccessibleDescription(/no activity for a while/)
+    expect(screen.getByRole('button', { name: 'Extend session' })).toHaveFocus()
+    expect(screen.getByRole('timer')).toHaveTextContent('Time left: 2:00')
+
+    const liveRegion = dialog.querySelector('[aria-live]')
+    wait(1000)
+    expect(screen.getByRole('timer')).toHaveTextContent('Time left: 1:59')
+    expect(liveRegion).toHaveTextContent('2 minutes left in your session.')
+
+    // Ticking seconds don't change the announcement until the next interval
+    wait(59 * 1000)
+    expect(liveRegion).toHaveTextContent('1 minute left in your session.')
+    wait(29 * 1000)
+    expect(liveRegion).toHaveTextContent('1 minute left in your session.')
+    wait(1000)
+    expect(liveRegion).toHaveTextContent('30 seconds left in your session.')
+  })
+
+  it('extends the session with one action, or Escape', () => {
+    vi.useFakeTimers()
+    render(<SessionTimeoutDialog />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+
+    wait(9 * MINUTE)
+    fireEvent.click(screen.getByRole('button', { name: 'Extend session' }))
+    expect(screen.queryByRole('alertdialog')).toBeNull()
+    expect(getSession().expiresAt).toBe(Date.now() + 10 * MINUTE)
+
+    wait(8 * MINUTE)
+    fireEvent.keyDown(document.activeElement, { key: 'Escape' })
+    expect(screen.queryByRole('alertdialog')).toBeNull()
+    expect(getSession().status).toBe('active')
+  })
+
+  it('pushes the expiry back on activity, but not once the warning shows', () => {
+    vi.useFakeTimers()
+    render(<SessionTimeoutDialog />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+
+    wait(5 * MINUTE)
+    fireEvent.keyDown(document.body, { key: 'a' })
+    wait(7 * MINUTE)
+    expect(screen.queryByRole('alertdialog')).toBeNull()
+
+    wait(1 * MINUTE)
+    fireEvent.pointerDown(screen.getByRole('alertdialog'))
+    expect(screen.getByRole('alertdialog')).toBeInTheDocument()
+  })
+
+  it('extends the backend session too, but not for another tab', async () => {
+    vi.useFakeTimers()
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    render(<SessionTimeoutDialog />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+    expect(onExtend).not.toHaveBeenCalled()
+
+    wait(1 * MINUTE)
+    fireEvent.keyDown(document.body, { key: 'a' })
+    expect(onExtend).toHaveBeenCalledTimes(1)
+
+    // A failed keepalive is logged and the local timer carries on
+    onExtend.mockRejectedValueOnce(new Error('Unauthorized'))
+    wait(8 * MINUTE)
+    fireEvent.click(screen.getByRole('button', { name: 'Extend session' }))
+    expect(onExtend).toHaveBeenCalledTimes(2)
+    await act(async () => {})
+    expect(warn).toHaveBeenCalledWith('[session] Could not extend the backend session', expect.any(Error))
+    expect(getSession().status).toBe('active')
+
+    act(() => {
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: STORAGE_KEY, newValue: String(Date.now() + 10 * MINUTE) })
+      )
+    })
+    expect(onExtend).toHaveBeenCalledTimes(2)
+    warn.mockRestore()
+  })
+
+  it('closes the warning when another tab extends the session', () => {
+    vi.useFakeTimers()
+    render(<SessionTimeoutDialog />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+
+    wait(9 * MINUTE)
+    expect(screen.getByRole('alertdialog')).toBeInTheDocument()
+
+    act(() => {
+      window.dispatchEvent(
+        new StorageEvent('storage', { key: STORAGE_KEY, newValue: String(Date.now() + 10 * MINUTE) })
+      )
+    })
+    expect(screen.queryByRole('alertdialog')).toBeNull()
+  })
+
+  it('closes the forms when the session ends and keeps the contact draft', () => {
+    vi.useFakeTimers()
+    render(<App />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+
+    fireEvent.click(screen.getByRole('button', { name: 'Contact' }))
+    // Typed moments before the session ends, inside the autosave delay
+    wait(10 * MINUTE - 100)
+    fireEvent.change(screen.getByLabelText(/^Name/), { target: { value: 'Ada' } })
+    wait(100)
+
+    expect(screen.queryByRole('dialog', { name: 'Contact Us' })).toBeNull()
+    expect(loadDraft(CONTACT_DRAFT_KEY)).toMatchObject({ name: 'Ada' })
+    expect(screen.getByRole('alertdialog', { name: 'Your session has ended' })).toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'Start a new session' })).toHaveFocus()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start a new session' }))
+    expect(getSession().status).toBe('active')
+    expect(document.getElementById('main-content')).toHaveFocus()
+
+    fireEvent.click(screen.getByRole('button', { name: 'Contact' }))
+    expect(screen.getByLabelText(/^Name/)).toHaveValue('Ada')
+  })
+
+  it('keeps the barrier report draft when the session ends', () => {
+    vi.useFakeTimers()
+    render(<App />)
+    act(() => {
+      stopSession = startSession({ timeout: 10 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Report an accessibility barrier' })[0])
+    wait(10 * MINUTE - 100)
+    fireEvent.change(screen.getByLabelText(/^What went wrong/), { target: { value: 'The menu traps focus' } })
+    wait(100)
+
+    expect(screen.queryByRole('dialog', { name: 'Report an accessibility barrier' })).toBeNull()
+    expect(loadDraft(BARRIER_DRAFT_KEY)).toMatchObject({ description: 'The menu traps focus' })
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start a new session' }))
+    fireEvent.click(screen.getAllByRole('button', { name: 'Report an accessibility barrier' })[0])
+    expect(screen.getByLabelText(/^What went wrong/)).toHaveValue('The menu traps focus')
+  })
+
+  it('has no axe violations', async () => {
+    const { baseElement } = render(<SessionTimeoutDialog />)
+    act(() => {
+      stopSession = startSession({ timeout: 2 * MINUTE, warning: 2 * MINUTE, onExtend })
+    })
+
+    expect(screen.getByRole('alertdialog')).toBeInTheDocument()
+    expect(await axeViolations(baseElement)).toEqual([])
+  })
+})
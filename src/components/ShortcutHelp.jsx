@@ -0,0 +1,121 @@
+import { useId, useState } from 'react'
+import {
+  remapShortcut,
+  resetShortcuts,
+  setSingleKeyEnabled,
+} from '../shortcuts/registry'
+import { useShortcuts } from '../shortcuts/useShortcut'
+import { useTranslation } from '../i18n/useTranslation'
+
+const MODIFIER_LABELS = { ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: 'Meta' }
+
+function formatKeys(keys) {
+  return keys
+    .split('+')
+    .map((part) => MODIFIER_LABELS[part] ?? part.toUpperCase())
+    .join(' + ')
+}
+
+// Editable key for one single-key shortcut
+function RemapInput({ shortcut, action }) {
+  const { t } = useTranslation()
+  const [draft, setDraft] = useState(shortcut.keys)
+  const [error, setError] = useState(null)
+  const errorId = useId()
+
+  const handleChange = (e) => {
+    const value = e.target.value.slice(-1)
+    setDraft(value)
+    setError(value ? remapShortcut(shortcut.id, value) : 'shortcuts.error.singleCharacter')
+  }
+
+  return (
+    <>
+      <input
+        type="text"
+        className="form-input shortcut-key-input"
+        value={draft}
+        onChange={handleChange}
+        onBlur={() => {
+          if (error) {
+            setDraft(shortcut.keys)
+            setError(null)
+          }
+        }}
+        aria-label={t('shortcuts.keyFor', { action })}
+        aria-invalid={error ? 'true' : 'false'}
+        aria-describedby={error ? errorId : undefined}
+        autoComplete="off"
+        spellCheck={false}
+        disabled={!shortcut.active}
+      />
+      {error && <div id={errorId} className="error-message">{t(error)}</div>}
+    </>
+  )
+}
+
+// Keyboard Shortcut Help
+//
+// Lists every registered shortcut. Single-key shortcuts can be given a
+// different key or switched off together (WCAG 2.1.4).
+function ShortcutHelp() {
+  const { t } = useTranslation()
+  const { shortcuts, settings } = useShortcuts()
+  const [resetCount, setResetCount] = useState(0)
+
+  const handleReset = () => {
+    resetShortcuts()
+    // Remount the inputs so they show the restored keys
+    setResetCount((count) => count + 1)
+  }
+
+  return (
+    <div className="shortcut-help">
+      <p className="form-hint">{t('shortcuts.singleKeyHint')}</p>
+
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          className="checkbox-input"
+          checked={settings.singleKeyEnabled}
+          onChange={(e) => setSingleKeyEnabled(e.target.checked)}
+        />
+        <span className="checkbox-text">{t('shortcuts.singleKeyEnabled')}</span>
+      </label>
+
+      <table className="shortcut-table">
+        <caption className="sr-only">{t('shortcuts.title')}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{t('shortcuts.column.keys')}</th>
+            <th scope="col">{t('shortcuts.column.action')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {shortcuts.map((shortcut) => {
+            const action = t(shortcut.description)
+            return (
+              <tr key={`${shortcut.id}-${resetCount}`} className={shortcut.active ? '' : 'inactive'}>
+                <td>
+                  {shortcut.singleKey ? (
+                    <RemapInput shortcut={shortcut} action={action} />
+                  ) : (
+                    <kbd>{formatKeys(shortcut.keys)}</kbd>
+                  )}
+                  {!shortcut.active && <span className="preference-hint"> {t('shortcuts.off')}</span>}
+                </td>
+                <td>{action}</td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      <button type="button" className="secondary-button" onClick={handleReset}>
+        {t('shortcuts.reset')}
+      </button>
+    </div>
+  )
+}
+
+export default ShortcutHelp
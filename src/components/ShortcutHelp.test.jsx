@@ -0,0 +1,108 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import ShortcutHelp from './ShortcutHelp'
+import { registerShortcut, resetShortcuts } from '../shortcuts/registry'
+import { axeViolations } from '../test/axe'
+
+describe('ShortcutHelp', () => {
+  const goHome = vi.fn()
+  const goAbout = vi.fn()
+  let unregister
+
+  beforeEach(() => {
+    goHome.mockReset()
+    goAbout.mockReset()
+    const registered = [
+      registerShortcut({ id: 'home', keys: 'h', description: 'shortcuts.home', handler: goHome }),
+      registerShortcut({ id: 'about', keys: 'a', description: 'shortcuts.about', handler: goAbout }),
+      registerShortcut({ id: 'notifications.focus', keys: 'alt+shift+n', description: 'shortcuts.notifications', handler: vi.fn() }),
+    ]
+    unregister = () => registered.forEach((remove) => remove())
+  })
+
+  afterEach(() => {
+    act(() => {
+      unregister()
+      resetShortcuts()
+    })
+  })
+
+  const keyInput = (action) => screen.getByRole('textbox', { name: `Key for: ${action}` })
+
+  it('lists every shortcut with its keys and has no axe violations', async () => {
+    const { container } = render(<ShortcutHelp />)
+
+    const rows = within(screen.getByRole('table', { name: 'Keyboard Shortcuts' })).getAllByRole('row').slice(1)
+    expect(rows.map((row) => row.cells[1].textContent)).toEqual([
+      'Go to the Home page',
+      'Go to the About page',
+      'Move to the newest notification',
+    ])
+    expect(keyInput('Go to the Home page')).toHaveValue('h')
+    expect(within(rows[2]).getByText('Alt + Shift + N')).toBeInTheDocument()
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('gives a single-key shortcut a different key', async () => {
+    const user = userEvent.setup()
+    render(<ShortcutHelp />)
+
+    await user.type(keyInput('Go to the Home page'), 'g')
+    expect(keyInput('Go to the Home page')).toHaveValue('g')
+    await user.click(document.body)
+
+    await user.keyboard('h')
+    expect(goHome).not.toHaveBeenCalled()
+    await user.keyboard('g')
+    expect(goHome).toHaveBeenCalledTimes(1)
+  })
+
+  it('refuses a key another shortcut uses and restores the old one on blur', async () => {
+    const user = userEvent.setup()
+    render(<ShortcutHelp />)
+    const input = keyInput('Go to the Home page')
+
+    await user.type(input, 'a')
+    expect(input).toHaveAttribute('aria-invalid', 'true')
+    expect(input).toHaveAccessibleDescription('That key is already used by another shortcut')
+
+    await user.clear(input)
+    expect(input).toHaveAccessibleDescription('Use a single letter, number or symbol')
+
+    await user.tab()
+    expect(input).toHaveValue('h')
+    expect(input).toHaveAttribute('aria-invalid', 'false')
+  })
+
+  it('ignores keydown events without a key, as autofill sends', () => {
+    const autofill = new KeyboardEvent('keydown', { bubbles: true })
+    Object.defineProperty(autofill, 'key', { value: undefined })
+
+    // A throw in the listener would fail the run as an uncaught exception
+    document.body.dispatchEvent(autofill)
+    expect(goHome).not.toHaveBeenCalled()
+  })
+
+  it('turns single-key shortcuts off and restores the defaults', async () => {
+    const user = userEvent.setup()
+    render(<ShortcutHelp />)
+
+    await user.type(keyInput('Go to the About page'), 'b')
+    await user.click(screen.getByRole('checkbox', { name: 'Enable single-key shortcuts' }))
+    expect(keyInput('Go to the About page')).toBeDisabled()
+    expect(screen.getAllByText('(off)')).toHaveLength(2)
+
+    await user.keyboard('b')
+    expect(goAbout).not.toHaveBeenCalled()
+
+    await user.click(screen.getByRole('button', { name: 'Restore default shortcuts' }))
+    expect(screen.getByRole('checkbox', { name: 'Enable single-key shortcuts' })).toBeChecked()
+    expect(keyInput('Go to the About page')).toHaveValue('a')
+    expect(keyInput('Go to the About page')).toBeEnabled()
+
+    await user.click(document.body)
+    await user.keyboard('a')
+    expect(goAbout).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,40 @@
+import { EMAIL_PATTERN } from './contactFormSchema'
+
+// Accessibility barrier report fields, rendered by <SchemaForm>. Only the
+// description is required; the email is for a reply and may be left out.
+export const barrierReportSchema = {
+  fields: [
+    {
+      name: 'description',
+      label: 'barrier.description',
+      type: 'textarea',
+      rows: 5,
+      hint: 'barrier.description.hint',
+      rules: {
+        required: 'barrier.description.required',
+        maxLength: { value: 5000, message: 'barrier.description.tooLong' },
+      },
+    },
+    {
+      name: 'task',
+      label: 'barrier.task',
+      type: 'text',
+    },
+    {
+      name: 'assistiveTechnology',
+      label: 'barrier.assistiveTechnology',
+      type: 'text',
+      hint: 'barrier.assistiveTechnology.hint',
+    },
+    {
+      name: 'email',
+      label: 'barrier.email',
+      type: 'email',
+      autoComplete: 'email',
+      hint: 'barrier.email.hint',
+      rules: {
+        pattern: { value: EMAIL_PATTERN, message: 'contact.email.invalid' },
+      },
+    },
+  ],
+}
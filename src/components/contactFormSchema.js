@@ -0,0 +1,53 @@
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Contact form fields, rendered by <SchemaForm>. Text values are i18n keys.
+export const contactFormSchema = {
+  fields: [
+    {
+      name: 'name',
+      label: 'contact.name',
+      type: 'text',
+      autoComplete: 'name',
+      rules: { required: 'contact.name.required' },
+    },
+    {
+      name: 'email',
+      label: 'contact.email',
+      type: 'email',
+      autoComplete: 'email',
+      rules: {
+        required: 'contact.email.required',
+        pattern: { value: EMAIL_PATTERN, message: 'contact.email.invalid' },
+      },
+    },
+    {
+      name: 'subject',
+      label: 'contact.subject',
+      type: 'select',
+      placeholder: 'contact.subject.placeholder',
+      options: [
+        { value: 'general', label: 'contact.subject.general' },
+        { value: 'support', label: 'contact.subject.support' },
+        { value: 'feedback', label: 'contact.subject.feedback' },
+        { value: 'accessibility', label: 'contact.subject.accessibility' },
+      ],
+      rules: { required: 'contact.subject.required' },
+    },
+    {
+      name: 'message',
+      label: 'contact.message',
+      type: 'textarea',
+      rows: 5,
+      hint: 'contact.message.hint',
+      rules: {
+        required: 'contact.message.required',
+        maxLength: { value: 5000, message: 'contact.message.tooLong' },
+      },
+    },
+    {
+      name: 'newsletter',
+      label: 'contact.newsletter',
+      type: 'checkbox',
+    },
+  ],
+}
@@ -0,0 +1,190 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import { checkNow } from './axeMonitor'
+import { useAxeResults } from './useAxeResults'
+import './A11yDevPanel.css'
+
+// Development-only Accessibility Panel
+//
+// A toggle button in the corner shows the live violation count; the panel
+// lists each violated rule with a link to its help page, and every element
+// that fails it. "Highlight" scrolls the element into view and outlines it
+// without moving focus, so you can keep working through the list from the
+// keyboard. Escape closes the panel and returns focus to the toggle.
+//
+// Its text is English only on purpose: it never ships.
+
+const IMPACT_ORDER = ['critical', 'serious', 'moderate', 'minor']
+
+function findElement(target) {
+  // Targets inside iframes or shadow roots are arrays of selectors; only
+  // the top-level document is highlighted
+  const [selector] = target
+  if (typeof selector !== 'string') return null
+  try {
+    return document.querySelector(selector)
+  } catch {
+    return null
+  }
+}
+
+// Outline around the highlighted element, kept in place on scroll and resize
+function Highlight({ element }) {
+  const [rect, setRect] = useState(null)
+
+  useEffect(() => {
+    if (!element) return
+
+    const measure = () => setRect(element.isConnected ? element.getBoundingClientRect() : null)
+    measure()
+    window.addEventListener('scroll', measure, true)
+    window.addEventListener('resize', measure)
+    return () => {
+      window.removeEventListener('scroll', measure, true)
+      window.removeEventListener('resize', measure)
+    }
+  }, [element])
+
+  if (!element || !rect) return null
+
+  return (
+    <div
+      className="a11y-devtools-highlight"
+      aria-hidden="true"
+      style={{ top: rect.top, left: rect.left, width: rect.width, height: rect.height }}
+    />
+  )
+}
+
+function A11yDevPanel() {
+  const { violations, running, checkedAt, error } = useAxeResults()
+  const [isOpen, setIsOpen] = useState(false)
+  const [highlighted, setHighlighted] = useState(null)
+  const toggleRef = useRef(null)
+  const panelRef = useRef(null)
+  const panelId = useId()
+  const headingId = useId()
+
+  const count = violations.reduce((total, violation) => total + violation.nodes.length, 0)
+  const sorted = [...violations].sort(
+    (a, b) => IMPACT_ORDER.indexOf(a.impact) - IMPACT_ORDER.indexOf(b.impact)
+  )
+
+  useEffect(() => {
+    if (isOpen) {
+      panelRef.current?.focus()
+    }
+  }, [isOpen])
+
+  const close = () => {
+    setIsOpen(false)
+    setHighlighted(null)
+    toggleRef.current?.focus()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation()
+      close()
+    }
+  }
+
+  const highlight = (key, target) => {
+    const element = findElement(target)
+    if (highlighted?.key === key || !element) {
+      setHighlighted(null)
+      return
+    }
+    element.scrollIntoView({ block: 'center' })
+    setHighlighted({ key, element })
+  }
+
+  return (
+    <div className="a11y-devtools">
+      <button
+        type="button"
+        className={`a11y-devtools-toggle ${count > 0 ? 'has-issues' : ''}`}
+        aria-expanded={isOpen}
+        aria-controls={panelId}
+        onClick={() => (isOpen ? close() : setIsOpen(true))}
+        ref={toggleRef}
+      >
+        axe: {count} {count === 1 ? 'issue' : 'issues'}
+      </button>
+
+      {isOpen && (
+        <section
+          id={panelId}
+          className="a11y-devtools-panel"
+          aria-labelledby={headingId}
+          tabIndex={-1}
+          onKeyDown={handleKeyDown}
+          ref={panelRef}
+        >
+          <header className="a11y-devtools-header">
+            <h2 id={headingId}>Accessibility issues</h2>
+            <button type="button" onClick={checkNow} disabled={running}>
+              {running ? 'Checking…' : 'Check again'}
+            </button>
+            <button type="button" onClick={close} aria-label="Close accessibility issues">
+              ×
+            </button>
+          </header>
+
+          <p className="a11y-devtools-status">
+            <span role="status">
+              {error
+                ? `axe failed: ${error}`
+                : `${count} ${count === 1 ? 'element fails' : 'elements fail'} ${violations.length} ${violations.length === 1 ? 'rule' : 'rules'}`}
+            </span>
+            {checkedAt && !error && ` (checked ${checkedAt.toLocaleTimeString()})`}
+          </p>
+
+          <ul className="a11y-devtools-list">
+            {sorted.map((violation) => (
+              <li key={violation.id}>
+                <h3>
+                  <span className={`a11y-devtools-impact impact-${violation.impact}`}>{violation.impact}</span>
+                  {' '}{violation.help}
+                </h3>
+                <p>
+                  <code>{violation.id}</code>
+                  {' · '}
+                  <a href={violation.helpUrl} target="_blank" rel="noreferrer">
+                    Rule help<span className="sr-only"> for {violation.id} (opens in a new tab)</span>
+                  </a>
+                </p>
+                <ul>
+                  {violation.nodes.map((node) => {
+                    const key = `${violation.id} ${node.target.join(' ')}`
+                    return (
+                      <li key={key}>
+                        <button
+                          type="button"
+                          className="a11y-devtools-target"
+                          aria-pressed={highlighted?.key === key}
+                          onClick={() => highlight(key, node.target)}
+                        >
+                          Highlight <code>{node.target.join(' ')}</code>
+                        </button>
+                        {node.failureSummary && (
+                          <details>
+                            <summary>How to fix</summary>
+                            <pre>{node.failureSummary}</pre>
+                          </details>
+                        )}
+                      </li>
+                    )
+                  })}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      <Highlight element={highlighted?.element} />
+    </div>
+  )
+}
+
+export default A11yDevPanel
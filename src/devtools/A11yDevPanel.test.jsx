@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import A11yDevPanel from './A11yDevPanel'
+import { getAxeResults, startAxeMonitor } from './axeMonitor'
+import { axeViolations } from '../test/axe'
+
+// Inspected page with one image missing its alt text
+function renderPage() {
+  render(
+    <>
+      <main>
+        <img src="chart.png" id="chart" />
+        <button type="button">Page button</button>
+      </main>
+      <div data-a11y-devtools="">
+        <A11yDevPanel />
+      </div>
+    </>
+  )
+}
+
+describe('A11yDevPanel', () => {
+  let stop
+
+  beforeEach(() => {
+    // Page-level basics that index.html provides, so only the image fails
+    document.title = 'Test page'
+    document.documentElement.lang = 'en'
+    stop = startAxeMonitor()
+  })
+
+  afterEach(() => {
+    stop()
+  })
+
+  it('counts live violations and lists them with rule help', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    const toggle = await screen.findByRole('button', { name: 'axe: 1 issue' }, { timeout: 3000 })
+    await user.click(toggle)
+
+    expect(toggle).toHaveAttribute('aria-expanded', 'true')
+    expect(screen.getByRole('region', { name: 'Accessibility issues' })).toHaveFocus()
+    expect(screen.getByRole('heading', { name: /Images must have alternative text/ })).toBeInTheDocument()
+    expect(screen.getByRole('link', { name: /Rule help.*image-alt/ })).toHaveAttribute(
+      'href',
+      expect.stringContaining('image-alt')
+    )
+  })
+
+  it('checks again when the page changes', async () => {
+    renderPage()
+    await screen.findByRole('button', { name: 'axe: 1 issue' }, { timeout: 3000 })
+
+    document.getElementById('chart').alt = 'Sales by month'
+
+    await screen.findByRole('button', { name: 'axe: 0 issues' }, { timeout: 3000 })
+  })
+
+  it('logs each violation to the console once, when asked to', async () => {
+    stop()
+    stop = startAxeMonitor({ log: true })
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    renderPage()
+    await screen.findByRole('button', { name: 'axe: 1 issue' }, { timeout: 3000 })
+    expect(warn).toHaveBeenCalledTimes(1)
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Images must have alternative text/), '#chart', expect.stringContaining('image-alt'))
+
+    // Still failing after another change, but already reported
+    const { checkedAt } = getAxeResults()
+    document.querySelector('main button').textContent = 'Renamed button'
+    await waitFor(() => expect(getAxeResults().checkedAt).not.toBe(checkedAt), { timeout: 3000 })
+    expect(warn).toHaveBeenCalledTimes(1)
+    warn.mockRestore()
+  })
+
+  it('highlights an element without moving focus and closes on Escape', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'axe: 1 issue' }, { timeout: 3000 }))
+    const target = screen.getByRole('button', { name: /Highlight #chart/ })
+    await user.click(target)
+
+    expect(target).toHaveAttribute('aria-pressed', 'true')
+    expect(target).toHaveFocus()
+    expect(document.querySelector('.a11y-devtools-highlight')).toBeInTheDocument()
+
+    await user.keyboard('{Escape}')
+
+    expect(screen.queryByRole('region', { name: 'Accessibility issues' })).not.toBeInTheDocument()
+    expect(document.querySelector('.a11y-devtools-highlight')).not.toBeInTheDocument()
+    expect(screen.getByRole('button', { name: 'axe: 1 issue' })).toHaveFocus()
+  })
+
+  it('is accessible itself', async () => {
+    const user = userEvent.setup()
+    renderPage()
+
+    await user.click(await screen.findByRole('button', { name: 'axe: 1 issue' }, { timeout: 3000 }))
+    await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('1 element fails 1 rule'))
+
+    expect(await axeViolations(document.querySelector('[data-a11y-devtools]'))).toEqual([])
+  })
+})
@@ -0,0 +1,123 @@
+// Live axe results for the development panel.
+//
+// Re-runs axe whenever the DOM changes (dialog opened, errors shown, route
+// changed) and keeps the full current list, not only what is new since the
+// last run. It watches the DOM rather than React, so it works with any
+// component type. Violations that weren't there on the previous run can
+// also be logged to the console.
+//
+// Development only: imported from src/devtools/startA11yDevtools.js, which
+// main.jsx loads behind import.meta.env.DEV.
+
+import axe from 'axe-core'
+
+// The panel and its highlight are excluded from checks and from the
+// mutation observer, so rendering results doesn't trigger another run
+export const DEVTOOLS_SELECTOR = '[data-a11y-devtools]'
+
+const RUN_DELAY = 500
+const BUSY_RETRY_DELAY = 250
+
+const listeners = new Set()
+let state = { violations: [], running: false, checkedAt: null, error: null }
+let timer = null
+let observer = null
+let logToConsole = false
+// "rule target" keys of the last run's failing nodes, for logging only new ones
+let seen = new Set()
+
+function update(changes) {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener())
+}
+
+async function run() {
+  timer = null
+  update({ running: true })
+
+  try {
+    const results = await axe.run(
+      { exclude: [[DEVTOOLS_SELECTOR]] },
+      { resultTypes: ['violations'] }
+    )
+    if (logToConsole) logNewViolations(results.violations)
+    update({ violations: results.violations, running: false, checkedAt: new Date(), error: null })
+  } catch (error) {
+    update({ running: false })
+    // axe runs one check at a time; checkNow() may overlap a scheduled run
+    if (/already running/i.test(error.message)) {
+      schedule(BUSY_RETRY_DELAY)
+    } else {
+      update({ error: error.message })
+    }
+  }
+}
+
+function logNewViolations(violations) {
+  const current = new Set()
+  violations.forEach((violation) => {
+    violation.nodes.forEach((node) => {
+      const key = `${violation.id} ${node.target.join(' ')}`
+      current.add(key)
+      if (!seen.has(key)) {
+        console.warn(`[axe] ${violation.help} (${violation.impact})`, node.target.join(' '), violation.helpUrl)
+      }
+    })
+  })
+  seen = current
+}
+
+function schedule(delay = RUN_DELAY) {
+  clearTimeout(timer)
+  timer = setTimeout(run, delay)
+}
+
+function isOwnMutation(record) {
+  const node = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement
+  return Boolean(node?.closest(DEVTOOLS_SELECTOR))
+}
+
+export function getAxeResults() {
+  return state
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Check now, skipping the debounce
+export function checkNow() {
+  clearTimeout(timer)
+  run()
+}
+
+// Check once, then again after every DOM change. With `log`, violations
+// are also written to the console as they appear. Returns a stop function.
+export function startAxeMonitor({ log = false } = {}) {
+  if (observer) return stopAxeMonitor
+
+  logToConsole = log
+  seen = new Set()
+
+  observer = new MutationObserver((records) => {
+    if (records.some((record) => !isOwnMutation(record))) {
+      schedule()
+    }
+  })
+  observer.observe(document.documentElement, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    characterData: true,
+  })
+  schedule()
+
+  return stopAxeMonitor
+}
+
+function stopAxeMonitor() {
+  observer?.disconnect()
+  observer = null
+  clearTimeout(timer)
+}
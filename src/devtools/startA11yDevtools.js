@@ -0,0 +1,18 @@
+import { createElement } from 'react'
+import { createRoot } from 'react-dom/client'
+import A11yDevPanel from './A11yDevPanel'
+import { startAxeMonitor } from './axeMonitor'
+
+// Runtime accessibility checks for `npm run dev`: new violations are logged
+// to the console, and the panel lists everything that currently fails.
+// main.jsx imports this module only when import.meta.env.DEV is true, so
+// none of it, axe-core included, ends up in a production build.
+export function startA11yDevtools() {
+  const container = document.createElement('div')
+  container.setAttribute('data-a11y-devtools', '')
+  container.setAttribute('data-modal-exempt', '')
+  document.body.append(container)
+  createRoot(container).render(createElement(A11yDevPanel))
+
+  startAxeMonitor({ log: true })
+}
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getAxeResults, subscribe } from './axeMonitor'
+
+// Current axe violations, re-checked as the page changes
+export function useAxeResults() {
+  return useSyncExternalStore(subscribe, getAxeResults)
+}
@@ -0,0 +1,42 @@
+import { useTranslation } from '../i18n/useTranslation'
+import { messageParams } from './rules'
+
+// Form Error Summary
+//
+// Listed at the top of the form after a failed submit, with a link to each
+// invalid field. It is the form's only live region for validation errors,
+// so messages are announced once rather than per field.
+function ErrorSummary({ fields, errors, fieldId, onSelect }) {
+  const { t } = useTranslation()
+  const invalidFields = fields.filter(({ name }) => errors[name])
+
+  if (invalidFields.length === 0) return null
+
+  const count = invalidFields.length
+  const titleId = fieldId('error-summary-title')
+
+  return (
+    <div className="error-summary" role="alert" aria-labelledby={titleId}>
+      <h3 id={titleId} className="error-summary-title">
+        {t('form.errorSummary', { count })}
+      </h3>
+      <ul className="error-summary-list">
+        {invalidFields.map((field) => (
+          <li key={field.name}>
+            <a
+              href={`#${fieldId(field.name)}`}
+              onClick={(e) => {
+                e.preventDefault()
+                onSelect(field.name)
+              }}
+            >
+              {t(errors[field.name], messageParams(field))}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default ErrorSummary
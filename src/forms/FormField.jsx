@@ -0,0 +1,91 @@
+import { useTranslation } from '../i18n/useTranslation'
+import { messageParams } from './rules'
+
+// Schema Form Field
+//
+// Renders one schema field with its label, hint and error wired up:
+// the control gets aria-invalid, and aria-describedby points at the hint
+// and, when present, the error message. Labels, hints, placeholders,
+// option labels and errors are message keys.
+function FormField({ field, value, error, id, onChange, onBlur }) {
+  const { t } = useTranslation()
+  const { name, label, type = 'text', hint, rules = {}, options = [], placeholder, defaultValue: _defaultValue, ...attributes } = field
+  const hintId = hint ? `${id}-hint` : null
+  const errorId = error ? `${id}-error` : null
+  const describedBy = [hintId, errorId].filter(Boolean).join(' ') || undefined
+
+  if (type === 'checkbox') {
+    return (
+      <div className="form-group">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            id={id}
+            name={name}
+            checked={value}
+            onChange={onChange}
+            onBlur={onBlur}
+            className="checkbox-input"
+            aria-describedby={describedBy}
+            aria-invalid={error ? 'true' : undefined}
+            required={Boolean(rules.required)}
+          />
+          <span className="checkbox-text">{t(label)}</span>
+        </label>
+        {hint && <div id={hintId} className="form-hint">{t(hint)}</div>}
+        {error && <div id={errorId} className="error-message">{t(error, messageParams(field))}</div>}
+      </div>
+    )
+  }
+
+  const controlProps = {
+    id,
+    name,
+    value,
+    onChange,
+    onBlur,
+    'aria-describedby': describedBy,
+    'aria-invalid': error ? 'true' : 'false',
+    required: Boolean(rules.required),
+    ...attributes,
+  }
+
+  let control
+  if (type === 'select') {
+    control = (
+      <select {...controlProps} className={`form-select ${error ? 'error' : ''}`}>
+        {placeholder !== undefined && <option value="">{t(placeholder)}</option>}
+        {options.map((option) => (
+          <option key={option.value} value={option.value}>{t(option.label)}</option>
+        ))}
+      </select>
+    )
+  } else if (type === 'textarea') {
+    control = (
+      <textarea {...controlProps} className={`form-textarea ${error ? 'error' : ''}`} />
+    )
+  } else {
+    control = (
+      <input
+        {...controlProps}
+        type={type}
+        placeholder={placeholder && t(placeholder)}
+        className={`form-input ${error ? 'error' : ''}`}
+      />
+    )
+  }
+
+  return (
+    <div className="form-group">
+      <label htmlFor={id} className="form-label">
+        {t(label)}
+        {rules.required && <span className="required" aria-label={t('form.required')}>*</span>}
+      </label>
+      {control}
+      {hint && <div id={hintId} className="form-hint">{t(hint)}</div>}
+      {error && <div id={errorId} className="error-message">{t(error, messageParams(field))}</div>}
+    </div>
+  )
+}
+
+export default FormField
@@ -0,0 +1,92 @@
+import ErrorSummary from './ErrorSummary'
+import FormField from './FormField'
+import { useForm } from './useForm'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Schema-driven Accessible Form
+//
+// `schema.fields` is an ordered list of field definitions:
+//   { name, label, type, hint, options, placeholder, rules, ...inputAttributes }
+// where `type` is any <input> type, 'select', 'textarea' or 'checkbox', and
+// `rules` is described in ./rules.js. Extra keys (autoComplete, rows, ...)
+// are passed straight to the control.
+//
+// Text props and schema strings are i18n message keys.
+// idPrefix keeps control IDs unique when several forms share a page.
+// draftKey turns on draft autosave (see useForm).
+// onInvalid is told which fields failed validation (see useForm).
+function SchemaForm({
+  schema,
+  onSubmit,
+  onInvalid,
+  idPrefix = '',
+  draftKey = null,
+  submitLabel = 'form.submit',
+  submittingLabel = 'form.submitting',
+  submittingStatus = 'form.submittingStatus',
+  className = '',
+}) {
+  const { t } = useTranslation()
+  const { fields } = schema
+  const form = useForm({ fields, onSubmit, onInvalid, idPrefix, draftKey })
+  const { values, errors, formError, isSubmitting, draftStatus, fieldId } = form
+  const statusId = fieldId('submit-status')
+
+  return (
+    <form onSubmit={form.handleSubmit} className={`schema-form ${className}`} noValidate>
+      {draftKey && (
+        <div role="status">
+          {draftStatus === 'restored' && (
+            <div className="draft-notice">
+              <span>{t('form.draftRestored')}</span>
+              <button type="button" className="link-button" onClick={form.discardDraft}>
+                {t('form.discardDraft')}
+              </button>
+            </div>
+          )}
+          {draftStatus === 'discarded' && <span className="sr-only">{t('form.draftDiscarded')}</span>}
+        </div>
+      )}
+
+      <ErrorSummary
+        fields={fields}
+        errors={errors}
+        fieldId={fieldId}
+        onSelect={form.focusField}
+      />
+
+      {fields.map((field) => (
+        <FormField
+          key={field.name}
+          field={field}
+          id={fieldId(field.name)}
+          value={values[field.name]}
+          error={errors[field.name]}
+          onChange={form.handleChange}
+          onBlur={form.handleBlur}
+        />
+      ))}
+
+      {formError && (
+        <div className="error-message" role="alert">
+          {t(formError)}
+        </div>
+      )}
+
+      <button 
+        type="submit" 
+        className="submit-button"
+        disabled={isSubmitting}
+        aria-describedby={statusId}
+      >
+        {t(isSubmitting ? submittingLabel : submitLabel)}
+      </button>
+      
+      <div id={statusId} className="sr-only" aria-live="polite">
+        {isSubmitting ? t(submittingStatus) : ''}
+      </div>
+    </form>
+  )
+}
+
+export default SchemaForm
@@ -0,0 +1,29 @@
+// Unsent form values saved to localStorage, so closing the tab or dialog
+// doesn't throw away what someone has typed.
+
+const PREFIX = 'form-draft:'
+
+export function loadDraft(key) {
+  try {
+    const draft = JSON.parse(window.localStorage.getItem(PREFIX + key))
+    return draft && typeof draft === 'object' ? draft : null
+  } catch {
+    return null
+  }
+}
+
+export function saveDraft(key, values) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(values))
+  } catch {
+    // Storage full or disabled; the draft only lives in memory
+  }
+}
+
+export function clearDraft(key) {
+  try {
+    window.localStorage.removeItem(PREFIX + key)
+  } catch {
+    // Nothing to clear
+  }
+}
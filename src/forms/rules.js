@@ -0,0 +1,60 @@
+// Field validation rules for schema-driven forms.
+//
+// A field's `rules` object may contain:
+//   required:  message
+//   minLength: { value, message }
+//   maxLength: { value, message }
+//   pattern:   { value: RegExp, message }
+//   validate:  (value, values) => message | undefined, may be async
+// Rules run in that order and stop at the first failure. Only `required`
+// runs on an empty value.
+//
+// Messages are i18n keys (or literal text, which passes through
+// translation unchanged). They are translated when rendered, with the
+// field's limits available as {min} and {max}.
+
+export function isEmpty(value) {
+  if (typeof value === 'boolean') return !value
+  return value === undefined || value === null || String(value).trim() === ''
+}
+
+export async function validateField(field, value, values) {
+  const { rules = {} } = field
+
+  if (isEmpty(value)) {
+    return rules.required || undefined
+  }
+
+  const text = String(value)
+
+  if (rules.minLength && text.trim().length < rules.minLength.value) {
+    return rules.minLength.message
+  }
+
+  if (rules.maxLength && text.length > rules.maxLength.value) {
+    return rules.maxLength.message
+  }
+
+  if (rules.pattern && !rules.pattern.value.test(text)) {
+    return rules.pattern.message
+  }
+
+  if (rules.validate) {
+    return (await rules.validate(value, values)) || undefined
+  }
+
+  return undefined
+}
+
+export function messageParams(field) {
+  return {
+    min: field.rules?.minLength?.value,
+    max: field.rules?.maxLength?.value,
+  }
+}
+
+export function initialValues(fields) {
+  return Object.fromEntries(
+    fields.map((field) => [field.name, field.defaultValue ?? (field.type === 'checkbox' ? false : '')])
+  )
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it, vi } from 'vitest'
+import { initialValues, isEmpty, messageParams, validateField } from './rules'
+import { contactFormSchema } from '../components/contactFormSchema'
+
+const contactField = (name) => contactFormSchema.fields.find((field) => field.name === name)
+
+describe('isEmpty', () => {
+  it('treats blank text, null and unchecked checkboxes as empty', () => {
+    expect(isEmpty('')).toBe(true)
+    expect(isEmpty('   ')).toBe(true)
+    expect(isEmpty(null)).toBe(true)
+    expect(isEmpty(undefined)).toBe(true)
+    expect(isEmpty(false)).toBe(true)
+    expect(isEmpty('a')).toBe(false)
+    expect(isEmpty(0)).toBe(false)
+    expect(isEmpty(true)).toBe(false)
+  })
+})
+
+describe('validateField', () => {
+  it('returns the required message for an empty required field', async () => {
+    expect(await validateField(contactField('name'), '   ', {})).toBe('contact.name.required')
+  })
+
+  it('accepts an empty optional field without running other rules', async () => {
+    const validate = vi.fn(() => 'never')
+    const field = { name: 'nickname', rules: { minLength: { value: 3, message: 'short' }, validate } }
+
+    expect(await validateField(field, '', {})).toBeUndefined()
+    expect(validate).not.toHaveBeenCalled()
+  })
+
+  it('checks the email pattern', async () => {
+    const email = contactField('email')
+
+    expect(await validateField(email, 'not-an-email', {})).toBe('contact.email.invalid')
+    expect(await validateField(email, 'a@b', {})).toBe('contact.email.invalid')
+    expect(await validateField(email, 'ada@example.com', {})).toBeUndefined()
+  })
+
+  it('limits the message length', async () => {
+    const message = contactField('message')
+
+    expect(await validateField(message, 'x'.repeat(5000), {})).toBeUndefined()
+    expect(await validateField(message, 'x'.repeat(5001), {})).toBe('contact.message.tooLong')
+    expect(messageParams(message)).toEqual({ min: undefined, max: 5000 })
+  })
+
+  it('ignores surrounding spaces for the minimum length', async () => {
+    const field = { name: 'code', rules: { minLength: { value: 3, message: 'code.short' } } }
+
+    expect(await validateField(field, '  ab  ', {})).toBe('code.short')
+    expect(await validateField(field, 'abc', {})).toBeUndefined()
+  })
+
+  it('runs rules in order and stops at the first failure', async () => {
+    const validate = vi.fn(() => 'custom')
+    const field = {
+      name: 'code',
+      rules: {
+        maxLength: { value: 4, message: 'code.long' },
+        pattern: { value: /^\d+$/, message: 'code.digits' },
+        validate,
+      },
+    }
+
+    expect(await validateField(field, 'abcdef', {})).toBe('code.long')
+    expect(await validateField(field, 'ab', {})).toBe('code.digits')
+    expect(validate).not.toHaveBeenCalled()
+  })
+
+  it('awaits custom validators with all form values', async () => {
+    const field = {
+      name: 'confirm',
+      rules: { validate: async (value, values) => (value !== values.password ? 'confirm.mismatch' : undefined) },
+    }
+
+    expect(await validateField(field, 'b', { password: 'a' })).toBe('confirm.mismatch')
+    expect(await validateField(field, 'a', { password: 'a' })).toBeUndefined()
+  })
+})
+
+describe('initialValues', () => {
+  it('starts text fields empty and checkboxes unchecked', () => {
+    expect(initialValues(contactFormSchema.fields)).toEqual({
+      name: '',
+      email: '',
+      subject: '',
+      message: '',
+      newsletter: false,
+    })
+  })
+})
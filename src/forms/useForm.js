@@ -0,0 +1,202 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { initialValues, validateField } from './rules'
+import { clearDraft, loadDraft, saveDraft } from './drafts'
+
+export const DEFAULT_SUBMIT_ERROR = 'form.submitError'
+
+const DRAFT_SAVE_DELAY = 500
+
+function restoreValues(fields, draftKey) {
+  const defaults = initialValues(fields)
+  const draft = draftKey ? loadDraft(draftKey) : null
+  if (!draft) return { values: defaults, restored: false }
+
+  // Only take known fields, with the same kind of value as the default
+  const values = Object.fromEntries(
+    Object.entries(defaults).map(([name, value]) => [
+      name,
+      typeof draft[name] === typeof value ? draft[name] : value,
+    ])
+  )
+  return { values, restored: JSON.stringify(values) !== JSON.stringify(defaults) }
+}
+
+// Form state for a schema: values, per-field errors and submission status.
+//
+// Fields are validated on submit; after the first submit attempt they are
+// also re-validated on blur. Editing a field clears its error.
+//
+// onSubmit(values) may be async. If it throws, the values are kept and:
+//   - an AbortError (cancelled submission) is ignored
+//   - an error with `fieldErrors` ({ [name]: message }) marks those fields
+//     invalid, as if client-side validation had caught them
+//   - anything else shows DEFAULT_SUBMIT_ERROR as a form-level error
+//
+// onInvalid(fieldNames, source) is told which fields failed, with source
+// 'client' for validation on submit or 'server' for the server's fieldErrors.
+//
+// With a `draftKey`, values are autosaved to localStorage while typing and
+// restored next time the form mounts; `draftStatus` becomes 'restored' (or
+// 'discarded' after discardDraft()) so the form can tell the user.
+export function useForm({ fields, onSubmit, onInvalid, idPrefix = '', draftKey = null }) {
+  const [restored] = useState(() => restoreValues(fields, draftKey))
+  const [values, setValues] = useState(restored.values)
+  const [errors, setErrors] = useState({})
+  const [formError, setFormError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [submitAttempted, setSubmitAttempted] = useState(false)
+  const [draftStatus, setDraftStatus] = useState('')
+  const validationRuns = useRef({})
+  // Autosave waiting for DRAFT_SAVE_DELAY
+  const pendingDraft = useRef(null)
+
+  // Announce a restored draft after mount so the live region picks it up
+  useEffect(() => {
+    if (restored.restored) {
+      setDraftStatus('restored')
+    }
+  }, [restored])
+
+  useEffect(() => {
+    if (!draftKey) return
+
+    const save = () => {
+      pendingDraft.current = null
+      if (JSON.stringify(values) === JSON.stringify(initialValues(fields))) {
+        clearDraft(draftKey)
+      } else {
+        saveDraft(draftKey, values)
+      }
+    }
+    pendingDraft.current = save
+
+    const timer = setTimeout(save, DRAFT_SAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [draftKey, fields, values])
+
+  // A form closed mid-edit (or by the session ending) saves straight away
+  // rather than losing the last keystrokes
+  useEffect(() => () => pendingDraft.current?.(), [])
+
+  const fieldId = useCallback((name) => `${idPrefix}${name}`, [idPrefix])
+
+  const runFieldValidation = async (field, currentValues) => {
+    const run = (validationRuns.current[field.name] ?? 0) + 1
+    validationRuns.current[field.name] = run
+
+    const error = await validateField(field, currentValues[field.name], currentValues)
+
+    // A newer edit or blur superseded this (possibly async) check
+    if (validationRuns.current[field.name] !== run) return undefined
+
+    setErrors((prev) => ({ ...prev, [field.name]: error }))
+    return error
+  }
+
+  const validateForm = async (currentValues = values) => {
+    const results = await Promise.all(
+      fields.map(async (field) => [field.name, await validateField(field, currentValues[field.name], currentValues)])
+    )
+    return Object.fromEntries(results.filter(([, error]) => error))
+  }
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setValues((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }))
+
+    // Clear error when user starts typing
+    if (errors[name]) {
+      validationRuns.current[name] = (validationRuns.current[name] ?? 0) + 1
+      setErrors((prev) => ({ ...prev, [name]: undefined }))
+    }
+  }
+
+  const handleBlur = (e) => {
+    if (!submitAttempted) return
+
+    const field = fields.find(({ name }) => name === e.target.name)
+    if (field) {
+      runFieldValidation(field, values)
+    }
+  }
+
+  const focusField = (name) => {
+    document.getElementById(fieldId(name))?.focus()
+  }
+
+  const discardDraft = () => {
+    pendingDraft.current = null
+    clearDraft(draftKey)
+    setValues(initialValues(fields))
+    setErrors({})
+    setSubmitAttempted(false)
+    setDraftStatus('discarded')
+    focusField(fields[0].name)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitAttempted(true)
+    setFormError('')
+
+    const newErrors = await validateForm()
+    setErrors(newErrors)
+
+    if (Object.keys(newErrors).length > 0) {
+      onInvalid?.(Object.keys(newErrors), 'client')
+      // Focus first error field, in schema order
+      const firstErrorField = fields.find(({ name }) => newErrors[name])
+      focusField(firstErrorField.name)
+      return
+    }
+
+    setIsSubmitting(true)
+
+    try {
+      await onSubmit(values)
+      // The form may unmount before the reset below renders
+      pendingDraft.current = null
+      if (draftKey) clearDraft(draftKey)
+      setValues(initialValues(fields))
+      setSubmitAttempted(false)
+      setDraftStatus('')
+    } catch (error) {
+      if (error?.name === 'AbortError') return
+
+      const serverErrors = Object.fromEntries(
+        fields
+          .filter(({ name }) => error?.fieldErrors?.[name])
+          .map(({ name }) => [name, error.fieldErrors[name]])
+      )
+
+      if (Object.keys(serverErrors).length > 0) {
+        onInvalid?.(Object.keys(serverErrors), 'server')
+        setErrors(serverErrors)
+        focusField(Object.keys(serverErrors)[0])
+      } else {
+        setFormError(DEFAULT_SUBMIT_ERROR)
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return {
+    values,
+    errors,
+    formError,
+    isSubmitting,
+    submitAttempted,
+    draftStatus,
+    fieldId,
+    focusField,
+    discardDraft,
+    validateForm,
+    handleChange,
+    handleBlur,
+    handleSubmit,
+  }
+}
@@ -0,0 +1,338 @@
+// Arabic catalog (right-to-left). Plural messages use all six Arabic
+// Intl.PluralRules categories.
+export default {
+  'site.name': 'تطبيق ويب سهل الوصول',
+  'site.skipLink': 'تخطَّ إلى المحتوى الرئيسي',
+  'site.copyright': '© 2024 تطبيق ويب سهل الوصول. صُمِّم مع مراعاة إمكانية الوصول.',
+
+  'nav.main': 'التنقل الرئيسي',
+  'nav.footer': 'تنقل التذييل',
+  'nav.home': 'الرئيسية',
+  'nav.about': 'حول',
+  'nav.contact': 'اتصل بنا',
+
+  'route.home': 'الرئيسية',
+  'route.about': 'حول',
+  'route.privacy': 'سياسة الخصوصية',
+  'route.terms': 'شروط الخدمة',
+  'route.accessibility': 'بيان إمكانية الوصول',
+  'route.notFound': 'الصفحة غير موجودة',
+  'route.loaded': 'تم تحميل صفحة {title}',
+
+  'toolbar.label': 'عناصر التحكم في إمكانية الوصول',
+  'toolbar.switchToDark': 'التبديل إلى الوضع الداكن',
+  'toolbar.switchToLight': 'التبديل إلى الوضع الفاتح',
+  'toolbar.fontSize': 'عناصر التحكم في حجم الخط',
+  'toolbar.fontSize.small': 'حجم خط صغير',
+  'toolbar.fontSize.medium': 'حجم خط متوسط',
+  'toolbar.fontSize.large': 'حجم خط كبير',
+  'toolbar.preferences': 'تفضيلات إمكانية الوصول',
+  'toolbar.language': 'اللغة',
+  'toolbar.languageApply': 'تطبيق',
+
+  'reader.title': 'القراءة بصوت عالٍ',
+  'reader.readPage': 'قراءة الصفحة',
+  'reader.readSelection': 'قراءة النص المحدد',
+  'reader.pause': 'إيقاف مؤقت',
+  'reader.resume': 'استئناف',
+  'reader.previous': 'الجملة السابقة',
+  'reader.next': 'الجملة التالية',
+  'reader.stop': 'إيقاف',
+  'reader.rate': 'السرعة',
+  'reader.rateValue': '{rate}×',
+  'reader.voice': 'الصوت',
+  'reader.voiceDefault': 'الصوت الافتراضي للمتصفح',
+  'reader.progress': 'الجملة {current} من {total}',
+  'reader.finished': 'انتهت القراءة.',
+  'reader.empty': 'لا يوجد نص للقراءة في هذه الصفحة.',
+  'reader.noSelection': 'حدد نصًا في الصفحة أولًا.',
+  'reader.error': 'توقفت القراءة لأن محرك الكلام أبلغ عن خطأ.',
+  'reader.unsupported': 'لا يستطيع هذا المتصفح قراءة النص بصوت عالٍ. يمكن لقارئ الشاشة أو ميزة القراءة بصوت عالٍ في المتصفح قراءة الصفحة بدلًا من ذلك.',
+  'reader.close': 'إغلاق القراءة بصوت عالٍ',
+
+  'readingAids.title': 'أدوات مساعدة القراءة',
+  'readingAids.hint': 'يتبع دليل القراءة والمكبّر المؤشر وتركيز لوحة المفاتيح. يحرّك Alt + السهم لأعلى وAlt + السهم لأسفل الدليل سطرًا واحدًا.',
+  'readingAids.close': 'إغلاق أدوات مساعدة القراءة',
+
+  'home.title': 'مرحبًا بك في تطبيق الويب سهل الوصول',
+  'home.intro': 'يوضح هذا التطبيق التوافق مع معايير WCAG 2.1 بالمستوى AA من خلال ميزات منها:',
+  'home.feature.semantic': 'بنية HTML دلالية',
+  'home.feature.keyboard': 'دعم التنقل بلوحة المفاتيح',
+  'home.feature.screenReader': 'تحسين لقارئات الشاشة',
+  'home.feature.contrast': 'أنظمة ألوان عالية التباين',
+  'home.feature.focus': 'إدارة التركيز',
+  'home.feature.aria': 'معالم وتسميات ARIA',
+  'home.feature.responsive': 'تصميم متجاوب',
+  'home.feature.skipLinks': 'روابط تخطي التنقل',
+  'home.getStarted': 'ابدأ الآن',
+  'home.learnMore': 'اعرف المزيد',
+
+  'about.title': 'حول إمكانية الوصول',
+  'about.wcag.title': 'إرشادات WCAG',
+  'about.wcag.body': 'توفر إرشادات إمكانية الوصول إلى محتوى الويب (WCAG) إطارًا لجعل محتوى الويب في متناول الأشخاص ذوي الإعاقة.',
+  'about.wcag.link': 'عرض إرشادات WCAG',
+  'about.keyboard.title': 'التنقل بلوحة المفاتيح',
+  'about.keyboard.tab': 'Tab - الانتقال إلى العنصر التفاعلي التالي',
+  'about.keyboard.shiftTab': 'Shift + Tab - الانتقال إلى العنصر السابق',
+  'about.keyboard.activate': 'Enter/مسافة - تفعيل الأزرار والروابط',
+  'about.keyboard.arrows': 'مفاتيح الأسهم - التنقل داخل المكونات',
+  'about.keyboard.homeEnd': 'Home/End - الانتقال إلى أول عنصر أو آخر عنصر في شريط الأدوات أو القائمة',
+  'about.keyboard.escape': 'Escape - إغلاق النوافذ والقوائم',
+  'about.keyboard.shortcuts': '? - عرض اختصارات لوحة المفاتيح',
+  'about.screenReader.title': 'دعم قارئات الشاشة',
+  'about.screenReader.body': 'هذا التطبيق مُحسَّن لقارئات الشاشة من خلال ترميز دلالي سليم وتسميات ARIA ومناطق حية للمحتوى المتغير.',
+
+  'media.controls': 'عناصر التحكم في {title}',
+  'media.play': 'تشغيل',
+  'media.pause': 'إيقاف مؤقت',
+  'media.seek': 'موضع التشغيل',
+  'media.time': '{current} من {duration}',
+  'media.mute': 'كتم الصوت',
+  'media.volume': 'مستوى الصوت',
+  'media.volumeValue': '{percent}٪',
+  'media.speed': 'السرعة',
+  'media.speedValue': '{speed}×',
+  'media.captions': 'الترجمة',
+  'media.captionsOff': 'إيقاف',
+  'media.descriptions': 'الوصف الصوتي',
+  'media.transcript': 'النص المكتوب',
+  'media.transcript.description': 'وصف',
+  'media.transcript.unavailable': 'تعذّر تحميل النص المكتوب.',
+  'media.fullscreen': 'ملء الشاشة',
+  'media.error': 'تعذّر تحميل هذه الوسائط.',
+  'media.error.transcript': 'تعذّر تحميل هذه الوسائط. لا يزال النص المكتوب متاحًا.',
+  'media.captionStyle': 'نمط الترجمة',
+  'media.captionPreview': 'ستظهر الترجمة هكذا',
+  'media.captionReset': 'استعادة نمط الترجمة الافتراضي',
+  'media.captionAdjusted': 'تم تغيير {setting} إلى {value} لتبقى التسميات التوضيحية مقروءة.',
+  'media.caption.size': 'حجم النص',
+  'media.caption.size.small': 'صغير',
+  'media.caption.size.medium': 'متوسط',
+  'media.caption.size.large': 'كبير',
+  'media.caption.color': 'لون النص',
+  'media.caption.color.white': 'أبيض',
+  'media.caption.color.yellow': 'أصفر',
+  'media.caption.color.cyan': 'سماوي',
+  'media.caption.color.black': 'أسود',
+  'media.caption.background': 'الخلفية',
+  'media.caption.background.black': 'أسود',
+  'media.caption.background.translucent': 'أسود شبه شفاف',
+  'media.caption.background.white': 'أبيض',
+
+  'privacy.collect': 'نجمع فقط المعلومات التي تختار إرسالها إلينا عبر نموذج الاتصال: اسمك وبريدك الإلكتروني والموضوع والرسالة.',
+  'privacy.use': 'تُستخدم هذه المعلومات فقط للرد على استفسارك، ولإرسال النشرة الإخبارية إذا وافقت على ذلك. لا نبيعها ولا نشاركها مع أي طرف ثالث.',
+  'privacy.barrierReport': 'تتضمن بلاغات عوائق إمكانية الوصول أيضًا الصفحة التي كنت فيها وتفضيلات العرض واللغة والمتصفح وحجم النافذة، كما هو موضح في النموذج قبل الإرسال.',
+  'privacy.analytics': 'إذا فعّلت «مشاركة إحصاءات استخدام مجهولة الهوية» في تفضيلات إمكانية الوصول، فإننا نسجّل أيضًا الميزات التي تستخدمها: تغييرات التفضيلات، والنوافذ الحوارية التي فُتحت وأُغلقت، وحقول النموذج التي كانت بها أخطاء، وما إذا نجح الإرسال. لا تتضمن هذه السجلات أبدًا أي شيء تكتبه، ويمكنك إيقافها في أي وقت.',
+
+  'terms.asIs': 'هذا التطبيق مشروع تجريبي. يُقدَّم المحتوى كما هو لأغراض تعليمية ودون أي ضمان.',
+  'terms.conduct': 'باستخدامك نموذج الاتصال، فإنك توافق على عدم إرسال محتوى غير قانوني أو مسيء أو آلي.',
+
+  'statement.intro': 'نريد أن يتمكن الجميع من استخدام هذا الموقع، بمن فيهم من يستخدمون التقنيات المساعدة أو يغيّرون طريقة عرض الصفحات.',
+  'statement.conformance.title': 'حالة التوافق',
+  'statement.conformance.partial': 'هذا الموقع متوافق جزئيًا مع WCAG {version} بالمستوى {level}: بعض أجزائه لا تستوفي المعيار بالكامل بعد. المشكلات المعروفة مذكورة أدناه.',
+  'statement.conformance.target': 'نسعى إلى التوافق مع إرشادات إمكانية الوصول إلى محتوى الويب (WCAG) {version} بالمستوى {level}.',
+  'statement.limitations.title': 'القيود المعروفة',
+  'statement.limitations.intro': 'وجد أحدث تدقيق آلي، بتاريخ {date}، المشكلات التالية. نعمل على إصلاحها.',
+  'statement.limitations.none': 'لم يجد أحدث تدقيق آلي، بتاريخ {date}، أي مشكلات. لا تكشف الاختبارات الآلية كل العوائق، لذا أخبرنا بأي عائق تواجهه.',
+  'statement.limitations.notAudited': 'لم تُنشر نتائج التدقيق الآلي بعد.',
+  'statement.limitations.criteria': 'WCAG {criteria}',
+  'statement.limitations.where': 'يظهر في',
+  'statement.assessment.title': 'كيف نختبر الموقع',
+  'statement.assessment.body': 'تُفحص كل صفحة وكل حالة تفاعل بتدقيقات axe الآلية على الحاسوب والهاتف وبتكبير 400٪، وباختبارات تعتمد على لوحة المفاتيح فقط. ويُفحص تباين الألوان في كل سمة.',
+  'statement.feedback.title': 'الملاحظات والتواصل',
+  'statement.feedback.body': 'إذا واجهت عائقًا في هذا الموقع، فأخبرنا. تتضمن البلاغات المرسلة عبر النموذج تفاصيل تقنية تساعدنا على إعادة إنتاج المشكلة. نسعى إلى الرد خلال 5 أيام عمل.',
+  'statement.feedback.email': 'البريد الإلكتروني',
+
+  'notFound.body': 'عذرًا، لم نتمكن من العثور على الصفحة التي تبحث عنها. ربما نُقلت أو أن العنوان مكتوب بشكل خاطئ.',
+  'notFound.home': 'الانتقال إلى الصفحة الرئيسية',
+
+  'common.opensInNewTab': '(يُفتح في علامة تبويب جديدة)',
+  'common.confirm': 'تأكيد',
+  'common.cancel': 'إلغاء',
+
+  'modal.close': 'إغلاق النافذة',
+  'modal.contactTitle': 'اتصل بنا',
+  'modal.preferencesTitle': 'تفضيلات إمكانية الوصول',
+
+  'preferences.theme': 'سمة الألوان',
+  'preferences.theme.light': 'فاتحة',
+  'preferences.theme.dark': 'داكنة',
+  'preferences.fontSize': 'حجم النص',
+  'preferences.fontSize.small': 'صغير',
+  'preferences.fontSize.medium': 'متوسط',
+  'preferences.fontSize.large': 'كبير',
+  'preferences.display': 'العرض والقراءة',
+  'preferences.contrast': 'ألوان عالية التباين',
+  'preferences.motion': 'تقليل الحركة والرسوم المتحركة',
+  'preferences.textSpacing': 'زيادة التباعد بين الأسطر والحروف والكلمات',
+  'preferences.font': 'استخدام خط أسهل للقراءة',
+  'preferences.linkUnderline': 'وضع خط تحت الروابط دائمًا',
+  'preferences.focusRing': 'مؤشرات تركيز أكبر',
+  'preferences.readingGuide': 'دليل القراءة',
+  'preferences.readingGuide.off': 'إيقاف',
+  'preferences.readingGuide.ruler': 'مسطرة القراءة',
+  'preferences.readingGuide.mask': 'قناع القراءة',
+  'preferences.magnifier': 'مكبّر النص',
+  'preferences.focusSpotlight': 'إبراز عنصر التركيز',
+  'preferences.followingSystem': 'يتبع إعدادات النظام',
+  'preferences.systemSetting': '(إعداد النظام)',
+  'preferences.privacy': 'الخصوصية',
+  'preferences.analytics': 'مشاركة إحصاءات استخدام مجهولة الهوية',
+  'preferences.analyticsHint': 'تخبرنا بالميزات المستخدمة، مثل الوضع الداكن أو نموذج الاتصال، لنتمكن من تحسينها. لا تتضمن أبدًا أي شيء تكتبه. معطّلة ما لم تفعّلها.',
+  'preferences.reset': 'استعادة الإعدادات الافتراضية',
+  'preferences.resetTitle': 'هل تريد إعادة تعيين التفضيلات؟',
+  'preferences.resetMessage': 'ستعود جميع تفضيلات العرض والقراءة إلى قيمها الافتراضية أو إلى إعدادات نظامك.',
+  'preferences.resetConfirm': 'إعادة تعيين',
+  'preferences.resetDone': 'تمت إعادة جميع التفضيلات إلى قيمها الافتراضية',
+
+  'notifications.region': 'الإشعارات',
+  'notifications.dismiss': 'إغلاق الإشعار',
+  'notifications.type.error': 'خطأ',
+  'notifications.type.warning': 'تحذير',
+  'notifications.type.success': 'تم بنجاح',
+  'notifications.type.info': 'معلومة',
+
+  'form.required': 'مطلوب',
+  'form.submit': 'إرسال',
+  'form.submitting': 'جارٍ الإرسال...',
+  'form.submittingStatus': 'جارٍ إرسال النموذج',
+  'form.submitError': 'تعذر إرسال النموذج. يُرجى المحاولة مرة أخرى.',
+  'form.errorSummary': {
+    zero: 'لا توجد مشكلات في هذا النموذج',
+    one: 'توجد مشكلة واحدة في هذا النموذج',
+    two: 'توجد مشكلتان في هذا النموذج',
+    few: 'توجد {count} مشكلات في هذا النموذج',
+    many: 'توجد {count} مشكلة في هذا النموذج',
+    other: 'توجد {count} مشكلة في هذا النموذج',
+  },
+  'form.draftRestored': 'استعدنا الرسالة التي كنت تكتبها سابقًا.',
+  'form.discardDraft': 'تجاهل المسودة',
+  'form.draftDiscarded': 'تم تجاهل المسودة',
+
+  'contact.name': 'الاسم',
+  'contact.name.required': 'الاسم مطلوب',
+  'contact.email': 'البريد الإلكتروني',
+  'contact.email.required': 'البريد الإلكتروني مطلوب',
+  'contact.email.invalid': 'يُرجى إدخال عنوان بريد إلكتروني صالح',
+  'contact.subject': 'الموضوع',
+  'contact.subject.placeholder': 'يُرجى اختيار موضوع',
+  'contact.subject.required': 'الموضوع مطلوب',
+  'contact.subject.general': 'استفسار عام',
+  'contact.subject.support': 'الدعم الفني',
+  'contact.subject.feedback': 'ملاحظات',
+  'contact.subject.accessibility': 'سؤال عن إمكانية الوصول',
+  'contact.message': 'الرسالة',
+  'contact.message.hint': 'يُرجى تقديم تفاصيل عن استفسارك',
+  'contact.message.required': 'الرسالة مطلوبة',
+  'contact.message.tooLong': 'يجب ألا تتجاوز الرسالة {max} حرف',
+  'contact.newsletter': 'الاشتراك في نشرتنا الإخبارية لتلقي التحديثات',
+  'contact.send': 'إرسال الرسالة',
+  'contact.sent.title': 'تم بنجاح!',
+  'contact.sent.message': 'تم إرسال رسالتك بنجاح.',
+  'contact.queued.title': 'تم حفظ الرسالة.',
+  'contact.queued.offline': 'أنت غير متصل بالإنترنت، لذا سنرسلها تلقائيًا عند عودة الاتصال.',
+  'contact.queued.unreachable': 'تعذّر الوصول إلى خادمنا، لذا سنواصل محاولة إرسالها في الخلفية.',
+  'barrier.open': 'الإبلاغ عن عائق في إمكانية الوصول',
+  'barrier.title': 'الإبلاغ عن عائق في إمكانية الوصول',
+  'barrier.intro': 'أخبرنا بما أعاقك. نقرأ كل بلاغ ونستخدمه لإصلاح المشكلة.',
+  'barrier.context.summary': 'التفاصيل التقنية المرسلة مع بلاغك',
+  'barrier.context.page': 'الصفحة',
+  'barrier.context.noDisplayPreferences': 'لا شيء',
+  'barrier.context.browser': 'المتصفح',
+  'barrier.context.screen': 'الشاشة',
+  'barrier.context.screenSize': 'نافذة بحجم {size}، نسبة البكسل {ratio}',
+  'barrier.description': 'ما الذي حدث؟',
+  'barrier.description.hint': 'صف العائق وما كنت تتوقع حدوثه.',
+  'barrier.description.required': 'يرجى وصف العائق',
+  'barrier.description.tooLong': 'يجب ألا يزيد الوصف على {max} حرف',
+  'barrier.task': 'ما الذي كنت تحاول فعله؟',
+  'barrier.assistiveTechnology': 'التقنية المساعدة المستخدمة',
+  'barrier.assistiveTechnology.hint': 'مثل قارئ الشاشة أو المكبّر أو التحكم الصوتي، مع إصداره إن كنت تعرفه.',
+  'barrier.email': 'البريد الإلكتروني',
+  'barrier.email.hint': 'اختياري. يُستخدم فقط للرد عليك بشأن هذا البلاغ.',
+  'barrier.send': 'إرسال البلاغ',
+  'barrier.sent.title': 'شكرًا لك.',
+  'barrier.sent.message': 'تلقينا بلاغك وسنتابعه.',
+
+  'outbox.sending': {
+    zero: 'لا توجد رسائل للإرسال',
+    one: 'جارٍ إرسال رسالة واحدة من صندوق الصادر…',
+    two: 'جارٍ إرسال رسالتين من صندوق الصادر…',
+    few: 'جارٍ إرسال {count} رسائل من صندوق الصادر…',
+    many: 'جارٍ إرسال {count} رسالة من صندوق الصادر…',
+    other: 'جارٍ إرسال {count} رسالة من صندوق الصادر…',
+  },
+  'outbox.offline': {
+    zero: 'أنت غير متصل بالإنترنت.',
+    one: 'أنت غير متصل بالإنترنت. سيتم إرسال رسالة واحدة عند عودة الاتصال.',
+    two: 'أنت غير متصل بالإنترنت. سيتم إرسال رسالتين عند عودة الاتصال.',
+    few: 'أنت غير متصل بالإنترنت. سيتم إرسال {count} رسائل عند عودة الاتصال.',
+    many: 'أنت غير متصل بالإنترنت. سيتم إرسال {count} رسالة عند عودة الاتصال.',
+    other: 'أنت غير متصل بالإنترنت. سيتم إرسال {count} رسالة عند عودة الاتصال.',
+  },
+  'outbox.waiting': {
+    zero: 'لا توجد رسائل في انتظار الإرسال.',
+    one: 'رسالة واحدة في انتظار الإرسال.',
+    two: 'رسالتان في انتظار الإرسال.',
+    few: '{count} رسائل في انتظار الإرسال.',
+    many: '{count} رسالة في انتظار الإرسال.',
+    other: '{count} رسالة في انتظار الإرسال.',
+  },
+  'outbox.sent.title': 'أُرسل صندوق الصادر.',
+  'outbox.sent.message': {
+    zero: 'لم تُرسل أي رسائل.',
+    one: 'تم إرسال رسالتك المنتظرة.',
+    two: 'تم إرسال رسالتيك المنتظرتين.',
+    few: 'تم إرسال {count} رسائل منتظرة.',
+    many: 'تم إرسال {count} رسالة منتظرة.',
+    other: 'تم إرسال {count} رسالة منتظرة.',
+  },
+  'outbox.rejected.title': 'لم تُرسل إحدى الرسائل المنتظرة.',
+  'outbox.rejected.message': 'افتح «اتصل بنا» لمراجعتها وتصحيحها.',
+  'outbox.rejected.held': 'ستظهر في نموذج «اتصل بنا» بعد أن ترسل الرسالة التي تكتبها الآن.',
+
+  'session.warning.title': 'جلستك على وشك الانتهاء',
+  'session.warning.message': 'لم يكن هناك أي نشاط منذ فترة، لذا ستنتهي جلستك قريبًا. هل تحتاج إلى مزيد من الوقت؟',
+  'session.countdown': 'الوقت المتبقي: {time}',
+  'session.remaining.minutes': {
+    zero: 'انتهت جلستك.',
+    one: 'بقيت دقيقة واحدة في جلستك.',
+    two: 'بقيت دقيقتان في جلستك.',
+    few: 'بقيت {count} دقائق في جلستك.',
+    many: 'بقيت {count} دقيقة في جلستك.',
+    other: 'بقيت {count} دقيقة في جلستك.',
+  },
+  'session.remaining.seconds': {
+    zero: 'انتهت جلستك.',
+    one: 'بقيت ثانية واحدة في جلستك.',
+    two: 'بقيت ثانيتان في جلستك.',
+    few: 'بقيت {count} ثوانٍ في جلستك.',
+    many: 'بقيت {count} ثانية في جلستك.',
+    other: 'بقيت {count} ثانية في جلستك.',
+  },
+  'session.extend': 'تمديد الجلسة',
+  'session.expired.title': 'انتهت جلستك',
+  'session.expired.message': 'انتهت بسبب عدم وجود نشاط. ما كتبته في نموذج الاتصال محفوظ وستجده عند فتحه مرة أخرى.',
+  'session.restart': 'بدء جلسة جديدة',
+
+  'shortcuts.title': 'اختصارات لوحة المفاتيح',
+  'shortcuts.open': 'اختصارات لوحة المفاتيح',
+  'shortcuts.column.keys': 'المفتاح',
+  'shortcuts.column.action': 'الإجراء',
+  'shortcuts.keyFor': 'مفتاح: {action}',
+  'shortcuts.singleKeyEnabled': 'تفعيل الاختصارات ذات المفتاح الواحد',
+  'shortcuts.singleKeyHint': 'قد تُفعَّل الاختصارات ذات المفتاح الواحد عن طريق الخطأ عند استخدام الإدخال الصوتي أو بعض التقنيات المساعدة. يمكنك إيقافها أو اختيار مفاتيح أخرى أدناه. لا تعمل الاختصارات أبدًا أثناء الكتابة في حقل نصي.',
+  'shortcuts.off': '(متوقف)',
+  'shortcuts.reset': 'استعادة الاختصارات الافتراضية',
+  'shortcuts.error.notRemappable': 'لا يمكن تغيير هذا الاختصار',
+  'shortcuts.error.singleCharacter': 'استخدم حرفًا أو رقمًا أو رمزًا واحدًا',
+  'shortcuts.error.inUse': 'هذا المفتاح مستخدم في اختصار آخر',
+  'shortcuts.home': 'الانتقال إلى الصفحة الرئيسية',
+  'shortcuts.about': 'الانتقال إلى صفحة «حول»',
+  'shortcuts.contact': 'فتح نموذج الاتصال',
+  'shortcuts.theme': 'التبديل بين الوضعين الفاتح والداكن',
+  'shortcuts.help': 'عرض اختصارات لوحة المفاتيح',
+  'shortcuts.notifications': 'الانتقال إلى أحدث إشعار',
+  'shortcuts.readingGuideUp': 'تحريك دليل القراءة سطرًا لأعلى',
+  'shortcuts.readingGuideDown': 'تحريك دليل القراءة سطرًا لأسفل',
+}
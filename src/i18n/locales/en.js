@@ -0,0 +1,309 @@
+// English (source) catalog. Every key used in the app must exist here.
+export default {
+  'site.name': 'Accessible Web App',
+  'site.skipLink': 'Skip to main content',
+  'site.copyright': '© 2024 Accessible Web App. Built with accessibility in mind.',
+
+  'nav.main': 'Main navigation',
+  'nav.footer': 'Footer navigation',
+  'nav.home': 'Home',
+  'nav.about': 'About',
+  'nav.contact': 'Contact',
+
+  'route.home': 'Home',
+  'route.about': 'About',
+  'route.privacy': 'Privacy Policy',
+  'route.terms': 'Terms of Service',
+  'route.accessibility': 'Accessibility Statement',
+  'route.notFound': 'Page Not Found',
+  'route.loaded': '{title} page loaded',
+
+  'toolbar.label': 'Accessibility controls',
+  'toolbar.switchToDark': 'Switch to dark mode',
+  'toolbar.switchToLight': 'Switch to light mode',
+  'toolbar.fontSize': 'Font size controls',
+  'toolbar.fontSize.small': 'Small font size',
+  'toolbar.fontSize.medium': 'Medium font size',
+  'toolbar.fontSize.large': 'Large font size',
+  'toolbar.preferences': 'Accessibility preferences',
+  'toolbar.language': 'Language',
+  'toolbar.languageApply': 'Apply',
+
+  'reader.title': 'Read aloud',
+  'reader.readPage': 'Read page',
+  'reader.readSelection': 'Read selection',
+  'reader.pause': 'Pause',
+  'reader.resume': 'Resume',
+  'reader.previous': 'Previous sentence',
+  'reader.next': 'Next sentence',
+  'reader.stop': 'Stop',
+  'reader.rate': 'Speed',
+  'reader.rateValue': '{rate}×',
+  'reader.voice': 'Voice',
+  'reader.voiceDefault': 'Browser default',
+  'reader.progress': 'Sentence {current} of {total}',
+  'reader.finished': 'Finished reading.',
+  'reader.empty': 'There is no text to read on this page.',
+  'reader.noSelection': 'Select some text on the page first.',
+  'reader.error': 'Reading stopped because the speech engine reported an error.',
+  'reader.unsupported': 'This browser cannot read text aloud. Your screen reader or the browser\'s own read aloud feature can read the page instead.',
+  'reader.close': 'Close read aloud',
+
+  'readingAids.title': 'Reading aids',
+  'readingAids.hint': 'The reading guide and magnifier follow the pointer and keyboard focus. Alt + Up Arrow and Alt + Down Arrow move the guide one line.',
+  'readingAids.close': 'Close reading aids',
+
+  'home.title': 'Welcome to Our Accessible Web Application',
+  'home.intro': 'This application demonstrates WCAG 2.1 AA compliance with features including:',
+  'home.feature.semantic': 'Semantic HTML structure',
+  'home.feature.keyboard': 'Keyboard navigation support',
+  'home.feature.screenReader': 'Screen reader optimization',
+  'home.feature.contrast': 'High contrast color schemes',
+  'home.feature.focus': 'Focus management',
+  'home.feature.aria': 'ARIA landmarks and labels',
+  'home.feature.responsive': 'Responsive design',
+  'home.feature.skipLinks': 'Skip navigation links',
+  'home.getStarted': 'Get Started',
+  'home.learnMore': 'Learn More',
+
+  'about.title': 'About Accessibility',
+  'about.wcag.title': 'WCAG Guidelines',
+  'about.wcag.body': 'The Web Content Accessibility Guidelines (WCAG) provide a framework for making web content accessible to people with disabilities.',
+  'about.wcag.link': 'View WCAG Guidelines',
+  'about.keyboard.title': 'Keyboard Navigation',
+  'about.keyboard.tab': 'Tab - Move to next interactive element',
+  'about.keyboard.shiftTab': 'Shift + Tab - Move to previous element',
+  'about.keyboard.activate': 'Enter/Space - Activate buttons and links',
+  'about.keyboard.arrows': 'Arrow keys - Navigate within components',
+  'about.keyboard.homeEnd': 'Home/End - Jump to the first or last item in a toolbar or menu',
+  'about.keyboard.escape': 'Escape - Close modals and menus',
+  'about.keyboard.shortcuts': '? - Show keyboard shortcuts',
+  'about.screenReader.title': 'Screen Reader Support',
+  'about.screenReader.body': 'This application is optimized for screen readers with proper semantic markup, ARIA labels, and live regions for dynamic content.',
+
+  'media.controls': '{title} controls',
+  'media.play': 'Play',
+  'media.pause': 'Pause',
+  'media.seek': 'Seek',
+  'media.time': '{current} of {duration}',
+  'media.mute': 'Mute',
+  'media.volume': 'Volume',
+  'media.volumeValue': '{percent}%',
+  'media.speed': 'Speed',
+  'media.speedValue': '{speed}×',
+  'media.captions': 'Captions',
+  'media.captionsOff': 'Off',
+  'media.descriptions': 'Audio description',
+  'media.transcript': 'Transcript',
+  'media.transcript.description': 'Description',
+  'media.transcript.unavailable': 'The transcript could not be loaded.',
+  'media.fullscreen': 'Full screen',
+  'media.error': 'This media could not be loaded.',
+  'media.error.transcript': 'This media could not be loaded. The transcript is still available.',
+  'media.captionStyle': 'Caption style',
+  'media.captionPreview': 'Captions will look like this',
+  'media.captionReset': 'Restore default caption style',
+  'media.captionAdjusted': '{setting} changed to {value} so captions stay readable.',
+  'media.caption.size': 'Text size',
+  'media.caption.size.small': 'Small',
+  'media.caption.size.medium': 'Medium',
+  'media.caption.size.large': 'Large',
+  'media.caption.color': 'Text color',
+  'media.caption.color.white': 'White',
+  'media.caption.color.yellow': 'Yellow',
+  'media.caption.color.cyan': 'Cyan',
+  'media.caption.color.black': 'Black',
+  'media.caption.background': 'Background',
+  'media.caption.background.black': 'Black',
+  'media.caption.background.translucent': 'Semi-transparent black',
+  'media.caption.background.white': 'White',
+
+  'privacy.collect': 'We only collect the information you choose to send us through the contact form: your name, email address, subject and message.',
+  'privacy.use': 'This information is used solely to respond to your inquiry and, if you opt in, to send newsletter updates. It is never sold or shared with third parties.',
+  'privacy.barrierReport': 'Accessibility barrier reports also include the page you were on, your display preferences, language, browser and window size, as listed in the form before you send it.',
+  'privacy.analytics': 'If you turn on "Share anonymous usage statistics" in Accessibility Preferences, we also record which features you use: preference changes, dialogs opened and closed, which form fields had errors and whether sending worked. These records never include anything you type, and you can turn them off again at any time.',
+
+  'terms.asIs': 'This application is a demonstration project. Content is provided as-is for educational purposes, without warranty of any kind.',
+  'terms.conduct': 'By using the contact form you agree not to submit unlawful, abusive or automated content.',
+
+  'statement.intro': 'We want this site to be usable by everyone, including people who use assistive technology or change how pages are displayed.',
+  'statement.conformance.title': 'Conformance status',
+  'statement.conformance.partial': 'This site is partially conformant with WCAG {version} level {level}: some parts do not yet fully meet the standard. The known issues are listed below.',
+  'statement.conformance.target': 'We aim to conform to the Web Content Accessibility Guidelines (WCAG) {version} at level {level}.',
+  'statement.limitations.title': 'Known limitations',
+  'statement.limitations.intro': 'Our latest automated audit, on {date}, found these issues. We are working to fix them.',
+  'statement.limitations.none': 'Our latest automated audit, on {date}, found no issues. Automated testing cannot find every barrier, so please tell us about any you meet.',
+  'statement.limitations.notAudited': 'Automated audit results have not been published yet.',
+  'statement.limitations.criteria': 'WCAG {criteria}',
+  'statement.limitations.where': 'Found on',
+  'statement.assessment.title': 'How we test',
+  'statement.assessment.body': 'Every page and interaction state is checked with automated axe audits at desktop, mobile and 400% zoom, and with keyboard-only tests. Color contrast is checked in every theme.',
+  'statement.feedback.title': 'Feedback and contact',
+  'statement.feedback.body': 'If you meet a barrier on this site, please tell us. Reports sent with the form include technical details that help us reproduce the problem. We aim to reply within 5 working days.',
+  'statement.feedback.email': 'Email',
+
+  'notFound.body': "Sorry, we couldn't find the page you were looking for. It may have been moved, or the address may be mistyped.",
+  'notFound.home': 'Go to the home page',
+
+  'common.opensInNewTab': '(opens in new tab)',
+  'common.confirm': 'Confirm',
+  'common.cancel': 'Cancel',
+
+  'modal.close': 'Close modal',
+  'modal.contactTitle': 'Contact Us',
+  'modal.preferencesTitle': 'Accessibility Preferences',
+
+  'preferences.theme': 'Color theme',
+  'preferences.theme.light': 'Light',
+  'preferences.theme.dark': 'Dark',
+  'preferences.fontSize': 'Text size',
+  'preferences.fontSize.small': 'Small',
+  'preferences.fontSize.medium': 'Medium',
+  'preferences.fontSize.large': 'Large',
+  'preferences.display': 'Display and reading',
+  'preferences.contrast': 'High contrast colors',
+  'preferences.motion': 'Reduce motion and animations',
+  'preferences.textSpacing': 'Increase line, letter and word spacing',
+  'preferences.font': 'Use a more readable font',
+  'preferences.linkUnderline': 'Always underline links',
+  'preferences.focusRing': 'Larger focus indicators',
+  'preferences.readingGuide': 'Reading guide',
+  'preferences.readingGuide.off': 'Off',
+  'preferences.readingGuide.ruler': 'Reading ruler',
+  'preferences.readingGuide.mask': 'Reading mask',
+  'preferences.magnifier': 'Text magnifier',
+  'preferences.focusSpotlight': 'Focus spotlight',
+  'preferences.followingSystem': 'Following your system setting',
+  'preferences.systemSetting': '(system setting)',
+  'preferences.privacy': 'Privacy',
+  'preferences.analytics': 'Share anonymous usage statistics',
+  'preferences.analyticsHint': 'Tells us which features are used, such as dark mode or the contact form, so we can improve them. Nothing you type is ever included. Off unless you turn it on.',
+  'preferences.reset': 'Reset to defaults',
+  'preferences.resetTitle': 'Reset preferences?',
+  'preferences.resetMessage': 'All display and reading preferences will go back to their defaults or your system settings.',
+  'preferences.resetConfirm': 'Reset',
+  'preferences.resetDone': 'All preferences were reset to their defaults',
+
+  'notifications.region': 'Notifications',
+  'notifications.dismiss': 'Dismiss notification',
+  'notifications.type.error': 'Error',
+  'notifications.type.warning': 'Warning',
+  'notifications.type.success': 'Success',
+  'notifications.type.info': 'Information',
+
+  'form.required': 'required',
+  'form.submit': 'Submit',
+  'form.submitting': 'Submitting...',
+  'form.submittingStatus': 'Form is being submitted',
+  'form.submitError': 'Failed to submit form. Please try again.',
+  'form.errorSummary': {
+    one: 'There is {count} problem with this form',
+    other: 'There are {count} problems with this form',
+  },
+  'form.draftRestored': 'We restored the message you were writing earlier.',
+  'form.discardDraft': 'Discard draft',
+  'form.draftDiscarded': 'Draft discarded',
+
+  'contact.name': 'Name',
+  'contact.name.required': 'Name is required',
+  'contact.email': 'Email',
+  'contact.email.required': 'Email is required',
+  'contact.email.invalid': 'Please enter a valid email address',
+  'contact.subject': 'Subject',
+  'contact.subject.placeholder': 'Please select a subject',
+  'contact.subject.required': 'Subject is required',
+  'contact.subject.general': 'General Inquiry',
+  'contact.subject.support': 'Technical Support',
+  'contact.subject.feedback': 'Feedback',
+  'contact.subject.accessibility': 'Accessibility Question',
+  'contact.message': 'Message',
+  'contact.message.hint': 'Please provide details about your inquiry',
+  'contact.message.required': 'Message is required',
+  'contact.message.tooLong': 'Message must be {max} characters or fewer',
+  'contact.newsletter': 'Subscribe to our newsletter for updates',
+  'contact.send': 'Send Message',
+  'contact.sent.title': 'Success!',
+  'contact.sent.message': 'Your message has been sent successfully.',
+  'contact.queued.title': 'Message saved.',
+  'contact.queued.offline': "You're offline, so we'll send it automatically when your connection returns.",
+  'contact.queued.unreachable': "We couldn't reach our server, so we'll keep trying to send it in the background.",
+  'barrier.open': 'Report an accessibility barrier',
+  'barrier.title': 'Report an accessibility barrier',
+  'barrier.intro': 'Tell us what got in your way. We read every report and use it to fix the problem.',
+  'barrier.context.summary': 'Technical details sent with your report',
+  'barrier.context.page': 'Page',
+  'barrier.context.noDisplayPreferences': 'None',
+  'barrier.context.browser': 'Browser',
+  'barrier.context.screen': 'Screen',
+  'barrier.context.screenSize': '{size} window, pixel ratio {ratio}',
+  'barrier.description': 'What went wrong?',
+  'barrier.description.hint': 'Describe the barrier and what you expected to happen.',
+  'barrier.description.required': 'Please describe the barrier',
+  'barrier.description.tooLong': 'Description must be {max} characters or fewer',
+  'barrier.task': 'What were you trying to do?',
+  'barrier.assistiveTechnology': 'Assistive technology used',
+  'barrier.assistiveTechnology.hint': 'For example a screen reader, magnifier or voice control, with its version if you know it.',
+  'barrier.email': 'Email',
+  'barrier.email.hint': 'Optional. Only used to reply to you about this report.',
+  'barrier.send': 'Send report',
+  'barrier.sent.title': 'Thank you.',
+  'barrier.sent.message': 'We received your report and will look into it.',
+
+  'outbox.sending': {
+    one: 'Sending {count} message from your outbox…',
+    other: 'Sending {count} messages from your outbox…',
+  },
+  'outbox.offline': {
+    one: 'You are offline. {count} message will be sent when your connection returns.',
+    other: 'You are offline. {count} messages will be sent when your connection returns.',
+  },
+  'outbox.waiting': {
+    one: '{count} message waiting to be sent.',
+    other: '{count} messages waiting to be sent.',
+  },
+  'outbox.sent.title': 'Outbox sent.',
+  'outbox.sent.message': {
+    one: 'Your queued message has been sent.',
+    other: 'Your {count} queued messages have been sent.',
+  },
+  'outbox.rejected.title': 'A queued message was not sent.',
+  'outbox.rejected.message': 'Open Contact to review and correct it.',
+  'outbox.rejected.held': "It will appear in the Contact form once you've sent the message you're writing now.",
+
+  'session.warning.title': 'Your session is about to end',
+  'session.warning.message': 'There has been no activity for a while, so your session will end soon. Do you need more time?',
+  'session.countdown': 'Time left: {time}',
+  'session.remaining.minutes': {
+    one: '{count} minute left in your session.',
+    other: '{count} minutes left in your session.',
+  },
+  'session.remaining.seconds': {
+    one: '{count} second left in your session.',
+    other: '{count} seconds left in your session.',
+  },
+  'session.extend': 'Extend session',
+  'session.expired.title': 'Your session has ended',
+  'session.expired.message': 'It ended because there was no activity. Anything you had typed into the contact form has been saved and will be there when you open it again.',
+  'session.restart': 'Start a new session',
+
+  'shortcuts.title': 'Keyboard Shortcuts',
+  'shortcuts.open': 'Keyboard shortcuts',
+  'shortcuts.column.keys': 'Key',
+  'shortcuts.column.action': 'Action',
+  'shortcuts.keyFor': 'Key for: {action}',
+  'shortcuts.singleKeyEnabled': 'Enable single-key shortcuts',
+  'shortcuts.singleKeyHint': 'Single-key shortcuts can be triggered by accident with speech input or some assistive technology. Turn them off or choose different keys below. Shortcuts never fire while you are typing in a text field.',
+  'shortcuts.off': '(off)',
+  'shortcuts.reset': 'Restore default shortcuts',
+  'shortcuts.error.notRemappable': 'This shortcut cannot be changed',
+  'shortcuts.error.singleCharacter': 'Use a single letter, number or symbol',
+  'shortcuts.error.inUse': 'That key is already used by another shortcut',
+  'shortcuts.home': 'Go to the Home page',
+  'shortcuts.about': 'Go to the About page',
+  'shortcuts.contact': 'Open the contact form',
+  'shortcuts.theme': 'Switch between light and dark mode',
+  'shortcuts.help': 'Show keyboard shortcuts',
+  'shortcuts.notifications': 'Move to the newest notification',
+  'shortcuts.readingGuideUp': 'Move the reading guide up one line',
+  'shortcuts.readingGuideDown': 'Move the reading guide down one line',
+}
@@ -0,0 +1,309 @@
+// Spanish catalog
+export default {
+  'site.name': 'Aplicación Web Accesible',
+  'site.skipLink': 'Saltar al contenido principal',
+  'site.copyright': '© 2024 Aplicación Web Accesible. Creada pensando en la accesibilidad.',
+
+  'nav.main': 'Navegación principal',
+  'nav.footer': 'Navegación del pie de página',
+  'nav.home': 'Inicio',
+  'nav.about': 'Acerca de',
+  'nav.contact': 'Contacto',
+
+  'route.home': 'Inicio',
+  'route.about': 'Acerca de',
+  'route.privacy': 'Política de privacidad',
+  'route.terms': 'Términos del servicio',
+  'route.accessibility': 'Declaración de accesibilidad',
+  'route.notFound': 'Página no encontrada',
+  'route.loaded': 'Página {title} cargada',
+
+  'toolbar.label': 'Controles de accesibilidad',
+  'toolbar.switchToDark': 'Cambiar al modo oscuro',
+  'toolbar.switchToLight': 'Cambiar al modo claro',
+  'toolbar.fontSize': 'Controles de tamaño de letra',
+  'toolbar.fontSize.small': 'Tamaño de letra pequeño',
+  'toolbar.fontSize.medium': 'Tamaño de letra mediano',
+  'toolbar.fontSize.large': 'Tamaño de letra grande',
+  'toolbar.preferences': 'Preferencias de accesibilidad',
+  'toolbar.language': 'Idioma',
+  'toolbar.languageApply': 'Aplicar',
+
+  'reader.title': 'Leer en voz alta',
+  'reader.readPage': 'Leer la página',
+  'reader.readSelection': 'Leer la selección',
+  'reader.pause': 'Pausar',
+  'reader.resume': 'Reanudar',
+  'reader.previous': 'Frase anterior',
+  'reader.next': 'Frase siguiente',
+  'reader.stop': 'Detener',
+  'reader.rate': 'Velocidad',
+  'reader.rateValue': '{rate}×',
+  'reader.voice': 'Voz',
+  'reader.voiceDefault': 'Predeterminada del navegador',
+  'reader.progress': 'Frase {current} de {total}',
+  'reader.finished': 'Lectura terminada.',
+  'reader.empty': 'No hay texto para leer en esta página.',
+  'reader.noSelection': 'Primero selecciona texto de la página.',
+  'reader.error': 'La lectura se detuvo porque el motor de voz informó de un error.',
+  'reader.unsupported': 'Este navegador no puede leer texto en voz alta. Tu lector de pantalla o la función de lectura en voz alta del navegador pueden leer la página.',
+  'reader.close': 'Cerrar la lectura en voz alta',
+
+  'readingAids.title': 'Ayudas de lectura',
+  'readingAids.hint': 'La guía de lectura y la lupa siguen al puntero y al foco del teclado. Alt + Flecha arriba y Alt + Flecha abajo mueven la guía una línea.',
+  'readingAids.close': 'Cerrar las ayudas de lectura',
+
+  'home.title': 'Bienvenido a nuestra aplicación web accesible',
+  'home.intro': 'Esta aplicación demuestra la conformidad con WCAG 2.1 AA con funciones como:',
+  'home.feature.semantic': 'Estructura HTML semántica',
+  'home.feature.keyboard': 'Navegación con teclado',
+  'home.feature.screenReader': 'Optimización para lectores de pantalla',
+  'home.feature.contrast': 'Esquemas de color de alto contraste',
+  'home.feature.focus': 'Gestión del foco',
+  'home.feature.aria': 'Puntos de referencia y etiquetas ARIA',
+  'home.feature.responsive': 'Diseño adaptable',
+  'home.feature.skipLinks': 'Enlaces para saltar la navegación',
+  'home.getStarted': 'Empezar',
+  'home.learnMore': 'Más información',
+
+  'about.title': 'Acerca de la accesibilidad',
+  'about.wcag.title': 'Pautas WCAG',
+  'about.wcag.body': 'Las Pautas de Accesibilidad para el Contenido Web (WCAG) ofrecen un marco para que el contenido web sea accesible para las personas con discapacidad.',
+  'about.wcag.link': 'Ver las pautas WCAG',
+  'about.keyboard.title': 'Navegación con teclado',
+  'about.keyboard.tab': 'Tab - Ir al siguiente elemento interactivo',
+  'about.keyboard.shiftTab': 'Mayús + Tab - Ir al elemento anterior',
+  'about.keyboard.activate': 'Intro/Espacio - Activar botones y enlaces',
+  'about.keyboard.arrows': 'Flechas - Moverse dentro de los componentes',
+  'about.keyboard.homeEnd': 'Inicio/Fin - Ir al primer o último elemento de una barra de herramientas o menú',
+  'about.keyboard.escape': 'Escape - Cerrar ventanas modales y menús',
+  'about.keyboard.shortcuts': '? - Mostrar los atajos de teclado',
+  'about.screenReader.title': 'Compatibilidad con lectores de pantalla',
+  'about.screenReader.body': 'Esta aplicación está optimizada para lectores de pantalla con marcado semántico, etiquetas ARIA y regiones dinámicas para el contenido que cambia.',
+
+  'media.controls': 'Controles de {title}',
+  'media.play': 'Reproducir',
+  'media.pause': 'Pausar',
+  'media.seek': 'Posición',
+  'media.time': '{current} de {duration}',
+  'media.mute': 'Silenciar',
+  'media.volume': 'Volumen',
+  'media.volumeValue': '{percent} %',
+  'media.speed': 'Velocidad',
+  'media.speedValue': '{speed}×',
+  'media.captions': 'Subtítulos',
+  'media.captionsOff': 'Desactivados',
+  'media.descriptions': 'Audiodescripción',
+  'media.transcript': 'Transcripción',
+  'media.transcript.description': 'Descripción',
+  'media.transcript.unavailable': 'No se pudo cargar la transcripción.',
+  'media.fullscreen': 'Pantalla completa',
+  'media.error': 'No se pudo cargar este contenido multimedia.',
+  'media.error.transcript': 'No se pudo cargar este contenido multimedia. La transcripción sigue disponible.',
+  'media.captionStyle': 'Estilo de subtítulos',
+  'media.captionPreview': 'Así se verán los subtítulos',
+  'media.captionReset': 'Restablecer el estilo de subtítulos',
+  'media.captionAdjusted': '{setting} cambiado a {value} para que los subtítulos sigan siendo legibles.',
+  'media.caption.size': 'Tamaño del texto',
+  'media.caption.size.small': 'Pequeño',
+  'media.caption.size.medium': 'Mediano',
+  'media.caption.size.large': 'Grande',
+  'media.caption.color': 'Color del texto',
+  'media.caption.color.white': 'Blanco',
+  'media.caption.color.yellow': 'Amarillo',
+  'media.caption.color.cyan': 'Cian',
+  'media.caption.color.black': 'Negro',
+  'media.caption.background': 'Fondo',
+  'media.caption.background.black': 'Negro',
+  'media.caption.background.translucent': 'Negro semitransparente',
+  'media.caption.background.white': 'Blanco',
+
+  'privacy.collect': 'Solo recopilamos la información que decides enviarnos mediante el formulario de contacto: tu nombre, correo electrónico, asunto y mensaje.',
+  'privacy.use': 'Esta información se usa únicamente para responder a tu consulta y, si lo aceptas, para enviarte el boletín. Nunca se vende ni se comparte con terceros.',
+  'privacy.barrierReport': 'Los informes de barreras de accesibilidad también incluyen la página en la que estabas, tus preferencias de visualización, el idioma, el navegador y el tamaño de la ventana, tal como se muestra en el formulario antes de enviarlo.',
+  'privacy.analytics': 'Si activas «Compartir estadísticas de uso anónimas» en Preferencias de accesibilidad, también registramos qué funciones usas: cambios de preferencias, diálogos abiertos y cerrados, qué campos del formulario tuvieron errores y si el envío funcionó. Estos registros nunca incluyen nada de lo que escribes y puedes desactivarlos cuando quieras.',
+
+  'terms.asIs': 'Esta aplicación es un proyecto de demostración. El contenido se ofrece tal cual, con fines educativos y sin garantía de ningún tipo.',
+  'terms.conduct': 'Al usar el formulario de contacto aceptas no enviar contenido ilegal, abusivo o automatizado.',
+
+  'statement.intro': 'Queremos que todas las personas puedan usar este sitio, incluidas las que usan tecnologías de apoyo o cambian cómo se muestran las páginas.',
+  'statement.conformance.title': 'Estado de conformidad',
+  'statement.conformance.partial': 'Este sitio es parcialmente conforme con WCAG {version} nivel {level}: algunas partes aún no cumplen completamente la norma. Los problemas conocidos se indican a continuación.',
+  'statement.conformance.target': 'Nuestro objetivo es cumplir las Pautas de Accesibilidad para el Contenido Web (WCAG) {version} en el nivel {level}.',
+  'statement.limitations.title': 'Limitaciones conocidas',
+  'statement.limitations.intro': 'Nuestra última auditoría automática, del {date}, encontró estos problemas. Estamos trabajando para corregirlos.',
+  'statement.limitations.none': 'Nuestra última auditoría automática, del {date}, no encontró problemas. Las pruebas automáticas no detectan todas las barreras, así que avísanos si encuentras alguna.',
+  'statement.limitations.notAudited': 'Todavía no se han publicado resultados de auditorías automáticas.',
+  'statement.limitations.criteria': 'WCAG {criteria}',
+  'statement.limitations.where': 'Aparece en',
+  'statement.assessment.title': 'Cómo lo comprobamos',
+  'statement.assessment.body': 'Cada página y estado de interacción se revisa con auditorías automáticas de axe en escritorio, móvil y con zoom al 400 %, y con pruebas solo con teclado. El contraste de color se comprueba en todos los temas.',
+  'statement.feedback.title': 'Comentarios y contacto',
+  'statement.feedback.body': 'Si encuentras una barrera en este sitio, cuéntanoslo. Los informes enviados con el formulario incluyen datos técnicos que nos ayudan a reproducir el problema. Intentamos responder en un plazo de 5 días hábiles.',
+  'statement.feedback.email': 'Correo electrónico',
+
+  'notFound.body': 'Lo sentimos, no encontramos la página que buscabas. Puede que se haya movido o que la dirección tenga un error.',
+  'notFound.home': 'Ir a la página de inicio',
+
+  'common.opensInNewTab': '(se abre en una pestaña nueva)',
+  'common.confirm': 'Confirmar',
+  'common.cancel': 'Cancelar',
+
+  'modal.close': 'Cerrar ventana',
+  'modal.contactTitle': 'Contáctanos',
+  'modal.preferencesTitle': 'Preferencias de accesibilidad',
+
+  'preferences.theme': 'Tema de color',
+  'preferences.theme.light': 'Claro',
+  'preferences.theme.dark': 'Oscuro',
+  'preferences.fontSize': 'Tamaño del texto',
+  'preferences.fontSize.small': 'Pequeño',
+  'preferences.fontSize.medium': 'Mediano',
+  'preferences.fontSize.large': 'Grande',
+  'preferences.display': 'Visualización y lectura',
+  'preferences.contrast': 'Colores de alto contraste',
+  'preferences.motion': 'Reducir movimiento y animaciones',
+  'preferences.textSpacing': 'Aumentar el espacio entre líneas, letras y palabras',
+  'preferences.font': 'Usar una fuente más legible',
+  'preferences.linkUnderline': 'Subrayar siempre los enlaces',
+  'preferences.focusRing': 'Indicadores de foco más grandes',
+  'preferences.readingGuide': 'Guía de lectura',
+  'preferences.readingGuide.off': 'Desactivada',
+  'preferences.readingGuide.ruler': 'Regla de lectura',
+  'preferences.readingGuide.mask': 'Máscara de lectura',
+  'preferences.magnifier': 'Lupa de texto',
+  'preferences.focusSpotlight': 'Resaltar el foco',
+  'preferences.followingSystem': 'Según la configuración del sistema',
+  'preferences.systemSetting': '(configuración del sistema)',
+  'preferences.privacy': 'Privacidad',
+  'preferences.analytics': 'Compartir estadísticas de uso anónimas',
+  'preferences.analyticsHint': 'Nos indica qué funciones se usan, como el modo oscuro o el formulario de contacto, para poder mejorarlas. Nunca incluye nada de lo que escribes. Desactivado salvo que lo actives.',
+  'preferences.reset': 'Restablecer valores predeterminados',
+  'preferences.resetTitle': '¿Restablecer las preferencias?',
+  'preferences.resetMessage': 'Todas las preferencias de visualización y lectura volverán a sus valores predeterminados o a la configuración del sistema.',
+  'preferences.resetConfirm': 'Restablecer',
+  'preferences.resetDone': 'Se restablecieron todas las preferencias',
+
+  'notifications.region': 'Notificaciones',
+  'notifications.dismiss': 'Descartar notificación',
+  'notifications.type.error': 'Error',
+  'notifications.type.warning': 'Advertencia',
+  'notifications.type.success': 'Éxito',
+  'notifications.type.info': 'Información',
+
+  'form.required': 'obligatorio',
+  'form.submit': 'Enviar',
+  'form.submitting': 'Enviando...',
+  'form.submittingStatus': 'Se está enviando el formulario',
+  'form.submitError': 'No se pudo enviar el formulario. Inténtalo de nuevo.',
+  'form.errorSummary': {
+    one: 'Hay {count} problema en este formulario',
+    other: 'Hay {count} problemas en este formulario',
+  },
+  'form.draftRestored': 'Hemos recuperado el mensaje que estabas escribiendo.',
+  'form.discardDraft': 'Descartar borrador',
+  'form.draftDiscarded': 'Borrador descartado',
+
+  'contact.name': 'Nombre',
+  'contact.name.required': 'El nombre es obligatorio',
+  'contact.email': 'Correo electrónico',
+  'contact.email.required': 'El correo electrónico es obligatorio',
+  'contact.email.invalid': 'Introduce una dirección de correo electrónico válida',
+  'contact.subject': 'Asunto',
+  'contact.subject.placeholder': 'Selecciona un asunto',
+  'contact.subject.required': 'El asunto es obligatorio',
+  'contact.subject.general': 'Consulta general',
+  'contact.subject.support': 'Soporte técnico',
+  'contact.subject.feedback': 'Comentarios',
+  'contact.subject.accessibility': 'Pregunta sobre accesibilidad',
+  'contact.message': 'Mensaje',
+  'contact.message.hint': 'Describe tu consulta con detalle',
+  'contact.message.required': 'El mensaje es obligatorio',
+  'contact.message.tooLong': 'El mensaje debe tener como máximo {max} caracteres',
+  'contact.newsletter': 'Suscribirme al boletín para recibir novedades',
+  'contact.send': 'Enviar mensaje',
+  'contact.sent.title': '¡Listo!',
+  'contact.sent.message': 'Tu mensaje se ha enviado correctamente.',
+  'contact.queued.title': 'Mensaje guardado.',
+  'contact.queued.offline': 'No tienes conexión; lo enviaremos automáticamente cuando vuelvas a estar en línea.',
+  'contact.queued.unreachable': 'No pudimos conectar con nuestro servidor; seguiremos intentando enviarlo en segundo plano.',
+  'barrier.open': 'Informar de una barrera de accesibilidad',
+  'barrier.title': 'Informar de una barrera de accesibilidad',
+  'barrier.intro': 'Cuéntanos qué te impidió avanzar. Leemos todos los informes y los usamos para corregir el problema.',
+  'barrier.context.summary': 'Datos técnicos que se envían con tu informe',
+  'barrier.context.page': 'Página',
+  'barrier.context.noDisplayPreferences': 'Ninguna',
+  'barrier.context.browser': 'Navegador',
+  'barrier.context.screen': 'Pantalla',
+  'barrier.context.screenSize': 'Ventana de {size}, relación de píxeles {ratio}',
+  'barrier.description': '¿Qué salió mal?',
+  'barrier.description.hint': 'Describe la barrera y lo que esperabas que ocurriera.',
+  'barrier.description.required': 'Describe la barrera',
+  'barrier.description.tooLong': 'La descripción debe tener {max} caracteres o menos',
+  'barrier.task': '¿Qué intentabas hacer?',
+  'barrier.assistiveTechnology': 'Tecnología de apoyo utilizada',
+  'barrier.assistiveTechnology.hint': 'Por ejemplo, un lector de pantalla, un magnificador o control por voz, con su versión si la conoces.',
+  'barrier.email': 'Correo electrónico',
+  'barrier.email.hint': 'Opcional. Solo se usa para responderte sobre este informe.',
+  'barrier.send': 'Enviar informe',
+  'barrier.sent.title': 'Gracias.',
+  'barrier.sent.message': 'Hemos recibido tu informe y lo revisaremos.',
+
+  'outbox.sending': {
+    one: 'Enviando {count} mensaje de tu bandeja de salida…',
+    other: 'Enviando {count} mensajes de tu bandeja de salida…',
+  },
+  'outbox.offline': {
+    one: 'No tienes conexión. {count} mensaje se enviará cuando vuelvas a estar en línea.',
+    other: 'No tienes conexión. {count} mensajes se enviarán cuando vuelvas a estar en línea.',
+  },
+  'outbox.waiting': {
+    one: '{count} mensaje pendiente de envío.',
+    other: '{count} mensajes pendientes de envío.',
+  },
+  'outbox.sent.title': 'Bandeja de salida enviada.',
+  'outbox.sent.message': {
+    one: 'Se ha enviado tu mensaje pendiente.',
+    other: 'Se han enviado tus {count} mensajes pendientes.',
+  },
+  'outbox.rejected.title': 'Un mensaje pendiente no se envió.',
+  'outbox.rejected.message': 'Abre Contacto para revisarlo y corregirlo.',
+  'outbox.rejected.held': 'Aparecerá en el formulario de Contacto cuando envíes el mensaje que estás escribiendo ahora.',
+
+  'session.warning.title': 'Tu sesión está a punto de terminar',
+  'session.warning.message': 'No ha habido actividad desde hace un rato, así que tu sesión terminará pronto. ¿Necesitas más tiempo?',
+  'session.countdown': 'Tiempo restante: {time}',
+  'session.remaining.minutes': {
+    one: 'Queda {count} minuto de sesión.',
+    other: 'Quedan {count} minutos de sesión.',
+  },
+  'session.remaining.seconds': {
+    one: 'Queda {count} segundo de sesión.',
+    other: 'Quedan {count} segundos de sesión.',
+  },
+  'session.extend': 'Ampliar la sesión',
+  'session.expired.title': 'Tu sesión ha terminado',
+  'session.expired.message': 'Ha terminado por falta de actividad. Lo que habías escrito en el formulario de contacto se ha guardado y estará ahí cuando vuelvas a abrirlo.',
+  'session.restart': 'Iniciar una nueva sesión',
+
+  'shortcuts.title': 'Atajos de teclado',
+  'shortcuts.open': 'Atajos de teclado',
+  'shortcuts.column.keys': 'Tecla',
+  'shortcuts.column.action': 'Acción',
+  'shortcuts.keyFor': 'Tecla para: {action}',
+  'shortcuts.singleKeyEnabled': 'Activar atajos de una sola tecla',
+  'shortcuts.singleKeyHint': 'Los atajos de una sola tecla pueden activarse por accidente con la entrada por voz o algunas tecnologías de apoyo. Desactívalos o elige otras teclas a continuación. Los atajos nunca se activan mientras escribes en un campo de texto.',
+  'shortcuts.off': '(desactivado)',
+  'shortcuts.reset': 'Restaurar los atajos predeterminados',
+  'shortcuts.error.notRemappable': 'Este atajo no se puede cambiar',
+  'shortcuts.error.singleCharacter': 'Usa una sola letra, número o símbolo',
+  'shortcuts.error.inUse': 'Esa tecla ya la usa otro atajo',
+  'shortcuts.home': 'Ir a la página de inicio',
+  'shortcuts.about': 'Ir a la página Acerca de',
+  'shortcuts.contact': 'Abrir el formulario de contacto',
+  'shortcuts.theme': 'Cambiar entre modo claro y oscuro',
+  'shortcuts.help': 'Mostrar los atajos de teclado',
+  'shortcuts.notifications': 'Ir a la notificación más reciente',
+  'shortcuts.readingGuideUp': 'Subir la guía de lectura una línea',
+  'shortcuts.readingGuideDown': 'Bajar la guía de lectura una línea',
+}
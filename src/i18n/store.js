@@ -0,0 +1,102 @@
+// Current UI language, message lookup and formatting.
+//
+// Catalogs are flat objects of message keys. A message is either a string
+// with {placeholder} interpolation, or an object of Intl.PluralRules
+// categories (zero, one, two, few, many, other) chosen by `params.count`.
+// Missing keys fall back to English, then to the key itself, so untranslated
+// text (such as server error messages) passes through unchanged.
+
+import en from './locales/en'
+import es from './locales/es'
+import ar from './locales/ar'
+
+export const STORAGE_KEY = 'locale'
+export const DEFAULT_LOCALE = 'en'
+
+// `name` is shown in the language switcher in the language itself
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr', messages: en },
+  es: { name: 'Español', dir: 'ltr', messages: es },
+  ar: { name: 'العربية', dir: 'rtl', messages: ar },
+}
+
+const listeners = new Set()
+let locale = readLocale()
+
+function readLocale() {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY)
+    if (LOCALES[saved]) return saved
+  } catch {
+    // Fall through to the browser languages
+  }
+
+  const preferred = (navigator.languages ?? [navigator.language])
+    .map((language) => language?.split('-')[0])
+    .find((language) => LOCALES[language])
+  return preferred ?? DEFAULT_LOCALE
+}
+
+function interpolate(message, params) {
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match))
+}
+
+export function translate(targetLocale, key, params = {}) {
+  let message = LOCALES[targetLocale]?.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key] ?? key
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(targetLocale).select(params.count ?? 0)
+    message = message[category] ?? message.other
+  }
+
+  return interpolate(message, params)
+}
+
+// Translate in the current locale; for code outside React components
+export function t(key, params) {
+  return translate(locale, key, params)
+}
+
+export function getLocale() {
+  return locale
+}
+
+export function setLocale(nextLocale) {
+  if (!LOCALES[nextLocale]) {
+    throw new Error(`Unsupported locale "${nextLocale}"`)
+  }
+
+  locale = nextLocale
+  try {
+    window.localStorage.setItem(STORAGE_KEY, nextLocale)
+  } catch {
+    // Keep the choice for this page load only
+  }
+  listeners.forEach((listener) => listener())
+}
+
+function handleStorage(e) {
+  if (e.key !== STORAGE_KEY || !LOCALES[e.newValue]) return
+  locale = e.newValue
+  listeners.forEach((listener) => listener())
+}
+
+export function subscribe(listener) {
+  if (listeners.size === 0) {
+    window.addEventListener('storage', handleStorage)
+  }
+  listeners.add(listener)
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', handleStorage)
+    }
+  }
+}
+
+// Set <html lang> and dir for the current locale
+export function applyLocale(targetLocale, root = document.documentElement) {
+  root.setAttribute('lang', targetLocale)
+  root.setAttribute('dir', LOCALES[targetLocale].dir)
+}
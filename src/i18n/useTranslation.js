@@ -0,0 +1,9 @@
+import { useCallback, useSyncExternalStore } from 'react'
+import { LOCALES, getLocale, subscribe, translate } from './store'
+
+// Current locale, its text direction and a `t(key, params)` bound to it
+export function useTranslation() {
+  const locale = useSyncExternalStore(subscribe, getLocale)
+  const t = useCallback((key, params) => translate(locale, key, params), [locale])
+  return { t, locale, dir: LOCALES[locale].dir }
+}
@@ -8,3 +8,10 @@ createRoot(document.getElementById('root')).render(
     <App />
   </StrictMode>,
 )
+
+// Live axe checks and the accessibility dev panel. Vite replaces
+// import.meta.env.DEV with false in production builds, so this import and
+// everything behind it is dropped.
+if (import.meta.env.DEV) {
+  import('./devtools/startA11yDevtools').then(({ startA11yDevtools }) => startA11yDevtools())
+}
@@ -0,0 +1,72 @@
+import { useId, useState } from 'react'
+import { CAPTION_STYLES, resetCaptionStyle, setCaptionSetting } from './captionSettings'
+import { useCaptionSettings } from './useCaptionSettings'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Caption size, text color and background. Labels come from the
+// `media.caption.<key>` and `media.caption.<key>.<value>` messages.
+//
+// Unreadable combinations (yellow on white, say) can't be chosen: the other
+// setting follows, and the status line says so.
+function CaptionSettings() {
+  const settings = useCaptionSettings()
+  const { t } = useTranslation()
+  const fieldId = useId()
+  const [adjusted, setAdjusted] = useState(null)
+
+  const handleChange = (key, value) => {
+    setAdjusted(setCaptionSetting(key, value))
+  }
+
+  const handleReset = () => {
+    resetCaptionStyle()
+    setAdjusted(null)
+  }
+
+  return (
+    <fieldset className="caption-settings">
+      <legend>{t('media.captionStyle')}</legend>
+      {Object.entries(CAPTION_STYLES).map(([key, { values }]) => (
+        <div key={key} className="caption-setting">
+          <label htmlFor={`${fieldId}-${key}`}>{t(`media.caption.${key}`)}</label>
+          <select
+            id={`${fieldId}-${key}`}
+            value={settings[key]}
+            onChange={(e) => handleChange(key, e.target.value)}
+          >
+            {values.map((value) => (
+              <option key={value} value={value}>
+                {t(`media.caption.${key}.${value}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+      ))}
+
+      <p className="caption-preview" aria-hidden="true">
+        <span
+          className="caption-text"
+          data-size={settings.size}
+          data-color={settings.color}
+          data-background={settings.background}
+        >
+          {t('media.captionPreview')}
+        </span>
+      </p>
+
+      <p className="caption-adjusted" role="status">
+        {adjusted &&
+          t('media.captionAdjusted', {
+            setting: t(`media.caption.${adjusted}`),
+            value: t(`media.caption.${adjusted}.${settings[adjusted]}`),
+          })}
+      </p>
+
+      <button type="button" className="secondary-button" onClick={handleReset}>
+        {t('media.captionReset')}
+      </button>
+    </fieldset>
+  )
+}
+
+export default CaptionSettings
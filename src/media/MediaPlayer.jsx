@@ -0,0 +1,344 @@
+import { useEffect, useId, useRef, useState } from 'react'
+import CaptionSettings from './CaptionSettings'
+import Transcript from './Transcript'
+import { activeCues, formatTime } from './vtt'
+import { setCaptionSetting } from './captionSettings'
+import { useCaptionSettings } from './useCaptionSettings'
+import { useCues } from './useCues'
+import { useTranslation } from '../i18n/useTranslation'
+
+const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2]
+
+// Seconds moved by each key on the seek slider. Left and Right swap in
+// right-to-left layouts, matching the slider's direction.
+const SEEK_KEYS = { ArrowRight: 5, ArrowUp: 5, ArrowLeft: -5, ArrowDown: -5, PageUp: 30, PageDown: -30 }
+const RTL_KEYS = { ArrowRight: 'ArrowLeft', ArrowLeft: 'ArrowRight' }
+
+// Video or audio with its own keyboard-operable controls, captions drawn by
+// the player so the viewer's caption style applies, an interactive
+// transcript and audio description. Never autoplays.
+//
+// `tracks` are WebVTT files: { kind: 'captions' | 'subtitles' |
+// 'descriptions', src, srclang, label }. Description tracks are announced
+// as text; `describedSources` is an alternative recording with the
+// description mixed into the audio, swapped in at the same position.
+function MediaPlayer({ type = 'video', title, sources, describedSources, tracks = [], poster }) {
+  const { t, locale } = useTranslation()
+  const settings = useCaptionSettings()
+  const cues = useCues(tracks)
+  const mediaRef = useRef(null)
+  const playerRef = useRef(null)
+  const resumeRef = useRef(null)
+  const id = useId()
+
+  const [playing, setPlaying] = useState(false)
+  const [currentTime, setCurrentTime] = useState(0)
+  const [duration, setDuration] = useState(0)
+  const [volume, setVolume] = useState(1)
+  const [muted, setMuted] = useState(false)
+  const [speed, setSpeed] = useState(1)
+  const [error, setError] = useState(false)
+  const [transcriptOpen, setTranscriptOpen] = useState(false)
+  const [styleOpen, setStyleOpen] = useState(false)
+  const [fullscreen, setFullscreen] = useState(false)
+
+  const captionTracks = tracks.filter((track) => track.kind === 'captions' || track.kind === 'subtitles')
+  const captionTrack = captionTracks.find((track) => track.srclang === settings.language)
+  // The transcript follows the chosen captions, else the page language
+  const transcriptTrack =
+    captionTrack ??
+    captionTracks.find((track) => track.srclang === locale) ??
+    captionTracks.find((track) => track.kind === 'captions')
+  const descriptionTrack =
+    tracks.find((track) => track.kind === 'descriptions' && track.srclang === transcriptTrack?.srclang) ??
+    tracks.find((track) => track.kind === 'descriptions')
+  const canDescribe = Boolean(descriptionTrack || describedSources)
+  const describing = canDescribe && settings.descriptions
+  const activeSources = describing && describedSources ? describedSources : sources
+
+  const captionCues = captionTrack ? activeCues(cues[captionTrack.src] ?? [], currentTime) : []
+  const descriptionCues = describing && descriptionTrack ? activeCues(cues[descriptionTrack.src] ?? [], currentTime) : []
+
+  // Switching to or from the described recording: reload at the same
+  // position, and keep playing if it was playing
+  const sourceKey = activeSources.map((source) => source.src).join('\n')
+  const loadedSourceRef = useRef(sourceKey)
+  useEffect(() => {
+    const media = mediaRef.current
+    if (!media || loadedSourceRef.current === sourceKey) return
+    loadedSourceRef.current = sourceKey
+
+    resumeRef.current = { time: media.currentTime, play: !media.paused }
+    setError(false)
+    media.load()
+  }, [sourceKey])
+
+  useEffect(() => {
+    const handleChange = () => setFullscreen(document.fullscreenElement === playerRef.current)
+    document.addEventListener('fullscreenchange', handleChange)
+    return () => document.removeEventListener('fullscreenchange', handleChange)
+  }, [])
+
+  const seek = (time) => {
+    const media = mediaRef.current
+    // Before the metadata loads the duration is unknown; let the media clamp
+    const target = Math.max(0, duration ? Math.min(time, duration) : time)
+    media.currentTime = target
+    setCurrentTime(target)
+  }
+
+  const togglePlay = () => {
+    const media = mediaRef.current
+    if (media.paused) {
+      // Rejected when the source is missing; the error message covers it
+      media.play()?.catch(() => {})
+    } else {
+      media.pause()
+    }
+  }
+
+  const handleSeekKey = (e) => {
+    const rtl = window.getComputedStyle(e.currentTarget).direction === 'rtl'
+    const key = rtl ? RTL_KEYS[e.key] ?? e.key : e.key
+    if (!(key in SEEK_KEYS)) return
+
+    e.preventDefault()
+    seek(currentTime + SEEK_KEYS[key])
+  }
+
+  const handleVolume = (value) => {
+    const media = mediaRef.current
+    media.volume = value / 100
+    if (value > 0) media.muted = false
+  }
+
+  const handleSpeed = (value) => {
+    mediaRef.current.playbackRate = value
+    setSpeed(value)
+  }
+
+  const handleLoadedMetadata = () => {
+    const media = mediaRef.current
+    setDuration(media.duration)
+    media.playbackRate = speed
+
+    const resume = resumeRef.current
+    resumeRef.current = null
+    if (!resume) return
+    media.currentTime = resume.time
+    if (resume.play) media.play()?.catch(() => {})
+  }
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen()
+    } else {
+      playerRef.current.requestFullscreen()
+    }
+  }
+
+  const Media = type === 'audio' ? 'audio' : 'video'
+  const transcriptCues = transcriptTrack ? cues[transcriptTrack.src] : null
+  const transcriptDescriptions = descriptionTrack ? cues[descriptionTrack.src] ?? [] : []
+  const timeText = t('media.time', { current: formatTime(currentTime), duration: formatTime(duration) })
+
+  return (
+    <figure className={`media-player media-player-${Media}`} ref={playerRef}>
+      <figcaption className="media-title">{title}</figcaption>
+
+      <div className="media-stage">
+        <Media
+          ref={mediaRef}
+          preload="metadata"
+          poster={Media === 'video' ? poster : undefined}
+          playsInline
+          onClick={togglePlay}
+          onPlay={() => setPlaying(true)}
+          onPause={() => setPlaying(false)}
+          onEnded={() => setPlaying(false)}
+          onTimeUpdate={() => setCurrentTime(mediaRef.current.currentTime)}
+          onLoadedMetadata={handleLoadedMetadata}
+          onDurationChange={() => setDuration(mediaRef.current.duration)}
+          onVolumeChange={() => {
+            setVolume(mediaRef.current.volume)
+            setMuted(mediaRef.current.muted)
+          }}
+          onError={() => setError(true)}
+        >
+          {activeSources.map((source, index) => (
+            <source
+              key={source.src}
+              src={source.src}
+              type={source.type}
+              // Missing sources fail on the <source>, not the media element
+              onError={index === activeSources.length - 1 ? () => setError(true) : undefined}
+            />
+          ))}
+          {/* Native tracks stay disabled so captions aren't drawn twice; they
+              still tell the browser and checkers which captions exist */}
+          {tracks.map((track) => (
+            <track key={track.src} kind={track.kind} src={track.src} srcLang={track.srclang} label={track.label} />
+          ))}
+        </Media>
+
+        {captionTrack && (
+          <div className="media-captions" lang={captionTrack.srclang}>
+            {captionCues.map((cue) => (
+              <span
+                key={cue.id}
+                className="caption-text"
+                data-size={settings.size}
+                data-color={settings.color}
+                data-background={settings.background}
+              >
+                {cue.text}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {descriptionTrack && (
+        <p className="media-description" aria-live="polite" lang={descriptionTrack.srclang}>
+          {descriptionCues.map((cue) => cue.text).join(' ')}
+        </p>
+      )}
+
+      {error && (
+        <p className="media-error" role="alert">
+          {t(transcriptTrack ? 'media.error.transcript' : 'media.error')}
+        </p>
+      )}
+
+      <div className="media-controls" role="group" aria-label={t('media.controls', { title })}>
+        <button type="button" className="media-button" onClick={togglePlay}>
+          <span aria-hidden="true">{playing ? '⏸' : '▶'}</span>
+          {t(playing ? 'media.pause' : 'media.play')}
+        </button>
+
+        <label className="sr-only" htmlFor={`${id}-seek`}>{t('media.seek')}</label>
+        <input
+          id={`${id}-seek`}
+          className="media-seek"
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={1}
+          value={currentTime}
+          aria-valuetext={timeText}
+          onChange={(e) => seek(Number(e.target.value))}
+          onKeyDown={handleSeekKey}
+        />
+        <span className="media-time" aria-hidden="true">{timeText}</span>
+
+        <button
+          type="button"
+          className="media-button"
+          aria-pressed={muted}
+          onClick={() => {
+            mediaRef.current.muted = !muted
+          }}
+        >
+          <span aria-hidden="true">{muted ? '🔇' : '🔊'}</span>
+          {t('media.mute')}
+        </button>
+
+        <label className="sr-only" htmlFor={`${id}-volume`}>{t('media.volume')}</label>
+        <input
+          id={`${id}-volume`}
+          className="media-volume"
+          type="range"
+          min={0}
+          max={100}
+          step={5}
+          value={Math.round(volume * 100)}
+          aria-valuetext={t('media.volumeValue', { percent: Math.round(volume * 100) })}
+          onChange={(e) => handleVolume(Number(e.target.value))}
+        />
+
+        <label className="media-select">
+          {t('media.speed')}
+          <select value={speed} onChange={(e) => handleSpeed(Number(e.target.value))}>
+            {SPEEDS.map((value) => (
+              <option key={value} value={value}>{t('media.speedValue', { speed: value })}</option>
+            ))}
+          </select>
+        </label>
+
+        {captionTracks.length > 0 && (
+          <label className="media-select">
+            {t('media.captions')}
+            <select value={captionTrack?.srclang ?? 'off'} onChange={(e) => setCaptionSetting('language', e.target.value)}>
+              <option value="off">{t('media.captionsOff')}</option>
+              {captionTracks.map((track) => (
+                <option key={track.src} value={track.srclang} lang={track.srclang}>{track.label}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        {canDescribe && (
+          <button
+            type="button"
+            className="media-button"
+            aria-pressed={describing}
+            onClick={() => setCaptionSetting('descriptions', !describing)}
+          >
+            <span aria-hidden="true">AD</span>
+            {t('media.descriptions')}
+          </button>
+        )}
+
+        <button
+          type="button"
+          className="media-button"
+          aria-expanded={styleOpen}
+          aria-controls={`${id}-style`}
+          onClick={() => setStyleOpen((open) => !open)}
+        >
+          {t('media.captionStyle')}
+        </button>
+
+        {transcriptTrack && (
+          <button
+            type="button"
+            className="media-button"
+            aria-expanded={transcriptOpen}
+            aria-controls={`${id}-transcript`}
+            onClick={() => setTranscriptOpen((open) => !open)}
+          >
+            {t('media.transcript')}
+          </button>
+        )}
+
+        {Media === 'video' && document.fullscreenEnabled && (
+          <button type="button" className="media-button" aria-pressed={fullscreen} onClick={toggleFullscreen}>
+            {t('media.fullscreen')}
+          </button>
+        )}
+      </div>
+
+      <div id={`${id}-style`} hidden={!styleOpen}>
+        <CaptionSettings />
+      </div>
+
+      {transcriptTrack && (
+        <div id={`${id}-transcript`} hidden={!transcriptOpen}>
+          {transcriptCues === null ? (
+            <p className="media-error">{t('media.transcript.unavailable')}</p>
+          ) : (
+            <Transcript
+              cues={transcriptCues ?? []}
+              descriptions={transcriptDescriptions}
+              lang={transcriptTrack.srclang}
+              currentTime={currentTime}
+              onSeek={seek}
+            />
+          )}
+        </div>
+      )}
+    </figure>
+  )
+}
+
+export default MediaPlayer
@@ -0,0 +1,166 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, fireEvent, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import MediaPlayer from './MediaPlayer'
+import { STORAGE_KEY, resetCaptionStyle, setCaptionSetting } from './captionSettings'
+import { axeViolations } from '../test/axe'
+
+const FILES = {
+  '/captions.en.vtt': `WEBVTT
+
+1
+00:00.000 --> 00:04.000
+<v Narrator>Welcome to the tour.
+
+2
+00:04.000 --> 00:08.000
+<v Narrator>Press Tab to move.`,
+  '/subtitles.es.vtt': `WEBVTT
+
+1
+00:00.000 --> 00:04.000
+Te damos la bienvenida.`,
+  '/descriptions.en.vtt': `WEBVTT
+
+1
+00:04.000 --> 00:06.000
+A focus outline appears.`,
+}
+
+const TRACKS = [
+  { kind: 'captions', src: '/captions.en.vtt', srclang: 'en', label: 'English' },
+  { kind: 'subtitles', src: '/subtitles.es.vtt', srclang: 'es', label: 'Español' },
+  { kind: 'descriptions', src: '/descriptions.en.vtt', srclang: 'en', label: 'English' },
+]
+
+function renderPlayer() {
+  const view = render(
+    <MediaPlayer title="Tour" sources={[{ src: '/tour.mp4', type: 'video/mp4' }]} tracks={TRACKS} />
+  )
+  const video = view.container.querySelector('video')
+  Object.defineProperty(video, 'duration', { value: 40, configurable: true })
+  fireEvent.loadedMetadata(video)
+  return { ...view, video }
+}
+
+// jsdom has no media pipeline; move the playhead by hand
+function playTo(video, time) {
+  video.currentTime = time
+  fireEvent.timeUpdate(video)
+}
+
+describe('MediaPlayer', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async (src) => new Response(FILES[src], { status: FILES[src] ? 200 : 404 })))
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(function () {
+      this.dispatchEvent(new Event('play'))
+      return Promise.resolve()
+    })
+    act(() => {
+      resetCaptionStyle()
+      setCaptionSetting('language', 'off')
+      setCaptionSetting('descriptions', false)
+    })
+  })
+
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  it('never autoplays and has no axe violations', async () => {
+    const { container, video } = renderPlayer()
+
+    expect(video).not.toHaveAttribute('autoplay')
+    expect(video).toHaveAttribute('preload', 'metadata')
+    expect(video).not.toHaveAttribute('controls')
+    expect(screen.getByRole('button', { name: /Play/ })).toBeInTheDocument()
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('plays from the keyboard and seeks with the arrow keys', async () => {
+    const user = userEvent.setup()
+    const { video } = renderPlayer()
+
+    screen.getByRole('button', { name: /Play/ }).focus()
+    await user.keyboard(' ')
+    expect(HTMLMediaElement.prototype.play).toHaveBeenCalled()
+    expect(screen.getByRole('button', { name: /Pause/ })).toHaveFocus()
+
+    const seek = screen.getByRole('slider', { name: 'Seek' })
+    seek.focus()
+    await user.keyboard('{ArrowRight}{ArrowRight}')
+    expect(video.currentTime).toBe(10)
+    expect(seek).toHaveAttribute('aria-valuetext', '0:10 of 0:40')
+  })
+
+  it('shows the chosen captions in the chosen style and remembers both', async () => {
+    const user = userEvent.setup()
+    const { container, video } = renderPlayer()
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Captions' }), 'es')
+    await user.click(screen.getByRole('button', { name: 'Caption style' }))
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Text color' }), 'yellow')
+    playTo(video, 1)
+
+    const caption = await screen.findByText('Te damos la bienvenida.', { selector: '.media-captions span' })
+    expect(caption).toHaveAttribute('data-color', 'yellow')
+    expect(container.querySelector('.media-captions')).toHaveAttribute('lang', 'es')
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toMatchObject({ language: 'es', color: 'yellow' })
+  })
+
+  it('keeps caption text readable against its background', async () => {
+    const user = userEvent.setup()
+    renderPlayer()
+
+    await user.click(screen.getByRole('button', { name: 'Caption style' }))
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Text color' }), 'cyan')
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Background' }), 'white')
+
+    expect(screen.getByRole('combobox', { name: 'Text color' })).toHaveValue('black')
+    expect(screen.getByRole('status')).toHaveTextContent('Text color changed to Black so captions stay readable.')
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Text color' }), 'yellow')
+    expect(screen.getByRole('combobox', { name: 'Background' })).toHaveValue('black')
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toMatchObject({ color: 'yellow', background: 'black' })
+  })
+
+  it('highlights the current cue in the transcript and seeks on click', async () => {
+    const user = userEvent.setup()
+    const { video } = renderPlayer()
+
+    await user.click(screen.getByRole('button', { name: 'Transcript' }))
+    expect(screen.getByRole('button', { name: 'Transcript' })).toHaveAttribute('aria-expanded', 'true')
+
+    const second = await screen.findByRole('button', { name: /^0:04Narrator.*Press Tab to move\.$/ })
+    await user.click(second)
+
+    expect(video.currentTime).toBe(4)
+    expect(second).toHaveAttribute('aria-current', 'true')
+    expect(screen.getByRole('button', { name: /Welcome to the tour/ })).not.toHaveAttribute('aria-current')
+    expect(screen.getByRole('button', { name: /^0:04Description.*A focus outline appears\.$/ })).toBeInTheDocument()
+  })
+
+  it('announces audio description when turned on', async () => {
+    const user = userEvent.setup()
+    const { container, video } = renderPlayer()
+    const description = container.querySelector('.media-description')
+
+    await user.click(screen.getByRole('button', { name: /Audio description/ }))
+    await screen.findByRole('button', { name: 'Transcript' })
+    await act(() => Promise.resolve())
+    playTo(video, 5)
+
+    expect(screen.getByRole('button', { name: /Audio description/ })).toHaveAttribute('aria-pressed', 'true')
+    expect(description).toHaveAttribute('aria-live', 'polite')
+    expect(description).toHaveTextContent('A focus outline appears.')
+  })
+
+  it('keeps the transcript available when the media fails to load', async () => {
+    const { container } = renderPlayer()
+
+    fireEvent.error(container.querySelector('source'))
+
+    expect(screen.getByRole('alert')).toHaveTextContent('This media could not be loaded. The transcript is still available.')
+  })
+})
@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react'
+import { formatTime } from './vtt'
+import { useTranslation } from '../i18n/useTranslation'
+
+// Interactive transcript: every cue is a button that seeks the media to it,
+// and the cues showing now are marked with aria-current. Description cues
+// are interleaved so the transcript also works as a descriptive transcript.
+function Transcript({ cues, descriptions = [], lang, currentTime, onSeek }) {
+  const { t, locale } = useTranslation()
+  const listRef = useRef(null)
+
+  const entries = [
+    ...cues.map((cue) => ({ ...cue, key: `cue-${cue.id}` })),
+    ...descriptions.map((cue) => ({ ...cue, key: `description-${cue.id}`, description: true })),
+  ].sort((a, b) => a.start - b.start)
+  const activeKeys = entries
+    .filter((entry) => entry.start <= currentTime && currentTime < entry.end)
+    .map((entry) => entry.key)
+  const activeKey = activeKeys.join()
+
+  // Keep the current cue visible by scrolling the list only, never the page
+  useEffect(() => {
+    const list = listRef.current
+    const active = list?.querySelector('[aria-current="true"]')
+    if (!active) return
+
+    const top = active.offsetTop - list.offsetTop
+    if (top < list.scrollTop || top + active.offsetHeight > list.scrollTop + list.clientHeight) {
+      list.scrollTop = top
+    }
+  }, [activeKey])
+
+  return (
+    <section className="transcript" aria-label={t('media.transcript')}>
+      <ol className="transcript-list" ref={listRef} lang={lang}>
+        {entries.map((entry) => (
+          <li key={entry.key} className={entry.description ? 'transcript-description' : undefined}>
+            <button
+              type="button"
+              className="transcript-cue"
+              aria-current={activeKeys.includes(entry.key) ? 'true' : undefined}
+              onClick={() => onSeek(entry.start)}
+            >
+              <span className="transcript-time">{formatTime(entry.start)}</span>
+              {entry.description && (
+                <span className="transcript-label" lang={locale}>{t('media.transcript.description')}</span>
+              )}
+              {entry.speaker && <span className="transcript-label">{entry.speaker}</span>}
+              <span className="transcript-text">{entry.text}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+    </section>
+  )
+}
+
+export default Transcript
@@ -0,0 +1,130 @@
+// Caption and description choices for every media player on the site,
+// persisted so a viewer sets them once. Shared between open tabs through
+// the `storage` event.
+
+export const STORAGE_KEY = 'a11y-captions'
+
+// Each style option maps to a data-* attribute on the player's caption box
+export const CAPTION_STYLES = {
+  size: { values: ['small', 'medium', 'large'], fallback: 'medium' },
+  color: { values: ['white', 'yellow', 'cyan', 'black'], fallback: 'white' },
+  background: { values: ['black', 'translucent', 'white'], fallback: 'black' },
+}
+
+// The backgrounds each text color is readable on, at 4.5:1 or more even
+// when the translucent background sits over white video (checked by
+// scripts/contrast-check.js). Choosing a color or background that doesn't
+// go with the other setting switches that one to the first readable choice.
+export const READABLE_CAPTION_PAIRS = {
+  white: ['black', 'translucent'],
+  yellow: ['black', 'translucent'],
+  cyan: ['black', 'translucent'],
+  black: ['white'],
+}
+
+export function isReadable(color, background) {
+  return READABLE_CAPTION_PAIRS[color]?.includes(background) ?? false
+}
+
+// Change the other half of an unreadable color/background pair. Returns
+// the setting that changed, or null.
+function makeReadable(values, changed) {
+  if (isReadable(values.color, values.background)) return null
+
+  if (changed === 'background') {
+    values.color = CAPTION_STYLES.color.values.find((color) => isReadable(color, values.background))
+    return 'color'
+  }
+  values.background = READABLE_CAPTION_PAIRS[values.color][0]
+  return 'background'
+}
+
+const DEFAULTS = {
+  ...Object.fromEntries(Object.entries(CAPTION_STYLES).map(([key, { fallback }]) => [key, fallback])),
+  // srclang of the chosen captions or subtitles track, or 'off'
+  language: 'off',
+  descriptions: false,
+}
+
+const listeners = new Set()
+let settings = readSettings()
+
+function isValid(key, value) {
+  if (CAPTION_STYLES[key]) return CAPTION_STYLES[key].values.includes(value)
+  if (key === 'language') return typeof value === 'string' && value !== ''
+  if (key === 'descriptions') return typeof value === 'boolean'
+  return false
+}
+
+function readSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    if (!stored || typeof stored !== 'object') return DEFAULTS
+
+    const values = {
+      ...DEFAULTS,
+      ...Object.fromEntries(Object.entries(stored).filter(([key, value]) => isValid(key, value))),
+    }
+    makeReadable(values, 'color')
+    return values
+  } catch {
+    return DEFAULTS
+  }
+}
+
+function writeSettings() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch {
+    // Keep the in-memory value for this session
+  }
+}
+
+function notify() {
+  listeners.forEach((listener) => listener())
+}
+
+function handleStorage(e) {
+  if (e.key !== STORAGE_KEY && e.key !== null) return
+  settings = readSettings()
+  notify()
+}
+
+export function getCaptionSettings() {
+  return settings
+}
+
+// Returns the other setting if it had to change to keep captions readable
+// (see READABLE_CAPTION_PAIRS), otherwise null
+export function setCaptionSetting(key, value) {
+  if (!isValid(key, value)) {
+    throw new Error(`Unknown value "${value}" for caption setting "${key}"`)
+  }
+
+  settings = { ...settings, [key]: value }
+  const adjusted = makeReadable(settings, key)
+  writeSettings()
+  notify()
+  return adjusted
+}
+
+// Back to the default look; the chosen language and descriptions stay
+export function resetCaptionStyle() {
+  settings = { ...settings, ...Object.fromEntries(Object.keys(CAPTION_STYLES).map((key) => [key, DEFAULTS[key]])) }
+  writeSettings()
+  notify()
+}
+
+export function subscribe(listener) {
+  if (listeners.size === 0) {
+    window.addEventListener('storage', handleStorage)
+  }
+  listeners.add(listener)
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', handleStorage)
+    }
+  }
+}
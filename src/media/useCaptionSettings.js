@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getCaptionSettings, subscribe } from './captionSettings'
+
+// Caption style, language and description choices, shared by all players
+export function useCaptionSettings() {
+  return useSyncExternalStore(subscribe, getCaptionSettings)
+}
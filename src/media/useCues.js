@@ -0,0 +1,44 @@
+import { useEffect, useState } from 'react'
+import { parseVtt } from './vtt'
+
+// One request per file, shared by every player and transcript using it
+const cache = new Map()
+
+function loadCues(src) {
+  if (!cache.has(src)) {
+    const request = fetch(src)
+      .then((response) => {
+        if (!response.ok) throw new Error(`${src}: HTTP ${response.status}`)
+        return response.text()
+      })
+      .then(parseVtt)
+    // Let a failed file be retried on the next mount
+    request.catch(() => cache.delete(src))
+    cache.set(src, request)
+  }
+  return cache.get(src)
+}
+
+// Cues of each WebVTT track, keyed by src: an array once loaded, null if the
+// file could not be loaded or parsed, missing while it loads
+export function useCues(tracks) {
+  const [cues, setCues] = useState({})
+  const sources = tracks.map((track) => track.src).join('\n')
+
+  useEffect(() => {
+    let cancelled = false
+
+    sources.split('\n').filter(Boolean).forEach((src) => {
+      loadCues(src).then(
+        (loaded) => !cancelled && setCues((current) => ({ ...current, [src]: loaded })),
+        () => !cancelled && setCues((current) => ({ ...current, [src]: null }))
+      )
+    })
+
+    return () => {
+      cancelled = true
+    }
+  }, [sources])
+
+  return cues
+}
@@ -0,0 +1,74 @@
+// Minimal WebVTT parser for the player's own caption rendering and
+// transcript. Cue settings, regions and styles are ignored; tags are
+// stripped except <v Speaker>, which becomes the cue's speaker.
+
+const TIMING = /^(\S+)\s+-->\s+(\S+)/
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': '\u00a0', '&lrm;': '\u200e', '&rlm;': '\u200f' }
+
+// "01:02.500" or "1:01:02.500" → seconds
+export function parseTimestamp(value) {
+  const match = /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/.exec(value)
+  if (!match) return null
+
+  const [, hours = '0', minutes, seconds, millis] = match
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000
+}
+
+function cleanText(lines) {
+  let speaker = null
+  const text = lines
+    .join('\n')
+    .replace(/<v(?:\.[^\s>]+)*\s+([^>]+)>/g, (_tag, name) => {
+      speaker ??= name.trim()
+      return ''
+    })
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(?:amp|lt|gt|nbsp|lrm|rlm);/g, (entity) => ENTITIES[entity])
+    .trim()
+
+  return { text, speaker }
+}
+
+export function parseVtt(source) {
+  const blocks = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/)
+  if (!/^WEBVTT(?:[ \t\n]|$)/.test(blocks[0])) {
+    throw new Error('Not a WebVTT file')
+  }
+
+  const cues = []
+  blocks.slice(1).forEach((block) => {
+    const lines = block.split('\n').filter((line) => line !== '')
+    const timingIndex = lines.findIndex((line) => line.includes('-->'))
+    // NOTE, STYLE and REGION blocks have no timing line
+    if (timingIndex === -1 || timingIndex > 1) return
+
+    const [, from, to] = TIMING.exec(lines[timingIndex]) ?? []
+    const start = parseTimestamp(from)
+    const end = parseTimestamp(to)
+    if (start === null || end === null || end < start) return
+
+    cues.push({
+      id: timingIndex === 1 ? lines[0] : String(cues.length + 1),
+      start,
+      end,
+      ...cleanText(lines.slice(timingIndex + 1)),
+    })
+  })
+
+  return cues.sort((a, b) => a.start - b.start)
+}
+
+// Cues showing at `time`; several can overlap
+export function activeCues(cues, time) {
+  return cues.filter((cue) => cue.start <= time && time < cue.end)
+}
+
+// 65 → "1:05", 3723 → "1:02:03"
+export function formatTime(seconds) {
+  const total = Number.isFinite(seconds) ? Math.max(0, Math.floor(seconds)) : 0
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest'
+import { activeCues, formatTime, parseTimestamp, parseVtt } from './vtt'
+
+describe('parseVtt', () => {
+  it('reads cues, identifiers and speakers and skips notes', () => {
+    const cues = parseVtt(`WEBVTT
+Kind: captions
+
+NOTE Recorded in 2026
+
+intro
+00:00.000 --> 00:02.500 align:start
+<v Narrator>Hello &amp; <i>welcome</i>
+
+01:00:01.000 --> 01:00:03.000
+Second
+line`)
+
+    expect(cues).toEqual([
+      { id: 'intro', start: 0, end: 2.5, text: 'Hello & welcome', speaker: 'Narrator' },
+      { id: '2', start: 3601, end: 3603, text: 'Second\nline', speaker: null },
+    ])
+  })
+
+  it('rejects files without the WEBVTT header', () => {
+    expect(() => parseVtt('1\n00:00.000 --> 00:01.000\nHi')).toThrow('Not a WebVTT file')
+  })
+
+  it('finds the cues showing at a time', () => {
+    const cues = [
+      { id: '1', start: 0, end: 2 },
+      { id: '2', start: 1, end: 3 },
+    ]
+    expect(activeCues(cues, 1.5).map((cue) => cue.id)).toEqual(['1', '2'])
+    expect(activeCues(cues, 2).map((cue) => cue.id)).toEqual(['2'])
+  })
+})
+
+describe('time formatting', () => {
+  it('parses and formats timestamps', () => {
+    expect(parseTimestamp('01:02.500')).toBe(62.5)
+    expect(parseTimestamp('1:2.5')).toBeNull()
+    expect(formatTime(65)).toBe('1:05')
+    expect(formatTime(3723)).toBe('1:02:03')
+    expect(formatTime(NaN)).toBe('0:00')
+  })
+})
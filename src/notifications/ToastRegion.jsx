@@ -0,0 +1,153 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { createPortal } from 'react-dom'
+import { dismiss } from './store'
+import { useNotifications } from './useNotifications'
+import { useTranslation } from '../i18n/useTranslation'
+import { useShortcut } from '../shortcuts/useShortcut'
+
+// Time the live region stays empty before a new announcement is written
+const ANNOUNCE_DELAY = 100
+
+// Single toast. The auto-dismiss timer pauses while the toast is hovered or
+// contains focus, so nobody loses a message they are still reading (WCAG
+// 2.2.1), and resumes with whatever time was left.
+function Toast({ notification, onDismiss }) {
+  const { t } = useTranslation()
+  const [hovered, setHovered] = useState(false)
+  const [focused, setFocused] = useState(false)
+  const remainingRef = useRef(notification.duration)
+  const { id, type, title, message, duration } = notification
+
+  useEffect(() => {
+    if (duration === null || hovered || focused) return
+
+    const startedAt = Date.now()
+    const timer = setTimeout(() => onDismiss(id), remainingRef.current)
+
+    return () => {
+      clearTimeout(timer)
+      remainingRef.current -= Date.now() - startedAt
+    }
+  }, [id, duration, hovered, focused, onDismiss])
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setFocused(false)
+    }
+  }
+
+  return (
+    <li
+      className={`toast toast-${type}`}
+      data-notification-id={id}
+      tabIndex={-1}
+      onMouseEnter={() => setHovered(true)}
+      onMouseLeave={() => setHovered(false)}
+      onFocus={() => setFocused(true)}
+      onBlur={handleBlur}
+    >
+      <div className="toast-body">
+        <span className="sr-only">{t(`notifications.type.${type}`)}: </span>
+        {title && <strong>{title} </strong>}
+        {message}
+      </div>
+      <button
+        type="button"
+        className="toast-close"
+        onClick={() => onDismiss(id)}
+        aria-label={t('notifications.dismiss')}
+      >
+        ×
+      </button>
+    </li>
+  )
+}
+
+// Toast Region
+//
+// Visible toasts are not live regions themselves; each new notification is
+// written once into the polite or assertive live region below so screen
+// readers announce it exactly once. The Alt+Shift+N shortcut moves focus to
+// the newest toast. Marked data-modal-exempt so it stays usable behind open dialogs.
+function ToastRegion() {
+  const notifications = useNotifications()
+  const { t } = useTranslation()
+  const [announcements, setAnnouncements] = useState({ polite: '', assertive: '' })
+  const announcedRef = useRef(new Set())
+  const announceTimersRef = useRef({})
+  const listRef = useRef(null)
+  const returnFocusRef = useRef(null)
+
+  useEffect(() => {
+    notifications.forEach(({ id, type, title, message, politeness }) => {
+      if (announcedRef.current.has(id)) return
+      announcedRef.current.add(id)
+
+      const text = [`${t(`notifications.type.${type}`)}:`, title, message].filter(Boolean).join(' ')
+      // Empty the region first: screen readers only announce a change, so the
+      // same message twice in a row would otherwise be read once
+      setAnnouncements((prev) => ({ ...prev, [politeness]: '' }))
+      clearTimeout(announceTimersRef.current[politeness])
+      announceTimersRef.current[politeness] = setTimeout(() => {
+        setAnnouncements((prev) => ({ ...prev, [politeness]: text }))
+      }, ANNOUNCE_DELAY)
+    })
+  }, [notifications, t])
+
+  useEffect(() => {
+    const timers = announceTimersRef.current
+    return () => Object.values(timers).forEach(clearTimeout)
+  }, [])
+
+  useShortcut({
+    id: 'notifications.focus',
+    keys: 'alt+shift+n',
+    description: 'shortcuts.notifications',
+    allowInInputs: true,
+    allowInDialogs: true,
+    handler: () => {
+      const toasts = listRef.current?.querySelectorAll('.toast')
+      const newest = toasts?.[toasts.length - 1]
+      if (!newest) return
+
+      if (!listRef.current.contains(document.activeElement)) {
+        returnFocusRef.current = document.activeElement
+      }
+      newest.focus()
+    },
+  })
+
+  // Keep focus on the page when the toast that had it goes away
+  const handleDismiss = useCallback((id) => {
+    const toast = listRef.current?.querySelector(`[data-notification-id="${id}"]`)
+    const hadFocus = toast?.contains(document.activeElement)
+
+    dismiss(id)
+
+    if (hadFocus) {
+      const target = returnFocusRef.current?.isConnected
+        ? returnFocusRef.current
+        : document.getElementById('main-content')
+      target?.focus()
+    }
+  }, [])
+
+  return createPortal(
+    <section className="toast-region" aria-label={t('notifications.region')} data-modal-exempt="">
+      <ol className="toast-list" ref={listRef}>
+        {notifications.map((notification) => (
+          <Toast key={notification.id} notification={notification} onDismiss={handleDismiss} />
+        ))}
+      </ol>
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+        {announcements.polite}
+      </div>
+      <div className="sr-only" role="alert" aria-live="assertive" aria-atomic="true">
+        {announcements.assertive}
+      </div>
+    </section>,
+    document.body
+  )
+}
+
+export default ToastRegion
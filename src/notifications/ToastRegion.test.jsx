@@ -0,0 +1,126 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, fireEvent, render, screen, within } from '@testing-library/react'
+import ToastRegion from './ToastRegion'
+import { dismiss, getNotifications, notify } from './store'
+
+describe('ToastRegion', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    // The queue is app-wide; empty it for the next test
+    act(() => {
+      while (getNotifications().length > 0) dismiss(getNotifications()[0].id)
+    })
+    vi.useRealTimers()
+  })
+
+  const toasts = () => screen.queryAllByRole('listitem').map((toast) => toast.textContent)
+  const advance = (ms) => act(() => vi.advanceTimersByTime(ms))
+
+  it('dismisses toasts after their duration and keeps errors until dismissed', () => {
+    render(<ToastRegion />)
+    act(() => {
+      notify({ type: 'success', title: 'Saved.' })
+      notify({ type: 'error', title: 'Failed.' })
+    })
+
+    advance(4999)
+    expect(toasts()).toHaveLength(2)
+    advance(1)
+    expect(toasts()).toEqual([expect.stringContaining('Failed.')])
+
+    advance(60000)
+    expect(toasts()).toHaveLength(1)
+  })
+
+  it('pauses the timer while a toast is hovered or focused and resumes with the time left', () => {
+    render(<ToastRegion />)
+    act(() => {
+      notify({ title: 'Hello.', duration: 1000 })
+    })
+    const toast = screen.getByRole('listitem')
+
+    advance(600)
+    fireEvent.mouseEnter(toast)
+    advance(5000)
+    expect(toasts()).toHaveLength(1)
+
+    fireEvent.mouseLeave(toast)
+    act(() => toast.focus())
+    advance(5000)
+    expect(toasts()).toHaveLength(1)
+
+    act(() => toast.blur())
+    advance(399)
+    expect(toasts()).toHaveLength(1)
+    advance(1)
+    expect(toasts()).toEqual([])
+  })
+
+  it('announces each notification once in the live region for its type', () => {
+    render(<ToastRegion />)
+    act(() => {
+      notify({ type: 'info', title: 'Draft saved.' })
+    })
+    act(() => {
+      notify({ type: 'warning', title: 'Session ending.', message: 'Save your work.' })
+    })
+    advance(100)
+    expect(screen.getByRole('status')).toHaveTextContent('Information: Draft saved.')
+    expect(screen.getByRole('alert')).toHaveTextContent('Warning: Session ending. Save your work.')
+
+    let second
+    act(() => {
+      second = notify({ type: 'info', title: 'Second.' })
+    })
+    advance(100)
+    expect(screen.getByRole('status')).toHaveTextContent('Information: Second.')
+
+    // Toasts that are still showing aren't announced again when others go
+    act(() => dismiss(second))
+    advance(100)
+    expect(screen.getByRole('status')).toHaveTextContent('Information: Second.')
+  })
+
+  it('empties the live region before announcing the same message again', () => {
+    render(<ToastRegion />)
+    const status = screen.getByRole('status')
+    act(() => {
+      notify({ type: 'info', title: 'Copied.' })
+    })
+    advance(100)
+    expect(status).toHaveTextContent('Information: Copied.')
+
+    act(() => {
+      notify({ type: 'info', title: 'Copied.' })
+    })
+    expect(status).toBeEmptyDOMElement()
+    advance(100)
+    expect(status).toHaveTextContent('Information: Copied.')
+  })
+
+  it('moves focus to the newest toast with Alt+Shift+N and back when it is dismissed', () => {
+    render(
+      <>
+        <button type="button">Before</button>
+        <ToastRegion />
+      </>
+    )
+    act(() => {
+      notify({ type: 'error', title: 'Older.' })
+      notify({ type: 'error', title: 'Newer.' })
+    })
+
+    const before = screen.getByRole('button', { name: 'Before' })
+    before.focus()
+    fireEvent.keyDown(before, { key: 'N', code: 'KeyN', altKey: true, shiftKey: true })
+    const newest = screen.getAllByRole('listitem')[1]
+    expect(newest).toHaveFocus()
+
+    fireEvent.click(within(newest).getByRole('button', { name: 'Dismiss notification' }))
+    expect(toasts()).toEqual([expect.stringContaining('Older.')])
+    expect(before).toHaveFocus()
+  })
+})
@@ -0,0 +1,74 @@
+// App-wide notification queue. Any module can call notify(); <ToastRegion>
+// renders the visible toasts and announces them.
+
+export const MAX_VISIBLE = 3
+
+// Higher priority toasts jump the queue when more than MAX_VISIBLE are
+// waiting. Errors and warnings are announced assertively.
+export const NOTIFICATION_TYPES = {
+  error: { priority: 3, politeness: 'assertive', duration: null },
+  warning: { priority: 2, politeness: 'assertive', duration: 8000 },
+  success: { priority: 1, politeness: 'polite', duration: 5000 },
+  info: { priority: 0, politeness: 'polite', duration: 5000 },
+}
+
+const listeners = new Set()
+let visible = []
+let queue = []
+let nextId = 1
+
+function emit() {
+  listeners.forEach((listener) => listener())
+}
+
+function promote() {
+  while (visible.length < MAX_VISIBLE && queue.length > 0) {
+    visible = [...visible, queue[0]]
+    queue = queue.slice(1)
+  }
+}
+
+// Show a notification. `duration` is in milliseconds; pass null (or
+// persistent: true) for one that stays until dismissed. Errors are
+// persistent by default. Returns the notification id.
+export function notify({ type = 'info', title, message, duration, persistent = false }) {
+  const config = NOTIFICATION_TYPES[type]
+  if (!config) {
+    throw new Error(`Unknown notification type "${type}"`)
+  }
+
+  const notification = {
+    id: nextId++,
+    type,
+    title,
+    message,
+    politeness: config.politeness,
+    duration: persistent ? null : duration === undefined ? config.duration : duration,
+  }
+
+  // Stable insert: after every queued item of the same or higher priority
+  const index = queue.findIndex((queued) => NOTIFICATION_TYPES[queued.type].priority < config.priority)
+  queue = index === -1
+    ? [...queue, notification]
+    : [...queue.slice(0, index), notification, ...queue.slice(index)]
+
+  promote()
+  emit()
+  return notification.id
+}
+
+export function dismiss(id) {
+  visible = visible.filter((notification) => notification.id !== id)
+  queue = queue.filter((notification) => notification.id !== id)
+  promote()
+  emit()
+}
+
+export function getNotifications() {
+  return visible
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
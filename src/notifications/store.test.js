@@ -0,0 +1,86 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+
+describe('notifications store', () => {
+  let store
+
+  beforeEach(async () => {
+    // Fresh queue and ids for every test
+    vi.resetModules()
+    store = await import('./store')
+  })
+
+  const visible = () => store.getNotifications().map(({ title }) => title)
+
+  it('shows up to MAX_VISIBLE notifications and queues the rest', () => {
+    ;['One', 'Two', 'Three', 'Four', 'Five'].forEach((title) => store.notify({ title }))
+    expect(store.MAX_VISIBLE).toBe(3)
+    expect(visible()).toEqual(['One', 'Two', 'Three'])
+
+    store.dismiss(store.getNotifications()[0].id)
+    expect(visible()).toEqual(['Two', 'Three', 'Four'])
+  })
+
+  it('lets higher priority notifications jump the queue, keeping order within a type', () => {
+    ;['One', 'Two', 'Three'].forEach((title) => store.notify({ title }))
+    store.notify({ type: 'info', title: 'Info' })
+    store.notify({ type: 'success', title: 'Saved' })
+    store.notify({ type: 'error', title: 'First error' })
+    store.notify({ type: 'warning', title: 'Warning' })
+    store.notify({ type: 'error', title: 'Second error' })
+
+    const next = () => {
+      store.dismiss(store.getNotifications()[0].id)
+      return visible()[2]
+    }
+    expect([next(), next(), next(), next(), next()]).toEqual(['First error', 'Second error', 'Warning', 'Saved', 'Info'])
+  })
+
+  it('takes a dismissed notification out of the queue too', () => {
+    ;['One', 'Two', 'Three'].forEach((title) => store.notify({ title }))
+    const queued = store.notify({ title: 'Queued' })
+    store.notify({ title: 'Last' })
+
+    store.dismiss(queued)
+    store.dismiss(store.getNotifications()[0].id)
+    expect(visible()).toEqual(['Two', 'Three', 'Last'])
+
+    // Dismissing twice or an unknown id changes nothing
+    store.dismiss(queued)
+    store.dismiss(999)
+    expect(visible()).toEqual(['Two', 'Three', 'Last'])
+  })
+
+  it('uses each type\'s duration and politeness unless told otherwise', () => {
+    store.notify({ type: 'info', title: 'Info' })
+    store.notify({ type: 'error', title: 'Error' })
+    store.notify({ type: 'warning', title: 'Custom', duration: 1000 })
+
+    expect(store.getNotifications()).toEqual([
+      expect.objectContaining({ id: 1, duration: 5000, politeness: 'polite' }),
+      expect.objectContaining({ id: 2, duration: null, politeness: 'assertive' }),
+      expect.objectContaining({ id: 3, duration: 1000, politeness: 'assertive' }),
+    ])
+
+    store.notify({ type: 'success', title: 'Sticky', persistent: true, duration: 1000 })
+    store.dismiss(1)
+    expect(store.getNotifications()[2]).toMatchObject({ title: 'Sticky', duration: null })
+  })
+
+  it('tells subscribers about every change', () => {
+    const listener = vi.fn()
+    const unsubscribe = store.subscribe(listener)
+
+    const id = store.notify({ title: 'Hello' })
+    store.dismiss(id)
+    expect(listener).toHaveBeenCalledTimes(2)
+
+    unsubscribe()
+    store.notify({ title: 'Again' })
+    expect(listener).toHaveBeenCalledTimes(2)
+  })
+
+  it('rejects unknown types', () => {
+    expect(() => store.notify({ type: 'fatal', title: 'Oops' })).toThrow('Unknown notification type "fatal"')
+    expect(store.getNotifications()).toEqual([])
+  })
+})
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getNotifications, subscribe } from './store'
+
+// Currently visible notifications, oldest first
+export function useNotifications() {
+  return useSyncExternalStore(subscribe, getNotifications)
+}
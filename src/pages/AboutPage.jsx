@@ -0,0 +1,56 @@
+import { useTranslation } from '../i18n/useTranslation'
+
+const KEYBOARD_TIPS = [
+  'about.keyboard.tab',
+  'about.keyboard.shiftTab',
+  'about.keyboard.activate',
+  'about.keyboard.arrows',
+  'about.keyboard.homeEnd',
+  'about.keyboard.escape',
+  'about.keyboard.shortcuts',
+]
+
+// About Page
+function AboutPage() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="about-section">
+      <h2 tabIndex={-1}>{t('about.title')}</h2>
+      <div className="content-grid">
+        <article className="info-card">
+          <h3>{t('about.wcag.title')}</h3>
+          <p>
+            {t('about.wcag.body')}
+          </p>
+          <a href="https://www.w3.org/WAI/WCAG21/quickref/" 
+             target="_blank" 
+             rel="noopener noreferrer"
+             className="card-link"
+          >
+            {t('about.wcag.link')}
+            <span className="sr-only"> {t('common.opensInNewTab')}</span>
+          </a>
+        </article>
+        
+        <article className="info-card">
+          <h3>{t('about.keyboard.title')}</h3>
+          <ul>
+            {KEYBOARD_TIPS.map((key) => (
+              <li key={key}>{t(key)}</li>
+            ))}
+          </ul>
+        </article>
+        
+        <article className="info-card">
+          <h3>{t('about.screenReader.title')}</h3>
+          <p>
+            {t('about.screenReader.body')}
+          </p>
+        </article>
+      </div>
+    </section>
+  )
+}
+
+export default AboutPage
@@ -0,0 +1,13 @@
+import { describe, expect, it } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import AboutPage from './AboutPage'
+import { axeViolations } from '../test/axe'
+
+describe('AboutPage', () => {
+  it('has no axe violations', async () => {
+    const { container } = render(<AboutPage />)
+
+    expect(screen.getByRole('heading', { level: 2, name: 'About Accessibility' })).toBeInTheDocument()
+    expect(await axeViolations(container)).toEqual([])
+  })
+})
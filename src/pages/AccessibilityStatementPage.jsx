@@ -0,0 +1,67 @@
+import { useTranslation } from '../i18n/useTranslation'
+import knownIssues from './accessibilityKnownIssues.json'
+
+// The standard we claim. This is a statement made by people, not by the
+// audit: update it when the site is reviewed against a new version.
+const CONFORMANCE = { version: '2.1', level: 'AA' }
+
+const CONTACT_EMAIL = 'accessibility@example.com'
+
+// Accessibility Statement Page
+//
+// Known limitations come from accessibilityKnownIssues.json, generated from
+// the latest audit report by scripts/a11y-statement.js. Rule summaries and
+// page names in it are English, so they are marked lang="en".
+function AccessibilityStatementPage({ onReportBarrier }) {
+  const { t, locale } = useTranslation()
+  const { auditedAt, issues } = knownIssues
+  const date = auditedAt && new Intl.DateTimeFormat(locale, { dateStyle: 'long' }).format(new Date(auditedAt))
+
+  let limitations = t('statement.limitations.notAudited')
+  if (auditedAt) {
+    limitations = t(issues.length > 0 ? 'statement.limitations.intro' : 'statement.limitations.none', { date })
+  }
+
+  return (
+    <section className="content-page statement-page">
+      <h2 tabIndex={-1}>{t('route.accessibility')}</h2>
+      <p>{t('statement.intro')}</p>
+
+      <h3>{t('statement.conformance.title')}</h3>
+      <p>{t(issues.length > 0 ? 'statement.conformance.partial' : 'statement.conformance.target', CONFORMANCE)}</p>
+
+      <h3>{t('statement.limitations.title')}</h3>
+      <p>{limitations}</p>
+      {issues.length > 0 && (
+        <ul className="known-issues">
+          {issues.map((issue) => (
+            <li key={issue.rule}>
+              <span lang="en">{issue.help}</span>
+              {issue.criteria.length > 0 && (
+                <> ({t('statement.limitations.criteria', { criteria: issue.criteria.join(', ') })})</>
+              )}
+              <br />
+              <span className="known-issue-where">
+                {t('statement.limitations.where')}: <span lang="en">{issue.where.join(', ')}</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h3>{t('statement.assessment.title')}</h3>
+      <p>{t('statement.assessment.body')}</p>
+
+      <h3>{t('statement.feedback.title')}</h3>
+      <p>{t('statement.feedback.body')}</p>
+      <p>
+        {t('statement.feedback.email')}: <a href={`mailto:${CONTACT_EMAIL}`}>{CONTACT_EMAIL}</a>
+      </p>
+      <button type="button" className="primary-button" onClick={onReportBarrier}>
+        {t('barrier.open')}
+      </button>
+    </section>
+  )
+}
+
+export default AccessibilityStatementPage
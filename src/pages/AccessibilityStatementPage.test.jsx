@@ -0,0 +1,47 @@
+import { describe, expect, it, vi } from 'vitest'
+import { render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import AccessibilityStatementPage from './AccessibilityStatementPage'
+import { axeViolations } from '../test/axe'
+
+vi.mock('./accessibilityKnownIssues.json', () => ({
+  default: {
+    auditedAt: '2026-10-01T10:00:00.000Z',
+    issues: [
+      {
+        rule: 'color-contrast',
+        help: 'Elements must meet minimum color contrast ratio thresholds',
+        helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/color-contrast',
+        criteria: ['1.4.3'],
+        impact: 'serious',
+        occurrences: 3,
+        where: ['Home page', 'Dark mode'],
+      },
+    ],
+  },
+}))
+
+describe('AccessibilityStatementPage', () => {
+  it('lists the known issues from the latest audit', async () => {
+    const { container } = render(<AccessibilityStatementPage onReportBarrier={vi.fn()} />)
+
+    expect(screen.getByText(/partially conformant with WCAG 2\.1 level AA/)).toBeInTheDocument()
+    expect(screen.getByText(/latest automated audit, on October 1, 2026, found these issues/)).toBeInTheDocument()
+
+    const issue = screen.getByRole('listitem')
+    expect(issue).toHaveTextContent('Elements must meet minimum color contrast ratio thresholds (WCAG 1.4.3)')
+    expect(issue).toHaveTextContent('Found on: Home page, Dark mode')
+    expect(screen.getByText('Home page, Dark mode')).toHaveAttribute('lang', 'en')
+    expect(await axeViolations(container)).toEqual([])
+  })
+
+  it('opens the barrier report', async () => {
+    const onReportBarrier = vi.fn()
+    const user = userEvent.setup()
+    render(<AccessibilityStatementPage onReportBarrier={onReportBarrier} />)
+
+    await user.click(screen.getByRole('button', { name: 'Report an accessibility barrier' }))
+
+    expect(onReportBarrier).toHaveBeenCalled()
+  })
+})
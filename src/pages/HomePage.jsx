@@ -0,0 +1,47 @@
+import Link from '../router/Link'
+import { useTranslation } from '../i18n/useTranslation'
+
+const FEATURES = [
+  'home.feature.semantic',
+  'home.feature.keyboard',
+  'home.feature.screenReader',
+  'home.feature.contrast',
+  'home.feature.focus',
+  'home.feature.aria',
+  'home.feature.responsive',
+  'home.feature.skipLinks',
+]
+
+// Home Page
+function HomePage({ onOpenContact }) {
+  const { t } = useTranslation()
+
+  return (
+    <section className="hero-section">
+      <h2 tabIndex={-1}>{t('home.title')}</h2>
+      <p className="hero-text">
+        {t('home.intro')}
+      </p>
+      
+      <ul className="feature-list" role="list">
+        {FEATURES.map((key) => (
+          <li key={key} role="listitem">✓ {t(key)}</li>
+        ))}
+      </ul>
+
+      <div className="cta-section">
+        <button 
+          className="primary-button"
+          onClick={onOpenContact}
+        >
+          {t('home.getStarted')}
+        </button>
+        <Link to="/about" className="secondary-button">
+          {t('home.learnMore')}
+        </Link>
+      </div>
+    </section>
+  )
+}
+
+export default HomePage
@@ -0,0 +1,19 @@
+import Link from '../router/Link'
+import { useTranslation } from '../i18n/useTranslation'
+
+// 404 Page
+function NotFoundPage() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="content-page">
+      <h2 tabIndex={-1}>{t('route.notFound')}</h2>
+      <p>{t('notFound.body')}</p>
+      <p>
+        <Link to="/" className="card-link">{t('notFound.home')}</Link>
+      </p>
+    </section>
+  )
+}
+
+export default NotFoundPage
@@ -0,0 +1,18 @@
+import { useTranslation } from '../i18n/useTranslation'
+
+// Privacy Policy Page
+function PrivacyPage() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="content-page">
+      <h2 tabIndex={-1}>{t('route.privacy')}</h2>
+      <p>{t('privacy.collect')}</p>
+      <p>{t('privacy.use')}</p>
+      <p>{t('privacy.barrierReport')}</p>
+      <p>{t('privacy.analytics')}</p>
+    </section>
+  )
+}
+
+export default PrivacyPage
@@ -0,0 +1,16 @@
+import { useTranslation } from '../i18n/useTranslation'
+
+// Terms of Service Page
+function TermsPage() {
+  const { t } = useTranslation()
+
+  return (
+    <section className="content-page">
+      <h2 tabIndex={-1}>{t('route.terms')}</h2>
+      <p>{t('terms.asIs')}</p>
+      <p>{t('terms.conduct')}</p>
+    </section>
+  )
+}
+
+export default TermsPage
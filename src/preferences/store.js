@@ -0,0 +1,197 @@
+// User accessibility preferences: persisted overrides layered over OS
+// defaults, shared between open tabs through the `storage` event.
+//
+// The inline script in index.html applies the same attributes before first
+// paint. Keep STORAGE_KEY and the attribute names in sync with it.
+
+export const STORAGE_KEY = 'a11y-preferences'
+
+// Each preference maps to a data-* attribute on <html>. `media` makes the
+// OS setting the default until the user picks a value of their own.
+export const PREFERENCES = {
+  theme: {
+    attribute: 'data-theme',
+    values: ['light', 'dark'],
+    fallback: 'light',
+    media: { query: '(prefers-color-scheme: dark)', value: 'dark' },
+  },
+  fontSize: {
+    attribute: 'data-font-size',
+    values: ['small', 'medium', 'large'],
+    fallback: 'medium',
+  },
+  contrast: {
+    attribute: 'data-contrast',
+    values: ['normal', 'high'],
+    fallback: 'normal',
+    media: { query: '(prefers-contrast: more)', value: 'high' },
+  },
+  motion: {
+    attribute: 'data-motion',
+    values: ['full', 'reduce'],
+    fallback: 'full',
+    media: { query: '(prefers-reduced-motion: reduce)', value: 'reduce' },
+  },
+  // WCAG 1.4.12 text spacing: line height 1.5, paragraphs 2em, letters
+  // 0.12em, words 0.16em
+  textSpacing: {
+    attribute: 'data-text-spacing',
+    values: ['normal', 'wide'],
+    fallback: 'normal',
+  },
+  font: {
+    attribute: 'data-font',
+    values: ['default', 'readable'],
+    fallback: 'default',
+  },
+  linkUnderline: {
+    attribute: 'data-link-underline',
+    values: ['auto', 'always'],
+    fallback: 'auto',
+  },
+  focusRing: {
+    attribute: 'data-focus-ring',
+    values: ['normal', 'large'],
+    fallback: 'normal',
+  },
+  // Reading aids, drawn by src/readingAids/ and switched from the toolbar
+  readingGuide: {
+    attribute: 'data-reading-guide',
+    values: ['off', 'ruler', 'mask'],
+    fallback: 'off',
+  },
+  magnifier: {
+    attribute: 'data-magnifier',
+    values: ['off', 'on'],
+    fallback: 'off',
+  },
+  focusSpotlight: {
+    attribute: 'data-focus-spotlight',
+    values: ['off', 'on'],
+    fallback: 'off',
+  },
+}
+
+const listeners = new Set()
+let overrides = readOverrides()
+let snapshot = resolve()
+// What caused the latest change: 'user' (this tab's controls, including
+// reset), 'system' (an OS setting changed) or 'otherTab'
+let changeSource = null
+
+function readOverrides() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    if (!stored || typeof stored !== 'object') return {}
+
+    // Drop unknown keys and values so a stale or hand-edited entry can't
+    // leave the page in an unstyled state
+    return Object.fromEntries(
+      Object.entries(stored).filter(([key, value]) => PREFERENCES[key]?.values.includes(value))
+    )
+  } catch {
+    return {}
+  }
+}
+
+function writeOverrides() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides))
+  } catch {
+    // Storage can be full or disabled (private browsing); keep the
+    // in-memory value for this session
+  }
+}
+
+function systemDefault(key) {
+  const { media, fallback } = PREFERENCES[key]
+  if (media && window.matchMedia?.(media.query).matches) return media.value
+  return fallback
+}
+
+function resolve() {
+  return Object.fromEntries(
+    Object.keys(PREFERENCES).map((key) => [key, overrides[key] ?? systemDefault(key)])
+  )
+}
+
+function notify(source) {
+  changeSource = source
+  snapshot = resolve()
+  listeners.forEach((listener) => listener())
+}
+
+function handleStorage(e) {
+  if (e.key !== STORAGE_KEY && e.key !== null) return
+  overrides = readOverrides()
+  notify('otherTab')
+}
+
+function handleMediaChange() {
+  notify('system')
+}
+
+const mediaQueries = Object.values(PREFERENCES)
+  .filter(({ media }) => media && window.matchMedia)
+  .map(({ media }) => window.matchMedia(media.query))
+
+export function getPreferences() {
+  return snapshot
+}
+
+export function isOverridden(key) {
+  return key in overrides
+}
+
+export function getChangeSource() {
+  return changeSource
+}
+
+export function setPreference(key, value) {
+  if (!PREFERENCES[key]?.values.includes(value)) {
+    throw new Error(`Unknown value "${value}" for preference "${key}"`)
+  }
+
+  overrides = { ...overrides, [key]: value }
+  writeOverrides()
+  notify('user')
+}
+
+// Forget the user's choice so the OS default applies again
+export function resetPreference(key) {
+  if (!(key in overrides)) return
+
+  const { [key]: _removed, ...rest } = overrides
+  overrides = rest
+  writeOverrides()
+  notify('user')
+}
+
+export function resetPreferences() {
+  overrides = {}
+  writeOverrides()
+  notify('user')
+}
+
+export function subscribe(listener) {
+  if (listeners.size === 0) {
+    window.addEventListener('storage', handleStorage)
+    mediaQueries.forEach((query) => query.addEventListener('change', handleMediaChange))
+  }
+  listeners.add(listener)
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      window.removeEventListener('storage', handleStorage)
+      mediaQueries.forEach((query) => query.removeEventListener('change', handleMediaChange))
+    }
+  }
+}
+
+// Mirror resolved preferences onto <html> as data-* attributes
+export function applyPreferences(preferences, root = document.documentElement) {
+  Object.entries(PREFERENCES).forEach(([key, { attribute }]) => {
+    root.setAttribute(attribute, preferences[key])
+  })
+}
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react'
+import { getPreferences, subscribe } from './store'
+
+// Resolved preferences (user overrides, else OS defaults), kept live across
+// OS setting changes and other tabs
+export function usePreferences() {
+  return useSyncExternalStore(subscribe, getPreferences)
+}
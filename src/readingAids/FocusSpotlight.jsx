@@ -0,0 +1,31 @@
+import { useCallback, useRef } from 'react'
+import { useFollowTarget } from './useFollowTarget'
+
+// Space left around the focused element, in pixels
+const PADDING = 8
+
+// Focus spotlight: dims the whole page except the focused element. Only
+// keyboard focus moves it; the pointer doesn't.
+function FocusSpotlight() {
+  const spotlightRef = useRef(null)
+
+  const follow = useCallback((target) => {
+    const spotlight = spotlightRef.current
+    if (!spotlight) return
+
+    spotlight.hidden = !target?.rect
+    if (!target?.rect) return
+
+    const { top, left, width, height } = target.rect
+    spotlight.style.top = `${top - PADDING}px`
+    spotlight.style.left = `${left - PADDING}px`
+    spotlight.style.width = `${width + PADDING * 2}px`
+    spotlight.style.height = `${height + PADDING * 2}px`
+  }, [])
+
+  useFollowTarget(follow, { pointer: false })
+
+  return <div ref={spotlightRef} className="focus-spotlight" aria-hidden="true" hidden />
+}
+
+export default FocusSpotlight
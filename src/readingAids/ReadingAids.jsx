@@ -0,0 +1,20 @@
+import ReadingGuide from './ReadingGuide'
+import TextMagnifier from './TextMagnifier'
+import FocusSpotlight from './FocusSpotlight'
+import { usePreferences } from '../preferences/usePreferences'
+
+// The reading aids switched on in preferences. Each is a visual overlay
+// that ignores the pointer and is hidden from assistive technology.
+function ReadingAids() {
+  const { readingGuide, magnifier, focusSpotlight } = usePreferences()
+
+  return (
+    <>
+      {readingGuide !== 'off' && <ReadingGuide mode={readingGuide} />}
+      {magnifier === 'on' && <TextMagnifier />}
+      {focusSpotlight === 'on' && <FocusSpotlight />}
+    </>
+  )
+}
+
+export default ReadingAids
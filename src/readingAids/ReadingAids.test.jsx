@@ -0,0 +1,109 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { act, fireEvent, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import ReadingAids from './ReadingAids'
+import ReadingAidsPanel from '../components/ReadingAidsPanel'
+import { STORAGE_KEY, resetPreferences, setPreference } from '../preferences/store'
+import { axeViolations } from '../test/axe'
+
+// The aids redraw on the next animation frame
+const nextFrame = () => act(() => new Promise((resolve) => window.requestAnimationFrame(resolve)))
+
+function renderPage() {
+  const onClose = vi.fn()
+  const view = render(
+    <>
+      <ReadingAidsPanel id="reading-aids" onClose={onClose} />
+      <main>
+        <p>Reading aids help people keep their place.</p>
+        <label htmlFor="name">Name</label>
+        <input id="name" defaultValue="Ada" />
+        <button type="button">Send</button>
+      </main>
+      <ReadingAids />
+    </>
+  )
+  const button = screen.getByRole('button', { name: 'Send' })
+  button.getBoundingClientRect = () => ({ top: 300, bottom: 320, left: 40, right: 140, width: 100, height: 20 })
+  return { ...view, button, onClose }
+}
+
+describe('ReadingAids', () => {
+  beforeEach(() => {
+    act(() => resetPreferences())
+  })
+
+  it('switches the aids from the panel and remembers them', async () => {
+    const user = userEvent.setup()
+    const { container, onClose } = renderPage()
+
+    await user.click(screen.getByRole('radio', { name: 'Reading mask' }))
+    await user.click(screen.getByRole('checkbox', { name: 'Text magnifier' }))
+    await user.click(screen.getByRole('checkbox', { name: 'Focus spotlight' }))
+
+    expect(container.querySelector('.reading-mask-above')).toBeInTheDocument()
+    expect(container.querySelector('.text-magnifier')).toHaveAttribute('aria-hidden', 'true')
+    expect(container.querySelector('.focus-spotlight')).toHaveAttribute('aria-hidden', 'true')
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEY))).toMatchObject({
+      readingGuide: 'mask',
+      magnifier: 'on',
+      focusSpotlight: 'on',
+    })
+    expect(await axeViolations(container)).toEqual([])
+
+    await user.keyboard('{Escape}')
+    expect(onClose).toHaveBeenCalled()
+  })
+
+  it('moves the reading ruler with keyboard focus and Alt + arrow keys', async () => {
+    const user = userEvent.setup()
+    act(() => setPreference('readingGuide', 'ruler'))
+    const { container, button } = renderPage()
+    const guide = container.querySelector('.reading-guide')
+
+    act(() => button.focus())
+    await nextFrame()
+    expect(guide.style.getPropertyValue('--guide-y')).toBe('310px')
+
+    await user.keyboard('{Alt>}{ArrowDown}{/Alt}')
+    // jsdom computes no line height, so a line is 1.5 × 16px
+    expect(guide.style.getPropertyValue('--guide-y')).toBe('334px')
+  })
+
+  it('magnifies the text under the pointer and at keyboard focus', async () => {
+    act(() => setPreference('magnifier', 'on'))
+    const { container } = renderPage()
+    const lens = container.querySelector('.text-magnifier')
+    expect(lens).not.toBeVisible()
+
+    fireEvent.pointerMove(screen.getByText(/Reading aids help/), { clientX: 20, clientY: 20 })
+    await nextFrame()
+    expect(lens).toBeVisible()
+    expect(lens).toHaveTextContent('Reading aids help people keep their place.')
+    // Twice jsdom's 16px default
+    expect(lens.style.fontSize).toBe('32px')
+
+    act(() => screen.getByRole('textbox', { name: 'Name' }).focus())
+    await nextFrame()
+    expect(lens).toHaveTextContent('Ada')
+  })
+
+  it('spotlights the focused element only', async () => {
+    act(() => setPreference('focusSpotlight', 'on'))
+    const { container, button } = renderPage()
+    const spotlight = container.querySelector('.focus-spotlight')
+
+    act(() => button.focus())
+    await nextFrame()
+    expect(spotlight).toBeVisible()
+    expect(spotlight.style).toMatchObject({ top: '292px', left: '32px', width: '116px', height: '36px' })
+
+    fireEvent.pointerMove(screen.getByText(/Reading aids help/), { clientX: 20, clientY: 20 })
+    await nextFrame()
+    expect(spotlight.style.top).toBe('292px')
+
+    act(() => button.blur())
+    await nextFrame()
+    expect(spotlight).not.toBeVisible()
+  })
+})
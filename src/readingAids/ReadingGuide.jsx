@@ -0,0 +1,71 @@
+import { useCallback, useRef } from 'react'
+import { useFollowTarget } from './useFollowTarget'
+import { useShortcut } from '../shortcuts/useShortcut'
+
+// Height of the clear band, in lines of body text
+const BAND_LINES = 2
+
+function lineHeight() {
+  const style = window.getComputedStyle(document.body)
+  return parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.5 || 24
+}
+
+// Reading ruler (a highlighted band) or mask (dims everything above and
+// below the band). Follows the pointer and keyboard focus; Alt + Up/Down
+// moves it a line at a time for reading text that has nothing to focus.
+function ReadingGuide({ mode }) {
+  const guideRef = useRef(null)
+  const yRef = useRef(window.innerHeight / 2)
+
+  const moveTo = useCallback((y) => {
+    yRef.current = Math.min(Math.max(y, 0), window.innerHeight)
+    guideRef.current?.style.setProperty('--guide-y', `${yRef.current}px`)
+  }, [])
+
+  const follow = useCallback(
+    (target) => {
+      if (!target) return
+      // Tall focused elements (text areas, sections) line up with their
+      // first line rather than their middle
+      const { rect } = target
+      const tall = rect && rect.height > lineHeight() * BAND_LINES
+      moveTo(tall ? rect.top + lineHeight() / 2 : target.y)
+    },
+    [moveTo]
+  )
+
+  useFollowTarget(follow)
+
+  useShortcut({
+    id: 'readingGuide.up',
+    keys: 'alt+arrowup',
+    description: 'shortcuts.readingGuideUp',
+    handler: () => moveTo(yRef.current - lineHeight()),
+  })
+  useShortcut({
+    id: 'readingGuide.down',
+    keys: 'alt+arrowdown',
+    description: 'shortcuts.readingGuideDown',
+    handler: () => moveTo(yRef.current + lineHeight()),
+  })
+
+  return (
+    <div
+      ref={guideRef}
+      className={`reading-guide reading-guide-${mode}`}
+      style={{ '--guide-lines': BAND_LINES }}
+      aria-hidden="true"
+    >
+      {mode === 'mask' ? (
+        <>
+          <div className="reading-mask-above" />
+          <div className="reading-mask-below" />
+        </>
+      ) : (
+        <div className="reading-ruler" />
+      )}
+    </div>
+  )
+}
+
+export default ReadingGuide
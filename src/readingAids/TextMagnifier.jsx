@@ -0,0 +1,70 @@
+import { useCallback, useRef } from 'react'
+import { useFollowTarget } from './useFollowTarget'
+
+// Elements whose whole text the lens shows
+const TEXT_SELECTOR =
+  'p, h1, h2, h3, h4, h5, h6, li, dt, dd, label, legend, summary, caption, figcaption, blockquote, td, th, a, button, input, select, textarea'
+const SCALE = 2
+const MIN_FONT_SIZE = 24
+// Gap between the pointer or focused element and the lens
+const OFFSET = 16
+
+// The sentence under the pointer, so long paragraphs don't fill the lens
+function sentenceAt(element, x, y) {
+  const caret = document.caretPositionFromPoint?.(x, y) ?? document.caretRangeFromPoint?.(x, y)
+  const node = caret?.offsetNode ?? caret?.startContainer
+  const offset = caret?.offset ?? caret?.startOffset
+  if (node?.nodeType !== Node.TEXT_NODE || !element.contains(node) || typeof Intl.Segmenter !== 'function') return null
+
+  const segments = new Intl.Segmenter(node.parentElement.closest('[lang]')?.lang, { granularity: 'sentence' })
+  return segments.segment(node.data).containing(Math.min(offset, node.data.length - 1))?.segment ?? null
+}
+
+function textOf(element) {
+  if (element.matches('input, textarea')) {
+    return element.value || element.placeholder || element.labels?.[0]?.textContent || ''
+  }
+  if (element.matches('select')) {
+    return element.selectedOptions?.[0]?.textContent ?? ''
+  }
+  return element.textContent || element.getAttribute('aria-label') || ''
+}
+
+// Text magnifier: a lens next to the pointer or keyboard focus showing the
+// text there at twice its size. The page itself isn't scaled, so layout
+// and reading position stay put.
+function TextMagnifier() {
+  const lensRef = useRef(null)
+
+  const follow = useCallback((target) => {
+    const lens = lensRef.current
+    const element = target?.element?.closest?.(TEXT_SELECTOR)
+    const hidden = !element || element.closest('[aria-hidden="true"]')
+    const raw = hidden ? '' : (!target.rect && sentenceAt(element, target.x, target.y)) || textOf(element)
+    const text = raw.replace(/\s+/g, ' ').trim()
+    if (!lens) return
+
+    lens.hidden = !text
+    if (!text) return
+
+    const fontSize = parseFloat(window.getComputedStyle(element).fontSize) || 16
+    lens.textContent = text
+    lens.lang = element.closest('[lang]')?.lang ?? ''
+    lens.style.fontSize = `${Math.max(fontSize * SCALE, MIN_FONT_SIZE)}px`
+
+    // Below the pointer or element if it fits, else above; kept on screen
+    const anchor = target.rect ?? { top: target.y, bottom: target.y, left: target.x, width: 0 }
+    const { offsetWidth: width, offsetHeight: height } = lens
+    const below = anchor.bottom + OFFSET
+    const top = below + height <= window.innerHeight ? below : Math.max(anchor.top - OFFSET - height, 0)
+    const left = Math.min(Math.max(anchor.left + anchor.width / 2 - width / 2, 0), window.innerWidth - width)
+    lens.style.top = `${top}px`
+    lens.style.left = `${Math.max(left, 0)}px`
+  }, [])
+
+  useFollowTarget(follow)
+
+  return <div ref={lensRef} className="text-magnifier" aria-hidden="true" hidden />
+}
+
+export default TextMagnifier
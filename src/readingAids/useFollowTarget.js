@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react'
+
+// Calls `onMove({ x, y, element, rect })` at most once per frame as the
+// pointer moves or keyboard focus changes, so an aid can follow whichever
+// the user is using. Focus positions carry the element's rect and are
+// refreshed on scroll and resize; pointer positions have rect null.
+// `onMove(null)` means focus left the page content.
+export function useFollowTarget(onMove, { pointer = true } = {}) {
+  const onMoveRef = useRef(onMove)
+
+  useEffect(() => {
+    onMoveRef.current = onMove
+  }, [onMove])
+
+  useEffect(() => {
+    let frame = null
+    let latest = null
+    let following = 'focus'
+
+    const schedule = (target) => {
+      latest = target
+      if (frame !== null) return
+      frame = window.requestAnimationFrame(() => {
+        frame = null
+        onMoveRef.current(latest)
+      })
+    }
+
+    const fromFocus = () => {
+      const element = document.activeElement
+      if (!element || element === document.body) return null
+
+      const rect = element.getBoundingClientRect()
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2, element, rect }
+    }
+
+    const handlePointerMove = (e) => {
+      following = 'pointer'
+      schedule({ x: e.clientX, y: e.clientY, element: e.target, rect: null })
+    }
+    const handleFocusIn = () => {
+      following = 'focus'
+      schedule(fromFocus())
+    }
+    const handleFocusOut = (e) => {
+      if (following === 'focus' && !e.relatedTarget) schedule(null)
+    }
+    const handleViewportChange = () => {
+      if (following === 'focus') schedule(fromFocus())
+    }
+
+    if (pointer) document.addEventListener('pointermove', handlePointerMove, { passive: true })
+    document.addEventListener('focusin', handleFocusIn)
+    document.addEventListener('focusout', handleFocusOut)
+    window.addEventListener('scroll', handleViewportChange, { capture: true, passive: true })
+    window.addEventListener('resize', handleViewportChange)
+    handleFocusIn()
+
+    return () => {
+      if (pointer) document.removeEventListener('pointermove', handlePointerMove)
+      document.removeEventListener('focusin', handleFocusIn)
+      document.removeEventListener('focusout', handleFocusOut)
+      window.removeEventListener('scroll', handleViewportChange, { capture: true })
+      window.removeEventListener('resize', handleViewportChange)
+      if (frame !== null) window.cancelAnimationFrame(frame)
+    }
+  }, [pointer])
+}
@@ -0,0 +1,29 @@
+import { navigate } from './history'
+
+// Accessible client-side link: a real <a href> so it can be opened in a new
+// tab, bookmarked and announced as a link, with in-app navigation on click
+function Link({ to, onClick, children, ...props }) {
+  const handleClick = (e) => {
+    onClick?.(e)
+
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey || e.ctrlKey || e.shiftKey || e.altKey ||
+      props.target
+    ) {
+      return
+    }
+
+    e.preventDefault()
+    navigate(to)
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
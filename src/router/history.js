@@ -0,0 +1,23 @@
+// Minimal History API wrapper shared by the router hook and Link component
+const listeners = new Set()
+
+export function getPath() {
+  return window.location.pathname
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === getPath()) return
+
+  window.history[replace ? 'replaceState' : 'pushState']({}, '', to)
+  listeners.forEach((listener) => listener())
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  window.addEventListener('popstate', listener)
+
+  return () => {
+    listeners.delete(listener)
+    window.removeEventListener('popstate', listener)
+  }
+}
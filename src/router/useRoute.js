@@ -0,0 +1,11 @@
+import { useMemo, useSyncExternalStore } from 'react'
+import { getPath, subscribe } from './history'
+import { matchRoute } from '../routes'
+
+// Current route, re-rendering on pushState navigation and back/forward.
+// A new object is returned per pathname so two different unknown URLs still
+// count as separate navigations.
+export function useRoute() {
+  const pathname = useSyncExternalStore(subscribe, getPath)
+  return useMemo(() => ({ ...matchRoute(pathname), pathname }), [pathname])
+}
@@ -0,0 +1,23 @@
+import HomePage from './pages/HomePage'
+import AboutPage from './pages/AboutPage'
+import PrivacyPage from './pages/PrivacyPage'
+import TermsPage from './pages/TermsPage'
+import AccessibilityStatementPage from './pages/AccessibilityStatementPage'
+import NotFoundPage from './pages/NotFoundPage'
+
+// Every deep-linkable page. `titleKey` is the message key of the page name
+// used in document.title and the route change announcement.
+export const routes = [
+  { path: '/', titleKey: 'route.home', component: HomePage },
+  { path: '/about', titleKey: 'route.about', component: AboutPage },
+  { path: '/privacy', titleKey: 'route.privacy', component: PrivacyPage },
+  { path: '/terms', titleKey: 'route.terms', component: TermsPage },
+  { path: '/accessibility', titleKey: 'route.accessibility', component: AccessibilityStatementPage },
+]
+
+export const notFoundRoute = { path: null, titleKey: 'route.notFound', component: NotFoundPage }
+
+export function matchRoute(path) {
+  const normalized = path.length > 1 ? path.replace(/\/+$/, '') : path
+  return routes.find((route) => route.path === normalized) ?? notFoundRoute
+}
@@ -0,0 +1,160 @@
+// Session time limit. A backend that expires idle sessions needs the page to
+// warn before that happens and let the user ask for more time (WCAG 2.2.1
+// Timing Adjustable).
+//
+// The session ends after `timeout` without activity. `warning` before that
+// the status becomes 'warning'; from then on only extendSession() keeps it
+// going, so a stray key press can't dismiss the warning unseen. The expiry
+// time is shared between tabs through localStorage, so activity or an
+// extension in one tab counts for all of them.
+//
+// The timer here only mirrors the backend's. Whenever activity or the user
+// extends the session, `onExtend` tells the backend too; by default it posts
+// to SESSION_KEEPALIVE_ENDPOINT.
+
+import { postJSON } from '../api/client'
+
+export const STORAGE_KEY = 'session-expires-at'
+
+const MINUTE = 60 * 1000
+
+// Off unless the deployment sets a timeout that matches the backend's
+export const SESSION_TIMEOUT = Number(import.meta.env.VITE_SESSION_TIMEOUT_MINUTES) * MINUTE || 0
+export const SESSION_WARNING = (Number(import.meta.env.VITE_SESSION_WARNING_SECONDS) || 120) * 1000
+export const SESSION_KEEPALIVE_ENDPOINT =
+  import.meta.env.VITE_SESSION_KEEPALIVE_ENDPOINT || '/api/session/keepalive'
+
+// Activity pushes the expiry back at most this often
+const ACTIVITY_THROTTLE = 30 * 1000
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown']
+
+const listeners = new Set()
+let config = { timeout: SESSION_TIMEOUT, warning: SESSION_WARNING, onExtend: keepAlive }
+let timer = null
+
+// status: idle (no time limit) | active | warning | expired
+let state = { status: 'idle', expiresAt: null }
+
+function update(changes) {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener())
+}
+
+function readExpiry() {
+  try {
+    const expiresAt = Number(window.localStorage.getItem(STORAGE_KEY))
+    return expiresAt > 0 ? expiresAt : null
+  } catch {
+    return null
+  }
+}
+
+function writeExpiry(expiresAt) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, String(expiresAt))
+  } catch {
+    // Keep the in-memory value for this session
+  }
+}
+
+// Move to the status the expiry time calls for and wait for the next change
+function schedule() {
+  clearTimeout(timer)
+  if (state.status === 'idle' || state.status === 'expired') return
+
+  const remaining = state.expiresAt - Date.now()
+  if (remaining <= 0) {
+    update({ status: 'expired' })
+  } else if (remaining <= config.warning) {
+    if (state.status !== 'warning') update({ status: 'warning' })
+    timer = setTimeout(schedule, remaining)
+  } else {
+    if (state.status !== 'active') update({ status: 'active' })
+    timer = setTimeout(schedule, remaining - config.warning)
+  }
+}
+
+function keepAlive() {
+  return postJSON(SESSION_KEEPALIVE_ENDPOINT, {})
+}
+
+function setExpiry(expiresAt) {
+  writeExpiry(expiresAt)
+  update({ status: 'active', expiresAt })
+  schedule()
+}
+
+// Restart the time limit here and on the backend. The local timer doesn't
+// wait for the backend; a failed keepalive is only logged.
+async function extend() {
+  setExpiry(Date.now() + config.timeout)
+  try {
+    await config.onExtend?.()
+  } catch (error) {
+    console.warn('[session] Could not extend the backend session', error)
+  }
+}
+
+function handleActivity() {
+  if (state.status !== 'active') return
+  if (state.expiresAt - Date.now() < config.timeout - ACTIVITY_THROTTLE) {
+    extend()
+  }
+}
+
+// Another tab saw activity or extended the session
+function handleStorage(e) {
+  if (e.key !== STORAGE_KEY || state.status === 'idle') return
+
+  const expiresAt = Number(e.newValue)
+  if (expiresAt > state.expiresAt) {
+    update({ status: 'active', expiresAt })
+    schedule()
+  }
+}
+
+// Background tabs may run timers late; catch up when the page is shown
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible') schedule()
+}
+
+export function getSession() {
+  return state
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Restart the time limit: answers the warning, or begins a new session
+// after one has expired
+export function extendSession() {
+  if (state.status === 'idle') return
+  extend()
+}
+
+// Start timing the session. Options default to the VITE_SESSION_* build
+// settings; without a timeout there is no time limit. `onExtend` is called
+// (and may return a promise) each time the session is extended; pass null
+// if the backend needs no request for that. Returns a cleanup function.
+export function startSession({ timeout = SESSION_TIMEOUT, warning = SESSION_WARNING, onExtend = keepAlive } = {}) {
+  if (!timeout) return () => {}
+
+  config = { timeout, warning: Math.min(warning, timeout), onExtend }
+  ACTIVITY_EVENTS.forEach((type) => document.addEventListener(type, handleActivity, true))
+  window.addEventListener('storage', handleStorage)
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+
+  // Join a session another open tab is already timing
+  const stored = readExpiry()
+  setExpiry(stored > Date.now() ? stored : Date.now() + timeout)
+
+  return () => {
+    clearTimeout(timer)
+    ACTIVITY_EVENTS.forEach((type) => document.removeEventListener(type, handleActivity, true))
+    window.removeEventListener('storage', handleStorage)
+    document.removeEventListener('visibilitychange', handleVisibilityChange)
+    update({ status: 'idle', expiresAt: null })
+  }
+}
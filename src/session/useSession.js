@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getSession, subscribe } from './store'
+
+// Session status (idle, active, warning or expired) and expiry time
+export function useSession() {
+  return useSyncExternalStore(subscribe, getSession)
+}
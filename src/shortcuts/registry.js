@@ -0,0 +1,192 @@
+// Global keyboard shortcuts.
+//
+// Components register shortcuts (usually through useShortcut) with an id,
+// a default key combination and a description message key. One document
+// listener dispatches them, skipping keystrokes typed into text fields and
+// anything while a dialog is open, unless the shortcut opts in.
+//
+// Combinations are written like 'h', '?', 'alt+shift+n'. Shortcuts without
+// ctrl/alt/meta are "single-key" shortcuts: users can remap them or turn
+// them all off (WCAG 2.1.4), and those settings persist in localStorage.
+
+import { hasOpenModal } from '../utils/modalStack'
+
+const STORAGE_KEY = 'keyboard-shortcuts'
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta']
+
+const listeners = new Set()
+const shortcuts = new Map()
+let settings = readSettings()
+let snapshot = []
+
+function readSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    return {
+      singleKeyEnabled: stored?.singleKeyEnabled !== false,
+      remapped: stored?.remapped && typeof stored.remapped === 'object' ? stored.remapped : {},
+    }
+  } catch {
+    return { singleKeyEnabled: true, remapped: {} }
+  }
+}
+
+function writeSettings() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch {
+    // Settings last for this page load only
+  }
+}
+
+export function parseKeys(keys) {
+  const parts = keys.toLowerCase().split('+')
+  const key = parts.pop()
+  return {
+    key,
+    ctrl: parts.includes('ctrl'),
+    alt: parts.includes('alt'),
+    shift: parts.includes('shift'),
+    meta: parts.includes('meta'),
+  }
+}
+
+export function isSingleKey(keys) {
+  const { ctrl, alt, meta } = parseKeys(keys)
+  return !ctrl && !alt && !meta
+}
+
+// Effective key combination after user remapping
+function effectiveKeys(shortcut) {
+  return settings.remapped[shortcut.id] ?? shortcut.keys
+}
+
+function isActive(shortcut) {
+  return settings.singleKeyEnabled || !isSingleKey(shortcut.keys)
+}
+
+function matches(e, keys) {
+  const combo = parseKeys(keys)
+  if (combo.ctrl !== e.ctrlKey || combo.alt !== e.altKey || combo.meta !== e.metaKey) {
+    return false
+  }
+
+  const isLetter = /^[a-z]$/.test(combo.key)
+  // Shift is part of typing symbols like "?", so only letters compare it
+  if (isLetter && combo.shift !== e.shiftKey) return false
+
+  // With Alt held, e.key can be a different character (macOS), so letters
+  // fall back to the physical key
+  if (isLetter && e.code === `Key${combo.key.toUpperCase()}`) return true
+  return e.key.toLowerCase() === combo.key
+}
+
+function isTextEntry(element) {
+  if (!element) return false
+  if (element.isContentEditable) return true
+  if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true
+  if (element.tagName !== 'INPUT') return false
+
+  return !['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].includes(element.type)
+}
+
+function handleKeydown(e) {
+  if (e.defaultPrevented || e.isComposing) return
+  // Autofill fires keydown events without a key
+  if (typeof e.key !== 'string') return
+
+  const inTextEntry = isTextEntry(e.target)
+  const dialogOpen = hasOpenModal()
+
+  for (const shortcut of shortcuts.values()) {
+    if (!isActive(shortcut) || !matches(e, effectiveKeys(shortcut))) continue
+    if (inTextEntry && !shortcut.allowInInputs) continue
+    if (dialogOpen && !shortcut.allowInDialogs) continue
+
+    e.preventDefault()
+    shortcut.handler(e)
+    return
+  }
+}
+
+function emit() {
+  snapshot = Array.from(shortcuts.values()).map((shortcut) => ({
+    id: shortcut.id,
+    keys: effectiveKeys(shortcut),
+    defaultKeys: shortcut.keys,
+    description: shortcut.description,
+    singleKey: isSingleKey(shortcut.keys),
+    active: isActive(shortcut),
+  }))
+  listeners.forEach((listener) => listener())
+}
+
+// Register a shortcut:
+//   { id, keys, description, handler, allowInInputs, allowInDialogs }
+// `description` is an i18n message key. Returns an unregister function.
+export function registerShortcut(shortcut) {
+  if (shortcuts.size === 0) {
+    document.addEventListener('keydown', handleKeydown)
+  }
+  shortcuts.set(shortcut.id, shortcut)
+  emit()
+
+  return () => {
+    if (shortcuts.get(shortcut.id) !== shortcut) return
+
+    shortcuts.delete(shortcut.id)
+    if (shortcuts.size === 0) {
+      document.removeEventListener('keydown', handleKeydown)
+    }
+    emit()
+  }
+}
+
+export function getShortcuts() {
+  return snapshot
+}
+
+export function getSettings() {
+  return settings
+}
+
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+export function setSingleKeyEnabled(enabled) {
+  settings = { ...settings, singleKeyEnabled: enabled }
+  writeSettings()
+  emit()
+}
+
+// Give a single-key shortcut a different character. Returns an i18n error
+// key when the new key can't be used, otherwise null.
+export function remapShortcut(id, key) {
+  const shortcut = shortcuts.get(id)
+  if (!shortcut || !isSingleKey(shortcut.keys)) return 'shortcuts.error.notRemappable'
+
+  const normalized = key.trim().toLowerCase()
+  if (normalized.length !== 1 || MODIFIERS.includes(normalized)) return 'shortcuts.error.singleCharacter'
+
+  const conflict = Array.from(shortcuts.values()).find(
+    (other) => other.id !== id && effectiveKeys(other).toLowerCase() === normalized
+  )
+  if (conflict) return 'shortcuts.error.inUse'
+
+  const { [id]: _previous, ...rest } = settings.remapped
+  settings = {
+    ...settings,
+    remapped: normalized === shortcut.keys ? rest : { ...rest, [id]: normalized },
+  }
+  writeSettings()
+  emit()
+  return null
+}
+
+export function resetShortcuts() {
+  settings = { singleKeyEnabled: true, remapped: {} }
+  writeSettings()
+  emit()
+}
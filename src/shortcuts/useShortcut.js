@@ -0,0 +1,31 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react'
+import { getSettings, getShortcuts, registerShortcut, subscribe } from './registry'
+
+// Register a global shortcut for as long as the component is mounted.
+// The handler can change between renders without re-registering.
+export function useShortcut({ id, keys, description, handler, allowInInputs = false, allowInDialogs = false }) {
+  const handlerRef = useRef(handler)
+
+  useEffect(() => {
+    handlerRef.current = handler
+  }, [handler])
+
+  useEffect(
+    () => registerShortcut({
+      id,
+      keys,
+      description,
+      allowInInputs,
+      allowInDialogs,
+      handler: (e) => handlerRef.current(e),
+    }),
+    [id, keys, description, allowInInputs, allowInDialogs]
+  )
+}
+
+// Registered shortcuts (with effective keys) and the user's settings
+export function useShortcuts() {
+  const shortcuts = useSyncExternalStore(subscribe, getShortcuts)
+  const settings = useSyncExternalStore(subscribe, getSettings)
+  return { shortcuts, settings }
+}
@@ -0,0 +1,239 @@
+// "Read aloud": speaks page text sentence by sentence with the Web Speech
+// API and highlights the sentence being read.
+//
+// It never moves focus or writes to live regions, and the highlight uses
+// the CSS Custom Highlight API, which leaves the DOM and accessibility tree
+// untouched, so a running screen reader keeps its place. Browsers without
+// that API get the sentence's block marked with data-reading instead.
+
+import { collectSentences } from './sentences'
+
+export const STORAGE_KEY = 'a11y-reader'
+export const RATES = [0.5, 0.75, 1, 1.25, 1.5, 2]
+const HIGHLIGHT = 'reader-sentence'
+
+const listeners = new Set()
+let sentences = []
+// Bumped whenever speech is cancelled so stale utterance events are ignored
+let utteranceId = 0
+// The last non-empty selection, kept because activating a control can
+// clear it before the click lands
+let lastSelection = null
+let highlighted = null
+
+// status: idle | reading | paused. message: null | finished | empty |
+// noSelection | error, shown to the user until the next action.
+let state = {
+  supported: isSpeechSupported(),
+  status: 'idle',
+  index: 0,
+  total: 0,
+  message: null,
+  voices: [],
+  ...readSettings(),
+}
+
+export function isSpeechSupported() {
+  return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window
+}
+
+function readSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) ?? {}
+    return {
+      rate: RATES.includes(stored.rate) ? stored.rate : 1,
+      voice: typeof stored.voice === 'string' ? stored.voice : null,
+    }
+  } catch {
+    return { rate: 1, voice: null }
+  }
+}
+
+function writeSettings() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ rate: state.rate, voice: state.voice }))
+  } catch {
+    // Keep the in-memory value for this session
+  }
+}
+
+function update(changes) {
+  state = { ...state, ...changes }
+  listeners.forEach((listener) => listener())
+}
+
+function loadVoices() {
+  update({ voices: window.speechSynthesis.getVoices() })
+}
+
+function handleSelectionChange() {
+  const selection = document.getSelection()
+  if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+    lastSelection = selection.getRangeAt(0).cloneRange()
+  }
+}
+
+function highlight(sentence) {
+  highlighted?.block.removeAttribute('data-reading')
+  if (typeof CSS !== 'undefined' && CSS.highlights) {
+    CSS.highlights.delete(HIGHLIGHT)
+  }
+  highlighted = sentence
+  if (!sentence) return
+
+  if (typeof CSS !== 'undefined' && CSS.highlights) {
+    CSS.highlights.set(HIGHLIGHT, new window.Highlight(sentence.range))
+  } else {
+    sentence.block.setAttribute('data-reading', '')
+  }
+
+  const reduceMotion = document.documentElement.getAttribute('data-motion') === 'reduce'
+  sentence.block.scrollIntoView({ block: 'nearest', behavior: reduceMotion ? 'auto' : 'smooth' })
+}
+
+// The chosen voice if it speaks the sentence's language, else the first
+// voice that does; null lets the browser pick from utterance.lang
+function voiceFor(lang) {
+  const language = lang?.split('-')[0]
+  const speaks = (voice) => voice.lang.split(/[-_]/)[0] === language
+  const chosen = state.voices.find((voice) => voice.voiceURI === state.voice)
+  if (chosen && (!language || speaks(chosen))) return chosen
+  return language ? state.voices.find(speaks) ?? null : null
+}
+
+function speakCurrent() {
+  const sentence = sentences[state.index]
+  const id = ++utteranceId
+  highlight(sentence)
+
+  const utterance = new window.SpeechSynthesisUtterance(sentence.text)
+  utterance.rate = state.rate
+  if (sentence.lang) utterance.lang = sentence.lang
+  const voice = voiceFor(sentence.lang)
+  if (voice) utterance.voice = voice
+
+  utterance.onend = () => {
+    if (id !== utteranceId) return
+    if (state.index + 1 < sentences.length) {
+      update({ index: state.index + 1 })
+      speakCurrent()
+    } else {
+      finish('finished')
+    }
+  }
+  utterance.onerror = (e) => {
+    // Cancelling (stop, skip) reports these; they aren't failures
+    if (id !== utteranceId || e.error === 'interrupted' || e.error === 'canceled') return
+    finish('error')
+  }
+
+  window.speechSynthesis.speak(utterance)
+}
+
+// Drop the current utterance. Some engines stay paused across cancel(), so
+// anything spoken next would be silent without the resume().
+function cancelSpeech() {
+  utteranceId++
+  window.speechSynthesis.cancel()
+  window.speechSynthesis.resume()
+}
+
+function finish(message) {
+  utteranceId++
+  sentences = []
+  highlight(null)
+  update({ status: 'idle', index: 0, total: 0, message })
+}
+
+function start(found, emptyMessage) {
+  if (!state.supported) return
+  stopReading()
+  if (found.length === 0) {
+    update({ message: emptyMessage })
+    return
+  }
+
+  sentences = found
+  update({ status: 'reading', index: 0, total: found.length, message: null })
+  speakCurrent()
+}
+
+export function readPage(root = document.getElementById('main-content')) {
+  start(root ? collectSentences(root) : [], 'empty')
+}
+
+export function readSelection() {
+  const selection = document.getSelection()
+  const range = selection && !selection.isCollapsed ? selection.getRangeAt(0) : lastSelection
+  start(range ? collectSentences(document.body, range) : [], 'noSelection')
+}
+
+export function pauseReading() {
+  if (state.status !== 'reading') return
+  window.speechSynthesis.pause()
+  update({ status: 'paused' })
+}
+
+export function resumeReading() {
+  if (state.status !== 'paused') return
+  window.speechSynthesis.resume()
+  update({ status: 'reading' })
+}
+
+// Move by `delta` sentences and carry on reading from there
+export function skipSentence(delta) {
+  if (state.status === 'idle') return
+  const index = Math.min(Math.max(state.index + delta, 0), sentences.length - 1)
+
+  cancelSpeech()
+  update({ status: 'reading', index })
+  speakCurrent()
+}
+
+export function stopReading() {
+  if (!state.supported) return
+  if (state.status !== 'idle') {
+    cancelSpeech()
+  }
+  finish(null)
+}
+
+// Takes effect from the next sentence
+export function setReaderRate(rate) {
+  if (!RATES.includes(rate)) {
+    throw new Error(`Unsupported reading rate "${rate}"`)
+  }
+  update({ rate })
+  writeSettings()
+}
+
+// null restores the browser's default voice
+export function setReaderVoice(voice) {
+  update({ voice })
+  writeSettings()
+}
+
+export function getReaderState() {
+  return state
+}
+
+export function subscribe(listener) {
+  if (listeners.size === 0) {
+    document.addEventListener('selectionchange', handleSelectionChange)
+    if (state.supported) {
+      window.speechSynthesis.addEventListener?.('voiceschanged', loadVoices)
+      loadVoices()
+    }
+  }
+  listeners.add(listener)
+
+  return () => {
+    listeners.delete(listener)
+    if (listeners.size === 0) {
+      document.removeEventListener('selectionchange', handleSelectionChange)
+      if (state.supported) {
+        window.speechSynthesis.removeEventListener?.('voiceschanged', loadVoices)
+      }
+    }
+  }
+}
@@ -0,0 +1,97 @@
+// Splits rendered text into sentences, in document order, each with a DOM
+// Range so the reader can highlight it without changing the markup.
+
+// Never read aloud: hidden text, decorative icons, form controls (their
+// values aren't content) and media
+const SKIP_SELECTOR = [
+  '[hidden]',
+  '[aria-hidden="true"]',
+  '[data-reader-skip]',
+  'script',
+  'style',
+  'noscript',
+  'template',
+  'button',
+  'select',
+  'input',
+  'textarea',
+  'video',
+  'audio',
+].join(',')
+
+// A sentence never runs across one of these
+const BLOCK_SELECTOR = [
+  'address', 'article', 'aside', 'blockquote', 'caption', 'dd', 'details', 'div', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'label', 'legend', 'li', 'main', 'nav', 'p', 'pre', 'section', 'summary', 'td', 'th',
+].join(',')
+
+function segmentSentences(text, lang) {
+  if (typeof Intl.Segmenter === 'function') {
+    return [...new Intl.Segmenter(lang, { granularity: 'sentence' }).segment(text)].map(
+      ({ segment, index }) => ({ segment, index })
+    )
+  }
+  return [...text.matchAll(/[^.!?؟。]+[.!?؟。]*\s*/g)].map((match) => ({ segment: match[0], index: match.index }))
+}
+
+// Text node and offset at a character offset into the block's pieces
+function locate(pieces, offset, isEnd) {
+  const piece = pieces.find((candidate) =>
+    isEnd ? offset <= candidate.offset + candidate.length : offset < candidate.offset + candidate.length
+  )
+  return [piece.node, piece.start + offset - piece.offset]
+}
+
+function blockSentences(pieces, block) {
+  const text = pieces.map((piece) => piece.node.data.slice(piece.start, piece.end)).join('')
+  const lang = block.closest('[lang]')?.lang || document.documentElement.lang || undefined
+
+  return segmentSentences(text, lang).flatMap(({ segment, index }) => {
+    const leading = segment.length - segment.trimStart().length
+    const trimmed = segment.trim()
+    if (!/[\p{L}\p{N}]/u.test(trimmed)) return []
+
+    const range = document.createRange()
+    range.setStart(...locate(pieces, index + leading, false))
+    range.setEnd(...locate(pieces, index + leading + trimmed.length, true))
+    return [{ text: trimmed.replace(/\s+/g, ' '), range, block, lang }]
+  })
+}
+
+// Sentences under `root`, limited to `within` (a Range, such as the user's
+// selection) when given
+export function collectSentences(root, within) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      if (!node.data.trim()) return NodeFilter.FILTER_REJECT
+      if (node.parentElement.closest(SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT
+      if (within && !within.intersectsNode(node)) return NodeFilter.FILTER_REJECT
+      return NodeFilter.FILTER_ACCEPT
+    },
+  })
+
+  const sentences = []
+  let block = null
+  let pieces = []
+  const flush = () => {
+    if (pieces.length > 0) sentences.push(...blockSentences(pieces, block))
+    pieces = []
+  }
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const nodeBlock = node.parentElement.closest(BLOCK_SELECTOR) ?? root
+    if (nodeBlock !== block) {
+      flush()
+      block = nodeBlock
+    }
+
+    const start = within && node === within.startContainer ? within.startOffset : 0
+    const end = within && node === within.endContainer ? within.endOffset : node.data.length
+    const offset = pieces.reduce((total, piece) => total + piece.length, 0)
+    pieces.push({ node, start, end, offset, length: end - start })
+  }
+  flush()
+
+  return sentences
+}
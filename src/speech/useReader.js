@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getReaderState, subscribe } from './reader'
+
+// Read-aloud status, position, rate, voice and available voices
+export function useReader() {
+  return useSyncExternalStore(subscribe, getReaderState)
+}
@@ -0,0 +1,21 @@
+import axe from 'axe-core'
+
+// jsdom has no layout, so rules that measure rendered pixels can't run.
+// The page-level rules only make sense for a whole page, not a component
+// rendered on its own.
+const LAYOUT_RULES = ['color-contrast', 'target-size']
+const PAGE_RULES = ['region', 'landmark-one-main', 'page-has-heading-one', 'bypass', 'document-title', 'html-has-lang']
+
+// Run axe on rendered output and return one line per violation and
+// element, so a failing `expect(...).toEqual([])` reads like a report.
+// `page: true` also checks the page-level rules.
+export async function axeViolations(context = document.body, { page = false } = {}) {
+  const disabled = page ? LAYOUT_RULES : [...LAYOUT_RULES, ...PAGE_RULES]
+  const results = await axe.run(context, {
+    rules: Object.fromEntries(disabled.map((rule) => [rule, { enabled: false }])),
+  })
+
+  return results.violations.flatMap((violation) =>
+    violation.nodes.map((node) => `${violation.id} (${violation.impact}): ${node.target.join(' ')}`)
+  )
+}
@@ -0,0 +1,23 @@
+import '@testing-library/jest-dom/vitest'
+import { cleanup } from '@testing-library/react'
+import { afterEach } from 'vitest'
+
+// jsdom doesn't lay anything out, so getClientRects() is always empty and
+// focus utilities would treat every element as hidden. Give rendered
+// elements (not display: none and not inside [hidden]) one rect.
+Element.prototype.getClientRects = function getClientRects() {
+  for (let element = this; element; element = element.parentElement) {
+    if (element.hidden || window.getComputedStyle(element).display === 'none') return []
+  }
+  return [new DOMRect(0, 0, 1, 1)]
+}
+
+// jsdom doesn't scroll either
+Element.prototype.scrollIntoView = function scrollIntoView() {}
+
+// Unmount between tests and forget drafts, preferences and the outbox so
+// every test starts from a fresh page
+afterEach(() => {
+  cleanup()
+  window.localStorage.clear()
+})
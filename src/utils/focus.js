@@ -0,0 +1,45 @@
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  'audio[controls]',
+  'video[controls]',
+  '[contenteditable]:not([contenteditable="false"])',
+  '[tabindex]',
+].join(',')
+
+function isVisible(element) {
+  return (
+    element.getClientRects().length > 0 &&
+    window.getComputedStyle(element).visibility !== 'hidden'
+  )
+}
+
+// Elements a keyboard user can actually Tab to inside `container`: skips
+// disabled controls, tabindex="-1", inert subtrees and hidden elements.
+// `includeNegativeTabIndex` keeps tabindex="-1" controls, for composite
+// widgets that manage their own tab stop.
+export function getFocusableElements(container, { includeNegativeTabIndex = false } = {}) {
+  if (!container) return []
+
+  return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(
+    (element) =>
+      (includeNegativeTabIndex || element.tabIndex >= 0) &&
+      // [tabindex] also matches disabled controls, which never take focus
+      !element.matches(':disabled') &&
+      !element.closest('[inert]') &&
+      isVisible(element)
+  )
+}
+
+// Resolve a ref, element or selector (relative to `container`) to an element
+export function resolveElement(target, container) {
+  if (!target) return null
+  if (typeof target === 'string') return container?.querySelector(target) ?? null
+  if ('current' in target) return target.current
+  return target
+}
@@ -0,0 +1,21 @@
+// Random ids for queued messages, tabs and idempotency keys.
+//
+// crypto.randomUUID only exists in secure contexts (https and localhost), so
+// on a plain-http host such as a LAN preview the id is built from
+// getRandomValues, or from the clock and Math.random as a last resort.
+export function createId() {
+  const crypto = globalThis.crypto
+
+  if (typeof crypto?.randomUUID === 'function') return crypto.randomUUID()
+
+  if (typeof crypto?.getRandomValues === 'function') {
+    const bytes = crypto.getRandomValues(new Uint8Array(16))
+    // Version 4, RFC 4122 variant
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('')
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+}
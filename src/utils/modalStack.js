@@ -0,0 +1,121 @@
+import { getFocusableElements } from './focus'
+
+// Open dialogs, topmost last. Only the top entry receives Escape and Tab,
+// and everything in <body> except its overlay is made inert.
+const stack = []
+const hiddenElements = new Map()
+let savedBodyStyle = null
+
+function trapTab(e, dialog) {
+  const focusable = getFocusableElements(dialog)
+  if (focusable.length === 0) {
+    e.preventDefault()
+    dialog.focus()
+    return
+  }
+
+  const first = focusable[0]
+  const last = focusable[focusable.length - 1]
+  const active = document.activeElement
+  const outside = !dialog.contains(active) || active === dialog
+
+  if (e.shiftKey && (active === first || outside)) {
+    last.focus()
+    e.preventDefault()
+  } else if (!e.shiftKey && (active === last || outside)) {
+    first.focus()
+    e.preventDefault()
+  }
+}
+
+function handleKeydown(e) {
+  const top = stack[stack.length - 1]
+  if (!top) return
+
+  if (e.key === 'Escape') {
+    e.preventDefault()
+    top.onEscape()
+  } else if (e.key === 'Tab') {
+    trapTab(e, top.dialog)
+  }
+}
+
+function restoreBackground() {
+  hiddenElements.forEach(({ inert, ariaHidden }, element) => {
+    element.inert = inert
+    if (ariaHidden === null) {
+      element.removeAttribute('aria-hidden')
+    } else {
+      element.setAttribute('aria-hidden', ariaHidden)
+    }
+  })
+  hiddenElements.clear()
+}
+
+// Hide every <body> child except the top overlay from assistive technology
+// and pointer/keyboard interaction. Elements marked data-modal-exempt (such
+// as global live regions) stay reachable.
+function hideBackground(overlay) {
+  Array.from(document.body.children).forEach((element) => {
+    if (element === overlay || element.hasAttribute('data-modal-exempt')) return
+    if (['SCRIPT', 'STYLE', 'LINK', 'TEMPLATE'].includes(element.tagName)) return
+
+    hiddenElements.set(element, {
+      inert: element.inert,
+      ariaHidden: element.getAttribute('aria-hidden'),
+    })
+    element.inert = true
+    element.setAttribute('aria-hidden', 'true')
+  })
+}
+
+function lockScroll() {
+  const { body, documentElement } = document
+  const scrollbarWidth = window.innerWidth - documentElement.clientWidth
+
+  savedBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight }
+  body.style.overflow = 'hidden'
+  if (scrollbarWidth > 0) {
+    body.style.paddingRight = `${scrollbarWidth}px`
+  }
+}
+
+function unlockScroll() {
+  Object.assign(document.body.style, savedBodyStyle)
+  savedBodyStyle = null
+}
+
+function update() {
+  restoreBackground()
+
+  const top = stack[stack.length - 1]
+  if (top) {
+    hideBackground(top.overlay)
+  }
+}
+
+export function hasOpenModal() {
+  return stack.length > 0
+}
+
+// Register an open dialog. Returns a function that removes it again.
+export function pushModal(entry) {
+  if (stack.length === 0) {
+    lockScroll()
+    document.addEventListener('keydown', handleKeydown)
+  }
+  stack.push(entry)
+  update()
+
+  return () => {
+    const index = stack.indexOf(entry)
+    if (index === -1) return
+
+    stack.splice(index, 1)
+    update()
+    if (stack.length === 0) {
+      unlockScroll()
+      document.removeEventListener('keydown', handleKeydown)
+    }
+  }
+}
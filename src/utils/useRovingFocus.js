@@ -0,0 +1,172 @@
+import { useEffect, useRef } from 'react'
+import { getFocusableElements } from './focus'
+
+const TYPEAHEAD_RESET_MS = 500
+
+// Arrow keys per orientation, as [previous, next]
+const ARROWS = {
+  horizontal: [['ArrowLeft'], ['ArrowRight']],
+  vertical: [['ArrowUp'], ['ArrowDown']],
+  both: [['ArrowLeft', 'ArrowUp'], ['ArrowRight', 'ArrowDown']],
+}
+
+// Left and right swap meaning in right-to-left text
+const RTL_KEYS = { ArrowLeft: 'ArrowRight', ArrowRight: 'ArrowLeft' }
+
+// Controls that use arrow keys, Home/End and typing for themselves
+function handlesOwnKeys(element) {
+  if (element.tagName === 'SELECT' || element.tagName === 'TEXTAREA') return true
+  if (element.isContentEditable) return true
+  return element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(element.type)
+}
+
+// Text used for type-ahead: the aria-label, the <label>, or the visible text
+// without aria-hidden decorations such as icons
+function getItemLabel(element) {
+  const label = element.getAttribute('aria-label') ?? element.labels?.[0] ?? element
+  if (typeof label === 'string') return label
+
+  const clone = label.cloneNode(true)
+  clone.querySelectorAll('[aria-hidden="true"]').forEach((hidden) => hidden.remove())
+  return clone.textContent
+}
+
+// Roving tabindex for a group of controls (ARIA toolbar pattern)
+//
+// The group is a single Tab stop. Arrow keys move between items, Home and
+// End jump to the ends, and typing jumps to the next item whose label
+// starts with the typed text. The item focused last stays the Tab stop, so
+// tabbing back into the group returns to it. Items are the focusable
+// controls inside the element the returned ref is attached to.
+//
+// In a radio group only the checked radio may be the Tab stop (browsers
+// skip the others), so arrows move focus without changing the selection
+// and Space selects.
+export function useRovingFocus({ orientation = 'horizontal', wrap = true, typeahead = true } = {}) {
+  const ref = useRef(null)
+
+  useEffect(() => {
+    const container = ref.current
+    if (!container) return
+
+    let active = null
+    let typed = ''
+    let typeaheadTimer = null
+
+    const getItems = () => getFocusableElements(container, { includeNegativeTabIndex: true })
+
+    const getTabStop = (items) => {
+      let item = items.includes(active) ? active : null
+      item ??= items.find((candidate) => candidate.matches('[aria-current]:not([aria-current="false"])'))
+      item ??= items[0]
+
+      if (item?.type === 'radio' && !item.checked) {
+        const checked = items.find((other) => other.type === 'radio' && other.name === item.name && other.checked)
+        if (checked) return checked
+      }
+      return item
+    }
+
+    const sync = () => {
+      const items = getItems()
+      const tabStop = getTabStop(items)
+      items.forEach((item) => {
+        item.tabIndex = item === tabStop ? 0 : -1
+      })
+    }
+
+    const focusItem = (item) => {
+      active = item
+      sync()
+      item.focus()
+    }
+
+    const move = (items, current, step) => {
+      let index = items.indexOf(current) + step
+      if (index < 0 || index >= items.length) {
+        if (!wrap) return
+        index = (index + items.length) % items.length
+      }
+      focusItem(items[index])
+    }
+
+    const handleTypeahead = (e, items, current) => {
+      clearTimeout(typeaheadTimer)
+      typeaheadTimer = setTimeout(() => {
+        typed = ''
+      }, TYPEAHEAD_RESET_MS)
+
+      // Repeating one letter cycles through the items starting with it
+      typed = typed === e.key ? e.key : typed + e.key
+      const search = typed.toLowerCase()
+      const start = items.indexOf(current)
+      const ordered = [...items.slice(start + 1), ...items.slice(0, start + 1)]
+      const match = ordered.find((item) => getItemLabel(item).trim().toLowerCase().startsWith(search))
+      if (!match) return
+
+      // Stops single-key global shortcuts from also handling the letter
+      e.preventDefault()
+      focusItem(match)
+    }
+
+    const handleKeydown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return
+
+      const items = getItems()
+      const current = items.find((item) => item === e.target)
+      if (!current || handlesOwnKeys(current)) return
+
+      const [previous, next] = ARROWS[orientation]
+      const rtl = window.getComputedStyle(container).direction === 'rtl'
+      const key = rtl ? RTL_KEYS[e.key] ?? e.key : e.key
+
+      if (previous.includes(key)) {
+        e.preventDefault()
+        move(items, current, -1)
+      } else if (next.includes(key)) {
+        e.preventDefault()
+        move(items, current, 1)
+      } else if (e.key === 'Home') {
+        e.preventDefault()
+        focusItem(items[0])
+      } else if (e.key === 'End') {
+        e.preventDefault()
+        focusItem(items[items.length - 1])
+      } else if (typeahead && e.key.length === 1 && e.key !== ' ') {
+        handleTypeahead(e, items, current)
+      }
+    }
+
+    const handleFocusin = (e) => {
+      const item = getItems().find((candidate) => candidate === e.target)
+      if (!item) return
+      active = item
+      sync()
+    }
+
+    // Keep one Tab stop as controls are added, removed or re-enabled and as
+    // the radio selection changes
+    const observer = new MutationObserver(sync)
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['disabled', 'aria-current'],
+    })
+
+    container.addEventListener('keydown', handleKeydown)
+    container.addEventListener('focusin', handleFocusin)
+    container.addEventListener('change', sync)
+    sync()
+
+    return () => {
+      clearTimeout(typeaheadTimer)
+      observer.disconnect()
+      container.removeEventListener('keydown', handleKeydown)
+      container.removeEventListener('focusin', handleFocusin)
+      container.removeEventListener('change', sync)
+    }
+  }, [orientation, wrap, typeahead])
+
+  return ref
+}
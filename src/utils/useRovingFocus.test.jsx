@@ -0,0 +1,169 @@
+import { describe, expect, it } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { useRovingFocus } from './useRovingFocus'
+
+function Toolbar({ options, style, children }) {
+  const ref = useRovingFocus(options)
+  return (
+    <div role="toolbar" aria-label="Tools" ref={ref} style={style}>
+      {children ?? (
+        <>
+          <button type="button">Home</button>
+          <button type="button">
+            <span aria-hidden="true">★</span> About
+          </button>
+          <button type="button">Contact</button>
+          <button type="button">Careers</button>
+        </>
+      )}
+    </div>
+  )
+}
+
+function renderToolbar(props) {
+  return render(
+    <>
+      <button type="button">Before</button>
+      <Toolbar {...props} />
+      <button type="button">After</button>
+    </>
+  )
+}
+
+// Long enough for type-ahead to start over
+const pauseTyping = () => new Promise((resolve) => setTimeout(resolve, 600))
+
+const button = (name) => screen.getByRole('button', { name })
+const tabStops = () => screen.getAllByRole('button').filter((item) => item.tabIndex === 0 && !item.disabled).map((item) => item.textContent.trim())
+
+describe('useRovingFocus', () => {
+  it('makes the group one Tab stop that remembers the last focused item', async () => {
+    const user = userEvent.setup()
+    renderToolbar()
+    expect(tabStops()).toEqual(['Before', 'Home', 'After'])
+
+    await user.tab()
+    await user.tab()
+    expect(button('Home')).toHaveFocus()
+    await user.keyboard('{ArrowRight}{ArrowRight}')
+    expect(button('Contact')).toHaveFocus()
+
+    await user.tab()
+    expect(button('After')).toHaveFocus()
+    await user.tab({ shift: true })
+    expect(button('Contact')).toHaveFocus()
+    expect(tabStops()).toEqual(['Before', 'Contact', 'After'])
+  })
+
+  it('moves with the arrow keys, Home and End, wrapping at the ends', async () => {
+    const user = userEvent.setup()
+    renderToolbar()
+    button('Home').focus()
+
+    await user.keyboard('{ArrowLeft}')
+    expect(button('Careers')).toHaveFocus()
+    await user.keyboard('{ArrowRight}')
+    expect(button('Home')).toHaveFocus()
+    await user.keyboard('{End}')
+    expect(button('Careers')).toHaveFocus()
+    await user.keyboard('{Home}')
+    expect(button('Home')).toHaveFocus()
+  })
+
+  it('stops at the ends without wrap and follows the orientation', async () => {
+    const user = userEvent.setup()
+    renderToolbar({ options: { orientation: 'vertical', wrap: false } })
+    button('Home').focus()
+
+    await user.keyboard('{ArrowUp}{ArrowRight}')
+    expect(button('Home')).toHaveFocus()
+    await user.keyboard('{ArrowDown}')
+    expect(button('About')).toHaveFocus()
+  })
+
+  it('swaps left and right in right-to-left text', async () => {
+    const user = userEvent.setup()
+    renderToolbar({ style: { direction: 'rtl' } })
+    button('Home').focus()
+
+    await user.keyboard('{ArrowLeft}')
+    expect(button('About')).toHaveFocus()
+  })
+
+  it('jumps to items by typing the start of their label', async () => {
+    const user = userEvent.setup()
+    renderToolbar()
+    button('Home').focus()
+
+    await user.keyboard('ca')
+    expect(button('Careers')).toHaveFocus()
+    await pauseTyping()
+
+    // Repeating a letter cycles through the matches
+    await user.keyboard('c')
+    expect(button('Contact')).toHaveFocus()
+    await user.keyboard('c')
+    expect(button('Careers')).toHaveFocus()
+    await pauseTyping()
+
+    // Icons aren't part of the label
+    await user.keyboard('a')
+    expect(button('About')).toHaveFocus()
+  })
+
+  it('starts at the current item and leaves text fields their own keys', async () => {
+    const user = userEvent.setup()
+    renderToolbar({
+      children: (
+        <>
+          <button type="button">Home</button>
+          <button type="button" aria-current="page">About</button>
+          <input type="search" aria-label="Search" />
+        </>
+      ),
+    })
+    expect(tabStops()).toEqual(['Before', 'About', 'After'])
+
+    const search = screen.getByRole('searchbox', { name: 'Search' })
+    await user.click(search)
+    await user.keyboard('ab{ArrowLeft}{Home}')
+    expect(search).toHaveFocus()
+    expect(search).toHaveValue('ab')
+  })
+
+  it('keeps the checked radio as the Tab stop and moves without selecting', async () => {
+    const user = userEvent.setup()
+    renderToolbar({
+      children: ['Light', 'Dark', 'System'].map((label) => (
+        <label key={label}>
+          <input type="radio" name="theme" defaultChecked={label === 'Dark'} />
+          {label}
+        </label>
+      )),
+    })
+    const radio = (name) => screen.getByRole('radio', { name })
+    expect(radio('Dark').tabIndex).toBe(0)
+    expect(radio('Light').tabIndex).toBe(-1)
+
+    radio('Dark').focus()
+    await user.keyboard('{ArrowRight}')
+    expect(radio('System')).toHaveFocus()
+    expect(radio('Dark')).toBeChecked()
+    expect(radio('Dark').tabIndex).toBe(0)
+
+    await user.keyboard(' ')
+    expect(radio('System')).toBeChecked()
+    expect(radio('System').tabIndex).toBe(0)
+  })
+
+  it('keeps one Tab stop when the focused item is disabled', async () => {
+    const user = userEvent.setup()
+    renderToolbar()
+    button('Home').focus()
+    await user.keyboard('{ArrowRight}')
+
+    button('About').disabled = true
+    await waitFor(() => expect(tabStops()).toEqual(['Before', 'Home', 'After']))
+  })
+})